@@ -0,0 +1,1172 @@
+// Local backend - json-server with Platzi Fake Store API compatible routes
+// Usage: node server.mjs [db file] (PORT env var, default 3000)
+
+import { createServer } from 'node:http';
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { createApp } from 'json-server/lib/app.js';
+
+const DB_FILE = process.argv[2] || 'db.json';
+const PORT = parseInt(process.env.PORT || '3000');
+
+// Token settings for the /auth stand-in (lifetimes in seconds)
+const JWT_SECRET = process.env.JWT_SECRET || 'local-dashboard-secret';
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL || '3600');
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL || String(7 * 24 * 3600));
+
+const db = new Low(new JSONFile(DB_FILE), {});
+await db.read();
+
+// Generic json-server REST routes + static files (only APP_FILES are let through, see handleStaticFiles)
+const jsonServerApp = createApp(db, { static: ['.'] });
+
+// Files of the dashboard itself; db.json (users with password hashes, audit log), package files and tests are not served
+const APP_FILES = /^\/(test\.html|main\.js|sw\.js|src\/[\w-]+\.js)$/;
+
+/**
+ * Send a JSON response with CORS headers
+ * @param {ServerResponse} res - Node response
+ * @param {number} status - HTTP status code
+ * @param {*} data - Response payload
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendJSON(res, status, data, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        ...headers
+    });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Send a Platzi-style 400 response
+ * @param {ServerResponse} res - Node response
+ * @param {string[]} messages - Validation messages
+ */
+function sendBadRequest(res, messages) {
+    sendJSON(res, 400, { message: messages, error: 'Bad Request', statusCode: 400 });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - Node request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ * @throws {SyntaxError} When the body is not JSON or not a JSON object (answered with 400)
+ */
+async function readJSON(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf-8');
+    const body = text ? JSON.parse(text) : {};
+    // null, arrays and plain values would fail later as TypeErrors (500)
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new SyntaxError('Request body must be a JSON object');
+    }
+    return body;
+}
+
+/**
+ * Lowercase text and strip Vietnamese diacritics
+ * @param {string} text - Source text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/Đ/g, 'D')
+        .toLowerCase();
+}
+
+/**
+ * Build a URL slug from a title, stripping Vietnamese diacritics
+ * @param {string} text - Source text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+    return normalizeText(text)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Next numeric id for a collection (json-server stores ids as strings)
+ * @param {Object[]} items - Collection items
+ * @returns {string} Next id
+ */
+function nextId(items) {
+    const maxId = items.reduce((max, item) => Math.max(max, parseInt(item.id) || 0), 0);
+    return String(maxId + 1);
+}
+
+/**
+ * Validate a product payload the way the Platzi API does
+ * @param {Object} body - Request body
+ * @param {boolean} partial - true for updates (only present fields are checked)
+ * @returns {string[]} Validation messages (empty when valid)
+ */
+function validateProduct(body, partial) {
+    const errors = [];
+    const has = (field) => body[field] !== undefined;
+
+    if (!partial || has('title')) {
+        if (typeof body.title !== 'string' || body.title.trim() === '') {
+            errors.push('title should not be empty');
+        }
+    }
+    if (!partial || has('price')) {
+        if (typeof body.price !== 'number' || !(body.price > 0)) {
+            errors.push('price must be a positive number');
+        }
+    }
+    if (!partial || has('description')) {
+        if (typeof body.description !== 'string' || body.description.trim() === '') {
+            errors.push('description should not be empty');
+        }
+    }
+    if (!partial || has('categoryId')) {
+        if (!findCategory(body.categoryId)) {
+            errors.push('categoryId must be an existing category id');
+        }
+    }
+    if (!partial || has('images')) {
+        if (!Array.isArray(body.images) || body.images.length === 0) {
+            errors.push('images must contain at least 1 elements');
+        } else if (!body.images.every(isURL)) {
+            errors.push('each value in images must be a URL address');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check that a value is an absolute http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} true for valid URLs
+ */
+function isURL(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Find a category by id (ids may arrive as numbers or strings)
+ * @param {number|string} id - Category id
+ * @returns {Object|undefined} Category
+ */
+function findCategory(id) {
+    return db.data.categories.find(category => String(category.id) === String(id));
+}
+
+/**
+ * Find a product by id
+ * @param {number|string} id - Product id
+ * @returns {Object|undefined} Product
+ */
+function findProduct(id) {
+    return db.data.products.find(product => String(product.id) === String(id));
+}
+
+/**
+ * Copy writable product fields from a request body onto a product
+ * @param {Object} product - Target product
+ * @param {Object} body - Validated request body
+ */
+function applyProductFields(product, body) {
+    ['title', 'price', 'description', 'images'].forEach(field => {
+        if (body[field] !== undefined) {
+            product[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+        }
+    });
+    if (body.categoryId !== undefined) {
+        product.category = findCategory(body.categoryId);
+    }
+    product.slug = slugify(product.title);
+    product.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Sign an HS256 JWT
+ * @param {Object} payload - Claims (`sub` is the user id)
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {string} Token
+ */
+function signToken(payload, ttl) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const body = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + ttl })).toString('base64url');
+    const signature = createHmac('sha256', JWT_SECRET).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Check a JWT's signature, expiry and type
+ * @param {string} token - Token to check
+ * @param {string} type - 'access' | 'refresh'
+ * @returns {Object|null} Claims, or null when the token is invalid
+ */
+function verifyToken(token, type) {
+    const [header, body, signature] = String(token || '').split('.');
+    if (!header || !body || !signature) {
+        return null;
+    }
+
+    const expected = createHmac('sha256', JWT_SECRET).update(`${header}.${body}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+        return claims.type === type && claims.exp > Date.now() / 1000 ? claims : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Issue a Platzi-style token pair for a user
+ * @param {Object} user - User record
+ * @returns {{access_token: string, refresh_token: string}} Tokens
+ */
+function issueTokens(user) {
+    return {
+        access_token: signToken({ sub: user.id, type: 'access' }, ACCESS_TOKEN_TTL),
+        refresh_token: signToken({ sub: user.id, type: 'refresh' }, REFRESH_TOKEN_TTL)
+    };
+}
+
+/**
+ * Find the user of the request's `Authorization: Bearer` access token
+ * @param {IncomingMessage} req - Node request
+ * @returns {Object|null} User, or null when the token is missing or invalid
+ */
+function authenticate(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const claims = match ? verifyToken(match[1], 'access') : null;
+    if (!claims) {
+        return null;
+    }
+    return (db.data.users || []).find(user => String(user.id) === String(claims.sub)) || null;
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plaintext password
+ * @returns {string} `scrypt:<salt>:<hash>` (hex)
+ */
+function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a user's stored hash
+ * @param {Object} user - User record
+ * @param {string} password - Plaintext password
+ * @returns {boolean} true when the password matches
+ */
+function verifyPassword(user, password) {
+    const [scheme, salt, hash] = String(user.passwordHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    return timingSafeEqual(scryptSync(password, salt, expected.length), expected);
+}
+
+/**
+ * Copy of a user without the password hash, for responses
+ * @param {Object} user - User record
+ * @returns {Object} User
+ */
+function publicUser(user) {
+    const { password, passwordHash, ...fields } = user;
+    return fields;
+}
+
+// Db files from before passwords were hashed keep them in plaintext; hash them once
+const plaintextUsers = (db.data.users || []).filter(user => user.password !== undefined);
+if (plaintextUsers.length > 0) {
+    plaintextUsers.forEach(user => {
+        user.passwordHash = hashPassword(user.password);
+        delete user.password;
+    });
+    await db.write();
+}
+
+/**
+ * Send a Platzi-style 401 response
+ * @param {ServerResponse} res - Node response
+ */
+function sendUnauthorized(res) {
+    sendJSON(res, 401, { message: 'Unauthorized', statusCode: 401 });
+}
+
+/**
+ * Platzi-compatible auth routes: `POST /auth/login` ({ email, password }),
+ * `POST /auth/refresh-token` ({ refreshToken }) and `GET /auth/profile`.
+ * Users come from the `users` collection in the db file.
+ * @returns {Promise<boolean>} true when the request was handled
+ */
+async function handleAuthRoutes(req, res, url) {
+    if (req.method === 'POST' && url.pathname === '/auth/login') {
+        const { email, password } = await readJSON(req);
+        const user = (db.data.users || []).find(item => item.email === email && verifyPassword(item, password));
+        if (!user) {
+            sendUnauthorized(res);
+            return true;
+        }
+        sendJSON(res, 201, issueTokens(user));
+        return true;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/auth/refresh-token') {
+        const { refreshToken } = await readJSON(req);
+        const claims = verifyToken(refreshToken, 'refresh');
+        const user = claims && (db.data.users || []).find(item => String(item.id) === String(claims.sub));
+        if (!user) {
+            sendUnauthorized(res);
+            return true;
+        }
+        sendJSON(res, 201, issueTokens(user));
+        return true;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/auth/profile') {
+        const user = authenticate(req);
+        if (!user) {
+            sendUnauthorized(res);
+            return true;
+        }
+        sendJSON(res, 200, publicUser(user));
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Reads are public, but writes, the users collection (which holds password hashes) and the
+ * audit log need an admin access token: 401 without a valid token, 403 for other roles.
+ * @returns {boolean} true when the request was rejected
+ */
+function handleAccessControl(req, res, url) {
+    const isWrite = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method);
+    const isPrivate = /^\/(users|audit)(\/|$)/.test(url.pathname);
+    if ((!isWrite && !isPrivate) || url.pathname.startsWith('/auth/')) {
+        return false;
+    }
+
+    const user = authenticate(req);
+    if (!user) {
+        sendUnauthorized(res);
+        return true;
+    }
+    if (user.role !== 'admin') {
+        sendJSON(res, 403, { message: 'Forbidden resource', error: 'Forbidden', statusCode: 403 });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Validate a user payload ({ email, password, name, role, avatar })
+ * @param {Object} body - Request body
+ * @param {boolean} partial - true for updates (only present fields are checked)
+ * @param {Object|null} current - User being updated (excluded from the unique email check)
+ * @returns {string[]} Validation messages (empty when valid)
+ */
+function validateUser(body, partial, current = null) {
+    const errors = [];
+    const has = (field) => body[field] !== undefined;
+
+    if (!partial || has('email')) {
+        if (typeof body.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(body.email)) {
+            errors.push('email must be an email');
+        } else if ((db.data.users || []).some(user => user !== current && user.email === body.email)) {
+            errors.push('email is already registered');
+        }
+    }
+    if (!partial || has('password')) {
+        if (typeof body.password !== 'string' || body.password.length < 4) {
+            errors.push('password must be longer than or equal to 4 characters');
+        }
+    }
+    if (!partial || has('name')) {
+        if (typeof body.name !== 'string' || body.name.trim() === '') {
+            errors.push('name should not be empty');
+        }
+    }
+    if (has('role') && !['admin', 'customer'].includes(body.role)) {
+        errors.push('role must be one of the following values: admin, customer');
+    }
+    if (has('avatar') && !isURL(body.avatar)) {
+        errors.push('avatar must be a URL address');
+    }
+
+    return errors;
+}
+
+/**
+ * User routes (admins only, see handleAccessControl), answered here instead of by
+ * json-server so passwords are stored hashed and no response includes the hash
+ * @returns {Promise<boolean>} true when the request was handled
+ */
+async function handleUserRoutes(req, res, url) {
+    const match = url.pathname.match(/^\/users(?:\/([^/]+))?\/?$/);
+    if (!match && !url.pathname.startsWith('/users/')) {
+        return false;
+    }
+    const id = match?.[1];
+    db.data.users ||= [];
+    const user = id && db.data.users.find(item => String(item.id) === String(id));
+    if (!match || (id && !user)) {
+        sendJSON(res, 404, { message: `Could not find any entity of type "User" matching id ${id}`, statusCode: 404 });
+        return true;
+    }
+
+    if (req.method === 'GET') {
+        sendJSON(res, 200, id ? publicUser(user) : db.data.users.map(publicUser));
+        return true;
+    }
+
+    if (req.method === 'POST' && !id) {
+        const body = await readJSON(req);
+        const errors = validateUser(body, false);
+        if (errors.length > 0) {
+            sendBadRequest(res, errors);
+            return true;
+        }
+
+        const now = new Date().toISOString();
+        const created = {
+            id: nextId(db.data.users),
+            email: body.email,
+            passwordHash: hashPassword(body.password),
+            name: body.name.trim(),
+            role: body.role || 'customer',
+            avatar: body.avatar || '',
+            creationAt: now,
+            updatedAt: now
+        };
+        db.data.users.push(created);
+        await db.write();
+        sendJSON(res, 201, publicUser(created));
+        return true;
+    }
+
+    if ((req.method === 'PUT' || req.method === 'PATCH') && id) {
+        const body = await readJSON(req);
+        const errors = validateUser(body, true, user);
+        if (errors.length > 0) {
+            sendBadRequest(res, errors);
+            return true;
+        }
+
+        ['email', 'role', 'avatar'].forEach(field => {
+            if (body[field] !== undefined) {
+                user[field] = body[field];
+            }
+        });
+        if (body.name !== undefined) {
+            user.name = body.name.trim();
+        }
+        if (body.password !== undefined) {
+            user.passwordHash = hashPassword(body.password);
+        }
+        user.updatedAt = new Date().toISOString();
+        await db.write();
+        sendJSON(res, 200, publicUser(user));
+        return true;
+    }
+
+    if (req.method === 'DELETE' && id) {
+        db.data.users = db.data.users.filter(item => item !== user);
+        await db.write();
+        sendJSON(res, 200, true);
+        return true;
+    }
+
+    sendJSON(res, 405, { message: 'Method not allowed', statusCode: 405 });
+    return true;
+}
+
+// Change feed for live updates (kept in memory): every product write gets a sequence number.
+// Cursors are "<run id>:<seq>", so clients notice when the server was restarted.
+const FEED_RUN_ID = Date.now().toString(36);
+const CHANGE_LOG_LIMIT = 1000;
+const changeLog = []; // { seq, type, id, product, at }, oldest first
+let changeSeq = 0;
+const changeStreams = new Set(); // Open /changes/stream responses
+
+/**
+ * Build the cursor of a position in the change feed
+ * @param {number} seq - Sequence number of the last change seen
+ * @returns {string} Cursor
+ */
+function changeCursor(seq) {
+    return `${FEED_RUN_ID}:${seq}`;
+}
+
+/**
+ * Read a cursor sent by a client
+ * @param {string|null} cursor - Cursor from `?since=` or `Last-Event-ID`
+ * @returns {number|null} Sequence number, or null when the cursor is invalid, from an
+ *                        earlier server run or older than the kept changes
+ */
+function parseCursor(cursor) {
+    const match = String(cursor || '').match(/^([a-z0-9]+):(\d+)$/);
+    if (!match || match[1] !== FEED_RUN_ID) {
+        return null;
+    }
+    const seq = parseInt(match[2]);
+    const oldest = changeLog.length > 0 ? changeLog[0].seq : changeSeq + 1;
+    return seq <= changeSeq && seq >= oldest - 1 ? seq : null;
+}
+
+/**
+ * Convert a change log entry to the format sent to clients
+ * @param {Object} entry - Change log entry
+ * @returns {Object} Change ({ type, id, product, at })
+ */
+function toChange({ type, id, product, at }) {
+    return { type, id, product, at };
+}
+
+/**
+ * Get the changes after a position
+ * @param {number} seq - Sequence number of the last change seen
+ * @returns {Object[]} Changes, oldest first
+ */
+function changesSince(seq) {
+    return changeLog.filter(entry => entry.seq > seq).map(toChange);
+}
+
+/**
+ * Write a Server-Sent Event
+ * @param {ServerResponse} res - Open event stream
+ * @param {string} event - Event name
+ * @param {*} data - Event payload
+ */
+function sendEvent(res, event, data) {
+    res.write(`id: ${changeCursor(changeSeq)}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Add product changes to the feed and push them to the open streams
+ * @param {string} type - 'create' | 'update' | 'delete'
+ * @param {Object[]} products - Changed products (as they are now, or as they were when deleted)
+ */
+function recordChanges(type, products) {
+    const at = new Date().toISOString();
+    const entries = products.map(product => ({
+        seq: ++changeSeq,
+        type,
+        id: product.id,
+        product: type === 'delete' ? null : structuredClone(product),
+        at
+    }));
+    if (entries.length === 0) {
+        return;
+    }
+
+    changeLog.push(...entries);
+    changeLog.splice(0, Math.max(0, changeLog.length - CHANGE_LOG_LIMIT));
+    const changes = entries.map(toChange);
+    changeStreams.forEach(res => sendEvent(res, 'changes', changes));
+}
+
+// Comments keep idle streams open through proxies
+setInterval(() => {
+    changeStreams.forEach(res => res.write(': ping\n\n'));
+}, 25000).unref();
+
+/**
+ * Change feed routes for live updates: `GET /changes?since=<cursor>` (polling, answers
+ * 304 to `If-None-Match` while nothing changed) and `GET /changes/stream` (Server-Sent
+ * Events, resuming after `Last-Event-ID`). A cursor that cannot be resumed gets
+ * `reset: true` or a `reset` event, after which the client reloads everything.
+ * @returns {boolean} true when the request was handled
+ */
+function handleChangeRoutes(req, res, url) {
+    if (req.method !== 'GET' || !/^\/changes(\/stream)?\/?$/.test(url.pathname)) {
+        return false;
+    }
+    const since = req.headers['last-event-id'] || url.searchParams.get('since');
+    const seq = since ? parseCursor(since) : changeSeq;
+
+    if (url.pathname.startsWith('/changes/stream')) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write('retry: 5000\n\n');
+        if (seq === null) {
+            sendEvent(res, 'reset', {});
+        } else if (seq < changeSeq) {
+            sendEvent(res, 'changes', changesSince(seq));
+        }
+        changeStreams.add(res);
+        req.on('close', () => changeStreams.delete(res));
+        return true;
+    }
+
+    const etag = `"${changeCursor(changeSeq)}"`;
+    const headers = { 'ETag': etag, 'Cache-Control': 'no-cache', 'Access-Control-Expose-Headers': 'ETag' };
+    if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ...headers, 'Access-Control-Allow-Origin': '*' });
+        res.end();
+        return true;
+    }
+    sendJSON(res, 200, {
+        cursor: changeCursor(changeSeq),
+        reset: seq === null,
+        changes: seq === null ? [] : changesSince(seq)
+    }, headers);
+    return true;
+}
+
+// Audit log (the `audit` collection in the db file): who created, changed or deleted which product
+const AUDITED_FIELDS = ['title', 'price', 'description', 'category', 'images'];
+
+/**
+ * Read an audited field of a product
+ * @param {Object|null} product - Product version (null when it does not exist)
+ * @param {string} field - Audited field
+ * @returns {*} Copy of the value (the category as { id, name }), null when missing
+ */
+function auditValue(product, field) {
+    if (!product || product[field] === undefined || product[field] === null) {
+        return null;
+    }
+    if (field === 'category') {
+        return { id: product.category.id, name: product.category.name };
+    }
+    return structuredClone(product[field]);
+}
+
+/**
+ * List the audited fields that differ between two versions of a product
+ * @param {Object|null} before - Product before the write (null when created)
+ * @param {Object|null} after - Product after the write (null when deleted)
+ * @returns {Object[]} Changed fields ({ field, from, to })
+ */
+function diffProduct(before, after) {
+    return AUDITED_FIELDS
+        .map(field => ({ field, from: auditValue(before, field), to: auditValue(after, field) }))
+        .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+}
+
+/**
+ * Add a product write to the audit log (saved with the next db.write). Writes that
+ * change none of the audited fields are left out.
+ * @param {string} action - 'create' | 'update' | 'delete'
+ * @param {Object|null} user - User who made the write
+ * @param {Object|null} before - Product before the write (null when created)
+ * @param {Object|null} after - Product after the write (null when deleted)
+ */
+function recordAudit(action, user, before, after) {
+    const changes = diffProduct(before, after);
+    if (changes.length === 0) {
+        return;
+    }
+
+    db.data.audit ||= [];
+    const product = after || before;
+    db.data.audit.push({
+        id: nextId(db.data.audit),
+        action,
+        productId: String(product.id),
+        productTitle: product.title,
+        user: user ? { id: user.id, name: user.name, email: user.email } : null,
+        at: new Date().toISOString(),
+        changes,
+        version: structuredClone(product), // The whole product after the write (before it for deletes)
+        // The whole product before an update, so the first recorded edit of a product can be undone too
+        previous: action === 'update' ? structuredClone(before) : null
+    });
+}
+
+/**
+ * Audit log routes (admins only, see handleAccessControl): `GET /audit` lists entries
+ * newest first, filtered by `productId`, `userId` and a `from`/`to` date range (YYYY-MM-DD,
+ * inclusive) and paged with `offset`/`limit` (total in X-Total-Count). `GET /audit/users`
+ * lists the users found in the log. Only the product routes write to the log, so every
+ * other `/audit` request is answered here instead of by json-server's generic routes.
+ * @returns {boolean} true when the request was handled
+ */
+function handleAuditRoutes(req, res, url) {
+    const match = url.pathname.match(/^\/audit(?:\/([^/]*))?\/?$/);
+    if (!match && !url.pathname.startsWith('/audit/')) {
+        return false;
+    }
+    if (req.method !== 'GET') {
+        sendJSON(res, 405, { message: 'The audit log is read-only', statusCode: 405 });
+        return true;
+    }
+    if (!match || (match[1] && match[1] !== 'users')) {
+        sendJSON(res, 404, { message: 'Not found', statusCode: 404 });
+        return true;
+    }
+
+    const entries = db.data.audit || [];
+    if (match[1]) {
+        const users = new Map();
+        entries.forEach(entry => {
+            if (entry.user) {
+                users.set(String(entry.user.id), entry.user);
+            }
+        });
+        sendJSON(res, 200, [...users.values()]);
+        return true;
+    }
+
+    const params = url.searchParams;
+    const productId = params.get('productId');
+    const userId = params.get('userId');
+    const from = Date.parse(`${params.get('from')}T00:00:00`);
+    const to = Date.parse(`${params.get('to')}T23:59:59.999`);
+    const items = entries
+        .filter(entry => !productId || entry.productId === productId)
+        .filter(entry => !userId || (entry.user && String(entry.user.id) === userId))
+        .filter(entry => Number.isNaN(from) || Date.parse(entry.at) >= from)
+        .filter(entry => Number.isNaN(to) || Date.parse(entry.at) <= to)
+        .reverse();
+
+    const offset = Math.max(0, parseInt(params.get('offset')) || 0);
+    const limit = parseInt(params.get('limit'));
+    sendJSON(res, 200, items.slice(offset, limit > 0 ? offset + limit : undefined), {
+        'X-Total-Count': String(items.length),
+        'Access-Control-Expose-Headers': 'X-Total-Count'
+    });
+    return true;
+}
+
+const collator = new Intl.Collator('vi', { sensitivity: 'base', numeric: true });
+
+/**
+ * Compare two field values: numbers numerically, everything else with Vietnamese collation
+ * @param {*} valueA - First value
+ * @param {*} valueB - Second value
+ * @returns {number} Ascending comparison result
+ */
+function compareValues(valueA, valueB) {
+    if (typeof valueA === 'number' && typeof valueB === 'number') {
+        return valueA - valueB;
+    }
+    return collator.compare(String(valueA ?? ''), String(valueB ?? ''));
+}
+
+/**
+ * Platzi-style product listing for the dashboard's remote data mode:
+ * `offset`/`limit` pagination, case- and diacritic-insensitive `title` search, Platzi
+ * `categoryId`/`price_min`/`price_max` filters (several categoryId allowed),
+ * a `date_field`/`date_from`/`date_to` range and json-server 0.x style
+ * `_sort`/`_order` (comma separated for several keys). The total match count is returned in the X-Total-Count header.
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{items: Object[], total: number}} Page of products and total
+ */
+function listProducts(params) {
+    let items = db.data.products;
+
+    // Every word must appear in the title, ignoring case and diacritics ("ao thun" finds "Áo thun")
+    const titleWords = normalizeText(params.get('title') || '').split(/\s+/).filter(word => word);
+    if (titleWords.length > 0) {
+        items = items.filter(product => {
+            const title = normalizeText(product.title || '');
+            return titleWords.every(word => title.includes(word));
+        });
+    }
+
+    const categoryIds = params.getAll('categoryId');
+    if (categoryIds.length > 0) {
+        items = items.filter(product => product.category && categoryIds.includes(String(product.category.id)));
+    }
+
+    const priceMin = parseFloat(params.get('price_min'));
+    const priceMax = parseFloat(params.get('price_max'));
+    if (!Number.isNaN(priceMin)) {
+        items = items.filter(product => product.price >= priceMin);
+    }
+    if (!Number.isNaN(priceMax)) {
+        items = items.filter(product => product.price <= priceMax);
+    }
+
+    const dateField = params.get('date_field') === 'updatedAt' ? 'updatedAt' : 'creationAt';
+    const dateFrom = Date.parse(`${params.get('date_from')}T00:00:00`);
+    const dateTo = Date.parse(`${params.get('date_to')}T23:59:59.999`);
+    if (!Number.isNaN(dateFrom)) {
+        items = items.filter(product => Date.parse(product[dateField]) >= dateFrom);
+    }
+    if (!Number.isNaN(dateTo)) {
+        items = items.filter(product => Date.parse(product[dateField]) <= dateTo);
+    }
+
+    const sortFields = (params.get('_sort') || '').split(',').filter(field => field);
+    if (sortFields.length > 0) {
+        const orders = (params.get('_order') || '').split(',');
+        const keys = sortFields.map((field, index) => ({
+            // `category` sorts by the embedded category name
+            value: field === 'category' ? (product => product.category?.name) : (product => product[field]),
+            direction: orders[index] === 'desc' ? -1 : 1
+        }));
+        items = [...items].sort((a, b) => {
+            for (const { value, direction } of keys) {
+                const result = compareValues(value(a), value(b)) * direction;
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return 0;
+        });
+    }
+
+    const total = items.length;
+    const offset = Math.max(0, parseInt(params.get('offset')) || 0);
+    const limit = parseInt(params.get('limit'));
+    items = Number.isNaN(limit) ? items.slice(offset) : items.slice(offset, offset + limit);
+
+    return { items, total };
+}
+
+/**
+ * Platzi-compatible product routes: paginated listing, and writes where
+ * categoryId is resolved to the embedded category object and slug/timestamps
+ * are maintained by the server. Every write is added to the change feed and the audit log.
+ * @returns {Promise<boolean>} true when the request was handled
+ */
+async function handleProductRoutes(req, res, url) {
+    const match = url.pathname.match(/^\/products(?:\/([^/]+))?\/?$/);
+    if (!match) {
+        return false;
+    }
+    const id = match[1];
+    const platziQuery = ['offset', 'limit', 'title', '_sort', 'categoryId', 'price_min', 'price_max', 'date_from', 'date_to']
+        .some(key => url.searchParams.has(key));
+
+    // Other list queries (json-server's own _page, _start, ...) fall through to json-server
+    if (req.method === 'GET' && !id && platziQuery) {
+        const { items, total } = listProducts(url.searchParams);
+        sendJSON(res, 200, items, {
+            'X-Total-Count': String(total),
+            'Access-Control-Expose-Headers': 'X-Total-Count'
+        });
+        return true;
+    }
+
+    if (req.method === 'POST' && !id) {
+        const body = await readJSON(req);
+        const errors = validateProduct(body, false);
+        if (errors.length > 0) {
+            sendBadRequest(res, errors);
+            return true;
+        }
+
+        const now = new Date().toISOString();
+        const product = {
+            id: nextId(db.data.products),
+            title: '',
+            slug: '',
+            price: 0,
+            description: '',
+            category: null,
+            images: [],
+            creationAt: now,
+            updatedAt: now
+        };
+        applyProductFields(product, body);
+        db.data.products.push(product);
+        recordAudit('create', authenticate(req), null, product);
+        await db.write();
+        recordChanges('create', [product]);
+        sendJSON(res, 201, product);
+        return true;
+    }
+
+    if ((req.method === 'PUT' || req.method === 'PATCH') && id) {
+        const product = findProduct(id);
+        if (!product) {
+            sendJSON(res, 404, { message: `Could not find any entity of type "Product" matching id ${id}`, statusCode: 404 });
+            return true;
+        }
+
+        const body = await readJSON(req);
+        const errors = validateProduct(body, true);
+        if (errors.length > 0) {
+            sendBadRequest(res, errors);
+            return true;
+        }
+
+        const before = structuredClone(product);
+        applyProductFields(product, body);
+        recordAudit('update', authenticate(req), before, product);
+        await db.write();
+        recordChanges('update', [product]);
+        sendJSON(res, 200, product);
+        return true;
+    }
+
+    if (req.method === 'DELETE' && id) {
+        const product = findProduct(id);
+        if (!product) {
+            sendJSON(res, 404, { message: `Could not find any entity of type "Product" matching id ${id}`, statusCode: 404 });
+            return true;
+        }
+
+        db.data.products = db.data.products.filter(item => item !== product);
+        recordAudit('delete', authenticate(req), product, null);
+        await db.write();
+        recordChanges('delete', [product]);
+        sendJSON(res, 200, true);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Validate a category payload ({ name, image })
+ * @param {Object} body - Request body
+ * @param {boolean} partial - true for updates (only present fields are checked)
+ * @param {Object|null} current - Category being updated (excluded from the unique name check)
+ * @returns {string[]} Validation messages (empty when valid)
+ */
+function validateCategory(body, partial, current = null) {
+    const errors = [];
+    const has = (field) => body[field] !== undefined;
+
+    if (!partial || has('name')) {
+        if (typeof body.name !== 'string' || body.name.trim() === '') {
+            errors.push('name should not be empty');
+        } else if (db.data.categories.some(category => category !== current
+            && normalizeText(category.name) === normalizeText(body.name.trim()))) {
+            errors.push('name must be unique');
+        }
+    }
+    if (!partial || has('image')) {
+        if (!isURL(body.image)) {
+            errors.push('image must be a URL address');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Products embed a copy of their category; keep the copies in step with the category.
+ * A rename changes the audited category of each product, so it is added to the audit log.
+ * @param {Object} category - Updated category
+ * @param {Object|null} user - User who updated the category
+ * @returns {Object[]} Products whose copy changed
+ */
+function syncEmbeddedCategory(category, user) {
+    const changed = db.data.products.filter(product => product.category && String(product.category.id) === String(category.id));
+    changed.forEach(product => {
+        const before = structuredClone(product);
+        product.category = { ...category };
+        recordAudit('update', user, before, product);
+    });
+    return changed;
+}
+
+/**
+ * Platzi-compatible category routes: `GET /categories/:id/products`, and writes where
+ * slug/timestamps are maintained by the server, renames are copied into the products
+ * and categories that still have products cannot be deleted.
+ * @returns {Promise<boolean>} true when the request was handled
+ */
+async function handleCategoryRoutes(req, res, url) {
+    const match = url.pathname.match(/^\/categories(?:\/([^/]+))?(\/products)?\/?$/);
+    if (!match) {
+        return false;
+    }
+    const [, id, productsPath] = match;
+    const notFound = () => sendJSON(res, 404, {
+        message: `Could not find any entity of type "Category" matching id ${id}`,
+        statusCode: 404
+    });
+
+    if (req.method === 'GET' && id && productsPath) {
+        if (!findCategory(id)) {
+            notFound();
+            return true;
+        }
+        const params = new URLSearchParams(url.searchParams);
+        params.delete('categoryId');
+        params.append('categoryId', String(id));
+        const { items, total } = listProducts(params);
+        sendJSON(res, 200, items, {
+            'X-Total-Count': String(total),
+            'Access-Control-Expose-Headers': 'X-Total-Count'
+        });
+        return true;
+    }
+    if (productsPath) {
+        return false;
+    }
+
+    if (req.method === 'POST' && !id) {
+        const body = await readJSON(req);
+        const errors = validateCategory(body, false);
+        if (errors.length > 0) {
+            sendBadRequest(res, errors);
+            return true;
+        }
+
+        const now = new Date().toISOString();
+        const name = body.name.trim();
+        const category = {
+            id: nextId(db.data.categories),
+            name,
+            slug: slugify(name),
+            image: body.image,
+            creationAt: now,
+            updatedAt: now
+        };
+        db.data.categories.push(category);
+        await db.write();
+        sendJSON(res, 201, category);
+        return true;
+    }
+
+    if ((req.method === 'PUT' || req.method === 'PATCH') && id) {
+        const category = findCategory(id);
+        if (!category) {
+            notFound();
+            return true;
+        }
+
+        const body = await readJSON(req);
+        const errors = validateCategory(body, true, category);
+        if (errors.length > 0) {
+            sendBadRequest(res, errors);
+            return true;
+        }
+
+        if (body.name !== undefined) {
+            category.name = body.name.trim();
+            category.slug = slugify(category.name);
+        }
+        if (body.image !== undefined) {
+            category.image = body.image;
+        }
+        category.updatedAt = new Date().toISOString();
+        const changedProducts = syncEmbeddedCategory(category, authenticate(req));
+        await db.write();
+        recordChanges('update', changedProducts);
+        sendJSON(res, 200, category);
+        return true;
+    }
+
+    if (req.method === 'DELETE' && id) {
+        const category = findCategory(id);
+        if (!category) {
+            notFound();
+            return true;
+        }
+
+        const productCount = db.data.products
+            .filter(product => product.category && String(product.category.id) === String(id)).length;
+        if (productCount > 0) {
+            sendBadRequest(res, [`category still has ${productCount} products, move them to another category first`]);
+            return true;
+        }
+
+        db.data.categories = db.data.categories.filter(item => item !== category);
+        await db.write();
+        sendJSON(res, 200, true);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Let json-server answer only the app files, its start page and its collection routes.
+ * Everything else in the repo folder, db.json first of all, would otherwise be served
+ * as a static file and bypass the /users and /audit checks.
+ * @returns {boolean} true when the request was rejected
+ */
+function handleStaticFiles(req, res, url) {
+    const collection = url.pathname.split('/')[1];
+    if (url.pathname === '/' || APP_FILES.test(url.pathname) || (collection && Object.hasOwn(db.data, collection))) {
+        return false;
+    }
+
+    sendJSON(res, 404, { message: 'Not found', statusCode: 404 });
+    return true;
+}
+
+/**
+ * Check that the path sent reads the same parsed, decoded and normalized. The route
+ * handlers and the access control match the parsed path, while json-server routes the raw
+ * one and decodes it, so `/%75sers`, `//users` or `/./users` would reach the users
+ * collection without the admin check.
+ * @param {string} rawPath - Path as sent in the request line (without the query string)
+ * @param {string} pathname - Path of the parsed request URL
+ * @returns {boolean} true when both are the same, with no percent-escapes and no empty segments
+ */
+function isCanonicalPath(rawPath, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch {
+        return false;
+    }
+    return rawPath === pathname && decoded === pathname && !pathname.includes('//');
+}
+
+const routeHandlers = [
+    handleAuthRoutes,
+    handleAccessControl,
+    handleUserRoutes,
+    handleChangeRoutes,
+    handleAuditRoutes,
+    handleProductRoutes,
+    handleCategoryRoutes,
+    handleStaticFiles
+];
+
+createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (!isCanonicalPath(req.url.split('?')[0], url.pathname)) {
+        sendJSON(res, 404, { message: 'Not found', statusCode: 404 });
+        return;
+    }
+
+    try {
+        for (const handle of routeHandlers) {
+            if (await handle(req, res, url)) {
+                return;
+            }
+        }
+    } catch (error) {
+        console.error('Request failed:', error);
+        if (error instanceof SyntaxError) {
+            sendBadRequest(res, ['Invalid JSON body']);
+        } else {
+            sendJSON(res, 500, { message: 'Internal server error', statusCode: 500 });
+        }
+        return;
+    }
+
+    jsonServerApp.handler(req, res);
+}).listen(PORT, () => {
+    console.log(`Local backend running at http://localhost:${PORT}`);
+    console.log(`Dashboard: http://localhost:${PORT}/test.html?api=http://localhost:${PORT}`);
+});
@@ -0,0 +1,189 @@
+import { i18n } from './i18n.js';
+import { createAuditEntryElement } from './audit-entry.js';
+
+/**
+ * Activity Feed modal: every product change in the audit log, newest first,
+ * filtered by user and date range and loaded one batch at a time
+ */
+export class ActivityFeed {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.modalElement = this.document.getElementById('activity-modal');
+        this.closeButton = this.document.getElementById('activity-modal-close');
+        this.userSelect = this.document.getElementById('activity-user-select');
+        this.fromInput = this.document.getElementById('activity-from-input');
+        this.toInput = this.document.getElementById('activity-to-input');
+        this.listElement = this.document.getElementById('activity-list');
+        this.statusElement = this.document.getElementById('activity-status');
+        this.moreButton = this.document.getElementById('activity-more-btn');
+
+        this.batchSize = 20; // Entries loaded per request
+        this.users = [];
+        this.entries = [];
+        this.total = 0;
+        this.status = null; // Message key shown below the list
+        this.loadId = 0; // Used to ignore responses of superseded loads
+
+        this.onLoadCallback = null;
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the filters and the close controls
+     */
+    initializeEventListeners() {
+        if (!this.modalElement) {
+            return;
+        }
+
+        this.closeButton.addEventListener('click', () => this.close());
+        this.modalElement.addEventListener('click', (event) => {
+            if (event.target === this.modalElement) {
+                this.close();
+            }
+        });
+        this.document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+
+        [this.userSelect, this.fromInput, this.toInput].forEach(input => {
+            input.addEventListener('change', () => this.load());
+        });
+        this.moreButton.addEventListener('click', () => this.load(true));
+    }
+
+    /**
+     * Open the modal and load the newest entries
+     * @param {User[]} users - Users found in the audit log, offered in the user filter
+     */
+    open(users) {
+        this.setUsers(users);
+        this.modalElement.style.display = 'flex';
+        this.userSelect.focus();
+        this.load();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        if (!this.modalElement) {
+            return;
+        }
+        this.loadId++;
+        this.modalElement.style.display = 'none';
+    }
+
+    /**
+     * Check if the modal is currently visible
+     * @returns {boolean} True when open
+     */
+    isOpen() {
+        return Boolean(this.modalElement) && this.modalElement.style.display !== 'none';
+    }
+
+    /**
+     * Fill the user filter, keeping the chosen user when still listed
+     * @param {User[]} users - Users found in the audit log
+     */
+    setUsers(users) {
+        this.users = users;
+        const selected = this.userSelect.value;
+
+        const all = this.document.createElement('option');
+        all.value = '';
+        all.textContent = i18n.t('activity.allUsers');
+        this.userSelect.replaceChildren(all, ...users.map(user => {
+            const option = this.document.createElement('option');
+            option.value = user.id;
+            option.textContent = user.name ? `${user.name} (${user.email})` : user.email;
+            return option;
+        }));
+        this.userSelect.value = users.some(user => String(user.id) === selected) ? selected : '';
+    }
+
+    /**
+     * Get the chosen filters
+     * @returns {{userId: string, from: string, to: string}} User id and dates (YYYY-MM-DD), '' when not set
+     */
+    getFilters() {
+        return {
+            userId: this.userSelect.value,
+            from: this.fromInput.value,
+            to: this.toInput.value
+        };
+    }
+
+    /**
+     * Load entries for the chosen filters through the load callback
+     * @param {boolean} [more] - Append the next batch instead of starting over
+     */
+    async load(more = false) {
+        if (!this.onLoadCallback) {
+            return;
+        }
+
+        const loadId = ++this.loadId;
+        const offset = more ? this.entries.length : 0;
+        if (!more) {
+            this.entries = [];
+            this.total = 0;
+        }
+        this.status = 'activity.loading';
+        this.render();
+
+        try {
+            const { entries, total } = await this.onLoadCallback({ ...this.getFilters(), offset, limit: this.batchSize });
+            if (loadId !== this.loadId) {
+                return;
+            }
+            this.entries = [...this.entries, ...entries];
+            this.total = total;
+            this.status = this.entries.length === 0 ? 'activity.empty' : null;
+        } catch (error) {
+            if (loadId !== this.loadId) {
+                return;
+            }
+            this.status = error.status === 404 ? 'history.unavailable' : 'activity.loadFailed';
+        }
+        this.render();
+    }
+
+    /**
+     * Render the entries, the status line and the "more" button
+     */
+    render() {
+        if (!this.modalElement) {
+            return;
+        }
+
+        this.listElement.replaceChildren(...this.entries.map(entry => {
+            return createAuditEntryElement(this.document, entry, { showProduct: true });
+        }));
+
+        const parts = [];
+        if (this.entries.length > 0) {
+            parts.push(i18n.t('activity.count', { shown: this.entries.length, total: this.total }));
+        }
+        if (this.status) {
+            parts.push(i18n.t(this.status));
+        }
+        this.statusElement.textContent = parts.join(' · ');
+        this.moreButton.style.display = !this.status && this.entries.length < this.total ? '' : 'none';
+    }
+
+    /**
+     * Set callback loading a batch of entries
+     * @param {Function} callback - Called with { userId, from, to, offset, limit }; returns a
+     *                              promise of { entries, total }
+     */
+    onLoad(callback) {
+        this.onLoadCallback = callback;
+    }
+}
@@ -0,0 +1,798 @@
+import { DEFAULT_API_BASE_URL } from './constants.js';
+import { i18n } from './i18n.js';
+
+/**
+ * API Service for handling product data from external API
+ */
+export class APIService {
+    /**
+     * @param {Object} [config] - Service configuration
+     * @param {string} [config.baseURL] - API base URL, e.g. 'http://localhost:3000' for the local json-server
+     * @param {number} [config.timeout] - Per-attempt timeout in ms (0 disables it)
+     * @param {number} [config.retries] - Retries for network errors, timeouts and 5xx responses
+     * @param {number} [config.retryDelay] - Delay before the first retry in ms, doubled for each next one
+     * @param {AuthSession} [config.session] - Signed in user whose access token is sent with every request
+     * @param {Document} [config.document] - Page holding the error banner and the API settings
+     */
+    constructor(config = {}) {
+        this.document = config.document || document;
+        this.window = this.document.defaultView;
+        this.baseURL = APIService.resolveBaseURL(config.baseURL, this.document);
+        this.timeout = config.timeout ?? 10000;
+        this.retries = config.retries ?? 2;
+        this.retryDelay = config.retryDelay ?? 500;
+        this.session = config.session || null;
+        this.inFlight = new Map(); // cancelKey -> AbortController of the running request
+        this.refreshPromise = null; // Shared by requests that hit an expired token at the same time
+        this.onRetryCallback = null;
+        this.onUnauthorizedCallback = null;
+    }
+
+    /**
+     * Resolve the API base URL. Priority: config object, `?api=` query param,
+     * `<meta name="api-base-url">` tag, then the default Platzi API.
+     * @param {string} [configuredURL] - Base URL passed in the config object
+     * @param {Document} [doc] - Page whose URL and meta tag are checked
+     * @returns {string} Base URL without trailing slash
+     */
+    static resolveBaseURL(configuredURL, doc = document) {
+        const queryURL = new URLSearchParams(doc.defaultView.location.search).get('api');
+        const metaURL = doc.querySelector('meta[name="api-base-url"]')?.content;
+        const baseURL = configuredURL || queryURL || metaURL || DEFAULT_API_BASE_URL;
+
+        return baseURL.trim().replace(/\/+$/, '');
+    }
+
+    /**
+     * Check whether an error means the request was cancelled (not a failure to report)
+     * @param {Error} error - Error thrown by an API method
+     * @returns {boolean} true for cancelled requests
+     */
+    static isCancellation(error) {
+        return error.name === 'AbortError';
+    }
+
+    /**
+     * Check whether an error means the API could not be reached (offline, DNS, timeout)
+     * @param {Error} error - Error thrown by an API method
+     * @returns {boolean} true for network errors and timeouts
+     */
+    static isNetworkError(error) {
+        return error.name === 'TypeError' || error.name === 'TimeoutError';
+    }
+
+    /**
+     * Send a request to the API, with a timeout per attempt and retries with
+     * exponential backoff for network errors, timeouts and 5xx responses
+     * @param {string} path - Path relative to baseURL, e.g. '/products'
+     * @param {Object} [options] - fetch options, plus:
+     * @param {number} [options.timeout] - Per-attempt timeout in ms (defaults to the service timeout)
+     * @param {number} [options.retries] - Retry count (defaults to the service retries for
+     *                                      GET/PUT/DELETE and 0 for POST, which is not idempotent)
+     * @param {string} [options.cancelKey] - Starting another request with the same key aborts this one
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
+     * @param {boolean} [options.auth] - Send the access token, refreshing it once on 401 and
+     *                                   signing out when that fails (default true)
+     * @returns {Promise<Response>} The ok response
+     * @throws {Error} When the response is not ok; `error.status` and server
+     *                 validation messages (`error.details`) are attached. Cancelled
+     *                 requests throw an AbortError, timeouts a TimeoutError.
+     */
+    async send(path, options = {}) {
+        const { timeout = this.timeout, retries, cancelKey, signal, auth = true, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const maxRetries = retries ?? (['GET', 'HEAD', 'PUT', 'DELETE'].includes(method) ? this.retries : 0);
+
+        const controller = new AbortController();
+        if (cancelKey) {
+            this.inFlight.get(cancelKey)?.abort();
+            this.inFlight.set(cancelKey, controller);
+        }
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            }
+            signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+
+        let refreshed = false;
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.fetchOnce(path, fetchOptions, controller.signal, timeout, auth);
+                } catch (error) {
+                    if (error.status === 401 && auth) {
+                        // Expired access token: send again once with a refreshed one
+                        if (!refreshed && await this.refreshSession()) {
+                            refreshed = true;
+                            continue;
+                        }
+                        this.expireSession();
+                        throw error;
+                    }
+
+                    // No point retrying while the browser knows it is offline
+                    if (controller.signal.aborted || attempt >= maxRetries || !this.isRetryable(error) || !this.window.navigator.onLine) {
+                        throw error;
+                    }
+
+                    // Exponential backoff with jitter so clients don't retry in lockstep
+                    const delay = this.retryDelay * 2 ** attempt * (1 + Math.random() * 0.25);
+                    console.warn(`${method} ${path} failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)} ms`);
+                    await this.wait(delay, controller.signal);
+                }
+            }
+        } finally {
+            if (cancelKey && this.inFlight.get(cancelKey) === controller) {
+                this.inFlight.delete(cancelKey);
+            }
+        }
+    }
+
+    /**
+     * Make one fetch attempt with a timeout
+     * @param {string} path - Path relative to baseURL
+     * @param {RequestInit} options - fetch options
+     * @param {AbortSignal} signal - Cancels the attempt
+     * @param {number} timeout - Timeout in ms (0 for none)
+     * @param {boolean} auth - Send the session's access token
+     * @returns {Promise<Response>} The ok (or 304 Not Modified) response
+     * @throws {Error} HTTP, network, timeout or abort error
+     */
+    async fetchOnce(path, options, signal, timeout, auth) {
+        const attemptController = new AbortController();
+        const abortAttempt = () => attemptController.abort();
+        signal.addEventListener('abort', abortAttempt, { once: true });
+
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            attemptController.abort();
+        }, timeout) : null;
+
+        const headers = { ...options.headers };
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (auth && this.session && this.session.accessToken) {
+            headers.Authorization = `Bearer ${this.session.accessToken}`;
+        }
+
+        try {
+            const response = await fetch(`${this.baseURL}${path}`, { ...options, headers, signal: attemptController.signal });
+
+            // 304 answers a conditional request (If-None-Match) and is not an error
+            if (!response.ok && response.status !== 304) {
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                error.status = response.status;
+
+                // Platzi/NestJS validation errors: { message: string | string[], error, statusCode }
+                const body = await response.json().catch(() => null);
+                if (body && body.message) {
+                    error.details = Array.isArray(body.message) ? body.message : [body.message];
+                }
+                throw error;
+            }
+
+            return response;
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`Request timed out after ${timeout} ms`);
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abortAttempt);
+        }
+    }
+
+    /**
+     * Check whether a failed request may succeed when sent again
+     * @param {Error} error - Request error
+     * @returns {boolean} true for network errors, timeouts and 5xx responses
+     */
+    isRetryable(error) {
+        return APIService.isNetworkError(error) || error.status >= 500;
+    }
+
+    /**
+     * Wait before a retry
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} signal - Cancels the wait with an AbortError
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Send a request to the API and parse the JSON response
+     * @param {string} path - Path relative to baseURL
+     * @param {RequestInit} [options] - fetch options
+     * @returns {Promise<*>} Parsed response body (null when empty)
+     * @throws {Error} When the response is not ok
+     */
+    async request(path, options = {}) {
+        const response = await this.send(path, options);
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Exchange the refresh token for new tokens
+     * @returns {Promise<boolean>} true when the session has a new access token
+     */
+    refreshSession() {
+        if (!this.session || !this.session.refreshToken) {
+            return Promise.resolve(false);
+        }
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.request('/auth/refresh-token', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.session.refreshToken }),
+                auth: false,
+                retries: 0
+            })
+                .then(tokens => {
+                    this.session.setTokens(tokens.access_token, tokens.refresh_token);
+                    return true;
+                })
+                .catch(error => {
+                    console.warn('Token refresh failed:', error.message);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Sign out after the API rejected the credentials, and notify the unauthorized callback
+     */
+    expireSession() {
+        if (this.session) {
+            this.session.clear();
+        }
+        if (this.onUnauthorizedCallback) {
+            this.onUnauthorizedCallback();
+        }
+    }
+
+    /**
+     * Set callback for requests rejected with 401 (the session has been cleared)
+     * @param {Function} callback - Function that asks the user to sign in again
+     */
+    onUnauthorized(callback) {
+        this.onUnauthorizedCallback = callback;
+    }
+
+    /**
+     * Sign in with email and password (Platzi `/auth/login`)
+     * @param {string} email - User email
+     * @param {string} password - User password
+     * @returns {Promise<{access_token: string, refresh_token: string}>} Tokens
+     * @throws {Error} When the credentials are wrong (status 401) or the API call fails
+     */
+    async login(email, password) {
+        try {
+            return await this.request('/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({ email, password }),
+                auth: false
+            });
+        } catch (error) {
+            if (error.status === 401) {
+                // Wrong credentials are shown in the login form, not in the error banner
+                error.userMessage = i18n.t('api.wrongCredentials');
+            } else {
+                this.handleError(error, i18n.t('api.loginFailed'));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch the signed in user (Platzi `/auth/profile`)
+     * @returns {Promise<User>} User with its role ('admin' | 'customer')
+     * @throws {Error} When API call fails (401 when the session expired)
+     */
+    async getProfile() {
+        try {
+            return await this.request('/auth/profile');
+        } catch (error) {
+            this.handleError(error, i18n.t('api.profileFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch all products from the API
+     * @returns {Promise<Product[]>} Array of products
+     * @throws {Error} When API call fails
+     */
+    async getAllProducts() {
+        try {
+            const products = await this.request('/products');
+            
+            // Validate that we received an array
+            if (!Array.isArray(products)) {
+                throw new Error('Invalid data format received from API');
+            }
+            
+            return products;
+        } catch (error) {
+            this.handleError(error, i18n.t('api.loadFailed'), { canRetry: true });
+            throw error; // Re-throw to allow caller to handle
+        }
+    }
+
+    /**
+     * Fetch the whole catalog unless it is unchanged since the last fetch (live updates
+     * without a change feed). Failures are not shown in the error banner.
+     * @param {string|null} etag - ETag of the last response
+     * @returns {Promise<{products: Product[]|null, etag: string|null}>} Products (null when
+     *                                                                   unchanged) and the new ETag
+     * @throws {Error} When the API call fails
+     */
+    async getCatalogIfChanged(etag) {
+        const response = await this.send('/products', {
+            headers: etag ? { 'If-None-Match': etag } : {},
+            retries: 0,
+            cancelKey: 'catalog-poll'
+        });
+        if (response.status === 304) {
+            return { products: null, etag };
+        }
+
+        const products = await response.json();
+        if (!Array.isArray(products)) {
+            throw new Error('Invalid data format received from API');
+        }
+        return { products, etag: response.headers.get('ETag') };
+    }
+
+    /**
+     * Fetch the product changes after a position in the backend's change feed (the local
+     * backend has one, see server.mjs). Failures are not shown in the error banner.
+     * @param {string|null} cursor - Position of the last change seen (null for the current position)
+     * @param {string|null} [etag] - ETag of the last response; an unchanged feed then answers 304
+     * @returns {Promise<Object>} { cursor, changes, reset, etag, notModified } where changes are
+     *                            { type: 'create'|'update'|'delete', id, product } and reset means
+     *                            the cursor could not be resumed (reload everything)
+     * @throws {Error} When the API call fails (404 when the backend has no change feed)
+     */
+    async getChanges(cursor, etag = null) {
+        const query = cursor ? `?since=${encodeURIComponent(cursor)}` : '';
+        const response = await this.send(`/changes${query}`, {
+            headers: etag ? { 'If-None-Match': etag } : {},
+            retries: 0,
+            auth: false,
+            cancelKey: 'changes'
+        });
+        if (response.status === 304) {
+            return { cursor, changes: [], reset: false, etag, notModified: true };
+        }
+
+        const body = await response.json();
+        return {
+            cursor: body.cursor,
+            changes: Array.isArray(body.changes) ? body.changes : [],
+            reset: Boolean(body.reset),
+            etag: response.headers.get('ETag'),
+            notModified: false
+        };
+    }
+
+    /**
+     * Get the URL of the backend's change event stream (Server-Sent Events)
+     * @param {string} cursor - Position of the last change seen
+     * @returns {string} Stream URL
+     */
+    getChangeStreamURL(cursor) {
+        return `${this.baseURL}/changes/stream?since=${encodeURIComponent(cursor)}`;
+    }
+
+    /**
+     * Fetch entries of the backend's audit log of product changes (local backend only,
+     * admins only), newest first. A missing audit log (404) is not shown in the error banner.
+     * @param {Object} [query] - Filters and paging
+     * @param {number|string} [query.productId] - Changes of one product
+     * @param {number|string} [query.userId] - Changes made by one user
+     * @param {string} [query.from] - First day (YYYY-MM-DD)
+     * @param {string} [query.to] - Last day (YYYY-MM-DD)
+     * @param {number} [query.offset] - Index of the first entry
+     * @param {number} [query.limit] - Number of entries (all when not set)
+     * @param {Object} [options] - Request options
+     * @param {string} [options.cancelKey] - Abort the previous request made with the same key
+     * @returns {Promise<{entries: Object[], total: number}>} Entries and the number of matching entries
+     * @throws {Error} When API call fails (404 when the backend has no audit log)
+     */
+    async getAuditLog(query = {}, options = {}) {
+        try {
+            const params = new URLSearchParams();
+            Object.entries(query).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    params.set(key, value);
+                }
+            });
+
+            const response = await this.send(`/audit?${params}`, { cancelKey: options.cancelKey });
+            const entries = await response.json();
+            if (!Array.isArray(entries)) {
+                throw new Error('Invalid data format received from API');
+            }
+
+            const totalHeader = response.headers.get('X-Total-Count');
+            return { entries, total: totalHeader !== null ? parseInt(totalHeader) : entries.length };
+        } catch (error) {
+            if (error.status !== 404) {
+                this.handleError(error, i18n.t('api.auditFailed'));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch the users found in the backend's audit log
+     * @returns {Promise<User[]>} Users ({ id, name, email })
+     * @throws {Error} When API call fails (404 when the backend has no audit log)
+     */
+    async getAuditUsers() {
+        try {
+            const users = await this.request('/audit/users');
+            if (!Array.isArray(users)) {
+                throw new Error('Invalid data format received from API');
+            }
+            return users;
+        } catch (error) {
+            if (error.status !== 404) {
+                this.handleError(error, i18n.t('api.auditFailed'));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch a single product
+     * @param {number|string} id - Product id
+     * @returns {Promise<Product>} Product
+     * @throws {Error} When API call fails (404 when the product does not exist)
+     */
+    async getProduct(id) {
+        try {
+            return await this.request(`/products/${encodeURIComponent(id)}`);
+        } catch (error) {
+            this.handleError(error, i18n.t('api.productFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch one page of products, letting the backend paginate, search and sort
+     * @param {Object} query - Page query
+     * @param {number} query.offset - Index of the first product
+     * @param {number} query.limit - Page size
+     * @param {string} [query.title] - Title search term
+     * @param {{field: string, direction: string}[]} [query.sort] - Sort keys in priority order
+     * @param {Object} [query.filters] - Facet filters from FacetFilter.getFilters()
+     * @param {Object} [options] - Request options
+     * @param {string} [options.cancelKey] - Abort the previous request made with the same key
+     * @returns {Promise<{products: Product[], total: number}>} Page of products and total match count
+     * @throws {Error} When API call fails
+     */
+    async getProductsPage({ offset, limit, title = '', sort = [], filters = null }, options = {}) {
+        try {
+            const params = new URLSearchParams({ offset, limit });
+            if (title) {
+                params.set('title', title);
+            }
+            // json-server style sort params, comma separated for several keys
+            // (the Platzi API has no server-side sort)
+            if (sort.length > 0) {
+                params.set('_sort', sort.map(key => key.field).join(','));
+                params.set('_order', sort.map(key => key.direction).join(','));
+            }
+            if (filters) {
+                // categoryId/price_min/price_max are Platzi filters; the Platzi API only accepts one category
+                filters.categories.forEach(categoryId => params.append('categoryId', categoryId));
+                if (filters.priceMin !== null) {
+                    params.set('price_min', filters.priceMin);
+                }
+                if (filters.priceMax !== null) {
+                    params.set('price_max', filters.priceMax);
+                }
+                // Date range is only understood by the local backend
+                if (filters.dateFrom || filters.dateTo) {
+                    params.set('date_field', filters.dateField);
+                    if (filters.dateFrom) {
+                        params.set('date_from', filters.dateFrom);
+                    }
+                    if (filters.dateTo) {
+                        params.set('date_to', filters.dateTo);
+                    }
+                }
+            }
+
+            const response = await this.send(`/products?${params}`, { cancelKey: options.cancelKey });
+            const products = await response.json();
+
+            if (!Array.isArray(products)) {
+                throw new Error('Invalid data format received from API');
+            }
+
+            // json-server reports the total in X-Total-Count. The Platzi API does not,
+            // so assume there is at least one more page while pages come back full.
+            const totalHeader = response.headers.get('X-Total-Count');
+            const total = totalHeader !== null
+                ? parseInt(totalHeader)
+                : offset + products.length + (products.length === limit ? 1 : 0);
+
+            return { products, total };
+        } catch (error) {
+            this.handleError(error, i18n.t('api.loadFailed'), { canRetry: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch all categories from the API
+     * @returns {Promise<Category[]>} Array of categories
+     * @throws {Error} When API call fails
+     */
+    async getCategories() {
+        try {
+            const categories = await this.request('/categories');
+
+            if (!Array.isArray(categories)) {
+                throw new Error('Invalid data format received from API');
+            }
+
+            return categories;
+        } catch (error) {
+            this.handleError(error, i18n.t('api.categoriesFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch the products of one category
+     * @param {number|string} id - Category id
+     * @returns {Promise<Product[]>} Products in the category
+     * @throws {Error} When API call fails
+     */
+    async getCategoryProducts(id) {
+        try {
+            const products = await this.request(`/categories/${encodeURIComponent(id)}/products`);
+
+            if (!Array.isArray(products)) {
+                throw new Error('Invalid data format received from API');
+            }
+
+            return products;
+        } catch (error) {
+            this.handleError(error, i18n.t('api.categoryProductsFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Create a new category
+     * @param {CategoryInput} data - { name, image }
+     * @returns {Promise<Category>} Created category
+     * @throws {Error} When API call fails
+     */
+    async createCategory(data) {
+        try {
+            return await this.request('/categories', {
+                method: 'POST',
+                body: JSON.stringify(data)
+            });
+        } catch (error) {
+            this.handleError(error, i18n.t('api.categoryCreateFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Update (rename) a category
+     * @param {number|string} id - Category id
+     * @param {Partial<CategoryInput>} data - Fields to update
+     * @returns {Promise<Category>} Updated category
+     * @throws {Error} When API call fails
+     */
+    async updateCategory(id, data) {
+        try {
+            return await this.request(`/categories/${encodeURIComponent(id)}`, {
+                method: 'PUT',
+                body: JSON.stringify(data)
+            });
+        } catch (error) {
+            this.handleError(error, i18n.t('api.categoryUpdateFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a category (its products must be moved to another category first)
+     * @param {number|string} id - Category id
+     * @returns {Promise<void>}
+     * @throws {Error} When API call fails
+     */
+    async deleteCategory(id) {
+        try {
+            await this.request(`/categories/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        } catch (error) {
+            this.handleError(error, i18n.t('api.categoryDeleteFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Create a new product
+     * @param {ProductInput} data - { title, price, description, categoryId, images }
+     * @returns {Promise<Product>} Created product
+     * @throws {Error} When API call fails
+     */
+    async createProduct(data) {
+        try {
+            return await this.request('/products', {
+                method: 'POST',
+                body: JSON.stringify(data)
+            });
+        } catch (error) {
+            this.handleError(error, i18n.t('api.createFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Update an existing product
+     * @param {number|string} id - Product id
+     * @param {Partial<ProductInput>} data - Fields to update
+     * @returns {Promise<Product>} Updated product
+     * @throws {Error} When API call fails
+     */
+    async updateProduct(id, data) {
+        try {
+            return await this.request(`/products/${encodeURIComponent(id)}`, {
+                method: 'PUT',
+                body: JSON.stringify(data)
+            });
+        } catch (error) {
+            this.handleError(error, i18n.t('api.updateFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a product
+     * @param {number|string} id - Product id
+     * @returns {Promise<void>}
+     * @throws {Error} When API call fails
+     */
+    async deleteProduct(id) {
+        try {
+            await this.request(`/products/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        } catch (error) {
+            this.handleError(error, i18n.t('api.deleteFailed'));
+            throw error;
+        }
+    }
+
+    /**
+     * Handle API errors and provide user-friendly error messages
+     * @param {Error} error - The error object
+     * @param {string} [defaultMessage] - Message used when the error is not recognized
+     * @param {Object} [options] - Display options
+     * @param {boolean} [options.canRetry] - Offer the Retry button (which reloads the catalog) for
+     *                                       retryable errors; only catalog loads set it, since a
+     *                                       reload does not repeat a failed save or delete
+     */
+    handleError(error, defaultMessage = i18n.t('api.loadFailed'), options = {}) {
+        // A newer request replaced this one; nothing to report
+        if (APIService.isCancellation(error)) {
+            error.userMessage = i18n.t('api.cancelled');
+            console.log('Request cancelled:', error.message);
+            return;
+        }
+        
+        let errorMessage = defaultMessage;
+        
+        if (error.name === 'TypeError' && error.message.includes('fetch')) {
+            // Network error or no internet connection
+            errorMessage = i18n.t('api.network');
+        } else if (error.message.includes('HTTP error')) {
+            // Server errors
+            const status = error.message.match(/status: (\d+)/)?.[1];
+            if (status >= 500) {
+                errorMessage = i18n.t('api.server');
+            } else if (status === '401') {
+                errorMessage = i18n.t('api.sessionExpired');
+            } else if (status === '403') {
+                errorMessage = i18n.t('api.forbidden');
+            } else if (status === '404') {
+                errorMessage = i18n.t('api.notFound');
+            } else if (status >= 400 && error.details?.length) {
+                // Server-side validation messages
+                errorMessage = `${defaultMessage}: ${error.details.join('; ')}`;
+            } else if (status >= 400) {
+                errorMessage = i18n.t('api.badRequest');
+            }
+        } else if (error.message.includes('Invalid data format')) {
+            errorMessage = i18n.t('api.invalidData');
+        } else if (error.name === 'TimeoutError') {
+            errorMessage = i18n.t('api.timeout');
+        }
+        
+        // Keep the friendly message on the error so UI components (e.g. the product form) can show it too
+        error.userMessage = errorMessage;
+        
+        console.error('API Error:', error);
+        this.displayError(errorMessage, Boolean(options.canRetry) && this.isRetryable(error));
+    }
+
+    /**
+     * Display error message to user
+     * @param {string} message - Error message to display
+     * @param {boolean} [canRetry] - Show a Retry button (when a retry callback is set)
+     */
+    displayError(message, canRetry = false) {
+        const errorContainer = this.document.getElementById('error-container');
+        if (errorContainer) {
+            // Messages may contain server text, so never inject them as HTML
+            const errorElement = this.document.createElement('div');
+            errorElement.className = 'error-message';
+
+            const messageElement = this.document.createElement('span');
+            messageElement.textContent = message;
+            errorElement.appendChild(messageElement);
+
+            if (canRetry && this.onRetryCallback) {
+                const retryButton = this.document.createElement('button');
+                retryButton.type = 'button';
+                retryButton.className = 'retry-btn';
+                retryButton.textContent = i18n.t('common.retry');
+                retryButton.addEventListener('click', () => {
+                    this.clearError();
+                    this.onRetryCallback();
+                });
+                errorElement.appendChild(retryButton);
+            }
+
+            errorContainer.replaceChildren(errorElement);
+        }
+    }
+
+    /**
+     * Set callback for the error banner's Retry button
+     * @param {Function} callback - Function that repeats the failed loading
+     */
+    onRetry(callback) {
+        this.onRetryCallback = callback;
+    }
+
+    /**
+     * Clear any displayed error messages
+     */
+    clearError() {
+        const errorContainer = this.document.getElementById('error-container');
+        if (errorContainer) {
+            errorContainer.innerHTML = '';
+        }
+    }
+}
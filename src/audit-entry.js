@@ -0,0 +1,93 @@
+import { i18n } from './i18n.js';
+
+/**
+ * Rendering of audit log entries, shared by the product history timeline and the
+ * activity feed. Entries come from the local backend's `GET /audit`:
+ * { id, action: 'create'|'update'|'delete', productId, productTitle, user, at,
+ *   changes: [{ field, from, to }], version, previous } where version is the whole product
+ * after the change (before it for deletes) and previous the whole product before an update.
+ */
+
+/**
+ * Describe a changed field value
+ * @param {string} field - 'title' | 'price' | 'description' | 'category' | 'images'
+ * @param {*} value - Value as stored in the audit log (null when missing)
+ * @returns {string} Text to show
+ */
+export function formatAuditValue(field, value) {
+    if (value === null || value === undefined || value === '') {
+        return i18n.t('audit.empty');
+    }
+    if (field === 'price') {
+        return i18n.formatPrice(value);
+    }
+    if (field === 'category') {
+        return value.name;
+    }
+    if (field === 'images') {
+        return i18n.t('audit.imageCount', { count: value.length });
+    }
+    return String(value);
+}
+
+/**
+ * Build the list item of an audit log entry: action, user, time and the changed fields
+ * @param {Document} doc - Document creating the elements
+ * @param {Object} entry - Audit log entry
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.showProduct] - Name the product (the activity feed lists every product)
+ * @returns {HTMLLIElement} List item
+ */
+export function createAuditEntryElement(doc, entry, options = {}) {
+    const item = doc.createElement('li');
+    item.className = `audit-entry audit-${entry.action}`;
+    item.dataset.entryId = entry.id;
+
+    const header = doc.createElement('div');
+    header.className = 'audit-entry-header';
+
+    const action = doc.createElement('span');
+    action.className = 'audit-action';
+    action.textContent = i18n.t(`audit.${entry.action}`);
+    header.appendChild(action);
+
+    if (options.showProduct) {
+        const product = doc.createElement('strong');
+        product.className = 'audit-product';
+        product.textContent = `${entry.productTitle || i18n.t('product.untitled')} (#${entry.productId})`;
+        header.appendChild(product);
+    }
+
+    const meta = doc.createElement('span');
+    meta.className = 'audit-meta';
+    const user = entry.user ? entry.user.name || entry.user.email : i18n.t('audit.unknownUser');
+    meta.textContent = `${user} · ${i18n.formatDateTime(entry.at)}`;
+    header.appendChild(meta);
+    item.appendChild(header);
+
+    // A deleted product's fields are all gone; naming it is enough
+    if (entry.action !== 'delete' && entry.changes.length > 0) {
+        const list = doc.createElement('ul');
+        list.className = 'audit-changes';
+        entry.changes.forEach(({ field, from, to }) => {
+            const change = doc.createElement('li');
+            const label = doc.createElement('span');
+            label.className = 'audit-field';
+            label.textContent = `${i18n.t(`column.${field}`)}: `;
+            change.appendChild(label);
+
+            if (entry.action === 'update') {
+                const oldValue = doc.createElement('del');
+                oldValue.textContent = formatAuditValue(field, from);
+                change.append(oldValue, ' → ');
+            }
+            const newValue = doc.createElement('ins');
+            newValue.textContent = formatAuditValue(field, to);
+            change.appendChild(newValue);
+            list.appendChild(change);
+        });
+        item.appendChild(list);
+    }
+
+    return item;
+}
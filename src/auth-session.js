@@ -0,0 +1,129 @@
+import { EventBus } from './event-bus.js';
+
+/**
+ * Auth Session holding the signed in user and their tokens, saved in localStorage
+ */
+export class AuthSession {
+    /**
+     * @param {string|null} [storageKey] - localStorage key for the session (null to not persist)
+     * @param {Storage|null} [storage] - Storage holding the session (window.localStorage in the page)
+     */
+    constructor(storageKey = null, storage = null) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.user = null; // Profile from /auth/profile
+        this.events = new EventBus();
+        
+        this.load();
+    }
+
+    /**
+     * Restore the saved session
+     */
+    load() {
+        if (!this.storageKey || !this.storage) {
+            return;
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            if (saved && saved.accessToken) {
+                this.accessToken = saved.accessToken;
+                this.refreshToken = saved.refreshToken || null;
+                this.user = saved.user || null;
+            }
+        } catch (error) {
+            console.warn('Saved session unavailable:', error);
+        }
+    }
+
+    /**
+     * Save the session to localStorage (removed when signed out)
+     */
+    save() {
+        if (!this.storageKey || !this.storage) {
+            return;
+        }
+
+        try {
+            if (this.accessToken) {
+                const { accessToken, refreshToken, user } = this;
+                this.storage.setItem(this.storageKey, JSON.stringify({ accessToken, refreshToken, user }));
+            } else {
+                this.storage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Failed to save session:', error);
+        }
+    }
+
+    /**
+     * Store new tokens (after login or refresh)
+     * @param {string} accessToken - Access token sent with API requests
+     * @param {string} [refreshToken] - Token used to get a new access token
+     */
+    setTokens(accessToken, refreshToken) {
+        this.accessToken = accessToken;
+        this.refreshToken = refreshToken || this.refreshToken;
+        this.save();
+    }
+
+    /**
+     * Store the signed in user's profile
+     * @param {User} user - Profile with its role
+     */
+    setUser(user) {
+        this.user = user;
+        this.save();
+        this.notifyChange();
+    }
+
+    /**
+     * Sign out: forget the tokens and the user
+     */
+    clear() {
+        if (!this.accessToken && !this.user) {
+            return;
+        }
+
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.user = null;
+        this.save();
+        this.notifyChange();
+    }
+
+    /**
+     * Check whether a user is signed in
+     * @returns {boolean} true when there is an access token
+     */
+    isLoggedIn() {
+        return Boolean(this.accessToken);
+    }
+
+    /**
+     * Check whether the signed in user may create, edit and delete products
+     * @returns {boolean} true for admins
+     */
+    isAdmin() {
+        return this.isLoggedIn() && Boolean(this.user) && this.user.role === 'admin';
+    }
+
+    /**
+     * Notify the session change listeners
+     */
+    notifyChange() {
+        this.events.emit('change', this.user);
+    }
+
+    /**
+     * Listen to sign in and sign out
+     * @param {Function} callback - Function called with the user (null when signed out)
+     * @returns {Function} Function that removes the listener again
+     */
+    onChange(callback) {
+        return this.events.on('change', callback);
+    }
+}
@@ -0,0 +1,193 @@
+import { i18n } from './i18n.js';
+
+/**
+ * Bulk Action Bar shown while products are selected: selection count,
+ * select every result, and delete / change category / adjust price / export
+ */
+export class BulkActionBar {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.window = doc.defaultView;
+        this.barElement = this.document.getElementById('bulk-action-bar');
+        this.countElement = this.document.getElementById('bulk-selection-count');
+        this.selectAllButton = this.document.getElementById('bulk-select-all-btn');
+        this.clearButton = this.document.getElementById('bulk-clear-btn');
+        this.deleteButton = this.document.getElementById('bulk-delete-btn');
+        this.categorySelect = this.document.getElementById('bulk-category-select');
+        this.categoryButton = this.document.getElementById('bulk-category-btn');
+        this.priceAmountInput = this.document.getElementById('bulk-price-amount');
+        this.priceModeSelect = this.document.getElementById('bulk-price-mode');
+        this.priceButton = this.document.getElementById('bulk-price-btn');
+        this.exportButton = this.document.getElementById('bulk-export-btn');
+        this.statusElement = this.document.getElementById('bulk-status');
+        
+        this.onSelectAllResultsCallback = null;
+        this.onClearSelectionCallback = null;
+        this.onDeleteCallback = null;
+        this.onChangeCategoryCallback = null;
+        this.onAdjustPriceCallback = null;
+        this.onExportCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the bar buttons
+     */
+    initializeEventListeners() {
+        if (!this.barElement) {
+            return;
+        }
+
+        // Buttons without input just notify their callback
+        [
+            [this.selectAllButton, () => this.onSelectAllResultsCallback],
+            [this.clearButton, () => this.onClearSelectionCallback],
+            [this.deleteButton, () => this.onDeleteCallback],
+            [this.exportButton, () => this.onExportCallback]
+        ].forEach(([button, getCallback]) => {
+            button.addEventListener('click', () => {
+                const callback = getCallback();
+                if (callback) {
+                    callback();
+                }
+            });
+        });
+
+        this.categoryButton.addEventListener('click', () => {
+            const value = this.categorySelect.value;
+            if (value === '') {
+                this.setStatus(i18n.t('validation.category'));
+                return;
+            }
+            if (this.onChangeCategoryCallback) {
+                // Platzi expects a numeric categoryId, json-server ids are strings
+                this.onChangeCategoryCallback(/^\d+$/.test(value) ? Number(value) : value);
+            }
+        });
+
+        this.priceButton.addEventListener('click', () => {
+            const amount = this.priceAmountInput.value === '' ? NaN : Number(this.priceAmountInput.value);
+            if (!Number.isFinite(amount) || amount === 0) {
+                this.setStatus(i18n.t('bulk.priceAmount'));
+                return;
+            }
+            if (this.onAdjustPriceCallback) {
+                this.onAdjustPriceCallback(this.priceModeSelect.value, amount);
+            }
+        });
+    }
+
+    /**
+     * Show the selection count, or hide the bar when nothing is selected
+     * @param {number} selectedCount - Selected products
+     * @param {number} resultCount - Products matching the search and filters
+     * @param {boolean} allResultsSelected - true when every match is selected
+     */
+    update(selectedCount, resultCount, allResultsSelected) {
+        if (!this.barElement) {
+            return;
+        }
+
+        this.barElement.style.display = selectedCount > 0 ? 'flex' : 'none';
+        if (selectedCount === 0) {
+            this.setStatus(''); // Don't show an old result next time
+        }
+        this.countElement.textContent = i18n.t('bulk.selected', { count: selectedCount });
+        this.selectAllButton.textContent = i18n.t('bulk.selectAll', { count: resultCount });
+        this.selectAllButton.style.display = allResultsSelected ? 'none' : 'inline-block';
+    }
+
+    /**
+     * Fill the category picker
+     * @param {Category[]} categories - Available categories
+     */
+    setCategories(categories) {
+        if (!this.categorySelect) {
+            return;
+        }
+
+        const current = this.categorySelect.value;
+        this.categorySelect.innerHTML = '';
+        this.categorySelect.appendChild(new this.window.Option(i18n.t('bulk.categoryPlaceholder'), ''));
+        categories.forEach(category => {
+            this.categorySelect.appendChild(new this.window.Option(category.name, category.id));
+        });
+        this.categorySelect.value = current;
+    }
+
+    /**
+     * Disable the actions while a bulk operation runs
+     * @param {boolean} busy - true while running
+     */
+    setBusy(busy) {
+        if (!this.barElement) {
+            return;
+        }
+        this.barElement.querySelectorAll('button, select, input').forEach(control => {
+            control.disabled = busy;
+        });
+    }
+
+    /**
+     * Show a progress or result message
+     * @param {string} message - Message ('' to clear)
+     */
+    setStatus(message) {
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+        }
+    }
+
+    /**
+     * Set callback for selecting every product that matches the search and filters
+     * @param {Function} callback - Function to call
+     */
+    onSelectAllResults(callback) {
+        this.onSelectAllResultsCallback = callback;
+    }
+
+    /**
+     * Set callback for clearing the selection
+     * @param {Function} callback - Function to call
+     */
+    onClearSelection(callback) {
+        this.onClearSelectionCallback = callback;
+    }
+
+    /**
+     * Set callback for deleting the selected products
+     * @param {Function} callback - Function to call
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+
+    /**
+     * Set callback for moving the selected products to another category
+     * @param {Function} callback - Function called with the category id
+     */
+    onChangeCategory(callback) {
+        this.onChangeCategoryCallback = callback;
+    }
+
+    /**
+     * Set callback for adjusting the price of the selected products
+     * @param {Function} callback - Function called with (mode, amount); mode is
+     *                              'percent' or 'amount', negative amounts lower the price
+     */
+    onAdjustPrice(callback) {
+        this.onAdjustPriceCallback = callback;
+    }
+
+    /**
+     * Set callback for exporting the selected products
+     * @param {Function} callback - Function to call
+     */
+    onExport(callback) {
+        this.onExportCallback = callback;
+    }
+}
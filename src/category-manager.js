@@ -0,0 +1,433 @@
+import { PLACEHOLDER_IMAGE } from './constants.js';
+import { i18n } from './i18n.js';
+import { ProductValidator } from './product-validator.js';
+
+/**
+ * Category Manager modal: lists the categories with their product counts and
+ * creates, renames and deletes them. A category that still has products can only
+ * be deleted after its products are moved to another category.
+ */
+export class CategoryManager {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.window = doc.defaultView;
+        this.modalElement = this.document.getElementById('category-modal');
+        this.closeButton = this.document.getElementById('category-modal-close');
+        this.errorElement = this.document.getElementById('category-error');
+        this.tableBody = this.document.getElementById('category-table-body');
+        this.reassignPanel = this.document.getElementById('category-reassign');
+        this.reassignText = this.document.getElementById('category-reassign-text');
+        this.reassignSelect = this.document.getElementById('category-reassign-select');
+        this.reassignButton = this.document.getElementById('category-reassign-btn');
+        this.reassignCancelButton = this.document.getElementById('category-reassign-cancel');
+        this.formElement = this.document.getElementById('category-form');
+        this.formTitle = this.document.getElementById('category-form-title');
+        this.nameInput = this.document.getElementById('category-name-input');
+        this.imageInput = this.document.getElementById('category-image-input');
+        this.imagePreview = this.document.getElementById('category-image-preview');
+        this.submitButton = this.document.getElementById('category-form-submit');
+        this.cancelEditButton = this.document.getElementById('category-form-cancel');
+        
+        this.categories = [];
+        this.counts = new Map(); // Product count per category id
+        this.editingCategory = null; // null when the form creates a new category
+        this.deletingCategory = null; // Category waiting for its products to be moved
+        this.validator = new ProductValidator();
+        this.onSaveCallback = null;
+        this.onDeleteCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the list, the form and the close controls
+     */
+    initializeEventListeners() {
+        if (!this.modalElement) {
+            return;
+        }
+
+        this.closeButton.addEventListener('click', () => this.close());
+        this.modalElement.addEventListener('click', (event) => {
+            if (event.target === this.modalElement) {
+                this.close();
+            }
+        });
+        this.document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+
+        // Row buttons carry the category id
+        this.tableBody.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-category-id]');
+            if (!button) {
+                return;
+            }
+            const category = this.findCategory(button.dataset.categoryId);
+            if (category && button.classList.contains('edit-btn')) {
+                this.startEdit(category);
+            } else if (category && button.classList.contains('delete-btn')) {
+                this.requestDelete(category);
+            }
+        });
+
+        this.formElement.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleSubmit();
+        });
+        this.cancelEditButton.addEventListener('click', () => this.resetForm());
+        this.imageInput.addEventListener('input', () => this.updatePreview());
+        this.imagePreview.addEventListener('error', () => {
+            this.imagePreview.style.display = 'none';
+        });
+
+        this.reassignButton.addEventListener('click', () => {
+            if (this.reassignSelect.value) {
+                this.deleteCategory(this.deletingCategory, this.reassignSelect.value);
+            }
+        });
+        this.reassignCancelButton.addEventListener('click', () => this.hideReassign());
+    }
+
+    /**
+     * Open the modal
+     * @param {Category[]} categories - Categories to list
+     * @param {Map<string, number>} counts - Product count per category id
+     */
+    open(categories, counts) {
+        this.clearError();
+        this.hideReassign();
+        this.resetForm();
+        this.setCategories(categories, counts);
+        this.modalElement.style.display = 'flex';
+        this.nameInput.focus();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        this.modalElement.style.display = 'none';
+        this.editingCategory = null;
+        this.deletingCategory = null;
+    }
+
+    /**
+     * Check if the modal is currently visible
+     * @returns {boolean} True when open
+     */
+    isOpen() {
+        return Boolean(this.modalElement) && this.modalElement.style.display !== 'none';
+    }
+
+    /**
+     * Show a new category list, e.g. after a change
+     * @param {Category[]} categories - Categories to list
+     * @param {Map<string, number>} counts - Product count per category id
+     */
+    setCategories(categories, counts) {
+        this.categories = categories;
+        this.counts = counts;
+        this.render();
+    }
+
+    /**
+     * Find a listed category by id
+     * @param {number|string} id - Category id
+     * @returns {Category|undefined} Category
+     */
+    findCategory(id) {
+        return this.categories.find(category => String(category.id) === String(id));
+    }
+
+    /**
+     * Number of products in a category
+     * @param {Category} category - Category
+     * @returns {number} Product count
+     */
+    getCount(category) {
+        return this.counts.get(String(category.id)) || 0;
+    }
+
+    /**
+     * Render one row per category: image, name, slug, product count and actions
+     */
+    render() {
+        if (!this.tableBody) {
+            return;
+        }
+
+        this.tableBody.innerHTML = '';
+        this.categories.forEach(category => {
+            const row = this.document.createElement('tr');
+
+            const imageCell = this.document.createElement('td');
+            imageCell.className = 'image-cell';
+            if (category.image) {
+                const img = this.document.createElement('img');
+                img.className = 'product-image';
+                img.src = category.image;
+                img.alt = category.name;
+                img.onerror = function() {
+                    this.src = PLACEHOLDER_IMAGE;
+                    this.classList.add('placeholder-image');
+                };
+                imageCell.appendChild(img);
+            }
+
+            const nameCell = this.document.createElement('td');
+            nameCell.className = 'title-cell';
+            nameCell.textContent = category.name;
+
+            const slugCell = this.document.createElement('td');
+            slugCell.className = 'slug-cell';
+            slugCell.textContent = category.slug || i18n.t('common.notAvailable');
+
+            const countCell = this.document.createElement('td');
+            countCell.className = 'count-cell';
+            countCell.textContent = i18n.formatNumber(this.getCount(category));
+
+            const actionsCell = this.document.createElement('td');
+            actionsCell.className = 'actions-cell';
+            [['edit-btn', 'table.edit'], ['delete-btn', 'table.delete']].forEach(([className, key]) => {
+                const button = this.document.createElement('button');
+                button.type = 'button';
+                button.className = `row-action-btn ${className}`;
+                button.dataset.categoryId = category.id;
+                button.textContent = i18n.t(key);
+                actionsCell.appendChild(button);
+            });
+
+            row.appendChild(imageCell);
+            row.appendChild(nameCell);
+            row.appendChild(slugCell);
+            row.appendChild(countCell);
+            row.appendChild(actionsCell);
+            this.tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill the form with a category to rename it
+     * @param {Category} category - Category to edit
+     */
+    startEdit(category) {
+        this.hideReassign();
+        this.clearError();
+        this.showFieldErrors({});
+        this.editingCategory = category;
+        this.formTitle.textContent = i18n.t('category.editTitle', { name: category.name });
+        this.submitButton.textContent = i18n.t('category.save');
+        this.cancelEditButton.style.display = 'inline-block';
+        this.nameInput.value = category.name || '';
+        this.imageInput.value = category.image || '';
+        this.updatePreview();
+        this.nameInput.focus();
+    }
+
+    /**
+     * Empty the form and switch it back to creating a category
+     */
+    resetForm() {
+        this.editingCategory = null;
+        this.formElement.reset();
+        this.showFieldErrors({});
+        this.formTitle.textContent = i18n.t('category.addTitle');
+        this.submitButton.textContent = i18n.t('category.add');
+        this.cancelEditButton.style.display = 'none';
+        this.updatePreview();
+    }
+
+    /**
+     * Show the image URL being typed
+     */
+    updatePreview() {
+        const url = this.imageInput.value.trim();
+        if (this.validator.isValidURL(url)) {
+            this.imagePreview.src = url;
+            this.imagePreview.style.display = 'block';
+        } else {
+            this.imagePreview.removeAttribute('src');
+            this.imagePreview.style.display = 'none';
+        }
+    }
+
+    /**
+     * Normalize a category name for the unique name check (case and diacritics ignored, like the server)
+     * @param {string} name - Category name
+     * @returns {string} Normalized name
+     */
+    normalizeName(name) {
+        return String(name ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase();
+    }
+
+    /**
+     * Validate category data
+     * @param {CategoryInput} data - { name, image }
+     * @returns {Object<string, string>} Error message per field (empty when valid)
+     */
+    validate(data) {
+        const errors = {};
+        const name = this.normalizeName(data.name);
+
+        if (!data.name) {
+            errors.name = i18n.t('validation.categoryName');
+        } else if (this.categories.some(category => category !== this.editingCategory
+            && this.normalizeName(category.name) === name)) {
+            errors.name = i18n.t('validation.categoryNameTaken', { name: data.name });
+        }
+        if (!this.validator.isValidURL(data.image)) {
+            errors.image = i18n.t('validation.categoryImage');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Show validation errors next to their fields
+     * @param {Object<string, string>} errors - Error message per field
+     */
+    showFieldErrors(errors) {
+        this.formElement.querySelectorAll('[data-error-for]').forEach(element => {
+            element.textContent = errors[element.dataset.errorFor] || '';
+        });
+    }
+
+    /**
+     * Show an error above the list
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.errorElement.textContent = message;
+        this.errorElement.style.display = 'block';
+    }
+
+    /**
+     * Hide the error above the list
+     */
+    clearError() {
+        this.errorElement.textContent = '';
+        this.errorElement.style.display = 'none';
+    }
+
+    /**
+     * Validate and save the form through the save callback
+     */
+    async handleSubmit() {
+        const data = {
+            name: this.nameInput.value.trim(),
+            image: this.imageInput.value.trim()
+        };
+        const errors = this.validate(data);
+
+        this.clearError();
+        this.showFieldErrors(errors);
+        if (Object.keys(errors).length > 0 || !this.onSaveCallback) {
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        try {
+            await this.onSaveCallback(data, this.editingCategory);
+            this.resetForm();
+        } catch (error) {
+            // Server errors were already reported by APIService.handleError
+            this.showError(error.userMessage || error.message);
+        } finally {
+            this.submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Delete a category after confirmation, or ask where its products should go first
+     * @param {Category} category - Category to delete
+     */
+    requestDelete(category) {
+        this.clearError();
+        const count = this.getCount(category);
+
+        if (count === 0) {
+            this.hideReassign();
+            if (this.window.confirm(i18n.t('category.confirmDelete', { name: category.name }))) {
+                this.deleteCategory(category, null);
+            }
+            return;
+        }
+
+        const targets = this.categories.filter(item => item !== category);
+        if (targets.length === 0) {
+            this.showError(i18n.t('category.noTarget', { name: category.name, count }));
+            return;
+        }
+
+        this.deletingCategory = category;
+        this.reassignText.textContent = i18n.t('category.hasProducts', { name: category.name, count });
+        this.reassignSelect.innerHTML = '';
+        this.reassignSelect.appendChild(new this.window.Option(i18n.t('form.chooseCategory'), ''));
+        targets.forEach(target => {
+            this.reassignSelect.appendChild(new this.window.Option(target.name, target.id));
+        });
+        this.reassignPanel.style.display = 'flex';
+        this.reassignSelect.focus();
+    }
+
+    /**
+     * Hide the "move products" panel
+     */
+    hideReassign() {
+        this.deletingCategory = null;
+        if (this.reassignPanel) {
+            this.reassignPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Delete a category through the delete callback
+     * @param {Category} category - Category to delete
+     * @param {string|null} targetId - Category its products move to first (null when it has none)
+     */
+    async deleteCategory(category, targetId) {
+        if (!this.onDeleteCallback) {
+            return;
+        }
+
+        this.reassignButton.disabled = true;
+        try {
+            await this.onDeleteCallback(category, targetId);
+            this.hideReassign();
+            if (this.editingCategory === category) {
+                this.resetForm();
+            }
+        } catch (error) {
+            this.showError(error.userMessage || error.message);
+        } finally {
+            this.reassignButton.disabled = false;
+        }
+    }
+
+    /**
+     * Set callback for saving the form
+     * @param {Function} callback - Async function called with (data, editingCategory)
+     */
+    onSave(callback) {
+        this.onSaveCallback = callback;
+    }
+
+    /**
+     * Set callback for deleting a category
+     * @param {Function} callback - Async function called with (category, targetId)
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+}
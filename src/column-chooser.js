@@ -0,0 +1,91 @@
+/**
+ * Column Chooser menu for showing and hiding table columns
+ */
+export class ColumnChooser {
+    /**
+     * @param {ColumnLayout} layout - Layout changed by the menu
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(layout, doc = document) {
+        this.document = doc;
+        this.layout = layout;
+        this.button = this.document.getElementById('columns-btn');
+        this.menu = this.document.getElementById('columns-menu');
+        this.list = this.document.getElementById('columns-list');
+        this.resetButton = this.document.getElementById('columns-reset-btn');
+        
+        this.initializeEventListeners();
+        this.render();
+    }
+
+    /**
+     * Initialize event listeners for the menu
+     */
+    initializeEventListeners() {
+        if (!this.button || !this.menu) {
+            return;
+        }
+
+        this.button.addEventListener('click', () => {
+            this.toggleMenu();
+        });
+
+        this.resetButton.addEventListener('click', () => {
+            this.layout.reset();
+        });
+
+        // Close the menu when clicking elsewhere
+        this.document.addEventListener('click', (event) => {
+            if (this.isMenuOpen() && !event.target.closest('.columns-container')) {
+                this.toggleMenu(false);
+            }
+        });
+    }
+
+    /**
+     * Render one checkbox per column, in display order
+     */
+    render() {
+        if (!this.list) {
+            return;
+        }
+
+        this.list.innerHTML = '';
+        const visibleCount = this.layout.getVisibleColumns().length;
+
+        this.layout.getColumns().forEach(column => {
+            const label = this.document.createElement('label');
+            label.className = 'export-option';
+
+            const checkbox = this.document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = column.visible;
+            // Keep at least one column
+            checkbox.disabled = column.visible && visibleCount === 1;
+            checkbox.addEventListener('change', () => {
+                this.layout.setVisible(column.key, checkbox.checked);
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(this.document.createTextNode(this.layout.getLabel(column)));
+            this.list.appendChild(label);
+        });
+    }
+
+    /**
+     * Show or hide the menu
+     * @param {boolean} [open] - Force open/closed, toggles when omitted
+     */
+    toggleMenu(open = !this.isMenuOpen()) {
+        this.menu.style.display = open ? 'block' : 'none';
+        this.button.setAttribute('aria-expanded', String(open));
+    }
+
+    /**
+     * Check if the menu is visible
+     * @returns {boolean} True when open
+     */
+    isMenuOpen() {
+        return Boolean(this.menu) && this.menu.style.display !== 'none';
+    }
+}
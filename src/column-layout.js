@@ -0,0 +1,206 @@
+import { EventBus } from './event-bus.js';
+import { i18n } from './i18n.js';
+
+/**
+ * Column Layout for the product table: which columns are shown, in which
+ * order and how wide, saved in localStorage
+ */
+export class ColumnLayout {
+    /**
+     * @param {string|null} [storageKey] - localStorage key for the layout (null to not persist)
+     * @param {Storage|null} [storage] - Storage holding the layout (window.localStorage in the page)
+     */
+    constructor(storageKey = null, storage = null) {
+        // Every available column in default order; the header text is the `column.<key>` message (see
+        // getLabel) and sortField links the header to SortController
+        this.defaultColumns = [
+            { key: 'image', className: 'image-cell', visible: true },
+            { key: 'id', className: 'id-cell', sortField: 'id', visible: false },
+            { key: 'title', className: 'title-cell', sortField: 'title', visible: true },
+            { key: 'price', className: 'price-cell', sortField: 'price', visible: true },
+            { key: 'description', className: 'description-cell', sortField: 'description', visible: true },
+            { key: 'category', className: 'category-cell', sortField: 'category', visible: true },
+            { key: 'slug', className: 'slug-cell', sortField: 'slug', visible: false },
+            { key: 'creationAt', className: 'date-cell', sortField: 'creationAt', visible: true },
+            { key: 'updatedAt', className: 'updated-cell', sortField: 'updatedAt', visible: false }
+        ];
+        this.minWidth = 60; // px
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.events = new EventBus();
+        
+        this.columns = this.load();
+    }
+
+    /**
+     * Read the saved layout, falling back to the defaults for anything missing or invalid
+     * @returns {Object[]} Columns in display order, each with visible and width
+     */
+    load() {
+        const columns = this.defaultColumns.map(column => ({ ...column, width: null }));
+        if (!this.storageKey || !this.storage) {
+            return columns;
+        }
+
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(this.storageKey));
+        } catch (error) {
+            console.warn('Column layout unavailable:', error);
+        }
+        if (!saved || !Array.isArray(saved.columns)) {
+            return columns;
+        }
+
+        // Saved columns first in their order; columns added since then keep their default place at the end
+        const byKey = new Map(columns.map(column => [column.key, column]));
+        const ordered = [];
+        saved.columns.forEach(({ key, visible, width }) => {
+            const column = byKey.get(key);
+            if (column) {
+                column.visible = Boolean(visible);
+                column.width = Number.isFinite(width) ? Math.max(this.minWidth, width) : null;
+                ordered.push(column);
+                byKey.delete(key);
+            }
+        });
+        const result = [...ordered, ...byKey.values()];
+
+        // A layout without visible columns would leave an empty table
+        if (!result.some(column => column.visible)) {
+            return columns;
+        }
+        return result;
+    }
+
+    /**
+     * Save the layout to localStorage
+     */
+    save() {
+        if (!this.storageKey || !this.storage) {
+            return;
+        }
+
+        const columns = this.columns.map(({ key, visible, width }) => ({ key, visible, width }));
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ columns }));
+        } catch (error) {
+            console.warn('Failed to save column layout:', error);
+        }
+    }
+
+    /**
+     * Add a column after the built-in ones (plugin columns). A saved layout that already
+     * has the column keeps its place, visibility and width.
+     * @param {Object} column - { key, label, className, sortField, visible, render }
+     */
+    addColumn(column) {
+        const definition = { className: `${column.key}-cell`, visible: true, ...column };
+        this.defaultColumns.push(definition);
+        this.columns = this.storageKey && this.storage
+            ? this.load()
+            : [...this.columns, { ...definition, width: null }];
+        this.notifyChange();
+    }
+
+    /**
+     * Get the header text of a column
+     * @param {Object} column - Column from getColumns
+     * @returns {string} Its label, or the `column.<key>` message for built-in columns
+     */
+    getLabel(column) {
+        return column.label !== undefined ? i18n.localize(column.label) : i18n.t(`column.${column.key}`);
+    }
+
+    /**
+     * Get every column in display order
+     * @returns {Object[]} Columns ({ key, label, className, sortField, visible, width })
+     */
+    getColumns() {
+        return this.columns;
+    }
+
+    /**
+     * Get the shown columns in display order
+     * @returns {Object[]} Visible columns
+     */
+    getVisibleColumns() {
+        return this.columns.filter(column => column.visible);
+    }
+
+    /**
+     * Show or hide a column (the last visible column cannot be hidden)
+     * @param {string} key - Column key
+     * @param {boolean} visible - true to show
+     */
+    setVisible(key, visible) {
+        const column = this.columns.find(item => item.key === key);
+        if (!column || column.visible === visible) {
+            return;
+        }
+        if (!visible && this.getVisibleColumns().length === 1) {
+            return;
+        }
+
+        column.visible = visible;
+        this.save();
+        this.notifyChange();
+    }
+
+    /**
+     * Move a column next to another one
+     * @param {string} key - Column to move
+     * @param {string} targetKey - Column it is dropped on
+     * @param {boolean} after - true to place it after the target, false before
+     */
+    move(key, targetKey, after) {
+        const from = this.columns.findIndex(column => column.key === key);
+        if (from === -1 || key === targetKey || !this.columns.some(column => column.key === targetKey)) {
+            return;
+        }
+
+        const [column] = this.columns.splice(from, 1);
+        const to = this.columns.findIndex(item => item.key === targetKey) + (after ? 1 : 0);
+        this.columns.splice(to, 0, column);
+        this.save();
+        this.notifyChange();
+    }
+
+    /**
+     * Set a column width. The table applies it while resizing, so this only saves it.
+     * @param {string} key - Column key
+     * @param {number} width - Width in px
+     */
+    setWidth(key, width) {
+        const column = this.columns.find(item => item.key === key);
+        if (column) {
+            column.width = Math.max(this.minWidth, Math.round(width));
+            this.save();
+        }
+    }
+
+    /**
+     * Go back to the default columns, order and widths
+     */
+    reset() {
+        this.columns = this.defaultColumns.map(column => ({ ...column, width: null }));
+        this.save();
+        this.notifyChange();
+    }
+
+    /**
+     * Notify the layout change listeners
+     */
+    notifyChange() {
+        this.events.emit('change');
+    }
+
+    /**
+     * Listen to shown columns or order changes
+     * @param {Function} callback - Function to call when the layout changes
+     * @returns {Function} Function that removes the listener again
+     */
+    onChange(callback) {
+        return this.events.on('change', callback);
+    }
+}
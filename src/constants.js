@@ -0,0 +1,9 @@
+/**
+ * Default API base URL (Platzi Fake Store API)
+ */
+export const DEFAULT_API_BASE_URL = 'https://api.escuelajs.co/api/v1';
+
+/**
+ * Placeholder shown when a product image is missing or fails to load
+ */
+export const PLACEHOLDER_IMAGE = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNzAiIGhlaWdodD0iNzAiIHZpZXdCb3g9IjAgMCA3MCA3MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjcwIiBoZWlnaHQ9IjcwIiBmaWxsPSIjRjhGOUZBIiByeD0iOCIvPgo8cGF0aCBkPSJNMjAgMjBINTBWNTBIMjBWMjBaIiBmaWxsPSIjRTlFQ0VGIi8+Cjx0ZXh0IHg9IjM1IiB5PSI0MCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjEwIiBmaWxsPSIjNkM3NTdEIj5ObyBJbWFnZTwvdGV4dD4KPC9zdmc+';
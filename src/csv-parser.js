@@ -0,0 +1,91 @@
+import { i18n } from './i18n.js';
+
+/**
+ * CSV Parser for reading RFC 4180 CSV files (quoted fields, escaped quotes, CRLF)
+ */
+export class CSVParser {
+    /**
+     * Parse CSV text into rows of strings
+     * @param {string} text - CSV content
+     * @returns {string[][]} Rows (blank lines are skipped)
+     */
+    parse(text) {
+        const content = text.replace(/^\uFEFF/, ''); // UTF-8 BOM written by Excel
+        const delimiter = this.detectDelimiter(content);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * Guess the delimiter from the header line (Excel uses ';' in some locales)
+     * @param {string} text - CSV content
+     * @returns {string} ',' | ';' | '\t'
+     */
+    detectDelimiter(text) {
+        const headerLine = text.split(/\r?\n/, 1)[0];
+        const candidates = [',', ';', '\t'];
+        const counts = candidates.map(delimiter => headerLine.split(delimiter).length);
+        return candidates[counts.indexOf(Math.max(...counts))];
+    }
+
+    /**
+     * Convert parsed rows to objects keyed by the header row
+     * @param {string[][]} rows - Parsed rows, header first
+     * @returns {{columns: string[], records: Object[]}} Column names and records
+     */
+    toRecords(rows) {
+        if (rows.length === 0) {
+            return { columns: [], records: [] };
+        }
+
+        const columns = rows[0].map((name, index) => name.trim() || i18n.t('import.column', { number: index + 1 }));
+        const records = rows.slice(1).map(cells => {
+            const record = {};
+            columns.forEach((column, index) => {
+                record[column] = cells[index] ?? '';
+            });
+            return record;
+        });
+
+        return { columns, records };
+    }
+}
@@ -0,0 +1,2069 @@
+import { i18n } from './i18n.js';
+import { APIService } from './api-service.js';
+import { AuthSession } from './auth-session.js';
+import { SearchFilter } from './search-filter.js';
+import { FacetFilter } from './facet-filter.js';
+import { ColumnLayout } from './column-layout.js';
+import { ColumnChooser } from './column-chooser.js';
+import { TableRenderer } from './table-renderer.js';
+import { PaginationController } from './pagination-controller.js';
+import { SortController } from './sort-controller.js';
+import { ExportController } from './export-controller.js';
+import { ImportWizard } from './import-wizard.js';
+import { URLStateManager } from './url-state-manager.js';
+import { ProductFormModal } from './product-form-modal.js';
+import { LoginModal } from './login-modal.js';
+import { UserMenu } from './user-menu.js';
+import { LocaleSwitcher } from './locale-switcher.js';
+import { ProductDetailDrawer } from './product-detail-drawer.js';
+import { ProductHistory } from './product-history.js';
+import { ActivityFeed } from './activity-feed.js';
+import { ProductCache } from './product-cache.js';
+import { DataStatusIndicator } from './data-status-indicator.js';
+import { StatsPanel } from './stats-panel.js';
+import { BulkActionBar } from './bulk-action-bar.js';
+import { CategoryManager } from './category-manager.js';
+import { HistoryControls } from './history-controls.js';
+import { ToolbarActions } from './toolbar-actions.js';
+import { PluginRegistry } from './plugin-registry.js';
+import { LiveSync } from './live-sync.js';
+import { Store, isEqual } from './store.js';
+import { selectViewState, selectStatistics, selectExportCounts } from './selectors.js';
+
+/**
+ * Dashboard Controller to coordinate all components
+ */
+export class DashboardController {
+    /**
+     * @param {Object} [config] - Dashboard configuration
+     * @param {string} [config.apiBaseURL] - API base URL passed to APIService
+     * @param {string} [config.dataMode] - 'local' (load everything, filter in memory) or
+     *                                     'remote' (backend paginates, searches and sorts)
+     * @param {number} [config.apiTimeout] - Request timeout in ms passed to APIService
+     * @param {number} [config.apiRetries] - Request retry count passed to APIService
+     * @param {number} [config.vndRate] - VND per USD used when prices are shown in VND
+     * @param {Document} [config.document] - Page holding the dashboard (the current document by default)
+     * @param {Object[]} [config.plugins] - Plugins to register (see registerPlugin)
+     * @param {boolean} [config.liveSync] - false turns off live updates of products changed by other users
+     * @param {number} [config.livePollInterval] - Delay between two checks for changes in ms when
+     *                                             the backend cannot stream them
+     */
+    constructor(config = {}) {
+        const doc = config.document || document;
+        this.document = doc;
+        this.window = doc.defaultView;
+        this.dataMode = DashboardController.resolveDataMode(config.dataMode, doc);
+        this.remoteRequestId = 0; // Used to ignore responses of superseded remote requests
+        this.searchDebounceTimer = null;
+        this.remoteBatchSize = 50; // Products fetched per infinite scroll request (remote "show all")
+        this.isLoadingMore = false;
+        // Products and view state; widgets subscribe to it instead of being updated by the controller
+        this.store = new Store({
+            products: [],
+            filteredProducts: [], // Every match of the search and filters, sorted
+            pageProducts: [], // Displayed products
+            total: 0, // Number of matches (known from X-Total-Count in remote mode)
+            search: '',
+            sort: [],
+            page: 1,
+            pageSize: 10,
+            filters: null,
+            productId: null
+        }, { historyKeys: ['search', 'sort', 'page', 'pageSize', 'filters'] });
+        const storage = this.window.localStorage;
+        i18n.setStorage('product-dashboard-locale', storage);
+        this.authSession = new AuthSession('product-dashboard-session', storage);
+        this.apiService = new APIService({
+            baseURL: config.apiBaseURL,
+            timeout: config.apiTimeout,
+            retries: config.apiRetries,
+            session: this.authSession,
+            document: doc
+        });
+        this.loginModal = new LoginModal(doc);
+        this.userMenu = new UserMenu(doc);
+        this.localeSwitcher = new LocaleSwitcher(doc);
+        if (config.vndRate !== undefined) {
+            i18n.setExchangeRate(Number(config.vndRate));
+        }
+        this.columnLayout = new ColumnLayout('product-dashboard-columns', storage);
+        // Only admins get the selection, inline editing and Edit/Delete controls
+        this.tableRenderer = new TableRenderer({
+            columnLayout: this.columnLayout,
+            showActions: this.authSession.isAdmin(),
+            document: doc
+        });
+        this.columnChooser = new ColumnChooser(this.columnLayout, doc);
+        this.searchFilter = new SearchFilter(doc);
+        this.facetFilter = new FacetFilter(doc);
+        this.paginationController = new PaginationController(doc);
+        this.sortController = new SortController(doc);
+        this.productFormModal = new ProductFormModal(doc);
+        this.urlState = new URLStateManager(doc);
+        this.exportController = new ExportController(doc);
+        this.importWizard = new ImportWizard(doc);
+        this.productCache = new ProductCache(this.window.indexedDB);
+        this.dataStatus = new DataStatusIndicator(doc);
+        this.statsPanel = new StatsPanel(doc);
+        this.bulkActionBar = new BulkActionBar(doc);
+        this.selection = new Map(); // Selected products by id, kept across pages, sorts and searches
+        this.bulkBatchSize = 5; // Concurrent requests in bulk actions
+        this.productDrawer = new ProductDetailDrawer(doc);
+        this.productHistory = new ProductHistory(doc);
+        this.historyProductId = null; // Product whose history is shown in the drawer
+        this.activityFeed = new ActivityFeed(doc);
+        this.categoryManager = new CategoryManager(doc);
+        this.historyControls = new HistoryControls(doc);
+        this.toolbarActions = new ToolbarActions(doc);
+        this.plugins = new PluginRegistry();
+        this.liveSync = new LiveSync(this.apiService, { window: this.window, pollInterval: config.livePollInterval });
+        this.liveSyncEnabled = config.liveSync !== false;
+        this.detailProductId = null; // Product linked in the URL (?product=)
+        this.catalogSavedAt = null; // When the catalog was last received from the API
+        this.isSyncing = false;
+        this.nextHistoryMode = 'replace'; // How the next render is recorded in the URL
+        this.lastChangeSource = null;
+        this.categories = [];
+        this.addProductButton = this.document.getElementById('add-product-btn');
+        this.importButton = this.document.getElementById('import-btn');
+        this.categoriesButton = this.document.getElementById('categories-btn');
+        this.activityButton = this.document.getElementById('activity-btn');
+        
+        this.initializeComponents();
+
+        // An invalid plugin is left out instead of stopping the dashboard
+        (config.plugins || []).forEach(plugin => {
+            try {
+                this.registerPlugin(plugin);
+            } catch (error) {
+                console.error('✗ Plugin not registered:', error.message);
+            }
+        });
+    }
+
+    /**
+     * All loaded products (local mode: the catalog, remote mode: the loaded page or batches)
+     * @type {Product[]}
+     */
+    get products() {
+        return this.store.getState().products;
+    }
+
+    set products(products) {
+        this.store.setState({ products });
+    }
+
+    /**
+     * Every product matching the search and filters, in display order
+     * @type {Product[]}
+     */
+    get filteredProducts() {
+        return this.store.getState().filteredProducts;
+    }
+
+    /**
+     * Products on the displayed page (every loaded match in "show all" mode)
+     * @type {Product[]}
+     */
+    get currentPageProducts() {
+        return this.store.getState().pageProducts;
+    }
+
+    /**
+     * Resolve the data mode. Priority: config object, `?mode=` query param,
+     * `<meta name="data-mode">` tag, then 'local'.
+     * @param {string} [configuredMode] - Mode passed in the config object
+     * @param {Document} [doc] - Page whose URL and meta tag are checked
+     * @returns {string} 'local' | 'remote'
+     */
+    static resolveDataMode(configuredMode, doc = document) {
+        const queryMode = new URLSearchParams(doc.defaultView.location.search).get('mode');
+        const metaMode = doc.querySelector('meta[name="data-mode"]')?.content;
+        const mode = configuredMode || queryMode || metaMode;
+
+        return mode === 'remote' ? 'remote' : 'local';
+    }
+
+    /**
+     * Check if the backend handles pagination, search and sort
+     * @returns {boolean} True in remote data mode
+     */
+    isRemoteMode() {
+        return this.dataMode === 'remote';
+    }
+
+    /**
+     * Initialize all dashboard components and their interactions
+     */
+    initializeComponents() {
+        // Retry button in the error banner reloads the dashboard data
+        this.apiService.onRetry(() => {
+            this.init();
+        });
+
+        // Signing in or out switches between the admin controls and the read-only table
+        this.authSession.onChange(() => {
+            this.applyPermissions();
+        });
+
+        this.userMenu.onLogin(() => {
+            this.loginModal.open();
+        });
+
+        this.userMenu.onLogout(() => {
+            this.authSession.clear();
+            console.log('✓ Signed out');
+        });
+
+        this.loginModal.onSubmit((email, password) => {
+            return this.login(email, password);
+        });
+
+        this.localeSwitcher.onLanguageChange((language) => {
+            i18n.setLanguage(language);
+        });
+
+        this.localeSwitcher.onCurrencyChange((currency) => {
+            i18n.setCurrency(currency);
+        });
+
+        i18n.onChange(() => {
+            this.applyLocale();
+        });
+
+        // A request was rejected with 401 and the token could not be refreshed: the session is gone
+        this.apiService.onUnauthorized(() => {
+            this.loginModal.open(i18n.t('api.sessionExpired'));
+        });
+
+        // Offline edits are sent when the connection comes back (local mode)
+        this.window.addEventListener('online', async () => {
+            if (this.isRemoteMode()) {
+                return;
+            }
+            this.dataStatus.update({ offline: false });
+            await this.syncQueue();
+            await this.revalidate(true);
+        });
+
+        this.window.addEventListener('offline', () => {
+            if (!this.isRemoteMode()) {
+                this.dataStatus.update({ offline: true });
+            }
+        });
+
+        // Products changed by other users
+        this.liveSync.onChanges((changes) => {
+            this.applyLiveChanges(changes);
+        });
+
+        // The backend lost track of the changes (e.g. it restarted): load everything again
+        this.liveSync.onReset(() => {
+            if (this.isRemoteMode()) {
+                this.applyFilters();
+            } else {
+                this.revalidate(true);
+            }
+        });
+
+        this.liveSync.onStatusChange((mode) => {
+            this.dataStatus.update({ live: mode !== null });
+        });
+
+        // Highlight search matches in the title, description and category cells
+        this.tableRenderer.setHighlighter((text, field) => {
+            return this.searchFilter.getMatchRanges(text, field);
+        });
+
+        // Infinite scroll: remote "show all" mode fetches the next batch near the end
+        this.tableRenderer.onNearEnd(() => {
+            if (this.isRemoteMode()) {
+                this.loadMoreRemoteProducts();
+            }
+        });
+
+        // Set up search filter callback
+        this.searchFilter.onSearchChange((searchTerm) => {
+            this.recordChange('search');
+            // Rows are re-rendered with the new highlighting; other renders reuse unchanged rows
+            this.tableRenderer.invalidateRows();
+            this.tableRenderer.scrollToTop();
+            if (this.isRemoteMode()) {
+                // Avoid one request per keystroke
+                clearTimeout(this.searchDebounceTimer);
+                this.searchDebounceTimer = setTimeout(() => this.applyFilters(), 300);
+            } else {
+                this.applyFilters();
+            }
+        });
+
+        // Set up facet filter callback
+        this.facetFilter.onFilterChange(() => {
+            this.recordChange('facets');
+            this.tableRenderer.scrollToTop();
+            this.applyFilters();
+        });
+
+        // Set up pagination callbacks
+        this.paginationController.onPageChange(() => {
+            this.recordChange('page');
+            if (this.isRemoteMode()) {
+                this.applyFilters();
+            } else {
+                this.updateDisplay();
+            }
+        });
+
+        this.paginationController.onPageSizeChange(() => {
+            this.recordChange('pageSize');
+            this.applyFilters();
+        });
+
+        // Set up sort controller callback
+        this.sortController.onSortChange(() => {
+            this.recordChange('sort');
+            this.tableRenderer.scrollToTop();
+            this.applyFilters();
+        });
+
+        // Shown, hidden, moved or reset columns rebuild the header and rows
+        this.columnLayout.onChange(() => {
+            this.tableRenderer.applyColumnLayout();
+            this.sortController.refreshHeaders();
+            this.columnChooser.render();
+        });
+
+        // Set up export data (every match or the visible page)
+        this.exportController.setDataProvider((scope) => {
+            return this.getExportProducts(scope);
+        });
+
+        // Widgets follow the store
+        this.store.select(selectStatistics, ({ products, partial }) => {
+            this.statsPanel.update(products, partial);
+        });
+
+        this.store.select(selectExportCounts, ({ total, page }) => {
+            this.exportController.updateCounts(total, page);
+        });
+
+        // The URL follows the view state; undone and redone changes get their own browser history entry
+        this.store.select(selectViewState, (view, previous, { history, source }) => {
+            this.urlState.write(view, source === 'set' ? history : 'push');
+        });
+
+        // Undo/redo of view changes: show the restored view
+        this.store.subscribe((state, previous, { source }) => {
+            if (source === 'undo' || source === 'redo') {
+                this.restoreViewState(selectViewState(state));
+                this.nextHistoryMode = 'replace';
+                this.lastChangeSource = null;
+                this.tableRenderer.scrollToTop();
+                this.applyFilters();
+            }
+        });
+
+        this.store.onHistoryChange((canUndo, canRedo) => {
+            this.historyControls.update(canUndo, canRedo);
+        });
+
+        this.historyControls.onUndo(() => {
+            this.store.undo();
+        });
+
+        this.historyControls.onRedo(() => {
+            this.store.redo();
+        });
+
+        // Browser back/forward: restore the view from the URL
+        this.urlState.onPopState((state) => {
+            this.restoreViewState(state);
+            this.nextHistoryMode = 'replace';
+            this.lastChangeSource = null;
+            this.applyFilters();
+            this.showProductDetail(state.productId);
+        });
+
+        // Set up product create/edit/delete actions
+        if (this.addProductButton) {
+            this.addProductButton.addEventListener('click', () => {
+                this.openProductForm();
+            });
+        }
+
+        this.tableRenderer.onEdit((product) => {
+            this.openProductForm(product);
+        });
+
+        this.tableRenderer.onDelete((product) => {
+            this.deleteProduct(product);
+        });
+
+        // Row and toolbar buttons added by plugins
+        this.tableRenderer.onRowAction((actionId, product) => {
+            this.runPluginAction('rowActions', actionId, product, this);
+        });
+
+        this.toolbarActions.onAction((actionId) => {
+            this.runPluginAction('toolbarActions', actionId, this);
+        });
+
+        // Row selection and bulk actions
+        this.tableRenderer.setSelection(this.selection);
+        this.tableRenderer.onSelectionChange((products, selected) => {
+            this.setSelected(products, selected);
+        });
+
+        this.bulkActionBar.onSelectAllResults(() => {
+            this.selectAllResults();
+        });
+
+        this.bulkActionBar.onClearSelection(() => {
+            this.setSelected([...this.selection.values()], false);
+        });
+
+        this.bulkActionBar.onDelete(() => {
+            this.bulkDelete();
+        });
+
+        this.bulkActionBar.onChangeCategory((categoryId) => {
+            this.bulkUpdate(i18n.t('bulk.changeCategory'), () => ({ categoryId }));
+        });
+
+        this.bulkActionBar.onAdjustPrice((mode, amount) => {
+            this.bulkUpdate(i18n.t('bulk.adjustPrice'), (product) => {
+                const price = mode === 'percent' ? product.price * (1 + amount / 100) : product.price + amount;
+                const rounded = Math.round(price * 100) / 100;
+                return rounded > 0 ? { price: rounded } : null; // Prices must stay positive
+            });
+        });
+
+        this.bulkActionBar.onExport(() => {
+            this.exportController.openMenu('selected');
+        });
+
+        // Inline editing of title, price and category cells
+        this.tableRenderer.setCategorySource(() => this.loadCategories());
+        this.tableRenderer.onCellEdit((product, field, value) => {
+            this.saveCellEdit(product, field, value);
+        });
+
+        // Product detail drawer, linked as ?product=<id>
+        this.tableRenderer.onRowClick((product) => {
+            this.openProductDetail(product);
+        });
+
+        this.productDrawer.onClose(() => {
+            this.detailProductId = null;
+            this.recordChange('detail');
+            this.commitViewState();
+        });
+
+        // Change history of the product in the drawer, from the audit log
+        this.productDrawer.onShow((product) => {
+            this.loadProductHistory(product);
+        });
+
+        this.productHistory.onRevert((entry, previous) => {
+            this.revertProduct(entry, previous);
+        });
+
+        if (this.activityButton) {
+            this.activityButton.addEventListener('click', () => {
+                this.openActivityFeed();
+            });
+        }
+
+        this.activityFeed.onLoad((query) => {
+            return this.apiService.getAuditLog(query, { cancelKey: 'activity' });
+        });
+
+        this.productFormModal.onSubmit((data, product) => {
+            return this.saveProduct(data, product);
+        });
+
+        // Set up bulk import
+        if (this.importButton) {
+            this.importButton.addEventListener('click', async () => {
+                this.importWizard.open(await this.loadCategories());
+            });
+        }
+
+        if (this.categoriesButton) {
+            this.categoriesButton.addEventListener('click', () => {
+                this.openCategoryManager();
+            });
+        }
+
+        this.categoryManager.onSave((data, editingCategory) => {
+            return this.saveCategory(data, editingCategory);
+        });
+
+        this.categoryManager.onDelete((category, targetId) => {
+            return this.removeCategory(category, targetId);
+        });
+
+        this.importWizard.onImportRow((data) => {
+            return this.apiService.createProduct(data);
+        });
+
+        this.importWizard.onImportComplete((createdProducts) => {
+            this.addImportedProducts(createdProducts);
+        });
+
+        this.applyPermissions();
+
+        // Components render their own text in the saved language; only the static page is left
+        i18n.translatePage(this.document);
+        this.localeSwitcher.update(i18n.language, i18n.currency);
+    }
+
+    /**
+     * Sign in and load the user's profile (its role decides what can be changed)
+     * @param {string} email - User email
+     * @param {string} password - User password
+     * @throws {Error} When the credentials are wrong or the API call fails
+     */
+    async login(email, password) {
+        const tokens = await this.apiService.login(email, password);
+        this.authSession.setTokens(tokens.access_token, tokens.refresh_token);
+
+        let user;
+        try {
+            user = await this.apiService.getProfile();
+        } catch (error) {
+            this.authSession.clear();
+            throw error;
+        }
+        this.authSession.setUser(user);
+        console.log(`✓ Signed in as ${user.email} (${user.role})`);
+
+        // Edits queued while signed out can be sent now
+        if (!this.isRemoteMode()) {
+            this.syncQueue();
+        }
+    }
+
+    /**
+     * Show the admin controls or the read-only table for the current user
+     */
+    applyPermissions() {
+        const canEdit = this.authSession.isAdmin();
+
+        this.userMenu.update(this.authSession.user);
+        [this.addProductButton, this.importButton, this.categoriesButton, this.activityButton].forEach(button => {
+            if (button) {
+                button.style.display = canEdit ? '' : 'none';
+            }
+        });
+
+        if (!canEdit) {
+            if (this.productFormModal.isOpen()) {
+                this.productFormModal.close();
+            }
+            if (this.categoryManager.isOpen()) {
+                this.categoryManager.close();
+            }
+            if (this.activityFeed.isOpen()) {
+                this.activityFeed.close();
+            }
+            if (this.selection.size > 0) {
+                this.setSelected([...this.selection.values()], false);
+            }
+        }
+        this.tableRenderer.setEditable(canEdit);
+        this.renderToolbarActions();
+
+        // The audit log is only readable by admins
+        if (this.productDrawer.isOpen()) {
+            this.historyProductId = null;
+            this.loadProductHistory(this.productDrawer.getProduct());
+        }
+    }
+
+    /**
+     * Show the page in the chosen language and currency: translate the static text and
+     * re-render everything holding messages, prices or dates
+     */
+    applyLocale() {
+        i18n.translatePage(this.document);
+        this.localeSwitcher.update(i18n.language, i18n.currency);
+        this.userMenu.update(this.authSession.user);
+        this.dataStatus.render();
+        this.columnChooser.render();
+        this.exportController.renderColumnOptions();
+        this.facetFilter.updatePriceLabel();
+        this.renderToolbarActions();
+        if (this.categories.length > 0) {
+            this.productFormModal.setCategories(this.categories);
+            this.bulkActionBar.setCategories(this.categories);
+        }
+
+        this.tableRenderer.rebuildTable();
+        this.sortController.refreshHeaders();
+        this.statsPanel.refresh();
+        if (this.productDrawer.isOpen()) {
+            this.productDrawer.render();
+            this.productHistory.render();
+        }
+        if (this.categoryManager.isOpen()) {
+            this.categoryManager.render();
+        }
+        if (this.activityFeed.isOpen()) {
+            this.activityFeed.setUsers(this.activityFeed.users);
+            this.activityFeed.render();
+        }
+
+        // Facet counts, pagination text and the bulk action bar
+        if (this.isRemoteMode()) {
+            this.paginationController.renderControls();
+            this.updateSelectionDisplay();
+        } else {
+            this.applyFilters();
+        }
+    }
+
+    /**
+     * Register a plugin that adds table columns, row and toolbar buttons, or hooks into
+     * loading, filtering and rendering. Register plugins before init() so the first load
+     * already goes through their hooks; registering later re-renders the loaded products.
+     *
+     * Labels are strings or translations by language ({ vi: 'Tồn kho', en: 'Stock' }).
+     * Hooks get a context { dashboard, mode, view } (plus query for the fetch hooks); the
+     * afterFetch, beforeFilter and afterFilter hooks may return a new product list.
+     *
+     * @param {Object} plugin - Plugin definition
+     * @param {string} plugin.id - Unique plugin id
+     * @param {Object[]} [plugin.columns] - Columns shown after the built-in ones:
+     *     { key, label, render(product, cell), compare(a, b), sortValue(product), sortType,
+     *     exportValue(product), visible, className }. render returns the cell text or a DOM node,
+     *     or fills the cell itself. compare (or sortValue with sortType 'text'|'number'|'date')
+     *     makes the column sortable in local mode; exportValue adds it to the export columns.
+     * @param {Object[]} [plugin.rowActions] - Buttons in each row's actions cell:
+     *     { id, label, onClick(product, dashboard), visible(product), adminOnly, className }
+     * @param {Object[]} [plugin.toolbarActions] - Buttons in the controls section:
+     *     { id, label, title, onClick(dashboard), adminOnly, className }
+     * @param {Object} [plugin.hooks] - beforeFetch, afterFetch, beforeFilter, afterFilter,
+     *     beforeRender, afterRender (see PLUGIN_HOOKS)
+     * @param {Function} [plugin.setup] - Called with the dashboard once the plugin is registered
+     * @throws {Error} When the plugin is invalid or its id or a column key is already used
+     */
+    registerPlugin(plugin) {
+        const columnKeys = this.columnLayout.defaultColumns.map(column => column.key);
+        this.plugins.register(plugin, columnKeys);
+
+        (plugin.columns || []).forEach(column => {
+            this.addPluginColumn(plugin.id, column);
+        });
+        if (plugin.rowActions) {
+            this.tableRenderer.setRowActions(this.plugins.getActions('rowActions'));
+        }
+        if (plugin.toolbarActions) {
+            this.renderToolbarActions();
+        }
+        if (plugin.setup) {
+            this.plugins.call(plugin.id, plugin.setup, this);
+        }
+
+        if (this.products.length > 0) {
+            this.refresh();
+        }
+        console.log(`✓ Plugin registered: ${plugin.id}`);
+    }
+
+    /**
+     * Add a plugin column to the table, the sort fields and the export columns
+     * @param {string} pluginId - Plugin the column belongs to
+     * @param {Object} column - Column definition (see registerPlugin)
+     */
+    addPluginColumn(pluginId, column) {
+        const { key, label, render, compare, sortValue, sortType, exportValue } = column;
+        const definition = { key, label, render, visible: column.visible !== false };
+        if (column.className) {
+            definition.className = column.className;
+        }
+
+        // Remote mode sorts on the backend, which does not know plugin columns
+        if (!this.isRemoteMode() && (compare || sortValue)) {
+            this.sortController.addField(key, compare
+                ? { compare: (a, b) => this.plugins.call(pluginId, compare, a, b) || 0 }
+                : { type: sortType || 'text', value: product => this.plugins.call(pluginId, sortValue, product) });
+            definition.sortField = key;
+        }
+
+        if (exportValue) {
+            this.exportController.addColumn({
+                key,
+                label,
+                value: product => this.plugins.call(pluginId, exportValue, product) ?? null
+            });
+        }
+
+        this.columnLayout.addColumn(definition);
+    }
+
+    /**
+     * Show the plugin toolbar buttons the current user may use
+     */
+    renderToolbarActions() {
+        const canEdit = this.authSession.isAdmin();
+        const actions = this.plugins.getActions('toolbarActions').filter(action => canEdit || !action.adminOnly);
+        this.toolbarActions.render(actions);
+    }
+
+    /**
+     * Run a plugin row or toolbar action
+     * @param {string} type - 'rowActions' | 'toolbarActions'
+     * @param {string} actionId - Prefixed action id (see PluginRegistry.getActions)
+     * @param {...*} args - Arguments passed to the action's onClick
+     */
+    runPluginAction(type, actionId, ...args) {
+        const action = this.plugins.findAction(type, actionId);
+        if (action) {
+            this.plugins.call(action.pluginId, action.onClick, ...args);
+        }
+    }
+
+    /**
+     * Build the context passed to plugin hooks
+     * @param {Object} [extra] - Hook-specific values (e.g. the fetch query)
+     * @returns {Object} { dashboard, mode, view, ...extra }
+     */
+    getHookContext(extra = {}) {
+        return { dashboard: this, mode: this.dataMode, view: this.getViewState(), ...extra };
+    }
+
+    /**
+     * Render the products again, e.g. after data shown in a plugin column changed.
+     * Local mode also runs the search, filters and sort (and their plugin hooks) again.
+     */
+    refresh() {
+        this.tableRenderer.invalidateRows();
+        if (this.isRemoteMode()) {
+            this.renderProducts();
+        } else {
+            this.applyFilters();
+        }
+    }
+
+    /**
+     * Remember that the user changed the view so the next render adds a history entry.
+     * Consecutive keystrokes in the search box share a single entry.
+     * @param {string} source - Which control changed ('search', 'sort', 'page', ...)
+     */
+    recordChange(source) {
+        const isContinuedTyping = source === 'search' && this.lastChangeSource === 'search';
+        this.nextHistoryMode = isContinuedTyping ? 'replace' : 'push';
+        this.lastChangeSource = source;
+    }
+
+    /**
+     * Collect the current view state from all components
+     * @returns {ViewState} { search, sort, page, pageSize, filters, productId }
+     */
+    getViewState() {
+        const { currentPage, pageSize, showAll } = this.paginationController.getPaginationState();
+
+        return {
+            search: this.searchFilter.getSearchTerm(),
+            sort: this.sortController.getSortKeys(),
+            page: currentPage,
+            pageSize: showAll ? 'all' : pageSize,
+            filters: this.facetFilter.getFilters(),
+            productId: this.detailProductId
+        };
+    }
+
+    /**
+     * Apply a view state to all components without notifying their listeners
+     * @param {ViewState} state - View state read from the URL
+     */
+    restoreViewState(state) {
+        this.searchFilter.setSearchTerm(state.search);
+        this.tableRenderer.invalidateRows();
+        this.sortController.setSort(state.sort);
+        this.paginationController.setState(state.page, state.pageSize);
+        this.facetFilter.setFilters(state.filters);
+        this.detailProductId = state.productId;
+    }
+
+    /**
+     * Put the rendered view state into the store, which writes it to the URL.
+     * A change made by the user becomes an undo step and a browser history entry.
+     */
+    commitViewState() {
+        this.store.setState(this.getViewState(), { history: this.nextHistoryMode });
+        // Re-renders without a user change (e.g. after saving a product) only update the entry
+        this.nextHistoryMode = 'replace';
+    }
+
+    /**
+     * Initialize dashboard and load products
+     */
+    async init() {
+        // Restore search, sort, page, filters and the open product from a shared link
+        const viewState = this.urlState.read();
+        this.restoreViewState(viewState);
+
+        // Check the saved session; an expired one is refreshed, or signed out on 401
+        if (this.authSession.isLoggedIn() && this.window.navigator.onLine) {
+            this.apiService.getProfile()
+                .then(user => this.authSession.setUser(user))
+                .catch(error => console.warn('Saved session could not be checked:', error.message));
+        }
+        
+        try {
+            // Clear any existing errors
+            this.apiService.clearError();
+            
+            // Show loading state
+            this.tableRenderer.showLoading();
+            
+            if (this.isRemoteMode()) {
+                console.log(`Remote data mode: loading first page from ${this.apiService.baseURL}...`);
+                // Only one page is in memory, so facet options come from /categories and counts are hidden
+                this.facetFilter.disableCounts();
+                await this.loadRemotePage();
+                this.loadCategories().then(categories => this.facetFilter.setCategories(categories));
+                this.showProductDetail(viewState.productId);
+                this.startLiveSync();
+                console.log('✓ Dashboard initialized successfully in remote mode with', this.paginationController.totalItems, 'products');
+                return;
+            }
+            
+            // Render the cached catalog right away, then revalidate it from the API
+            const cached = await this.productCache.loadCatalog(this.apiService.baseURL);
+            if (cached) {
+                console.log(`✓ Rendering ${cached.products.length} cached products from ${cached.savedAt}`);
+                this.catalogSavedAt = cached.savedAt;
+                this.setProducts(cached.products);
+            }
+            
+            // Send edits made offline before loading, so the fresh catalog includes them
+            await this.syncQueue();
+            await this.revalidate(Boolean(cached));
+            this.showProductDetail(viewState.productId);
+            this.startLiveSync();
+            
+            console.log('✓ Dashboard initialized successfully with', this.products.length, 'products');
+            
+        } catch (error) {
+            // Superseded by a newer page request (e.g. the user typed while loading)
+            if (APIService.isCancellation(error)) {
+                return;
+            }
+            console.error('✗ Dashboard initialization failed:', error);
+            this.tableRenderer.showError(i18n.t('table.loadFailed'));
+        }
+    }
+
+    /**
+     * Replace the catalog and re-render (local mode)
+     * @param {Product[]} products - All products
+     */
+    setProducts(products) {
+        this.products = products;
+        // Build facet options from the loaded products
+        this.facetFilter.setProducts(this.products);
+        this.applyFilters();
+    }
+
+    /**
+     * Fetch the catalog from the API, cache it and re-render (local mode)
+     * @param {boolean} hasCachedData - true when cached products are displayed; a failed
+     *                                  load then shows the offline state instead of an error
+     * @throws {Error} When the API call fails and there is no cached data
+     */
+    async revalidate(hasCachedData) {
+        const pending = (await this.productCache.getQueue(this.apiService.baseURL)).length;
+        this.dataStatus.update({ revalidating: true, pending, savedAt: this.catalogSavedAt });
+        
+        try {
+            // Fetch products from API
+            console.log(`Making API call to fetch products from ${this.apiService.baseURL}...`);
+            const context = this.getHookContext({ query: null });
+            this.plugins.runHook('beforeFetch', context);
+            const products = this.plugins.runHook('afterFetch', await this.apiService.getAllProducts(), context);
+            
+            console.log('✓ API call successful');
+            console.log('✓ Received', products.length, 'products');
+            
+            if (products.length > 0) {
+                console.log('✓ First product:', products[0].title);
+                console.log('✓ Product structure:', {
+                    id: products[0].id,
+                    title: products[0].title,
+                    price: products[0].price,
+                    category: products[0].category?.name,
+                    images: products[0].images?.length + ' images'
+                });
+            }
+            
+            this.catalogSavedAt = new Date().toISOString();
+            this.setProducts(products);
+            this.cacheCatalog();
+            this.dataStatus.update({ revalidating: false, offline: false, savedAt: this.catalogSavedAt });
+        } catch (error) {
+            this.dataStatus.update({ revalidating: false, offline: hasCachedData });
+            if (!hasCachedData) {
+                throw error;
+            }
+            // The cached catalog stays on screen; the status line says it is offline
+            this.apiService.clearError();
+            console.warn('✗ Revalidation failed, showing cached products:', error.message);
+        }
+    }
+
+    /**
+     * Start receiving products changed by other users (unless turned off in the config).
+     * Without a change feed, local mode compares the polled catalog with the loaded one.
+     */
+    startLiveSync() {
+        if (!this.liveSyncEnabled) {
+            return;
+        }
+
+        this.liveSync.start({
+            getCatalog: this.isRemoteMode() ? null : () => this.products,
+            prepareProducts: products => this.plugins.runHook('afterFetch', products, this.getHookContext({ query: null }))
+        });
+    }
+
+    /**
+     * Show products changed by other users, keeping the search, sort and page.
+     * Changed rows are highlighted briefly; changes already displayed (e.g. our own
+     * edits coming back from the feed) are ignored.
+     * @param {Object[]} changes - Changes ({ type: 'create'|'update'|'delete', id, product }), oldest first
+     */
+    applyLiveChanges(changes) {
+        const changedIds = new Set();
+
+        if (this.isRemoteMode()) {
+            // Only one page is in memory: load it again, as new and deleted products move the others
+            const displayed = new Map(this.currentPageProducts.map(product => [String(product.id), product]));
+            changes.forEach(({ id, product }) => {
+                if (!product || !isEqual(displayed.get(String(id)), product)) {
+                    changedIds.add(String(id));
+                }
+            });
+            if (changedIds.size === 0) {
+                return;
+            }
+            this.loadRemotePage()
+                .then(() => this.tableRenderer.highlightRows([...changedIds]))
+                .catch((error) => {
+                    if (!APIService.isCancellation(error)) {
+                        console.error('✗ Failed to load live changes:', error);
+                    }
+                });
+            return;
+        }
+
+        const productsById = new Map(this.products.map(product => [String(product.id), product]));
+        const createdIds = [];
+        let deleted = 0;
+
+        changes.forEach(({ type, id, product }) => {
+            const key = String(id);
+            if (type === 'delete') {
+                if (productsById.delete(key)) {
+                    deleted++;
+                }
+                changedIds.delete(key);
+                this.selection.delete(key);
+            } else if (product && !isEqual(productsById.get(key), product)) {
+                if (!productsById.has(key)) {
+                    createdIds.push(key);
+                }
+                productsById.set(key, product);
+                changedIds.add(key);
+                if (this.selection.has(key)) {
+                    this.selection.set(key, product);
+                }
+            }
+        });
+
+        if (changedIds.size === 0 && deleted === 0) {
+            return;
+        }
+
+        // New products go first, newest first, like products added from this dashboard
+        const createdSet = new Set(createdIds);
+        this.products = [
+            ...createdIds.reverse().filter(key => productsById.has(key)).map(key => productsById.get(key)),
+            ...[...productsById].filter(([key]) => !createdSet.has(key)).map(([, product]) => product)
+        ];
+        this.refreshFacetOptions();
+        this.applyFilters();
+        this.tableRenderer.highlightRows([...changedIds]);
+        this.cacheCatalog();
+
+        const openProduct = this.productDrawer.isOpen() ? this.productDrawer.getProduct() : null;
+        if (openProduct) {
+            const current = productsById.get(String(openProduct.id));
+            if (!current) {
+                this.productDrawer.close();
+            } else if (current !== openProduct) {
+                this.productDrawer.update(current);
+            }
+        }
+
+        console.log(`✓ Live update: ${changedIds.size} products changed, ${deleted} deleted`);
+    }
+
+    /**
+     * Store the current catalog, including offline edits, in IndexedDB (local mode)
+     */
+    cacheCatalog() {
+        if (!this.isRemoteMode() && this.catalogSavedAt) {
+            this.productCache.saveCatalog(this.apiService.baseURL, this.products, this.catalogSavedAt);
+        }
+    }
+
+    /**
+     * Send a change to the API, or queue it when offline (local mode only)
+     * @param {Object} change - { type: 'create'|'update'|'delete', productId, data }
+     * @param {Function} request - Sends the change, resolves to the API result
+     * @returns {Promise<Product|Object|undefined>} API result, or the offline version of the product
+     * @throws {Error} When the API rejects the change
+     */
+    async sendOrQueue(change, request) {
+        if (this.isRemoteMode()) {
+            return request();
+        }
+
+        if (this.window.navigator.onLine) {
+            try {
+                return await request();
+            } catch (error) {
+                if (!APIService.isNetworkError(error)) {
+                    throw error;
+                }
+            }
+        }
+
+        try {
+            await this.productCache.enqueue(this.apiService.baseURL, change);
+        } catch (error) {
+            error.userMessage = i18n.t('offline.saveFailed');
+            throw error;
+        }
+
+        this.apiService.clearError();
+        const pending = (await this.productCache.getQueue(this.apiService.baseURL)).length;
+        this.dataStatus.update({ offline: true, pending });
+        console.log(`✓ Offline: ${change.type} queued for sync (${pending} pending)`);
+
+        return this.toOfflineProduct(change);
+    }
+
+    /**
+     * Build the product shown for a change queued offline
+     * @param {Object} change - Queued change
+     * @returns {Product|Object|undefined} Product (create), changed fields (update) or undefined (delete)
+     */
+    toOfflineProduct(change) {
+        if (change.type === 'delete') {
+            return undefined;
+        }
+
+        const { categoryId, ...fields } = change.data;
+        const now = new Date().toISOString();
+        const product = { ...fields, updatedAt: now };
+        if (categoryId !== undefined) {
+            product.category = this.categories.find(category => String(category.id) === String(categoryId)) || null;
+        }
+
+        if (change.type === 'create') {
+            return { id: change.productId, slug: '', creationAt: now, ...product };
+        }
+        return product;
+    }
+
+    /**
+     * Send changes queued while offline, in order. Stops at the first network error
+     * and drops changes the API rejects. Products created offline get their server ids
+     * (or are removed when rejected) and the table is rendered again.
+     */
+    async syncQueue() {
+        const baseURL = this.apiService.baseURL;
+        if (this.isSyncing || !this.window.navigator.onLine) {
+            return;
+        }
+
+        const queue = await this.productCache.getQueue(baseURL);
+        if (queue.length === 0) {
+            return;
+        }
+
+        this.isSyncing = true;
+        const serverIds = new Map(); // Offline id -> id assigned by the API
+        let synced = 0;
+        let productsChanged = false;
+
+        try {
+            for (const change of queue) {
+                const productId = serverIds.get(String(change.productId)) ?? change.productId;
+
+                try {
+                    if (change.type === 'create') {
+                        const created = await this.apiService.createProduct(change.data);
+                        serverIds.set(String(change.productId), created.id);
+                        await this.productCache.replaceQueuedProductId(baseURL, change.productId, created.id);
+                        if (this.products.some(item => String(item.id) === String(change.productId))) {
+                            this.products = this.products.map(item => String(item.id) === String(change.productId) ? created : item);
+                            productsChanged = true;
+                        }
+                    } else if (change.type === 'update') {
+                        await this.apiService.updateProduct(productId, change.data);
+                    } else {
+                        await this.apiService.deleteProduct(productId);
+                    }
+                    synced++;
+                } catch (error) {
+                    if (APIService.isNetworkError(error)) {
+                        this.apiService.clearError();
+                        break; // Still offline; keep this and later changes
+                    }
+                    if (error.status === 401) {
+                        break; // Signed out; sent again after the next login
+                    }
+                    // Error shown by APIService.handleError; the change cannot be applied
+                    console.error(`✗ Queued ${change.type} rejected, dropping it:`, error);
+                    if (change.type === 'create' && this.products.some(item => String(item.id) === String(change.productId))) {
+                        this.products = this.products.filter(item => String(item.id) !== String(change.productId));
+                        productsChanged = true;
+                    }
+                }
+
+                await this.productCache.dequeue(change.id);
+            }
+        } finally {
+            this.isSyncing = false;
+        }
+
+        // Replace the offline rows on screen (e.g. after signing in, when no reload follows)
+        if (productsChanged) {
+            this.applyFilters();
+            this.cacheCatalog();
+        }
+
+        const pending = (await this.productCache.getQueue(baseURL)).length;
+        this.dataStatus.update({ pending });
+        console.log(`✓ Offline changes synced: ${synced}, still pending: ${pending}`);
+    }
+
+    /**
+     * Open the detail drawer for a product and add it to the URL
+     * @param {Product} product - Product to show
+     */
+    openProductDetail(product) {
+        this.detailProductId = String(product.id);
+        this.productDrawer.open(product);
+        this.recordChange('detail');
+        this.commitViewState();
+    }
+
+    /**
+     * Show the product linked in the URL, loading it when it is not in the
+     * loaded products (remote mode, other page)
+     * @param {string|null} productId - Product id, or null to close the drawer
+     */
+    async showProductDetail(productId) {
+        this.detailProductId = productId;
+
+        if (!productId) {
+            this.productDrawer.close(false);
+            return;
+        }
+
+        let product = this.products.find(item => String(item.id) === String(productId));
+        if (!product) {
+            try {
+                product = await this.apiService.getProduct(productId);
+            } catch (error) {
+                // Error shown by APIService.handleError; drop the broken link from the URL
+                console.error('✗ Failed to load linked product:', error);
+                this.detailProductId = null;
+                this.commitViewState();
+                return;
+            }
+        }
+
+        // The user may have navigated elsewhere while the product was loading
+        if (this.detailProductId === productId) {
+            this.productDrawer.open(product);
+        }
+    }
+
+    /**
+     * Show the change history of the product in the drawer (admins only, the audit
+     * log is private). Backends without an audit log get a message instead.
+     * @param {Product} product - Product shown in the drawer
+     */
+    async loadProductHistory(product) {
+        if (!this.authSession.isAdmin()) {
+            this.historyProductId = null;
+            this.productHistory.hide();
+            return;
+        }
+
+        // Another product: don't show the previous product's history while loading
+        const productId = String(product.id);
+        if (this.historyProductId !== productId) {
+            this.historyProductId = productId;
+            this.productHistory.showLoading();
+        }
+
+        try {
+            const { entries } = await this.apiService.getAuditLog({ productId }, { cancelKey: 'product-history' });
+            if (this.historyProductId === productId) {
+                this.productHistory.setEntries(entries, true);
+            }
+        } catch (error) {
+            if (APIService.isCancellation(error) || this.historyProductId !== productId) {
+                return;
+            }
+            // Error already displayed by APIService.handleError, except for a missing audit log
+            this.productHistory.showMessage(error.status === 404 ? 'history.unavailable' : 'history.loadFailed');
+        }
+    }
+
+    /**
+     * Restore a product to the version saved with one of its audit log entries,
+     * after confirmation. The revert is saved like any other edit, so it is audited too.
+     * @param {Object} entry - Audit log entry of the version to go back to
+     * @param {boolean} [previous] - Go back to the version before the entry's update instead
+     */
+    async revertProduct(entry, previous = false) {
+        const version = previous ? entry.previous : entry.version;
+        const versionTime = previous ? version.updatedAt || entry.at : entry.at;
+        const time = i18n.formatDateTime(versionTime);
+        if (!this.window.confirm(i18n.t('history.confirmRevert', { title: version.title, time }))) {
+            return;
+        }
+
+        const data = {
+            title: version.title,
+            price: version.price,
+            description: version.description,
+            categoryId: version.category ? version.category.id : undefined,
+            images: version.images
+        };
+
+        try {
+            const updated = await this.sendOrQueue(
+                { type: 'update', productId: entry.productId, data },
+                () => this.apiService.updateProduct(entry.productId, data)
+            );
+            this.apiService.clearError();
+            this.replaceDisplayedProduct(entry.productId, updated);
+            this.refreshFacetOptions();
+            this.cacheCatalog();
+            console.log(`✓ Product reverted to the version of ${versionTime}: ${updated.title}`);
+        } catch (error) {
+            // Error already displayed by APIService.handleError
+            console.error('✗ Failed to revert product:', error);
+        }
+    }
+
+    /**
+     * Open the activity feed with the users found in the audit log
+     */
+    async openActivityFeed() {
+        let users = [];
+        try {
+            users = await this.apiService.getAuditUsers();
+        } catch (error) {
+            // The feed shows why it has no entries; other errors are in the banner
+            console.warn('Audit log users could not be loaded:', error.message);
+        }
+        this.activityFeed.open(users);
+    }
+
+    /**
+     * Open the product form, loading categories on first use
+     * @param {Product|null} product - Product to edit, or null to create one
+     */
+    async openProductForm(product = null) {
+        this.productFormModal.setCategories(await this.loadCategories());
+        this.productFormModal.open(product);
+    }
+
+    /**
+     * Load categories once, falling back to the categories of the loaded products
+     * @returns {Promise<Category[]>} Categories
+     */
+    async loadCategories() {
+        if (this.categories.length === 0) {
+            try {
+                this.categories = await this.apiService.getCategories();
+            } catch (error) {
+                const categoriesById = new Map();
+                this.products.forEach(item => {
+                    if (item.category) {
+                        categoriesById.set(String(item.category.id), item.category);
+                    }
+                });
+                this.categories = [...categoriesById.values()];
+            }
+        }
+
+        return this.categories;
+    }
+
+    /**
+     * Create or update a product and refresh the table without reloading
+     * @param {ProductInput} data - Validated form data
+     * @param {Product|null} product - Product being edited, or null to create
+     * @throws {Error} When the API call fails (the form stays open)
+     */
+    async saveProduct(data, product) {
+        if (product) {
+            const updated = await this.sendOrQueue(
+                { type: 'update', productId: product.id, data },
+                () => this.apiService.updateProduct(product.id, data)
+            );
+            this.products = this.products.map(item => {
+                return String(item.id) === String(product.id) ? { ...item, ...updated } : item;
+            });
+            console.log(`✓ Product updated: ${updated.title}`);
+        } else {
+            const created = await this.sendOrQueue(
+                { type: 'create', productId: `offline-${Date.now()}`, data },
+                () => this.apiService.createProduct(data)
+            );
+            // Show new products first; live updates may have added it already
+            this.products = [created, ...this.products.filter(item => String(item.id) !== String(created.id))];
+            console.log(`✓ Product created: ${created.title}`);
+        }
+
+        this.apiService.clearError();
+        this.refreshFacetOptions();
+        this.applyFilters();
+        this.cacheCatalog();
+    }
+
+    /**
+     * Save an inline cell edit. The table shows the new value immediately and goes
+     * back to the previous value when the API rejects the change.
+     * @param {Product} product - Product shown in the edited row
+     * @param {string} field - 'title' | 'price' | 'category'
+     * @param {string|number} value - New title, price or category id
+     */
+    async saveCellEdit(product, field, value) {
+        const data = field === 'category' ? { categoryId: value } : { [field]: value };
+        const previousValue = product[field];
+
+        let change = data;
+        if (field === 'category') {
+            const categories = await this.loadCategories();
+            change = { category: categories.find(category => String(category.id) === String(value)) || product.category };
+        }
+        // Rows keep their position until the next search, filter or sort
+        this.replaceDisplayedProduct(product.id, change);
+
+        try {
+            const updated = await this.sendOrQueue(
+                { type: 'update', productId: product.id, data },
+                () => this.apiService.updateProduct(product.id, data)
+            );
+            this.apiService.clearError();
+            this.replaceDisplayedProduct(product.id, updated);
+            this.refreshFacetOptions();
+            this.cacheCatalog();
+            console.log(`✓ Product ${product.id} ${field} updated inline`);
+        } catch (error) {
+            // Error shown by APIService.handleError; only this field is rolled back
+            console.error(`✗ Failed to update ${field}, rolling back:`, error);
+            this.replaceDisplayedProduct(product.id, { [field]: previousValue });
+        }
+    }
+
+    /**
+     * Select or unselect products
+     * @param {Product[]} products - Products to change
+     * @param {boolean} selected - true to select, false to unselect
+     */
+    async setSelected(products, selected) {
+        const wasEmpty = this.selection.size === 0;
+        products.forEach(product => {
+            if (selected) {
+                this.selection.set(String(product.id), product);
+            } else {
+                this.selection.delete(String(product.id));
+            }
+        });
+        this.updateSelectionDisplay();
+
+        // The bar's category picker is filled when it first appears
+        if (wasEmpty && this.selection.size > 0) {
+            this.bulkActionBar.setCategories(await this.loadCategories());
+        }
+    }
+
+    /**
+     * Update the row checkboxes, the bulk action bar and the export count after a
+     * selection or result change
+     */
+    updateSelectionDisplay() {
+        const isSelected = product => this.selection.has(String(product.id));
+        let resultCount = this.filteredProducts.length;
+        let allResultsSelected = resultCount > 0 && this.filteredProducts.every(isSelected);
+
+        // Remote mode only has the loaded products; the total comes from the backend
+        if (this.isRemoteMode()) {
+            resultCount = this.store.getState().total;
+            allResultsSelected = allResultsSelected && this.selection.size >= resultCount;
+        }
+
+        this.tableRenderer.refreshSelection();
+        this.bulkActionBar.update(this.selection.size, resultCount, allResultsSelected);
+        this.exportController.updateSelectedCount(this.selection.size);
+    }
+
+    /**
+     * Get the selected products, preferring the loaded (most recent) version of each
+     * @returns {Product[]} Selected products in selection order
+     */
+    getSelectedProducts() {
+        const loaded = new Map(this.products.map(product => [String(product.id), product]));
+        return [...this.selection.keys()].map(id => loaded.get(id) || this.selection.get(id));
+    }
+
+    /**
+     * Select every product matching the search and filters (fetched page by page in remote mode)
+     */
+    async selectAllResults() {
+        if (!this.isRemoteMode()) {
+            this.setSelected(this.filteredProducts, true);
+            return;
+        }
+
+        this.bulkActionBar.setBusy(true);
+        this.bulkActionBar.setStatus(i18n.t('bulk.loadingResults'));
+        try {
+            this.setSelected(await this.getExportProducts('filtered'), true);
+            this.bulkActionBar.setStatus('');
+        } catch (error) {
+            // Error already displayed by APIService.handleError
+            console.error('✗ Failed to select all results:', error);
+            this.bulkActionBar.setStatus('');
+        } finally {
+            this.bulkActionBar.setBusy(false);
+        }
+    }
+
+    /**
+     * Run an API action for many items, a few requests at a time, showing progress in the bulk bar
+     * @param {string} label - Action name for the progress and result messages
+     * @param {Object[]} items - Items to process
+     * @param {Function} action - Called with each item, returns a Promise
+     * @param {number} [skipped] - Items left out beforehand, mentioned in the result
+     * @returns {Promise<{item: Object, result: *}[]>} Items whose action succeeded
+     */
+    async runBulkAction(label, items, action, skipped = 0) {
+        const succeeded = [];
+        let failed = 0;
+
+        this.bulkActionBar.setBusy(true);
+        for (let start = 0; start < items.length; start += this.bulkBatchSize) {
+            const batch = items.slice(start, start + this.bulkBatchSize);
+            const results = await Promise.allSettled(batch.map(action));
+
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    succeeded.push({ item: batch[index], result: result.value });
+                } else {
+                    failed++;
+                }
+            });
+            this.bulkActionBar.setStatus(`${label}: ${start + batch.length}/${items.length}...`);
+        }
+        this.bulkActionBar.setBusy(false);
+
+        const parts = [i18n.t('bulk.succeeded', { count: succeeded.length })];
+        if (failed > 0) {
+            parts.push(i18n.t('bulk.failed', { count: failed }));
+        }
+        if (skipped > 0) {
+            parts.push(i18n.t('bulk.skipped', { count: skipped }));
+        }
+        this.bulkActionBar.setStatus(`${label}: ${parts.join(', ')}.`);
+        console.log(`✓ Bulk ${label}: ${succeeded.length} succeeded, ${failed} failed, ${skipped} skipped`);
+
+        return succeeded;
+    }
+
+    /**
+     * Delete the selected products after confirmation
+     */
+    async bulkDelete() {
+        const products = this.getSelectedProducts();
+        if (products.length === 0 || !this.window.confirm(i18n.t('bulk.confirmDelete', { count: products.length }))) {
+            return;
+        }
+
+        const deleted = await this.runBulkAction(i18n.t('bulk.delete'), products, (product) => this.sendOrQueue(
+            { type: 'delete', productId: product.id },
+            () => this.apiService.deleteProduct(product.id)
+        ));
+
+        const deletedIds = new Set(deleted.map(({ item }) => String(item.id)));
+        deletedIds.forEach(id => this.selection.delete(id));
+        this.products = this.products.filter(item => !deletedIds.has(String(item.id)));
+        this.afterBulkChange(deleted.length === products.length);
+    }
+
+    /**
+     * Update the selected products
+     * @param {string} label - Action name shown in the bulk bar
+     * @param {Function} buildData - Called with each product, returns the fields to
+     *                               update or null to skip the product
+     */
+    async bulkUpdate(label, buildData) {
+        const selected = this.getSelectedProducts();
+        const updates = selected
+            .map(product => ({ product, data: buildData(product) }))
+            .filter(({ data }) => data !== null);
+
+        const saved = await this.runBulkAction(label, updates, ({ product, data }) => this.sendOrQueue(
+            { type: 'update', productId: product.id, data },
+            () => this.apiService.updateProduct(product.id, data)
+        ), selected.length - updates.length);
+
+        const savedById = new Map(saved.map(({ item, result }) => [String(item.product.id), result]));
+        savedById.forEach((updated, id) => {
+            this.selection.set(id, { ...this.selection.get(id), ...updated });
+        });
+        this.products = this.products.map(item => {
+            const updated = savedById.get(String(item.id));
+            return updated ? { ...item, ...updated } : item;
+        });
+        this.afterBulkChange(saved.length === updates.length);
+    }
+
+    /**
+     * Refresh the table, facets and cache after a bulk action
+     * @param {boolean} allSucceeded - false keeps the last API error on screen
+     */
+    afterBulkChange(allSucceeded) {
+        if (allSucceeded) {
+            this.apiService.clearError();
+        }
+        this.refreshFacetOptions();
+        this.applyFilters();
+        this.cacheCatalog();
+    }
+
+    /**
+     * Merge changes into a displayed product and re-render only its row
+     * @param {number|string} productId - Product id
+     * @param {Object} changes - Fields to overwrite
+     */
+    replaceDisplayedProduct(productId, changes) {
+        const replace = (items) => items.map(item => {
+            return String(item.id) === String(productId) ? { ...item, ...changes } : item;
+        });
+
+        this.store.setState({
+            products: replace(this.products),
+            filteredProducts: replace(this.filteredProducts),
+            pageProducts: replace(this.currentPageProducts)
+        });
+
+        this.renderProducts();
+
+        // The drawer may show a product that is not loaded (remote mode, linked product)
+        const openProduct = this.productDrawer.isOpen() ? this.productDrawer.getProduct() : null;
+        if (openProduct && String(openProduct.id) === String(productId)) {
+            this.productDrawer.open(this.products.find(item => String(item.id) === String(productId)) || { ...openProduct, ...changes });
+        }
+    }
+
+    /**
+     * Add products created by the import wizard to the table
+     * @param {Product[]} createdProducts - Products returned by the API
+     */
+    addImportedProducts(createdProducts) {
+        // Per-row errors are listed in the wizard report instead of the banner
+        this.apiService.clearError();
+
+        if (createdProducts.length === 0) {
+            return;
+        }
+
+        // Live updates may have added some of them already
+        const createdIds = new Set(createdProducts.map(product => String(product.id)));
+        this.products = [...createdProducts, ...this.products.filter(item => !createdIds.has(String(item.id)))];
+        this.refreshFacetOptions();
+        this.applyFilters();
+        this.cacheCatalog();
+    }
+
+    /**
+     * Open the category manager with fresh categories and their product counts
+     */
+    async openCategoryManager() {
+        // Reload the list, it may have changed since it was cached
+        this.categories = [];
+        const categories = await this.loadCategories();
+
+        try {
+            this.categoryManager.open(categories, await this.countCategoryProducts(categories));
+        } catch (error) {
+            // Error already displayed by APIService.handleError
+            console.error('✗ Failed to count category products:', error);
+        }
+    }
+
+    /**
+     * Count the products in each category: from the loaded catalog in local mode,
+     * with one `/categories/:id/products` request per category in remote mode
+     * @param {Category[]} categories - Categories to count
+     * @returns {Promise<Map<string, number>>} Product count per category id
+     */
+    async countCategoryProducts(categories) {
+        const counts = new Map(categories.map(category => [String(category.id), 0]));
+
+        if (this.isRemoteMode()) {
+            await Promise.all(categories.map(async (category) => {
+                const products = await this.apiService.getCategoryProducts(category.id);
+                counts.set(String(category.id), products.length);
+            }));
+        } else {
+            this.products.forEach(product => {
+                if (product.category) {
+                    const id = String(product.category.id);
+                    counts.set(id, (counts.get(id) || 0) + 1);
+                }
+            });
+        }
+
+        return counts;
+    }
+
+    /**
+     * Create or rename a category from the category manager form
+     * @param {CategoryInput} data - Validated form data
+     * @param {Category|null} editingCategory - Category being renamed, or null to create one
+     * @throws {Error} When the API call fails (shown in the category manager)
+     */
+    async saveCategory(data, editingCategory) {
+        const saved = editingCategory
+            ? await this.apiService.updateCategory(editingCategory.id, data)
+            : await this.apiService.createCategory(data);
+        console.log(`✓ Category ${editingCategory ? 'updated' : 'created'}: ${saved.name}`);
+
+        const isSaved = (category) => String(category.id) === String(saved.id);
+        this.categories = this.categories.some(isSaved)
+            ? this.categories.map(category => (isSaved(category) ? saved : category))
+            : [...this.categories, saved];
+
+        // Products embed a copy of their category; show the new name without reloading them
+        if (editingCategory) {
+            this.products = this.products.map(product => {
+                return product.category && isSaved(product.category)
+                    ? { ...product, category: { ...product.category, ...saved } }
+                    : product;
+            });
+        }
+
+        await this.afterCategoryChange(true);
+    }
+
+    /**
+     * Delete a category from the category manager. Its products are first moved to
+     * another category; the category is kept when any of them could not be moved.
+     * @param {Category} category - Category to delete
+     * @param {string|null} targetId - Category the products move to (null when it has none)
+     * @throws {Error} When moving the products or deleting the category fails
+     */
+    async removeCategory(category, targetId) {
+        if (targetId !== null) {
+            const products = this.isRemoteMode()
+                ? await this.apiService.getCategoryProducts(category.id)
+                : this.products.filter(product => product.category && String(product.category.id) === String(category.id));
+            // Platzi expects a numeric categoryId, json-server ids are strings
+            const data = { categoryId: /^\d+$/.test(targetId) ? Number(targetId) : targetId };
+
+            const movedById = new Map();
+            let failed = 0;
+            for (let start = 0; start < products.length; start += this.bulkBatchSize) {
+                const batch = products.slice(start, start + this.bulkBatchSize);
+                const results = await Promise.allSettled(batch.map(product => this.apiService.updateProduct(product.id, data)));
+                results.forEach((result, index) => {
+                    if (result.status === 'fulfilled') {
+                        movedById.set(String(batch[index].id), result.value);
+                    } else {
+                        failed++;
+                    }
+                });
+            }
+
+            movedById.forEach((updated, id) => {
+                if (this.selection.has(id)) {
+                    this.selection.set(id, { ...this.selection.get(id), ...updated });
+                }
+            });
+            this.products = this.products.map(item => {
+                const updated = movedById.get(String(item.id));
+                return updated ? { ...item, ...updated } : item;
+            });
+            console.log(`✓ Moved ${movedById.size} products from category ${category.name}, ${failed} failed`);
+
+            if (failed > 0) {
+                await this.afterCategoryChange(false);
+                throw new Error(i18n.t('category.reassignFailed', { count: failed }));
+            }
+        }
+
+        await this.apiService.deleteCategory(category.id);
+        console.log(`✓ Category deleted: ${category.name}`);
+        this.categories = this.categories.filter(item => String(item.id) !== String(category.id));
+        await this.afterCategoryChange(true);
+    }
+
+    /**
+     * Show a category change in the pickers, filters, table and category manager
+     * @param {boolean} allSucceeded - false when part of the change failed (keeps the error banner)
+     */
+    async afterCategoryChange(allSucceeded) {
+        this.productFormModal.setCategories(this.categories);
+        this.bulkActionBar.setCategories(this.categories);
+        if (this.isRemoteMode()) {
+            this.facetFilter.setCategories(this.categories);
+        }
+        this.afterBulkChange(allSucceeded);
+
+        try {
+            this.categoryManager.setCategories(this.categories, await this.countCategoryProducts(this.categories));
+        } catch (error) {
+            console.error('✗ Failed to count category products:', error);
+        }
+    }
+
+    /**
+     * Delete a product after confirmation
+     * @param {Product} product - Product to delete
+     */
+    async deleteProduct(product) {
+        if (!this.window.confirm(i18n.t('product.confirmDelete', { title: product.title }))) {
+            return;
+        }
+
+        try {
+            await this.sendOrQueue(
+                { type: 'delete', productId: product.id },
+                () => this.apiService.deleteProduct(product.id)
+            );
+            this.products = this.products.filter(item => String(item.id) !== String(product.id));
+            this.selection.delete(String(product.id));
+            this.apiService.clearError();
+            this.refreshFacetOptions();
+            this.applyFilters();
+            this.cacheCatalog();
+            console.log(`✓ Product deleted: ${product.title}`);
+        } catch (error) {
+            // Error already displayed by APIService.handleError
+            console.error('✗ Failed to delete product:', error);
+        }
+    }
+
+    /**
+     * Rebuild facet options after the catalog changed (local mode only,
+     * remote mode keeps the /categories list)
+     */
+    refreshFacetOptions() {
+        if (!this.isRemoteMode()) {
+            this.facetFilter.setProducts(this.products);
+        }
+    }
+
+    /**
+     * Translate the search query and facet filters into backend query parameters.
+     * Free words are sent as the `title` search, while price conditions and category:
+     * terms narrow the facet filters. Description terms, typo tolerance and relevance
+     * ranking are only available in local mode.
+     * @returns {Promise<Object|null>} { title, sort, filters }, or null when nothing can match
+     */
+    async getRemoteQuery() {
+        const query = this.searchFilter.getQuery();
+        const filters = { ...this.facetFilter.getFilters() };
+        const { price } = query;
+
+        // The backend only has inclusive bounds; prices are in cents
+        if (price.min !== null) {
+            const min = price.minExclusive ? price.min + 0.01 : price.min;
+            filters.priceMin = filters.priceMin === null ? min : Math.max(filters.priceMin, min);
+        }
+        if (price.max !== null) {
+            const max = price.maxExclusive ? price.max - 0.01 : price.max;
+            filters.priceMax = filters.priceMax === null ? max : Math.min(filters.priceMax, max);
+        }
+        if (filters.priceMin !== null && filters.priceMax !== null && filters.priceMin > filters.priceMax) {
+            return null;
+        }
+
+        const categoryTerms = query.terms.filter(term => term.field === 'category');
+        if (categoryTerms.length > 0) {
+            const categories = await this.loadCategories();
+            let categoryIds = categories
+                .filter(category => this.searchFilter.matchesText(category.name, categoryTerms))
+                .map(category => String(category.id));
+
+            if (filters.categories.length > 0) {
+                categoryIds = categoryIds.filter(id => filters.categories.includes(id));
+            }
+            if (categoryIds.length === 0) {
+                return null;
+            }
+            filters.categories = categoryIds;
+        }
+
+        const title = query.terms
+            .filter(term => !term.field || term.field === 'title')
+            .map(term => term.text)
+            .join(' ');
+
+        return { title, sort: this.sortController.getSortKeys(), filters };
+    }
+
+    /**
+     * Fetch products from the backend, running the plugins' fetch hooks around it (remote mode)
+     * @param {Object} query - Page query passed to APIService.getProductsPage
+     * @param {Object} [options] - Request options passed to APIService.getProductsPage
+     * @returns {Promise<{products: Product[], total: number}>} Products and the number of matches
+     * @throws {Error} When the API call fails
+     */
+    async fetchProductsPage(query, options = {}) {
+        const context = this.getHookContext({ query });
+        this.plugins.runHook('beforeFetch', context);
+        const { products, total } = await this.apiService.getProductsPage(query, options);
+        return { products: this.plugins.runHook('afterFetch', products, context), total };
+    }
+
+    /**
+     * Fetch the current page from the backend with search and sort as query
+     * parameters, then render it. Used instead of the in-memory pipeline in remote mode.
+     * @throws {Error} When the API call fails
+     */
+    async loadRemotePage() {
+        const requestId = ++this.remoteRequestId;
+        const { currentPage, pageSize, showAll } = this.paginationController.getPaginationState();
+        const query = await this.getRemoteQuery();
+        // "Show all" starts with the first batch; the rest is loaded while scrolling
+        const { products, total } = query
+            ? await this.fetchProductsPage({
+                ...query,
+                offset: showAll ? 0 : (currentPage - 1) * pageSize,
+                limit: showAll ? this.remoteBatchSize : pageSize
+            }, { cancelKey: 'products-page' }) // Abort the request for a superseded page
+            : { products: [], total: 0 };
+
+        // A newer search/sort/page request has been started meanwhile
+        if (requestId !== this.remoteRequestId) {
+            return;
+        }
+
+        this.paginationController.setTotalItems(total);
+
+        // The requested page no longer exists (e.g. the search narrowed the results)
+        if (this.paginationController.currentPage !== currentPage) {
+            await this.loadRemotePage();
+            return;
+        }
+
+        this.apiService.clearError();
+        // Only the loaded products are known in remote mode
+        this.store.setState({ products, filteredProducts: products, pageProducts: products, total });
+
+        this.tableRenderer.setVirtualMode(showAll);
+        this.renderProducts();
+        this.paginationController.renderControls();
+        this.updateSelectionDisplay();
+        this.commitViewState();
+
+        console.log(`✓ Remote page loaded: ${products.length} products on page ${currentPage}/${this.paginationController.totalPages} (${total} total)`);
+    }
+
+    /**
+     * Append the next batch of matches to the list (remote "show all" mode infinite scroll)
+     */
+    async loadMoreRemoteProducts() {
+        if (this.isLoadingMore || this.products.length >= this.store.getState().total) {
+            return;
+        }
+
+        const requestId = this.remoteRequestId;
+        this.isLoadingMore = true;
+        try {
+            const query = await this.getRemoteQuery();
+            const { products, total } = await this.fetchProductsPage({
+                ...query,
+                offset: this.products.length,
+                limit: this.remoteBatchSize
+            }, { cancelKey: 'products-more' });
+            this.isLoadingMore = false;
+
+            // The list was reloaded (new search, sort, ...) meanwhile
+            if (requestId !== this.remoteRequestId) {
+                return;
+            }
+
+            const loaded = [...this.products, ...products];
+            this.store.setState({ products: loaded, filteredProducts: loaded, pageProducts: loaded, total });
+
+            this.renderProducts();
+            this.updateSelectionDisplay();
+
+            console.log(`✓ Loaded ${products.length} more products (${this.products.length}/${total})`);
+        } catch (error) {
+            // Error already displayed by APIService.handleError
+            if (!APIService.isCancellation(error)) {
+                console.error('✗ Failed to load more products:', error);
+            }
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    /**
+     * Get the products to export
+     * @param {string} scope - 'filtered' (every match) | 'page' (visible page) | 'selected' (checked rows)
+     * @returns {Promise<Product[]>} Products in display order (selection order for 'selected')
+     */
+    async getExportProducts(scope) {
+        if (scope === 'page') {
+            return this.currentPageProducts;
+        }
+
+        if (scope === 'selected') {
+            return this.getSelectedProducts();
+        }
+
+        if (!this.isRemoteMode()) {
+            return this.filteredProducts;
+        }
+
+        // Remote mode only holds the current page, so fetch every match page by page
+        const batchSize = 100;
+        const allProducts = [];
+        const query = await this.getRemoteQuery();
+        if (!query) {
+            return allProducts;
+        }
+
+        while (true) {
+            const { products, total } = await this.fetchProductsPage({
+                ...query,
+                offset: allProducts.length,
+                limit: batchSize
+            });
+            allProducts.push(...products);
+
+            if (products.length < batchSize || allProducts.length >= total) {
+                return allProducts;
+            }
+        }
+    }
+
+    /**
+     * Apply all filters and update display
+     */
+    applyFilters() {
+        if (this.isRemoteMode()) {
+            this.loadRemotePage().catch((error) => {
+                // Error already displayed by APIService.handleError; cancelled requests were superseded
+                if (!APIService.isCancellation(error)) {
+                    console.error('✗ Failed to load products page:', error);
+                }
+            });
+            return;
+        }
+
+        // Start with all products (plugins may add or leave out some)
+        const context = this.getHookContext();
+        let filtered = this.plugins.runHook('beforeFilter', [...this.products], context);
+        
+        // Apply search filter
+        const searchTerm = this.searchFilter.getSearchTerm();
+        if (searchTerm) {
+            filtered = this.searchFilter.filter(filtered, searchTerm);
+            console.log(`✓ Search filter applied: "${searchTerm}" - ${filtered.length} results`);
+        }
+        
+        // Apply facet filters (counts are based on the search results)
+        this.facetFilter.renderCounts(filtered);
+        if (this.facetFilter.hasActiveFilters()) {
+            filtered = this.facetFilter.filter(filtered);
+            console.log(`✓ Facet filters applied - ${filtered.length} results`);
+        }
+        
+        // Apply sorting
+        filtered = this.sortController.applySorting(filtered);
+        const sortDescription = this.sortController.describeSort();
+        if (sortDescription) {
+            console.log(`✓ Sort applied: ${sortDescription} - ${filtered.length} products sorted`);
+        }
+        
+        filtered = this.plugins.runHook('afterFilter', filtered, context);
+        
+        // Update display
+        this.updateDisplay(filtered);
+    }
+
+    /**
+     * Render the displayed products, running the plugins' render hooks around it
+     */
+    renderProducts() {
+        const context = this.getHookContext();
+        this.plugins.runHook('beforeRender', this.currentPageProducts, context);
+        this.tableRenderer.renderTable(this.currentPageProducts);
+        this.plugins.runHook('afterRender', this.currentPageProducts, context);
+    }
+
+    /**
+     * Update the table display with the filtered products
+     * @param {Product[]} [filteredProducts] - New matches (the current ones when only the page changed)
+     */
+    updateDisplay(filteredProducts = this.filteredProducts) {
+        // Get paged data from filtered products
+        const pageProducts = this.paginationController.getPagedData(filteredProducts);
+        
+        // Store the results; the statistics and export counts follow the store
+        this.store.setState({ filteredProducts, pageProducts, total: filteredProducts.length });
+        
+        // Render the table with paged products ("show all" scrolls virtually through every product)
+        this.tableRenderer.setVirtualMode(this.paginationController.showAll);
+        this.renderProducts();
+        
+        // Update pagination controls
+        this.paginationController.renderControls();
+        
+        // Selection checkboxes and the bulk action bar
+        this.updateSelectionDisplay();
+        
+        // Keep the store and the URL in sync with what is displayed
+        this.commitViewState();
+        
+        // Log current state
+        const searchTerm = this.searchFilter.getSearchTerm();
+        const paginationState = this.paginationController.getPaginationState();
+        const sortDescription = this.sortController.describeSort();
+        
+        let logMessage = `✓ Display updated: showing ${this.currentPageProducts.length} products on page ${paginationState.currentPage}/${paginationState.totalPages}`;
+        
+        if (searchTerm) {
+            logMessage += ` for search "${searchTerm}"`;
+        }
+        
+        if (sortDescription) {
+            logMessage += ` sorted by ${sortDescription}`;
+        }
+        
+        logMessage += ` (${paginationState.totalItems} total)`;
+        
+        console.log(logMessage);
+    }
+}
@@ -0,0 +1,70 @@
+import { i18n } from './i18n.js';
+
+/**
+ * Data Status Indicator showing when the displayed data was loaded,
+ * background refreshes, offline state, pending offline changes and live updates
+ */
+export class DataStatusIndicator {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.element = this.document.getElementById('data-status');
+        this.state = {
+            savedAt: null, // ISO time of the last successful load
+            revalidating: false,
+            offline: false,
+            pending: 0, // Queued offline changes
+            live: false // Changes by other users are applied as they happen
+        };
+    }
+
+    /**
+     * Merge new state and re-render
+     * @param {Object} changes - Partial state
+     */
+    update(changes) {
+        this.state = { ...this.state, ...changes };
+        this.render();
+    }
+
+    /**
+     * Render the status line
+     */
+    render() {
+        if (!this.element) {
+            return;
+        }
+
+        const { savedAt, revalidating, offline, pending, live } = this.state;
+        const parts = [];
+
+        if (offline) {
+            parts.push(i18n.t('status.offline'));
+        }
+        if (savedAt) {
+            const time = i18n.formatDateTime(savedAt, {
+                hour: '2-digit',
+                minute: '2-digit',
+                day: '2-digit',
+                month: '2-digit',
+                year: 'numeric'
+            });
+            parts.push(i18n.t('status.savedAt', { time }));
+        }
+        if (revalidating) {
+            parts.push(i18n.t('status.revalidating'));
+        }
+        if (pending > 0) {
+            parts.push(i18n.t('status.pending', { count: pending }));
+        }
+        if (live && !offline) {
+            parts.push(i18n.t('status.live'));
+        }
+
+        this.element.textContent = parts.join(' · ');
+        this.element.classList.toggle('offline', offline);
+        this.element.style.display = parts.length > 0 ? 'block' : 'none';
+    }
+}
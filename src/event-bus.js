@@ -0,0 +1,51 @@
+/**
+ * Event Bus with any number of listeners per event. Components use it for change
+ * notifications, so a second listener no longer replaces the first.
+ */
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // event name -> Set of listeners
+    }
+
+    /**
+     * Add a listener
+     * @param {string} event - Event name, e.g. 'change'
+     * @param {Function} listener - Function called with the event arguments
+     * @returns {Function} Function that removes the listener again
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Remove a listener
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Call every listener of an event, in the order they were added
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments passed to the listeners
+     */
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return;
+        }
+
+        // Listeners added or removed while emitting take effect on the next emit
+        [...listeners].forEach(listener => listener(...args));
+    }
+}
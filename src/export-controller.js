@@ -0,0 +1,325 @@
+import { i18n } from './i18n.js';
+import { XLSXWriter } from './xlsx-writer.js';
+
+/**
+ * Export Controller for downloading products as CSV, JSON or Excel
+ */
+export class ExportController {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.window = doc.defaultView;
+        this.columns = [
+            { key: 'id', value: product => product.id, selected: true },
+            { key: 'title', value: product => product.title, selected: true },
+            { key: 'price', value: product => product.price, selected: true },
+            { key: 'description', value: product => product.description, selected: true },
+            { key: 'category', value: product => product.category?.name ?? null, selected: true },
+            { key: 'images', value: product => product.images || [], selected: false },
+            { key: 'slug', value: product => product.slug ?? null, selected: false },
+            { key: 'creationAt', value: product => product.creationAt ?? null, selected: false },
+            { key: 'updatedAt', value: product => product.updatedAt ?? null, selected: false }
+        ];
+        
+        this.exportButton = this.document.getElementById('export-btn');
+        this.exportMenu = this.document.getElementById('export-menu');
+        this.columnsContainer = this.document.getElementById('export-columns');
+        this.filteredCountElement = this.document.getElementById('export-filtered-count');
+        this.pageCountElement = this.document.getElementById('export-page-count');
+        this.selectedCountElement = this.document.getElementById('export-selected-count');
+        this.selectedScopeInput = this.document.querySelector('input[name="export-scope"][value="selected"]');
+        
+        this.dataProvider = null;
+        this.xlsxWriter = new XLSXWriter();
+        
+        this.renderColumnOptions();
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the export menu
+     */
+    initializeEventListeners() {
+        if (!this.exportButton || !this.exportMenu) {
+            return;
+        }
+
+        this.exportButton.addEventListener('click', () => {
+            this.toggleMenu();
+        });
+
+        this.exportMenu.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.export(button.dataset.format);
+            });
+        });
+
+        // Close the menu when clicking elsewhere (other buttons may open it with data-opens-export)
+        this.document.addEventListener('click', (event) => {
+            if (this.isMenuOpen() && !event.target.closest('.export-container, [data-opens-export]')) {
+                this.toggleMenu(false);
+            }
+        });
+    }
+
+    /**
+     * Render one checkbox per exportable column
+     */
+    renderColumnOptions() {
+        if (!this.columnsContainer) {
+            return;
+        }
+
+        this.columnsContainer.innerHTML = '';
+
+        this.columns.forEach(column => {
+            const label = this.document.createElement('label');
+            label.className = 'export-option';
+
+            const checkbox = this.document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = column.selected;
+            checkbox.addEventListener('change', () => {
+                column.selected = checkbox.checked;
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(this.document.createTextNode(this.getLabel(column)));
+            this.columnsContainer.appendChild(label);
+        });
+    }
+
+    /**
+     * Add an exportable column after the built-in ones (plugin columns)
+     * @param {Object} column - { key, label, value, selected } where value reads the cell from a product
+     */
+    addColumn(column) {
+        this.columns.push({ selected: false, ...column });
+        this.renderColumnOptions();
+    }
+
+    /**
+     * Get the header text of a column
+     * @param {Object} column - Column definition
+     * @returns {string} Its label, or the `column.<key>` message for built-in columns
+     */
+    getLabel(column) {
+        return column.label !== undefined ? i18n.localize(column.label) : i18n.t(`column.${column.key}`);
+    }
+
+    /**
+     * Show or hide the export menu
+     * @param {boolean} [open] - Force open/closed, toggles when omitted
+     */
+    toggleMenu(open = !this.isMenuOpen()) {
+        this.exportMenu.style.display = open ? 'block' : 'none';
+        this.exportButton.setAttribute('aria-expanded', String(open));
+    }
+
+    /**
+     * Open the export menu with a scope chosen
+     * @param {string} scope - 'filtered' | 'page' | 'selected'
+     */
+    openMenu(scope) {
+        const input = this.exportMenu.querySelector(`input[name="export-scope"][value="${scope}"]`);
+        if (input) {
+            input.checked = true;
+        }
+        this.toggleMenu(true);
+    }
+
+    /**
+     * Check if the export menu is visible
+     * @returns {boolean} True when open
+     */
+    isMenuOpen() {
+        return Boolean(this.exportMenu) && this.exportMenu.style.display !== 'none';
+    }
+
+    /**
+     * Update the product counts shown next to each scope
+     * @param {number} filteredCount - Number of products matching search and filters
+     * @param {number} pageCount - Number of products on the current page
+     */
+    updateCounts(filteredCount, pageCount) {
+        if (this.filteredCountElement) {
+            this.filteredCountElement.textContent = filteredCount;
+        }
+        if (this.pageCountElement) {
+            this.pageCountElement.textContent = pageCount;
+        }
+    }
+
+    /**
+     * Update the number of selected products shown next to the 'selected' scope
+     * @param {number} selectedCount - Number of selected products
+     */
+    updateSelectedCount(selectedCount) {
+        if (this.selectedCountElement) {
+            this.selectedCountElement.textContent = selectedCount;
+        }
+        if (this.selectedScopeInput) {
+            this.selectedScopeInput.disabled = selectedCount === 0;
+            // Nothing left to export in that scope
+            if (selectedCount === 0 && this.selectedScopeInput.checked) {
+                this.exportMenu.querySelector('input[name="export-scope"][value="filtered"]').checked = true;
+            }
+        }
+    }
+
+    /**
+     * Get the selected export scope
+     * @returns {string} 'filtered' (every match) | 'page' (visible page) | 'selected' (checked rows)
+     */
+    getScope() {
+        const checked = this.exportMenu.querySelector('input[name="export-scope"]:checked');
+        return checked ? checked.value : 'filtered';
+    }
+
+    /**
+     * Get the columns chosen by the user
+     * @returns {Object[]} Selected column definitions
+     */
+    getSelectedColumns() {
+        return this.columns.filter(column => column.selected);
+    }
+
+    /**
+     * Export products in the given format and download the file
+     * @param {string} format - 'csv' | 'json' | 'xlsx'
+     */
+    async export(format) {
+        const columns = this.getSelectedColumns();
+        if (columns.length === 0) {
+            this.window.alert(i18n.t('export.noColumns'));
+            return;
+        }
+
+        if (!this.dataProvider) {
+            return;
+        }
+
+        try {
+            const products = await this.dataProvider(this.getScope());
+            const fileName = `products-${new Date().toISOString().slice(0, 10)}`;
+
+            if (format === 'csv') {
+                this.download(this.toCSV(products, columns), `${fileName}.csv`, 'text/csv;charset=utf-8');
+            } else if (format === 'json') {
+                this.download(this.toJSON(products, columns), `${fileName}.json`, 'application/json');
+            } else if (format === 'xlsx') {
+                this.download(this.xlsxWriter.build(this.toRows(products, columns)), `${fileName}.xlsx`);
+            }
+
+            console.log(`✓ Exported ${products.length} products as ${format.toUpperCase()}`);
+            this.toggleMenu(false);
+        } catch (error) {
+            // Load errors are already displayed by APIService.handleError
+            console.error('✗ Export failed:', error);
+        }
+    }
+
+    /**
+     * Convert products to a table of cell values (header row first)
+     * @param {Product[]} products - Products to export
+     * @param {Object[]} columns - Column definitions
+     * @returns {Array<Array<string|number|null>>} Rows
+     */
+    toRows(products, columns) {
+        const header = columns.map(column => this.getLabel(column));
+        const rows = products.map(product => columns.map(column => {
+            const value = column.value(product);
+            // Lists (image URLs) become one value per line inside the cell
+            return Array.isArray(value) ? value.join('\n') : value;
+        }));
+
+        return [header, ...rows];
+    }
+
+    /**
+     * Build RFC 4180 CSV with a UTF-8 BOM so Excel detects the encoding (Vietnamese text)
+     * @param {Product[]} products - Products to export
+     * @param {Object[]} columns - Column definitions
+     * @returns {string} CSV text
+     */
+    toCSV(products, columns) {
+        const lines = this.toRows(products, columns).map(row => {
+            return row.map(value => this.escapeCSVValue(value)).join(',');
+        });
+
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    /**
+     * Quote a CSV value when needed
+     * @param {string|number|null} value - Cell value
+     * @returns {string} CSV field
+     */
+    escapeCSVValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        let text = String(value);
+        
+        // Prevent spreadsheet formula injection from text fields
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        
+        if (/[",\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        
+        return text;
+    }
+
+    /**
+     * Build a JSON array with the selected columns as keys
+     * @param {Product[]} products - Products to export
+     * @param {Object[]} columns - Column definitions
+     * @returns {string} JSON text
+     */
+    toJSON(products, columns) {
+        const data = products.map(product => {
+            const item = {};
+            columns.forEach(column => {
+                item[column.key] = column.value(product);
+            });
+            return item;
+        });
+
+        return JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * Trigger a file download in the browser
+     * @param {string|Blob} content - File content
+     * @param {string} fileName - Download file name
+     * @param {string} [type] - MIME type for string content
+     */
+    download(content, fileName, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = this.document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        this.document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Set the function that supplies the products to export
+     * @param {Function} provider - Async function called with the scope ('filtered' | 'page')
+     */
+    setDataProvider(provider) {
+        this.dataProvider = provider;
+    }
+}
@@ -0,0 +1,395 @@
+import { EventBus } from './event-bus.js';
+import { i18n } from './i18n.js';
+
+/**
+ * Facet Filter for narrowing products by category, price range and date range
+ */
+export class FacetFilter {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.filters = this.getEmptyFilters();
+        this.priceBounds = { min: 0, max: 1000 };
+        this.showCounts = true;
+        
+        this.categoryList = this.document.getElementById('category-facet-list');
+        this.priceMinInput = this.document.getElementById('price-min-range');
+        this.priceMaxInput = this.document.getElementById('price-max-range');
+        this.priceRangeLabel = this.document.getElementById('price-range-label');
+        this.priceCount = this.document.getElementById('price-facet-count');
+        this.dateFieldSelect = this.document.getElementById('date-field-select');
+        this.dateFromInput = this.document.getElementById('date-from-input');
+        this.dateToInput = this.document.getElementById('date-to-input');
+        this.dateCount = this.document.getElementById('date-facet-count');
+        this.clearButton = this.document.getElementById('clear-filters-btn');
+        
+        this.events = new EventBus();
+        
+        // Default slider range until products are loaded (kept as is in remote mode)
+        this.setPriceBounds(this.priceBounds.min, this.priceBounds.max);
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Get a filter state with no facet applied
+     * @returns {Object} Empty filter state
+     */
+    getEmptyFilters() {
+        return {
+            categories: [], // Selected category ids (as strings)
+            priceMin: null, // null = no bound
+            priceMax: null,
+            dateField: 'creationAt', // 'creationAt' | 'updatedAt'
+            dateFrom: '', // 'YYYY-MM-DD' or ''
+            dateTo: ''
+        };
+    }
+
+    /**
+     * Initialize event listeners for facet inputs
+     */
+    initializeEventListeners() {
+        if (this.categoryList) {
+            // Checkboxes are re-rendered, so listen on the list itself
+            this.categoryList.addEventListener('change', () => {
+                this.filters.categories = [...this.categoryList.querySelectorAll('input:checked')]
+                    .map(checkbox => checkbox.value);
+                this.notifyChange();
+            });
+        }
+
+        if (this.priceMinInput && this.priceMaxInput) {
+            this.priceMinInput.addEventListener('input', () => this.handlePriceInput('min'));
+            this.priceMaxInput.addEventListener('input', () => this.handlePriceInput('max'));
+        }
+
+        [this.dateFieldSelect, this.dateFromInput, this.dateToInput].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.filters.dateField = this.dateFieldSelect.value;
+                    this.filters.dateFrom = this.dateFromInput.value;
+                    this.filters.dateTo = this.dateToInput.value;
+                    this.notifyChange();
+                });
+            }
+        });
+
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', () => {
+                this.clearFilters();
+                this.notifyChange();
+            });
+        }
+    }
+
+    /**
+     * Handle a price slider change, keeping min <= max
+     * @param {string} changed - Which slider moved ('min' or 'max')
+     */
+    handlePriceInput(changed) {
+        let min = Number(this.priceMinInput.value);
+        let max = Number(this.priceMaxInput.value);
+
+        if (min > max) {
+            if (changed === 'min') {
+                max = min;
+                this.priceMaxInput.value = max;
+            } else {
+                min = max;
+                this.priceMinInput.value = min;
+            }
+        }
+
+        // Sliders at their ends mean "no bound", so products outside the initial range still match
+        this.filters.priceMin = min <= this.priceBounds.min ? null : min;
+        this.filters.priceMax = max >= this.priceBounds.max ? null : max;
+
+        this.updatePriceLabel();
+        this.notifyChange();
+    }
+
+    /**
+     * Build facet options from the loaded products
+     * @param {Product[]} products - All loaded products
+     */
+    setProducts(products) {
+        const categoriesById = new Map();
+        products.forEach(product => {
+            if (product.category) {
+                categoriesById.set(String(product.category.id), product.category);
+            }
+        });
+        this.setCategories([...categoriesById.values()]);
+
+        const prices = products
+            .map(product => product.price)
+            .filter(price => typeof price === 'number');
+        if (prices.length > 0) {
+            this.setPriceBounds(Math.floor(Math.min(...prices)), Math.ceil(Math.max(...prices)));
+        }
+    }
+
+    /**
+     * Render the category checkbox list, keeping the current selection
+     * @param {Category[]} categories - Categories to offer
+     */
+    setCategories(categories) {
+        if (!this.categoryList) {
+            return;
+        }
+
+        this.categoryList.innerHTML = '';
+
+        [...categories]
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+            .forEach(category => {
+                const id = String(category.id);
+                const label = this.document.createElement('label');
+                label.className = 'facet-option';
+
+                const checkbox = this.document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = id;
+                checkbox.checked = this.filters.categories.includes(id);
+
+                const name = this.document.createElement('span');
+                name.textContent = category.name;
+
+                const count = this.document.createElement('span');
+                count.className = 'facet-count';
+                count.dataset.categoryId = id;
+
+                label.appendChild(checkbox);
+                label.appendChild(name);
+                label.appendChild(count);
+                this.categoryList.appendChild(label);
+            });
+    }
+
+    /**
+     * Set the price slider range
+     * @param {number} min - Lowest price
+     * @param {number} max - Highest price
+     */
+    setPriceBounds(min, max) {
+        this.priceBounds = { min, max };
+
+        if (!this.priceMinInput || !this.priceMaxInput) {
+            return;
+        }
+
+        [this.priceMinInput, this.priceMaxInput].forEach(input => {
+            input.min = min;
+            input.max = max;
+        });
+        this.priceMinInput.value = this.filters.priceMin ?? min;
+        this.priceMaxInput.value = this.filters.priceMax ?? max;
+        this.updatePriceLabel();
+    }
+
+    /**
+     * Update the "min - max" price label next to the price sliders
+     */
+    updatePriceLabel() {
+        if (this.priceRangeLabel) {
+            const min = this.filters.priceMin ?? this.priceBounds.min;
+            const max = this.filters.priceMax ?? this.priceBounds.max;
+            this.priceRangeLabel.textContent = `${i18n.formatPrice(min, { whole: true })} - ${i18n.formatPrice(max, { whole: true })}`;
+        }
+    }
+
+    /**
+     * Check whether a product passes the facets
+     * @param {Product} product - Product to check
+     * @param {Object} filters - Filter state
+     * @param {string} [skipFacet] - Facet to ignore ('categories' | 'price' | 'date'), used for counts
+     * @returns {boolean} True when the product matches
+     */
+    matches(product, filters = this.filters, skipFacet = null) {
+        if (skipFacet !== 'categories' && filters.categories.length > 0) {
+            const categoryId = product.category ? String(product.category.id) : null;
+            if (!filters.categories.includes(categoryId)) {
+                return false;
+            }
+        }
+
+        if (skipFacet !== 'price') {
+            const price = typeof product.price === 'number' ? product.price : null;
+            if (filters.priceMin !== null && (price === null || price < filters.priceMin)) {
+                return false;
+            }
+            if (filters.priceMax !== null && (price === null || price > filters.priceMax)) {
+                return false;
+            }
+        }
+
+        if (skipFacet !== 'date' && (filters.dateFrom || filters.dateTo)) {
+            const time = Date.parse(product[filters.dateField]);
+            if (Number.isNaN(time)) {
+                return false;
+            }
+            // Date inputs are local calendar days, inclusive on both ends
+            if (filters.dateFrom && time < new Date(`${filters.dateFrom}T00:00:00`).getTime()) {
+                return false;
+            }
+            if (filters.dateTo && time > new Date(`${filters.dateTo}T23:59:59.999`).getTime()) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Filter products by the active facets
+     * @param {Product[]} products - Array of products to filter
+     * @param {Object} filters - Filter state
+     * @returns {Product[]} Filtered array of products
+     */
+    filter(products, filters = this.filters) {
+        if (!products || !Array.isArray(products)) {
+            return [];
+        }
+
+        if (!this.hasActiveFilters(filters)) {
+            return products;
+        }
+
+        return products.filter(product => this.matches(product, filters));
+    }
+
+    /**
+     * Update the result counts shown on each facet. Each facet is counted against
+     * the other facets only, so unselected categories still show what they would add.
+     * @param {Product[]} products - Products matching the text search
+     */
+    renderCounts(products) {
+        if (!this.showCounts) {
+            return;
+        }
+
+        if (this.categoryList) {
+            const counts = new Map();
+            products
+                .filter(product => this.matches(product, this.filters, 'categories'))
+                .forEach(product => {
+                    if (product.category) {
+                        const id = String(product.category.id);
+                        counts.set(id, (counts.get(id) || 0) + 1);
+                    }
+                });
+
+            this.categoryList.querySelectorAll('[data-category-id]').forEach(element => {
+                element.textContent = `(${counts.get(element.dataset.categoryId) || 0})`;
+            });
+        }
+
+        this.renderRangeCount(this.priceCount, products, 'price');
+        this.renderRangeCount(this.dateCount, products, 'date');
+    }
+
+    /**
+     * Show "matching / available" for a range facet
+     * @param {HTMLElement} element - Count element
+     * @param {Product[]} products - Products matching the text search
+     * @param {string} facet - 'price' | 'date'
+     */
+    renderRangeCount(element, products, facet) {
+        if (!element) {
+            return;
+        }
+
+        const available = products.filter(product => this.matches(product, this.filters, facet));
+        const matching = available.filter(product => this.matches(product));
+        element.textContent = i18n.t('facet.count', { matching: matching.length, available: available.length });
+    }
+
+    /**
+     * Hide facet counts (remote mode only has the current page in memory)
+     */
+    disableCounts() {
+        this.showCounts = false;
+        [this.priceCount, this.dateCount].forEach(element => {
+            if (element) {
+                element.textContent = '';
+            }
+        });
+    }
+
+    /**
+     * Check if any facet is applied
+     * @param {Object} filters - Filter state
+     * @returns {boolean} True when at least one facet narrows the results
+     */
+    hasActiveFilters(filters = this.filters) {
+        return filters.categories.length > 0 ||
+            filters.priceMin !== null ||
+            filters.priceMax !== null ||
+            Boolean(filters.dateFrom) ||
+            Boolean(filters.dateTo);
+    }
+
+    /**
+     * Get current facet filters
+     * @returns {Object} Copy of the filter state
+     */
+    getFilters() {
+        return { ...this.filters, categories: [...this.filters.categories] };
+    }
+
+    /**
+     * Reset all facets and their inputs
+     */
+    clearFilters() {
+        this.setFilters(this.getEmptyFilters());
+    }
+
+    /**
+     * Replace the filter state without notifying (e.g. when restoring from the URL)
+     * @param {Object} filters - Partial filter state, missing facets are cleared
+     */
+    setFilters(filters) {
+        this.filters = { ...this.getEmptyFilters(), ...filters };
+        this.filters.categories = [...this.filters.categories];
+        this.syncInputs();
+    }
+
+    /**
+     * Update the facet inputs to reflect the filter state
+     */
+    syncInputs() {
+        if (this.categoryList) {
+            this.categoryList.querySelectorAll('input').forEach(checkbox => {
+                checkbox.checked = this.filters.categories.includes(checkbox.value);
+            });
+        }
+        if (this.priceMinInput && this.priceMaxInput) {
+            this.priceMinInput.value = this.filters.priceMin ?? this.priceBounds.min;
+            this.priceMaxInput.value = this.filters.priceMax ?? this.priceBounds.max;
+        }
+        if (this.dateFieldSelect) {
+            this.dateFieldSelect.value = this.filters.dateField;
+            this.dateFromInput.value = this.filters.dateFrom;
+            this.dateToInput.value = this.filters.dateTo;
+        }
+        this.updatePriceLabel();
+    }
+
+    /**
+     * Call the filter change callback
+     */
+    notifyChange() {
+        this.events.emit('change', this.getFilters());
+    }
+
+    /**
+     * Listen to facet changes
+     * @param {Function} callback - Function to call with the new filter state
+     * @returns {Function} Function that removes the listener again
+     */
+    onFilterChange(callback) {
+        return this.events.on('change', callback);
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Undo and redo buttons for view changes (search, filters, sort, page), also
+ * available as Ctrl+Z and Ctrl+Shift+Z / Ctrl+Y outside of text fields
+ */
+export class HistoryControls {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.undoButton = this.document.getElementById('undo-btn');
+        this.redoButton = this.document.getElementById('redo-btn');
+
+        this.onUndoCallback = null;
+        this.onRedoCallback = null;
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the buttons and shortcuts
+     */
+    initializeEventListeners() {
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => this.undo());
+        }
+
+        if (this.redoButton) {
+            this.redoButton.addEventListener('click', () => this.redo());
+        }
+
+        this.document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey || this.isTextField(event.target)) {
+                return;
+            }
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    /**
+     * Check whether an element keeps its own undo (text inputs, editors)
+     * @param {EventTarget} target - Focused element
+     * @returns {boolean} true for text fields
+     */
+    isTextField(target) {
+        if (!target || !target.tagName) {
+            return false;
+        }
+        const tag = target.tagName.toLowerCase();
+        return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable;
+    }
+
+    /**
+     * Ask for the last view change to be undone
+     */
+    undo() {
+        if (this.onUndoCallback && !(this.undoButton && this.undoButton.disabled)) {
+            this.onUndoCallback();
+        }
+    }
+
+    /**
+     * Ask for the last undone view change to be applied again
+     */
+    redo() {
+        if (this.onRedoCallback && !(this.redoButton && this.redoButton.disabled)) {
+            this.onRedoCallback();
+        }
+    }
+
+    /**
+     * Enable the buttons that have something to do
+     * @param {boolean} canUndo - A change can be undone
+     * @param {boolean} canRedo - An undone change can be applied again
+     */
+    update(canUndo, canRedo) {
+        if (this.undoButton) {
+            this.undoButton.disabled = !canUndo;
+        }
+        if (this.redoButton) {
+            this.redoButton.disabled = !canRedo;
+        }
+    }
+
+    /**
+     * Set callback for undo
+     * @param {Function} callback - Function that undoes the last view change
+     */
+    onUndo(callback) {
+        this.onUndoCallback = callback;
+    }
+
+    /**
+     * Set callback for redo
+     * @param {Function} callback - Function that applies the undone change again
+     */
+    onRedo(callback) {
+        this.onRedoCallback = callback;
+    }
+}
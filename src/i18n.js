@@ -0,0 +1,742 @@
+import { EventBus } from './event-bus.js';
+
+/**
+ * UI messages per language. `{name}` placeholders are filled by I18n.t().
+ */
+export const MESSAGES = {
+    vi: {
+        'common.retry': 'Thử lại',
+        'common.cancel': 'Hủy',
+        'common.close': 'Đóng',
+        'common.notAvailable': 'N/A',
+
+        'api.loadFailed': 'Đã xảy ra lỗi khi tải dữ liệu sản phẩm',
+        'api.loginFailed': 'Không thể đăng nhập',
+        'api.wrongCredentials': 'Email hoặc mật khẩu không đúng.',
+        'api.profileFailed': 'Không thể tải thông tin tài khoản',
+        'api.productFailed': 'Không thể tải thông tin sản phẩm',
+        'api.categoriesFailed': 'Không thể tải danh mục sản phẩm',
+        'api.createFailed': 'Không thể tạo sản phẩm',
+        'api.updateFailed': 'Không thể cập nhật sản phẩm',
+        'api.deleteFailed': 'Không thể xóa sản phẩm',
+        'api.categoryProductsFailed': 'Không thể tải sản phẩm của danh mục',
+        'api.categoryCreateFailed': 'Không thể tạo danh mục',
+        'api.categoryUpdateFailed': 'Không thể cập nhật danh mục',
+        'api.categoryDeleteFailed': 'Không thể xóa danh mục',
+        'api.auditFailed': 'Không thể tải lịch sử thay đổi',
+        'api.cancelled': 'Yêu cầu đã bị hủy.',
+        'api.network': 'Không thể kết nối đến server. Vui lòng kiểm tra kết nối internet của bạn.',
+        'api.server': 'Lỗi server. Vui lòng thử lại sau.',
+        'api.sessionExpired': 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.',
+        'api.forbidden': 'Bạn không có quyền thực hiện thao tác này.',
+        'api.notFound': 'Không tìm thấy dữ liệu yêu cầu.',
+        'api.badRequest': 'Yêu cầu không hợp lệ. Vui lòng thử lại.',
+        'api.invalidData': 'Dữ liệu nhận được không hợp lệ.',
+        'api.timeout': 'Yêu cầu đã bị hủy do timeout.',
+
+        'column.image': 'Hình ảnh',
+        'column.images': 'Hình ảnh',
+        'column.id': 'ID',
+        'column.title': 'Tên sản phẩm',
+        'column.price': 'Giá',
+        'column.description': 'Mô tả',
+        'column.category': 'Danh mục',
+        'column.slug': 'Slug',
+        'column.creationAt': 'Ngày tạo',
+        'column.updatedAt': 'Ngày cập nhật',
+        'column.actions': 'Thao tác',
+
+        'product.untitled': 'Sản phẩm chưa đặt tên',
+        'product.noDescription': 'Chưa có mô tả',
+        'product.uncategorized': 'Chưa phân loại',
+        'product.noImage': 'Không có ảnh',
+        'product.confirmDelete': 'Bạn có chắc muốn xóa sản phẩm "{title}"?',
+
+        'facet.count': '{matching}/{available} sản phẩm',
+        'sort.hint': 'Nhấn để sắp xếp, Shift + nhấn để thêm cột sắp xếp phụ',
+
+        'table.loading': 'Đang tải dữ liệu...',
+        'table.loadFailed': 'Không thể tải dữ liệu sản phẩm. Vui lòng thử lại sau.',
+        'table.selectAll': 'Chọn tất cả sản phẩm đang hiển thị',
+        'table.selectRow': 'Chọn sản phẩm',
+        'table.edit': 'Sửa',
+        'table.delete': 'Xóa',
+
+        'pagination.all': 'Hiển thị tất cả {total} sản phẩm',
+        'pagination.info': 'Hiển thị {start}-{end} của {total} sản phẩm (Trang {page}/{pages})',
+        'pagination.previous': 'Trước',
+        'pagination.next': 'Tiếp',
+
+        'export.noColumns': 'Vui lòng chọn ít nhất một cột để xuất.',
+
+        'import.column': 'Cột {number}',
+        'import.commit': 'Nhập',
+        'import.commitCount': 'Nhập {count} sản phẩm',
+        'import.noColumns': 'Tệp không có cột dữ liệu nào.',
+        'import.readFailed': 'Không thể đọc tệp: {message}',
+        'import.jsonArray': 'JSON phải là một mảng các đối tượng sản phẩm.',
+        'import.skipColumn': '-- Không có --',
+        'import.unknownCategory': 'Danh mục không tồn tại: {name}',
+        'import.summary': '{rows} dòng: {valid} hợp lệ, {invalid} lỗi (dòng lỗi sẽ bị bỏ qua).',
+        'import.progress': 'Đang nhập {done}/{total} sản phẩm...',
+        'import.done': 'Đã nhập {created}/{attempted} sản phẩm.',
+        'import.reportLine': 'Dòng {line}: {message}',
+        'import.reportLineTitled': 'Dòng {line} ({title}): {message}',
+        'import.skipped': 'bỏ qua - {errors}',
+
+        'validation.titleRequired': 'Vui lòng nhập tên sản phẩm.',
+        'validation.titleTooLong': 'Tên sản phẩm tối đa 255 ký tự.',
+        'validation.price': 'Giá phải là số lớn hơn 0.',
+        'validation.description': 'Vui lòng nhập mô tả.',
+        'validation.category': 'Vui lòng chọn danh mục.',
+        'validation.imagesRequired': 'Vui lòng nhập ít nhất một URL hình ảnh.',
+        'validation.imageURL': 'URL hình ảnh không hợp lệ: {url}',
+        'validation.categoryName': 'Vui lòng nhập tên danh mục.',
+        'validation.categoryNameTaken': 'Đã có danh mục tên "{name}".',
+        'validation.categoryImage': 'Vui lòng nhập URL hình ảnh hợp lệ.',
+
+        'form.addTitle': 'Thêm sản phẩm',
+        'form.editTitle': 'Sửa sản phẩm',
+        'form.chooseCategory': '-- Chọn danh mục --',
+
+        'category.addTitle': 'Thêm danh mục',
+        'category.editTitle': 'Sửa danh mục "{name}"',
+        'category.add': 'Thêm',
+        'category.save': 'Lưu',
+        'category.confirmDelete': 'Bạn có chắc muốn xóa danh mục "{name}"?',
+        'category.hasProducts': 'Danh mục "{name}" còn {count} sản phẩm. Chuyển chúng sang danh mục khác trước khi xóa:',
+        'category.noTarget': 'Danh mục "{name}" còn {count} sản phẩm và không có danh mục nào khác để chuyển sang.',
+        'category.reassignFailed': 'Không chuyển được {count} sản phẩm nên danh mục chưa bị xóa.',
+
+        'audit.create': 'Tạo mới',
+        'audit.update': 'Cập nhật',
+        'audit.delete': 'Xóa',
+        'audit.unknownUser': 'Không rõ người dùng',
+        'audit.empty': '(trống)',
+        'audit.imageCount': '{count} ảnh',
+        'history.loading': 'Đang tải lịch sử...',
+        'history.empty': 'Chưa có thay đổi nào được ghi lại.',
+        'history.unavailable': 'API này không lưu lịch sử thay đổi.',
+        'history.loadFailed': 'Không thể tải lịch sử thay đổi.',
+        'history.current': 'Phiên bản hiện tại',
+        'history.revert': 'Khôi phục phiên bản này',
+        'history.revertPrevious': 'Khôi phục phiên bản trước thay đổi này',
+        'history.confirmRevert': 'Khôi phục "{title}" về phiên bản lúc {time}?',
+        'activity.allUsers': 'Tất cả người dùng',
+        'activity.loading': 'Đang tải...',
+        'activity.empty': 'Không có hoạt động nào.',
+        'activity.loadFailed': 'Không thể tải nhật ký hoạt động.',
+        'activity.count': 'Hiển thị {shown}/{total} hoạt động',
+
+        'login.required': 'Vui lòng nhập email và mật khẩu.',
+        'user.admin': 'Quản trị viên',
+        'user.viewer': 'Người xem',
+        'user.readOnly': 'Chế độ chỉ xem',
+
+        'gallery.thumbnail': 'Ảnh {number}',
+        'gallery.alt': '{title} - ảnh {number}',
+
+        'status.offline': 'Ngoại tuyến',
+        'status.savedAt': 'Dữ liệu lúc {time}',
+        'status.revalidating': 'đang cập nhật...',
+        'status.pending': '{count} thay đổi chờ đồng bộ',
+        'status.live': 'cập nhật trực tiếp',
+        'offline.saveFailed': 'Không thể lưu thay đổi khi ngoại tuyến.',
+
+        'stats.products': 'Sản phẩm',
+        'stats.average': 'Giá trung bình',
+        'stats.median': 'Trung vị',
+        'stats.min': 'Thấp nhất',
+        'stats.max': 'Cao nhất',
+        'stats.partial': 'Thống kê trên {count} sản phẩm đã tải (chế độ remote).',
+        'stats.count': '{label}: {count} sản phẩm',
+        'stats.other': 'Khác',
+        'stats.empty': 'Không có dữ liệu',
+
+        'bulk.selected': 'Đã chọn {count} sản phẩm',
+        'bulk.selectAll': 'Chọn tất cả {count} kết quả',
+        'bulk.categoryPlaceholder': 'Đổi danh mục...',
+        'bulk.priceAmount': 'Nhập số tiền hoặc phần trăm khác 0 (số âm để giảm giá).',
+        'bulk.loadingResults': 'Đang tải danh sách kết quả...',
+        'bulk.delete': 'Xóa',
+        'bulk.changeCategory': 'Đổi danh mục',
+        'bulk.adjustPrice': 'Điều chỉnh giá',
+        'bulk.succeeded': '{count} sản phẩm thành công',
+        'bulk.failed': '{count} lỗi',
+        'bulk.skipped': '{count} bỏ qua (giá phải lớn hơn 0)',
+        'bulk.confirmDelete': 'Bạn có chắc muốn xóa {count} sản phẩm đã chọn?',
+
+        'dashboard.initFailed': 'Không thể khởi tạo dashboard. Vui lòng tải lại trang.',
+        'dashboard.errorDetails': 'Chi tiết lỗi: {message}',
+
+        // Static text in test.html (data-i18n attributes)
+        'page.login': 'Đăng nhập',
+        'page.logout': 'Đăng xuất',
+        'page.language': 'Ngôn ngữ',
+        'page.currency': 'Tiền tệ',
+        'page.searchPlaceholder': 'Tìm theo tên, mô tả, danh mục... (vd: ao thun category:clothes price:<50)',
+        'page.categories': 'Danh mục',
+        'page.priceRange': 'Khoảng giá',
+        'page.priceMin': 'Giá thấp nhất',
+        'page.priceMax': 'Giá cao nhất',
+        'page.dateField': 'Loại ngày',
+        'page.dateFrom': 'Từ ngày',
+        'page.dateTo': 'Đến ngày',
+        'page.clearFilters': 'Xóa bộ lọc',
+        'page.clearSort': 'Bỏ sắp xếp',
+        'page.undo': '↶ Hoàn tác',
+        'page.redo': '↷ Làm lại',
+        'page.undoHint': 'Hoàn tác thay đổi tìm kiếm, bộ lọc, sắp xếp hoặc trang (Ctrl+Z)',
+        'page.redoHint': 'Làm lại thay đổi vừa hoàn tác (Ctrl+Shift+Z)',
+        'page.show': 'Hiển thị:',
+        'page.all': 'Tất cả',
+        'page.perPage': 'sản phẩm/trang',
+        'page.export': 'Xuất dữ liệu ▾',
+        'page.exportScope': 'Phạm vi',
+        'page.exportFiltered': 'Tất cả kết quả',
+        'page.exportPage': 'Trang hiện tại',
+        'page.exportSelected': 'Đã chọn',
+        'page.exportColumns': 'Cột',
+        'page.columns': 'Cột ▾',
+        'page.showColumns': 'Hiển thị cột',
+        'page.columnsHint': 'Kéo tiêu đề cột để đổi thứ tự, kéo mép phải để đổi độ rộng.',
+        'page.resetColumns': 'Khôi phục mặc định',
+        'page.import': 'Nhập dữ liệu',
+        'page.addProduct': '+ Thêm sản phẩm',
+        'page.manageCategories': 'Danh mục',
+        'page.categoriesTitle': 'Quản lý danh mục',
+        'page.categoryName': 'Tên danh mục',
+        'page.categoryImage': 'URL hình ảnh',
+        'page.productCount': 'Số sản phẩm',
+        'page.moveTo': 'Chuyển sang danh mục',
+        'page.moveAndDelete': 'Chuyển và xóa',
+        'page.activity': 'Hoạt động',
+        'page.activityTitle': 'Nhật ký hoạt động',
+        'page.activityUser': 'Người dùng',
+        'page.activityMore': 'Xem thêm',
+        'page.stats': 'Thống kê',
+        'page.priceChart': 'Phân bố giá',
+        'page.categoryChart': 'Sản phẩm theo danh mục',
+        'page.timelineChart': 'Sản phẩm mới theo thời gian',
+        'page.clearSelection': 'Bỏ chọn',
+        'page.newCategory': 'Danh mục mới',
+        'page.changeCategory': 'Đổi danh mục',
+        'page.priceAmountPlaceholder': 'vd: 10 hoặc -5',
+        'page.priceAmount': 'Mức điều chỉnh giá',
+        'page.priceMode': 'Kiểu điều chỉnh',
+        'page.adjustPrice': 'Điều chỉnh giá',
+        'page.bulkExport': 'Xuất',
+        'page.bulkDelete': 'Xóa',
+        'page.noResults': 'Không tìm thấy sản phẩm nào phù hợp với tìm kiếm của bạn.',
+        'page.close': 'Đóng',
+        'page.productName': 'Tên sản phẩm',
+        'page.productPrice': 'Giá (USD)',
+        'page.productDescription': 'Mô tả',
+        'page.productCategory': 'Danh mục',
+        'page.productImages': 'URL hình ảnh',
+        'page.productImagesHint': 'Mỗi dòng một URL.',
+        'page.cancel': 'Hủy',
+        'page.save': 'Lưu',
+        'page.password': 'Mật khẩu',
+        'page.loginHint': 'Tài khoản quản trị có thể thêm, sửa và xóa sản phẩm; các tài khoản khác chỉ xem.',
+        'page.importTitle': 'Nhập sản phẩm',
+        'page.importFile': 'Tệp CSV hoặc JSON',
+        'page.importFileHint': 'Dòng đầu của tệp CSV là tên cột. Tệp xuất CSV/JSON của bảng này có thể nhập lại trực tiếp.',
+        'page.importMapping': 'Ghép cột',
+        'page.importReading': 'Đang đọc tệp...',
+        'page.importCheck': 'Kiểm tra',
+        'page.importEmpty': 'Tệp không có dòng dữ liệu nào.',
+        'page.previousImage': 'Ảnh trước',
+        'page.nextImage': 'Ảnh sau',
+        'page.productId': 'Mã sản phẩm',
+        'page.lastUpdated': 'Cập nhật lần cuối',
+        'page.history': 'Lịch sử thay đổi',
+        'page.imageViewer': 'Xem ảnh'
+    },
+    en: {
+        'common.retry': 'Retry',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'common.notAvailable': 'N/A',
+
+        'api.loadFailed': 'Something went wrong while loading the products',
+        'api.loginFailed': 'Could not sign in',
+        'api.wrongCredentials': 'Incorrect email or password.',
+        'api.profileFailed': 'Could not load the account',
+        'api.productFailed': 'Could not load the product',
+        'api.categoriesFailed': 'Could not load the categories',
+        'api.createFailed': 'Could not create the product',
+        'api.updateFailed': 'Could not update the product',
+        'api.deleteFailed': 'Could not delete the product',
+        'api.categoryProductsFailed': 'Could not load the products of the category',
+        'api.categoryCreateFailed': 'Could not create the category',
+        'api.categoryUpdateFailed': 'Could not update the category',
+        'api.categoryDeleteFailed': 'Could not delete the category',
+        'api.auditFailed': 'Could not load the change history',
+        'api.cancelled': 'The request was cancelled.',
+        'api.network': 'Cannot reach the server. Please check your internet connection.',
+        'api.server': 'Server error. Please try again later.',
+        'api.sessionExpired': 'Your session has expired. Please sign in again.',
+        'api.forbidden': 'You are not allowed to do this.',
+        'api.notFound': 'The requested data was not found.',
+        'api.badRequest': 'Invalid request. Please try again.',
+        'api.invalidData': 'The data received is invalid.',
+        'api.timeout': 'The request timed out.',
+
+        'column.image': 'Image',
+        'column.images': 'Images',
+        'column.id': 'ID',
+        'column.title': 'Product name',
+        'column.price': 'Price',
+        'column.description': 'Description',
+        'column.category': 'Category',
+        'column.slug': 'Slug',
+        'column.creationAt': 'Created',
+        'column.updatedAt': 'Updated',
+        'column.actions': 'Actions',
+
+        'product.untitled': 'Untitled product',
+        'product.noDescription': 'No description available',
+        'product.uncategorized': 'Uncategorized',
+        'product.noImage': 'No image',
+        'product.confirmDelete': 'Delete the product "{title}"?',
+
+        'facet.count': '{matching}/{available} products',
+        'sort.hint': 'Click to sort, Shift + click to add a secondary sort column',
+
+        'table.loading': 'Loading data...',
+        'table.loadFailed': 'Could not load the products. Please try again later.',
+        'table.selectAll': 'Select all shown products',
+        'table.selectRow': 'Select product',
+        'table.edit': 'Edit',
+        'table.delete': 'Delete',
+
+        'pagination.all': 'Showing all {total} products',
+        'pagination.info': 'Showing {start}-{end} of {total} products (page {page}/{pages})',
+        'pagination.previous': 'Previous',
+        'pagination.next': 'Next',
+
+        'export.noColumns': 'Please choose at least one column to export.',
+
+        'import.column': 'Column {number}',
+        'import.commit': 'Import',
+        'import.commitCount': 'Import {count} products',
+        'import.noColumns': 'The file has no columns.',
+        'import.readFailed': 'Could not read the file: {message}',
+        'import.jsonArray': 'The JSON must be an array of product objects.',
+        'import.skipColumn': '-- None --',
+        'import.unknownCategory': 'Unknown category: {name}',
+        'import.summary': '{rows} rows: {valid} valid, {invalid} with errors (rows with errors are skipped).',
+        'import.progress': 'Importing {done}/{total} products...',
+        'import.done': 'Imported {created}/{attempted} products.',
+        'import.reportLine': 'Row {line}: {message}',
+        'import.reportLineTitled': 'Row {line} ({title}): {message}',
+        'import.skipped': 'skipped - {errors}',
+
+        'validation.titleRequired': 'Please enter a product name.',
+        'validation.titleTooLong': 'Product names can be at most 255 characters long.',
+        'validation.price': 'The price must be a number greater than 0.',
+        'validation.description': 'Please enter a description.',
+        'validation.category': 'Please choose a category.',
+        'validation.imagesRequired': 'Please enter at least one image URL.',
+        'validation.imageURL': 'Invalid image URL: {url}',
+        'validation.categoryName': 'Please enter a category name.',
+        'validation.categoryNameTaken': 'There is already a category named "{name}".',
+        'validation.categoryImage': 'Please enter a valid image URL.',
+
+        'form.addTitle': 'Add product',
+        'form.editTitle': 'Edit product',
+        'form.chooseCategory': '-- Choose a category --',
+
+        'category.addTitle': 'Add category',
+        'category.editTitle': 'Edit category "{name}"',
+        'category.add': 'Add',
+        'category.save': 'Save',
+        'category.confirmDelete': 'Delete the category "{name}"?',
+        'category.hasProducts': 'The category "{name}" still has {count} products. Move them to another category before deleting it:',
+        'category.noTarget': 'The category "{name}" still has {count} products and there is no other category to move them to.',
+        'category.reassignFailed': '{count} products could not be moved, so the category was not deleted.',
+
+        'audit.create': 'Created',
+        'audit.update': 'Updated',
+        'audit.delete': 'Deleted',
+        'audit.unknownUser': 'Unknown user',
+        'audit.empty': '(empty)',
+        'audit.imageCount': '{count} images',
+        'history.loading': 'Loading history...',
+        'history.empty': 'No changes recorded yet.',
+        'history.unavailable': 'This API does not keep a change history.',
+        'history.loadFailed': 'Could not load the change history.',
+        'history.current': 'Current version',
+        'history.revert': 'Revert to this version',
+        'history.revertPrevious': 'Revert to the version before this change',
+        'history.confirmRevert': 'Revert "{title}" to the version of {time}?',
+        'activity.allUsers': 'All users',
+        'activity.loading': 'Loading...',
+        'activity.empty': 'No activity found.',
+        'activity.loadFailed': 'Could not load the activity log.',
+        'activity.count': 'Showing {shown} of {total} changes',
+
+        'login.required': 'Please enter your email and password.',
+        'user.admin': 'Administrator',
+        'user.viewer': 'Viewer',
+        'user.readOnly': 'Read-only mode',
+
+        'gallery.thumbnail': 'Image {number}',
+        'gallery.alt': '{title} - image {number}',
+
+        'status.offline': 'Offline',
+        'status.savedAt': 'Data from {time}',
+        'status.revalidating': 'updating...',
+        'status.pending': '{count} changes waiting to sync',
+        'status.live': 'live updates',
+        'offline.saveFailed': 'Could not save the change while offline.',
+
+        'stats.products': 'Products',
+        'stats.average': 'Average price',
+        'stats.median': 'Median',
+        'stats.min': 'Lowest',
+        'stats.max': 'Highest',
+        'stats.partial': 'Statistics of the {count} loaded products (remote mode).',
+        'stats.count': '{label}: {count} products',
+        'stats.other': 'Other',
+        'stats.empty': 'No data',
+
+        'bulk.selected': '{count} products selected',
+        'bulk.selectAll': 'Select all {count} results',
+        'bulk.categoryPlaceholder': 'Change category...',
+        'bulk.priceAmount': 'Enter a non-zero amount or percentage (negative to lower prices).',
+        'bulk.loadingResults': 'Loading all results...',
+        'bulk.delete': 'Delete',
+        'bulk.changeCategory': 'Change category',
+        'bulk.adjustPrice': 'Adjust prices',
+        'bulk.succeeded': '{count} products succeeded',
+        'bulk.failed': '{count} failed',
+        'bulk.skipped': '{count} skipped (the price must stay above 0)',
+        'bulk.confirmDelete': 'Delete the {count} selected products?',
+
+        'dashboard.initFailed': 'The dashboard could not start. Please reload the page.',
+        'dashboard.errorDetails': 'Error details: {message}',
+
+        'page.login': 'Sign in',
+        'page.logout': 'Sign out',
+        'page.language': 'Language',
+        'page.currency': 'Currency',
+        'page.searchPlaceholder': 'Search names, descriptions, categories... (e.g. shirt category:clothes price:<50)',
+        'page.categories': 'Categories',
+        'page.priceRange': 'Price range',
+        'page.priceMin': 'Lowest price',
+        'page.priceMax': 'Highest price',
+        'page.dateField': 'Date type',
+        'page.dateFrom': 'From',
+        'page.dateTo': 'To',
+        'page.clearFilters': 'Clear filters',
+        'page.clearSort': 'Clear sort',
+        'page.undo': '↶ Undo',
+        'page.redo': '↷ Redo',
+        'page.undoHint': 'Undo the last search, filter, sort or page change (Ctrl+Z)',
+        'page.redoHint': 'Redo the last undone change (Ctrl+Shift+Z)',
+        'page.show': 'Show:',
+        'page.all': 'All',
+        'page.perPage': 'products/page',
+        'page.export': 'Export ▾',
+        'page.exportScope': 'Scope',
+        'page.exportFiltered': 'All results',
+        'page.exportPage': 'Current page',
+        'page.exportSelected': 'Selected',
+        'page.exportColumns': 'Columns',
+        'page.columns': 'Columns ▾',
+        'page.showColumns': 'Shown columns',
+        'page.columnsHint': 'Drag a column header to move it, drag its right edge to resize it.',
+        'page.resetColumns': 'Restore defaults',
+        'page.import': 'Import',
+        'page.addProduct': '+ Add product',
+        'page.manageCategories': 'Categories',
+        'page.categoriesTitle': 'Manage categories',
+        'page.categoryName': 'Category name',
+        'page.categoryImage': 'Image URL',
+        'page.productCount': 'Products',
+        'page.moveTo': 'Move to category',
+        'page.moveAndDelete': 'Move and delete',
+        'page.activity': 'Activity',
+        'page.activityTitle': 'Activity log',
+        'page.activityUser': 'User',
+        'page.activityMore': 'Load more',
+        'page.stats': 'Statistics',
+        'page.priceChart': 'Price distribution',
+        'page.categoryChart': 'Products per category',
+        'page.timelineChart': 'New products over time',
+        'page.clearSelection': 'Clear selection',
+        'page.newCategory': 'New category',
+        'page.changeCategory': 'Change category',
+        'page.priceAmountPlaceholder': 'e.g. 10 or -5',
+        'page.priceAmount': 'Price adjustment',
+        'page.priceMode': 'Adjustment type',
+        'page.adjustPrice': 'Adjust prices',
+        'page.bulkExport': 'Export',
+        'page.bulkDelete': 'Delete',
+        'page.noResults': 'No products match your search.',
+        'page.close': 'Close',
+        'page.productName': 'Product name',
+        'page.productPrice': 'Price (USD)',
+        'page.productDescription': 'Description',
+        'page.productCategory': 'Category',
+        'page.productImages': 'Image URLs',
+        'page.productImagesHint': 'One URL per line.',
+        'page.cancel': 'Cancel',
+        'page.save': 'Save',
+        'page.password': 'Password',
+        'page.loginHint': 'Administrators can add, edit and delete products; other accounts can only view them.',
+        'page.importTitle': 'Import products',
+        'page.importFile': 'CSV or JSON file',
+        'page.importFileHint': 'The first row of a CSV file holds the column names. CSV/JSON files exported from this table can be imported as they are.',
+        'page.importMapping': 'Column mapping',
+        'page.importReading': 'Reading the file...',
+        'page.importCheck': 'Check',
+        'page.importEmpty': 'The file has no data rows.',
+        'page.previousImage': 'Previous image',
+        'page.nextImage': 'Next image',
+        'page.productId': 'Product ID',
+        'page.lastUpdated': 'Last updated',
+        'page.history': 'Change history',
+        'page.imageViewer': 'Image viewer'
+    }
+};
+
+/**
+ * Internationalization: message lookup, number, price and date formatting for the
+ * chosen language, and the display currency (prices are stored in USD)
+ */
+export class I18n {
+    /**
+     * @param {string|null} [storageKey] - localStorage key for the chosen language and currency
+     * @param {Storage|null} [storage] - Storage holding the choice (window.localStorage in the page)
+     */
+    constructor(storageKey = null, storage = null) {
+        this.locales = { vi: 'vi-VN', en: 'en-US' };
+        this.language = 'vi';
+        this.currency = 'USD'; // 'USD' | 'VND'
+        this.exchangeRate = 25000; // VND per USD
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.events = new EventBus();
+        
+        this.load();
+    }
+
+    /**
+     * Start saving the choice to a storage and restore what was saved there
+     * @param {string} storageKey - localStorage key for the chosen language and currency
+     * @param {Storage} storage - Storage holding the choice (window.localStorage in the page)
+     */
+    setStorage(storageKey, storage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.load();
+    }
+
+    /**
+     * Restore the saved language and currency
+     */
+    load() {
+        if (!this.storageKey || !this.storage) {
+            return;
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            if (saved && MESSAGES[saved.language]) {
+                this.language = saved.language;
+            }
+            if (saved && (saved.currency === 'USD' || saved.currency === 'VND')) {
+                this.currency = saved.currency;
+            }
+        } catch (error) {
+            console.warn('Saved language unavailable:', error);
+        }
+    }
+
+    /**
+     * Save the language and currency to localStorage
+     */
+    save() {
+        if (!this.storageKey || !this.storage) {
+            return;
+        }
+
+        try {
+            const { language, currency } = this;
+            this.storage.setItem(this.storageKey, JSON.stringify({ language, currency }));
+        } catch (error) {
+            console.warn('Failed to save language:', error);
+        }
+    }
+
+    /**
+     * Get a message in the current language
+     * @param {string} key - Message key, e.g. 'pagination.next'
+     * @param {Object} [params] - Values for the `{name}` placeholders
+     * @returns {string} Message (falls back to Vietnamese, then to the key)
+     */
+    t(key, params = {}) {
+        const message = MESSAGES[this.language][key] ?? MESSAGES.vi[key] ?? key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Get text supplied from outside the message table (e.g. plugin labels) in the current language
+     * @param {string|Object} text - Plain string, or translations by language ({ vi, en })
+     * @returns {string} Text (falls back to Vietnamese, then to the first translation)
+     */
+    localize(text) {
+        if (text === null || typeof text !== 'object') {
+            return text === undefined || text === null ? '' : String(text);
+        }
+        return text[this.language] ?? text.vi ?? Object.values(text)[0] ?? '';
+    }
+
+    /**
+     * Get the BCP 47 locale of the current language
+     * @returns {string} e.g. 'vi-VN'
+     */
+    getLocale() {
+        return this.locales[this.language];
+    }
+
+    /**
+     * Switch the language
+     * @param {string} language - 'vi' | 'en'
+     */
+    setLanguage(language) {
+        if (!MESSAGES[language] || language === this.language) {
+            return;
+        }
+        this.language = language;
+        this.save();
+        this.notifyChange();
+    }
+
+    /**
+     * Switch the display currency
+     * @param {string} currency - 'USD' | 'VND'
+     */
+    setCurrency(currency) {
+        if ((currency !== 'USD' && currency !== 'VND') || currency === this.currency) {
+            return;
+        }
+        this.currency = currency;
+        this.save();
+        this.notifyChange();
+    }
+
+    /**
+     * Set the VND per USD rate used when showing prices in VND
+     * @param {number} rate - Exchange rate
+     */
+    setExchangeRate(rate) {
+        if (Number.isFinite(rate) && rate > 0) {
+            this.exchangeRate = rate;
+        }
+    }
+
+    /**
+     * Format a number for the current locale
+     * @param {number} value - Number
+     * @returns {string} e.g. "1.234" (vi) or "1,234" (en)
+     */
+    formatNumber(value) {
+        return new Intl.NumberFormat(this.getLocale()).format(value);
+    }
+
+    /**
+     * Format a USD price in the display currency
+     * @param {number} value - Price in USD
+     * @param {Object} [options] - Formatting options
+     * @param {boolean} [options.whole] - Leave out the cents (chart axes, slider labels)
+     * @returns {string} e.g. "$19.00" or "475.000 ₫"
+     */
+    formatPrice(value, { whole = false } = {}) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return this.t('common.notAvailable');
+        }
+
+        const isVND = this.currency === 'VND';
+        const digits = isVND || whole ? 0 : 2;
+        return new Intl.NumberFormat(this.getLocale(), {
+            style: 'currency',
+            currency: this.currency,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        }).format(isVND ? value * this.exchangeRate : value);
+    }
+
+    /**
+     * Format a date for the current locale
+     * @param {string|Date} value - ISO date string or Date
+     * @param {Intl.DateTimeFormatOptions} [options] - Parts to show (the date only by default)
+     * @returns {string} Formatted date, or 'N/A' when missing or invalid
+     */
+    formatDate(value, options = {}) {
+        const date = new Date(value);
+        if (!value || Number.isNaN(date.getTime())) {
+            return this.t('common.notAvailable');
+        }
+        return date.toLocaleDateString(this.getLocale(), options);
+    }
+
+    /**
+     * Format a date and time for the current locale
+     * @param {string|Date} value - ISO date string or Date
+     * @param {Intl.DateTimeFormatOptions} [options] - Parts to show (date and time by default)
+     * @returns {string} Formatted date and time, or 'N/A' when missing or invalid
+     */
+    formatDateTime(value, options = {}) {
+        const date = new Date(value);
+        if (!value || Number.isNaN(date.getTime())) {
+            return this.t('common.notAvailable');
+        }
+        return date.toLocaleString(this.getLocale(), options);
+    }
+
+    /**
+     * Translate static page text marked with `data-i18n` (text), `data-i18n-placeholder`,
+     * `data-i18n-aria-label` and `data-i18n-title` attributes
+     * @param {ParentNode} root - Element or document to translate
+     */
+    translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        (root.ownerDocument || root).documentElement.lang = this.language;
+    }
+
+    /**
+     * Notify the language change listeners
+     */
+    notifyChange() {
+        this.events.emit('change');
+    }
+
+    /**
+     * Listen to language and currency changes
+     * @param {Function} callback - Function that re-renders the translated UI
+     * @returns {Function} Function that removes the listener again
+     */
+    onChange(callback) {
+        return this.events.on('change', callback);
+    }
+}
+
+/**
+ * Shared translator; the dashboard applies the saved choice and the switcher updates it
+ */
+export const i18n = new I18n();
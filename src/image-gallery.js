@@ -0,0 +1,184 @@
+import { PLACEHOLDER_IMAGE } from './constants.js';
+import { i18n } from './i18n.js';
+
+/**
+ * Image Gallery with a main image, thumbnails and a full-screen lightbox
+ */
+export class ImageGallery {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.images = [];
+        this.currentIndex = 0;
+        this.altText = '';
+        
+        this.mainImage = this.document.getElementById('gallery-main-image');
+        this.thumbnailList = this.document.getElementById('gallery-thumbnails');
+        this.counterElement = this.document.getElementById('gallery-counter');
+        this.prevButton = this.document.getElementById('gallery-prev');
+        this.nextButton = this.document.getElementById('gallery-next');
+        
+        this.lightboxElement = this.document.getElementById('image-lightbox');
+        this.lightboxImage = this.document.getElementById('lightbox-image');
+        this.lightboxCounter = this.document.getElementById('lightbox-counter');
+        this.lightboxPrevButton = this.document.getElementById('lightbox-prev');
+        this.lightboxNextButton = this.document.getElementById('lightbox-next');
+        this.lightboxCloseButton = this.document.getElementById('lightbox-close');
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for navigation and the lightbox
+     */
+    initializeEventListeners() {
+        if (!this.mainImage) {
+            return;
+        }
+
+        [this.prevButton, this.lightboxPrevButton].forEach(button => {
+            button.addEventListener('click', () => this.show(this.currentIndex - 1));
+        });
+        [this.nextButton, this.lightboxNextButton].forEach(button => {
+            button.addEventListener('click', () => this.show(this.currentIndex + 1));
+        });
+
+        this.mainImage.addEventListener('click', () => this.openLightbox());
+        this.mainImage.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.openLightbox();
+            }
+        });
+
+        this.lightboxCloseButton.addEventListener('click', () => this.closeLightbox());
+        this.lightboxElement.addEventListener('click', (event) => {
+            if (event.target === this.lightboxElement) {
+                this.closeLightbox();
+            }
+        });
+
+        [this.mainImage, this.lightboxImage].forEach(image => {
+            image.addEventListener('error', () => {
+                image.src = PLACEHOLDER_IMAGE;
+            });
+        });
+    }
+
+    /**
+     * Show a product's images, starting with the first one
+     * @param {string[]} images - Image URLs
+     * @param {string} altText - Alt text (product title)
+     */
+    setImages(images, altText) {
+        this.images = images || [];
+        this.altText = altText;
+        this.renderThumbnails();
+        this.show(0);
+    }
+
+    /**
+     * Render one thumbnail button per image
+     */
+    renderThumbnails() {
+        this.thumbnailList.innerHTML = '';
+
+        this.images.forEach((url, index) => {
+            const button = this.document.createElement('button');
+            button.type = 'button';
+            button.className = 'gallery-thumbnail';
+            button.setAttribute('aria-label', i18n.t('gallery.thumbnail', { number: index + 1 }));
+
+            const img = this.document.createElement('img');
+            img.src = url;
+            img.alt = '';
+            img.onerror = function() {
+                this.src = PLACEHOLDER_IMAGE;
+            };
+
+            button.appendChild(img);
+            button.addEventListener('click', () => this.show(index));
+            this.thumbnailList.appendChild(button);
+        });
+
+        // A single image needs no thumbnails
+        this.thumbnailList.style.display = this.images.length > 1 ? 'flex' : 'none';
+    }
+
+    /**
+     * Show an image (wraps around at both ends)
+     * @param {number} index - Image index
+     */
+    show(index) {
+        const count = this.images.length;
+        this.currentIndex = count > 0 ? (index + count) % count : 0;
+
+        const url = count > 0 ? this.images[this.currentIndex] : PLACEHOLDER_IMAGE;
+        const counterText = count > 1 ? `${this.currentIndex + 1} / ${count}` : '';
+        const alt = count > 0 ? i18n.t('gallery.alt', { title: this.altText, number: this.currentIndex + 1 }) : i18n.t('product.noImage');
+
+        this.mainImage.src = url;
+        this.mainImage.alt = alt;
+        this.counterElement.textContent = counterText;
+        this.lightboxImage.src = url;
+        this.lightboxImage.alt = alt;
+        this.lightboxCounter.textContent = counterText;
+
+        [this.prevButton, this.nextButton, this.lightboxPrevButton, this.lightboxNextButton].forEach(button => {
+            button.style.visibility = count > 1 ? 'visible' : 'hidden';
+        });
+
+        [...this.thumbnailList.children].forEach((button, buttonIndex) => {
+            button.classList.toggle('active', buttonIndex === this.currentIndex);
+        });
+    }
+
+    /**
+     * Open the current image full screen
+     */
+    openLightbox() {
+        if (this.images.length === 0) {
+            return;
+        }
+        this.lightboxElement.style.display = 'flex';
+        this.lightboxCloseButton.focus();
+    }
+
+    /**
+     * Close the lightbox
+     */
+    closeLightbox() {
+        this.lightboxElement.style.display = 'none';
+        this.mainImage.focus();
+    }
+
+    /**
+     * Check if the lightbox is open
+     * @returns {boolean} True when open
+     */
+    isLightboxOpen() {
+        return this.lightboxElement.style.display !== 'none';
+    }
+
+    /**
+     * Handle gallery keys: arrows change image, Escape closes the lightbox
+     * @param {KeyboardEvent} event - Key event
+     * @returns {boolean} true when the key was handled
+     */
+    handleKey(event) {
+        if (event.key === 'ArrowLeft') {
+            this.show(this.currentIndex - 1);
+            return true;
+        }
+        if (event.key === 'ArrowRight') {
+            this.show(this.currentIndex + 1);
+            return true;
+        }
+        if (event.key === 'Escape' && this.isLightboxOpen()) {
+            this.closeLightbox();
+            return true;
+        }
+        return false;
+    }
+}
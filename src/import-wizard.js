@@ -0,0 +1,474 @@
+import { i18n } from './i18n.js';
+import { TableRenderer } from './table-renderer.js';
+import { CSVParser } from './csv-parser.js';
+import { ProductValidator } from './product-validator.js';
+
+/**
+ * Import Wizard for bulk creating products from CSV/JSON files
+ */
+export class ImportWizard {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.fields = [
+            { key: 'title', aliases: ['title', 'name', 'ten', 'tensanpham', 'productname'] },
+            { key: 'price', aliases: ['price', 'gia', 'dongia'] },
+            { key: 'description', aliases: ['description', 'desc', 'mota'] },
+            { key: 'category', aliases: ['category', 'categoryid', 'categoryname', 'danhmuc'] },
+            { key: 'images', aliases: ['images', 'image', 'imageurl', 'imageurls', 'hinhanh', 'anh'] }
+        ];
+        this.batchSize = 5; // Concurrent create requests per batch
+        
+        this.modalElement = this.document.getElementById('import-modal');
+        this.fileInput = this.document.getElementById('import-file-input');
+        this.fileError = this.document.getElementById('import-file-error');
+        this.uploadStep = this.document.getElementById('import-step-upload');
+        this.mappingStep = this.document.getElementById('import-step-mapping');
+        this.resultStep = this.document.getElementById('import-step-result');
+        this.mappingContainer = this.document.getElementById('import-mapping');
+        this.summaryElement = this.document.getElementById('import-summary');
+        this.progressElement = this.document.getElementById('import-progress');
+        this.progressText = this.document.getElementById('import-progress-text');
+        this.reportElement = this.document.getElementById('import-report');
+        this.commitButton = this.document.getElementById('import-commit-btn');
+        this.cancelButton = this.document.getElementById('import-cancel-btn');
+        this.closeButton = this.document.getElementById('import-modal-close');
+        
+        this.previewRenderer = new TableRenderer({
+            tableId: 'import-preview-table',
+            bodyId: 'import-preview-body',
+            loadingId: 'import-preview-loading',
+            noResultsId: 'import-preview-empty',
+            showActions: false,
+            document: this.document
+        });
+        this.csvParser = new CSVParser();
+        this.validator = new ProductValidator();
+        
+        this.categories = [];
+        this.columns = [];
+        this.records = [];
+        this.mapping = {}; // Product field key -> file column name
+        this.rows = []; // Validated rows: { line, data, errors, preview }
+        this.isImporting = false;
+        
+        this.onImportRowCallback = null;
+        this.onImportCompleteCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the wizard
+     */
+    initializeEventListeners() {
+        if (!this.modalElement) {
+            return;
+        }
+
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) {
+                this.loadFile(file);
+            }
+        });
+
+        this.commitButton.addEventListener('click', () => {
+            this.commit();
+        });
+
+        [this.cancelButton, this.closeButton].forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+    }
+
+    /**
+     * Open the wizard at the upload step
+     * @param {Category[]} categories - Categories used to resolve the category column
+     */
+    open(categories) {
+        this.categories = categories;
+        this.columns = [];
+        this.records = [];
+        this.rows = [];
+        this.fileInput.value = '';
+        this.showFileError('');
+        this.reportElement.innerHTML = '';
+        this.cancelButton.textContent = i18n.t('common.cancel');
+        this.commitButton.style.display = '';
+        this.commitButton.disabled = true;
+        this.commitButton.textContent = i18n.t('import.commit');
+        this.showStep('upload');
+        this.modalElement.style.display = 'flex';
+    }
+
+    /**
+     * Close the wizard (not while an import is running)
+     */
+    close() {
+        if (this.isImporting) {
+            return;
+        }
+        this.modalElement.style.display = 'none';
+    }
+
+    /**
+     * Show one wizard step
+     * @param {string} step - 'upload' | 'mapping' | 'result'
+     */
+    showStep(step) {
+        this.uploadStep.style.display = step === 'upload' || step === 'mapping' ? 'block' : 'none';
+        this.mappingStep.style.display = step === 'mapping' ? 'block' : 'none';
+        this.resultStep.style.display = step === 'result' ? 'block' : 'none';
+    }
+
+    /**
+     * Show or clear the file error message
+     * @param {string} message - Error message ('' to hide)
+     */
+    showFileError(message) {
+        this.fileError.textContent = message;
+        this.fileError.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * Read and parse an uploaded CSV or JSON file
+     * @param {File} file - Uploaded file
+     */
+    async loadFile(file) {
+        this.showFileError('');
+
+        try {
+            const text = await file.text();
+            const isJSON = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('[');
+            const { columns, records } = isJSON ? this.parseJSON(text) : this.csvParser.toRecords(this.csvParser.parse(text));
+
+            if (columns.length === 0) {
+                throw new Error(i18n.t('import.noColumns'));
+            }
+
+            this.columns = columns;
+            this.records = records;
+            this.recordLineOffset = isJSON ? 1 : 2; // CSV data starts below the header line
+            this.mapping = this.autoMapColumns(columns);
+
+            console.log(`✓ Import file parsed: ${records.length} rows, columns: ${columns.join(', ')}`);
+            this.renderMapping();
+            this.showStep('mapping');
+            this.validateRows();
+        } catch (error) {
+            console.error('✗ Failed to read import file:', error);
+            this.showFileError(i18n.t('import.readFailed', { message: error.message }));
+            this.showStep('upload');
+        }
+    }
+
+    /**
+     * Parse a JSON file containing an array of product objects
+     * @param {string} text - JSON content
+     * @returns {{columns: string[], records: Object[]}} Column names and records
+     */
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data.products;
+
+        if (!Array.isArray(records) || !records.every(record => record && typeof record === 'object')) {
+            throw new Error(i18n.t('import.jsonArray'));
+        }
+
+        // Union of keys, in order of first appearance
+        const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+        return { columns, records };
+    }
+
+    /**
+     * Normalize a column name for matching (lowercase, no diacritics or separators)
+     * @param {string} name - Column name
+     * @returns {string} Normalized name
+     */
+    normalizeColumnName(name) {
+        return name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Guess the column for each product field from the file headers
+     * @param {string[]} columns - File column names
+     * @returns {Object<string, string>} Product field key -> column name
+     */
+    autoMapColumns(columns) {
+        const mapping = {};
+
+        this.fields.forEach(field => {
+            const column = columns.find(name => field.aliases.includes(this.normalizeColumnName(name)));
+            mapping[field.key] = column || '';
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Render one column select per product field
+     */
+    renderMapping() {
+        this.mappingContainer.innerHTML = '';
+
+        this.fields.forEach(field => {
+            const label = this.document.createElement('label');
+            label.className = 'import-mapping-field';
+            label.textContent = i18n.t(`column.${field.key}`);
+
+            const select = this.document.createElement('select');
+            const skipOption = this.document.createElement('option');
+            skipOption.value = '';
+            skipOption.textContent = i18n.t('import.skipColumn');
+            select.appendChild(skipOption);
+
+            this.columns.forEach(column => {
+                const option = this.document.createElement('option');
+                option.value = column;
+                option.textContent = column;
+                select.appendChild(option);
+            });
+
+            select.value = this.mapping[field.key];
+            select.addEventListener('change', () => {
+                this.mapping[field.key] = select.value;
+                this.validateRows();
+            });
+
+            label.appendChild(select);
+            this.mappingContainer.appendChild(label);
+        });
+    }
+
+    /**
+     * Parse a price cell ("19.5", "$19.50", "19,5")
+     * @param {*} value - Cell value
+     * @returns {number} Price (NaN when invalid)
+     */
+    parsePrice(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        let text = String(value ?? '').replace(/[$\s]/g, '');
+        if (text.includes(',') && !text.includes('.')) {
+            text = text.replace(',', '.');
+        }
+        return text === '' ? NaN : Number(text);
+    }
+
+    /**
+     * Parse an images cell: an array, or URLs separated by new lines, spaces, '|', ',' or ';'
+     * @param {*} value - Cell value
+     * @returns {string[]} Image URLs
+     */
+    parseImages(value) {
+        const urls = Array.isArray(value) ? value.map(String) : String(value ?? '').split(/[\s|,;]+/);
+        return urls.map(url => url.trim()).filter(url => url.length > 0);
+    }
+
+    /**
+     * Find a category by id or (case-insensitive) name
+     * @param {*} value - Cell value, or a category object from JSON files
+     * @returns {Category|null} Matching category
+     */
+    resolveCategory(value) {
+        if (value && typeof value === 'object') {
+            value = value.id ?? value.name;
+        }
+
+        const text = String(value ?? '').trim().toLowerCase();
+        if (!text) {
+            return null;
+        }
+
+        return this.categories.find(category => {
+            return String(category.id) === text || (category.name || '').toLowerCase() === text;
+        }) || null;
+    }
+
+    /**
+     * Build product payloads from the records using the current mapping and validate them
+     */
+    validateRows() {
+        const getValue = (record, key) => this.mapping[key] ? record[this.mapping[key]] : undefined;
+
+        this.rows = this.records.map((record, index) => {
+            const rawCategory = getValue(record, 'category');
+            const category = this.resolveCategory(rawCategory);
+            const data = {
+                title: String(getValue(record, 'title') ?? '').trim(),
+                price: this.parsePrice(getValue(record, 'price')),
+                description: String(getValue(record, 'description') ?? '').trim(),
+                categoryId: category ? category.id : null,
+                images: this.parseImages(getValue(record, 'images'))
+            };
+
+            const errors = this.validator.validate(data);
+            if (!category && rawCategory !== undefined && String(rawCategory).trim() !== '') {
+                const categoryName = typeof rawCategory === 'object' ? rawCategory.name : rawCategory;
+                errors.categoryId = i18n.t('import.unknownCategory', { name: categoryName });
+            }
+
+            return {
+                line: index + this.recordLineOffset,
+                data,
+                errors,
+                // Product-shaped object for TableRenderer
+                preview: {
+                    id: `import-${index}`,
+                    title: data.title,
+                    price: Number.isFinite(data.price) ? data.price : null,
+                    description: data.description,
+                    category: category || null,
+                    images: data.images
+                }
+            };
+        });
+
+        this.renderPreview();
+    }
+
+    /**
+     * Render the preview table and highlight invalid rows
+     */
+    renderPreview() {
+        // The rows get an extra error cell below, so they are not reused across previews
+        this.previewRenderer.clearRows();
+        this.previewRenderer.renderTable(this.rows.map(row => row.preview));
+
+        const tableRows = this.previewRenderer.tableBodyElement.querySelectorAll('tr');
+        this.rows.forEach((row, index) => {
+            const messages = Object.values(row.errors);
+            const errorCell = this.document.createElement('td');
+            errorCell.className = 'import-error-cell';
+            errorCell.textContent = messages.length > 0 ? messages.join(' ') : '✓';
+
+            tableRows[index].classList.toggle('invalid-row', messages.length > 0);
+            tableRows[index].appendChild(errorCell);
+        });
+
+        const validCount = this.getValidRows().length;
+        const invalidCount = this.rows.length - validCount;
+        this.summaryElement.textContent = i18n.t('import.summary', { rows: this.rows.length, valid: validCount, invalid: invalidCount });
+
+        this.commitButton.disabled = validCount === 0;
+        this.commitButton.textContent = i18n.t('import.commitCount', { count: validCount });
+    }
+
+    /**
+     * Get rows without validation errors
+     * @returns {Object[]} Valid rows
+     */
+    getValidRows() {
+        return this.rows.filter(row => Object.keys(row.errors).length === 0);
+    }
+
+    /**
+     * Create the valid products in batches, showing progress and a per-row report
+     */
+    async commit() {
+        const validRows = this.getValidRows();
+        if (validRows.length === 0 || !this.onImportRowCallback) {
+            return;
+        }
+
+        this.isImporting = true;
+        this.commitButton.disabled = true;
+        this.cancelButton.disabled = true;
+        this.showStep('result');
+        this.reportElement.innerHTML = '';
+        this.progressElement.max = validRows.length;
+        this.updateProgress(0, validRows.length);
+
+        const created = [];
+        const failures = [];
+
+        for (let start = 0; start < validRows.length; start += this.batchSize) {
+            const batch = validRows.slice(start, start + this.batchSize);
+            const results = await Promise.allSettled(batch.map(row => this.onImportRowCallback(row.data)));
+
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    created.push(result.value);
+                } else {
+                    failures.push({ row: batch[index], error: result.reason });
+                }
+            });
+
+            this.updateProgress(start + batch.length, validRows.length);
+        }
+
+        this.isImporting = false;
+        this.cancelButton.disabled = false;
+        this.cancelButton.textContent = i18n.t('common.close');
+        this.commitButton.style.display = 'none';
+        this.renderReport(created.length, validRows.length, failures);
+
+        console.log(`✓ Import finished: ${created.length} created, ${failures.length} failed, ${this.rows.length - validRows.length} skipped`);
+
+        if (this.onImportCompleteCallback) {
+            this.onImportCompleteCallback(created);
+        }
+    }
+
+    /**
+     * Update the progress bar
+     * @param {number} done - Processed rows
+     * @param {number} total - Rows to import
+     */
+    updateProgress(done, total) {
+        this.progressElement.value = done;
+        this.progressText.textContent = i18n.t('import.progress', { done, total });
+    }
+
+    /**
+     * Show the import result with one line per failed or skipped row
+     * @param {number} createdCount - Products created
+     * @param {number} attemptedCount - Valid rows sent to the API
+     * @param {{row: Object, error: Error}[]} failures - Rows the API rejected
+     */
+    renderReport(createdCount, attemptedCount, failures) {
+        this.progressText.textContent = i18n.t('import.done', { created: createdCount, attempted: attemptedCount });
+
+        const addLine = (row, message) => {
+            const item = this.document.createElement('li');
+            item.textContent = row.data.title
+                ? i18n.t('import.reportLineTitled', { line: row.line, title: row.data.title, message })
+                : i18n.t('import.reportLine', { line: row.line, message });
+            this.reportElement.appendChild(item);
+        };
+
+        failures.forEach(({ row, error }) => {
+            addLine(row, error.userMessage || error.message);
+        });
+
+        this.rows
+            .filter(row => Object.keys(row.errors).length > 0)
+            .forEach(row => addLine(row, i18n.t('import.skipped', { errors: Object.values(row.errors).join(' ') })));
+    }
+
+    /**
+     * Set the function that creates one product
+     * @param {Function} callback - Async function called with a ProductInput, resolves to the created product
+     */
+    onImportRow(callback) {
+        this.onImportRowCallback = callback;
+    }
+
+    /**
+     * Set callback for when an import finishes
+     * @param {Function} callback - Function called with the created products
+     */
+    onImportComplete(callback) {
+        this.onImportCompleteCallback = callback;
+    }
+}
@@ -0,0 +1,276 @@
+import { APIService } from './api-service.js';
+import { EventBus } from './event-bus.js';
+import { isEqual } from './store.js';
+
+/**
+ * Live Sync: reports products changed by other users. Uses the backend's change feed,
+ * streamed with Server-Sent Events when possible and polled with If-None-Match otherwise.
+ * Backends without a change feed (the Platzi API) get the whole catalog polled with
+ * If-None-Match and compared with the loaded products instead (local mode only).
+ */
+export class LiveSync {
+    /**
+     * @param {APIService} apiService - API the changes come from
+     * @param {Object} [options] - Sync options
+     * @param {Window} [options.window] - Window providing EventSource and timers (the page by default)
+     * @param {number} [options.pollInterval] - Delay between two polls in ms
+     */
+    constructor(apiService, options = {}) {
+        this.apiService = apiService;
+        this.window = options.window || window;
+        this.pollInterval = options.pollInterval ?? 15000;
+        this.mode = null; // 'stream' | 'feed' | 'catalog' while running, null when stopped
+        this.cursor = null; // Position in the change feed
+        this.etag = null; // ETag of the last polled response
+        this.getCatalog = null;
+        this.prepareProducts = products => products;
+        this.source = null; // EventSource in 'stream' mode
+        this.pollTimer = null;
+        this.runId = 0; // Used to ignore responses that arrive after stop()
+        this.events = new EventBus();
+    }
+
+    /**
+     * Start watching for changes (stops a previous run first)
+     * @param {Object} [options] - Start options
+     * @param {Function} [options.getCatalog] - Returns the loaded catalog, compared with the polled one
+     *                                          when the backend has no change feed (no fallback without it)
+     * @param {Function} [options.prepareProducts] - Applied to received products before they are
+     *                                               compared or reported (e.g. plugin fetch hooks)
+     */
+    async start(options = {}) {
+        this.stop();
+        const runId = this.runId;
+        const { getCatalog = null, prepareProducts = products => products } = options;
+        this.getCatalog = getCatalog;
+        this.prepareProducts = prepareProducts;
+
+        let feed;
+        try {
+            feed = await this.apiService.getChanges(null);
+        } catch (error) {
+            if (runId !== this.runId) {
+                return;
+            }
+            if (error.status !== 404) {
+                // Backend unreachable for now: try again later
+                console.warn('Live updates unavailable, retrying later:', error.message);
+                this.pollTimer = this.window.setTimeout(() => this.start(options), this.pollInterval);
+            } else if (getCatalog) {
+                this.setMode('catalog');
+                this.schedulePoll();
+            } else {
+                console.log('Live updates unavailable: the API has no change feed');
+            }
+            return;
+        }
+
+        if (runId !== this.runId) {
+            return;
+        }
+        this.cursor = feed.cursor;
+        this.etag = feed.etag;
+
+        if (this.window.EventSource) {
+            this.openStream();
+        } else {
+            this.setMode('feed');
+            this.schedulePoll();
+        }
+    }
+
+    /**
+     * Stop watching; responses still on their way are ignored
+     */
+    stop() {
+        this.runId++;
+        this.window.clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.setMode(null);
+    }
+
+    /**
+     * Receive changes from the backend's event stream. EventSource reconnects by itself
+     * and resumes after the last event; a stream that never opens falls back to polling.
+     */
+    openStream() {
+        const source = new this.window.EventSource(this.apiService.getChangeStreamURL(this.cursor));
+        let opened = false;
+        this.source = source;
+
+        source.addEventListener('open', () => {
+            opened = true;
+            this.setMode('stream');
+        });
+
+        source.addEventListener('changes', (event) => {
+            this.cursor = event.lastEventId || this.cursor;
+            this.emitChanges(this.prepareChanges(JSON.parse(event.data)));
+        });
+
+        source.addEventListener('reset', (event) => {
+            this.cursor = event.lastEventId || this.cursor;
+            this.events.emit('reset');
+        });
+
+        source.addEventListener('error', () => {
+            if (!opened && this.source === source) {
+                source.close();
+                this.source = null;
+                this.setMode('feed');
+                this.schedulePoll();
+            }
+        });
+    }
+
+    /**
+     * Poll again after the poll interval
+     */
+    schedulePoll() {
+        this.window.clearTimeout(this.pollTimer);
+        this.pollTimer = this.window.setTimeout(() => this.poll(), this.pollInterval);
+    }
+
+    /**
+     * Ask the backend for changes once ('feed' and 'catalog' modes). Polls are skipped
+     * while offline or while the page is hidden.
+     */
+    async poll() {
+        const runId = this.runId;
+        const hidden = this.window.document && this.window.document.hidden;
+
+        if (this.window.navigator.onLine && !hidden) {
+            try {
+                if (this.mode === 'catalog') {
+                    const { products, etag } = await this.apiService.getCatalogIfChanged(this.etag);
+                    if (runId !== this.runId) {
+                        return;
+                    }
+                    this.etag = etag;
+                    if (products) {
+                        this.emitChanges(LiveSync.diffCatalog(this.getCatalog(), this.prepareProducts(products)));
+                    }
+                } else {
+                    const result = await this.apiService.getChanges(this.cursor, this.etag);
+                    if (runId !== this.runId) {
+                        return;
+                    }
+                    this.cursor = result.cursor;
+                    this.etag = result.etag;
+                    if (result.reset) {
+                        this.events.emit('reset');
+                    } else {
+                        this.emitChanges(this.prepareChanges(result.changes));
+                    }
+                }
+            } catch (error) {
+                if (runId !== this.runId) {
+                    return;
+                }
+                if (!APIService.isCancellation(error)) {
+                    console.warn('Live update check failed:', error.message);
+                }
+            }
+        }
+
+        if (runId === this.runId) {
+            this.schedulePoll();
+        }
+    }
+
+    /**
+     * Compare two versions of the catalog
+     * @param {Product[]} previous - Loaded products
+     * @param {Product[]} next - Products now on the backend
+     * @returns {Object[]} Changes ({ type: 'create'|'update'|'delete', id, product })
+     */
+    static diffCatalog(previous, next) {
+        const previousById = new Map(previous.map(product => [String(product.id), product]));
+        const nextIds = new Set(next.map(product => String(product.id)));
+        const changes = [];
+
+        next.forEach(product => {
+            const old = previousById.get(String(product.id));
+            if (!old) {
+                changes.push({ type: 'create', id: product.id, product });
+            } else if (!isEqual(old, product)) {
+                changes.push({ type: 'update', id: product.id, product });
+            }
+        });
+        previous.forEach(product => {
+            if (!nextIds.has(String(product.id))) {
+                changes.push({ type: 'delete', id: product.id, product: null });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Pass the created and updated products of feed changes through prepareProducts
+     * @param {Object[]} changes - Changes from the change feed
+     * @returns {Object[]} Changes with the prepared products
+     */
+    prepareChanges(changes) {
+        const changedProducts = changes.filter(change => change.product).map(change => change.product);
+        if (changedProducts.length === 0) {
+            return changes;
+        }
+
+        const prepared = new Map(this.prepareProducts(changedProducts).map(product => [String(product.id), product]));
+        return changes.map(change => (change.product
+            ? { ...change, product: prepared.get(String(change.id)) || change.product }
+            : change));
+    }
+
+    /**
+     * Notify the change listeners, if anything changed
+     * @param {Object[]} changes - Product changes
+     */
+    emitChanges(changes) {
+        if (changes.length > 0) {
+            this.events.emit('changes', changes);
+        }
+    }
+
+    /**
+     * Remember how changes are received and notify the status listeners
+     * @param {string|null} mode - 'stream' | 'feed' | 'catalog' | null
+     */
+    setMode(mode) {
+        if (mode !== this.mode) {
+            this.mode = mode;
+            this.events.emit('status', mode);
+        }
+    }
+
+    /**
+     * Listen to product changes
+     * @param {Function} callback - Called with the changes ({ type, id, product }), oldest first
+     * @returns {Function} Function that removes the listener again
+     */
+    onChanges(callback) {
+        return this.events.on('changes', callback);
+    }
+
+    /**
+     * Listen to the backend losing track of the changes (e.g. after a restart)
+     * @param {Function} callback - Called when everything should be loaded again
+     * @returns {Function} Function that removes the listener again
+     */
+    onReset(callback) {
+        return this.events.on('reset', callback);
+    }
+
+    /**
+     * Listen to live updates starting or stopping
+     * @param {Function} callback - Called with the mode ('stream' | 'feed' | 'catalog' | null)
+     * @returns {Function} Function that removes the listener again
+     */
+    onStatusChange(callback) {
+        return this.events.on('status', callback);
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * Language and currency pickers in the header
+ */
+export class LocaleSwitcher {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.languageSelect = this.document.getElementById('language-select');
+        this.currencySelect = this.document.getElementById('currency-select');
+        
+        this.onLanguageChangeCallback = null;
+        this.onCurrencyChangeCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the pickers
+     */
+    initializeEventListeners() {
+        if (this.languageSelect) {
+            this.languageSelect.addEventListener('change', () => {
+                if (this.onLanguageChangeCallback) {
+                    this.onLanguageChangeCallback(this.languageSelect.value);
+                }
+            });
+        }
+
+        if (this.currencySelect) {
+            this.currencySelect.addEventListener('change', () => {
+                if (this.onCurrencyChangeCallback) {
+                    this.onCurrencyChangeCallback(this.currencySelect.value);
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the current choice
+     * @param {string} language - 'vi' | 'en'
+     * @param {string} currency - 'USD' | 'VND'
+     */
+    update(language, currency) {
+        if (this.languageSelect) {
+            this.languageSelect.value = language;
+        }
+        if (this.currencySelect) {
+            this.currencySelect.value = currency;
+        }
+    }
+
+    /**
+     * Set callback for language changes
+     * @param {Function} callback - Function to call with the language code
+     */
+    onLanguageChange(callback) {
+        this.onLanguageChangeCallback = callback;
+    }
+
+    /**
+     * Set callback for currency changes
+     * @param {Function} callback - Function to call with the currency code
+     */
+    onCurrencyChange(callback) {
+        this.onCurrencyChangeCallback = callback;
+    }
+}
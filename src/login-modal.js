@@ -0,0 +1,125 @@
+import { i18n } from './i18n.js';
+
+/**
+ * Login Modal asking for email and password
+ */
+export class LoginModal {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.modalElement = this.document.getElementById('login-modal');
+        this.formElement = this.document.getElementById('login-form');
+        this.formError = this.document.getElementById('login-form-error');
+        this.messageElement = this.document.getElementById('login-message');
+        this.emailInput = this.document.getElementById('login-email-input');
+        this.passwordInput = this.document.getElementById('login-password-input');
+        this.submitButton = this.document.getElementById('login-form-submit');
+        this.closeButton = this.document.getElementById('login-modal-close');
+        
+        this.onSubmitCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the form and close controls
+     */
+    initializeEventListeners() {
+        if (!this.modalElement || !this.formElement) {
+            return;
+        }
+
+        this.formElement.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleSubmit();
+        });
+
+        this.closeButton.addEventListener('click', () => this.close());
+
+        // Close when clicking the backdrop or pressing Escape
+        this.modalElement.addEventListener('click', (event) => {
+            if (event.target === this.modalElement) {
+                this.close();
+            }
+        });
+
+        this.document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the modal
+     * @param {string} [message] - Why signing in is needed, e.g. after the session expired
+     */
+    open(message = '') {
+        this.formElement.reset();
+        this.formError.textContent = '';
+        this.formError.style.display = 'none';
+        this.messageElement.textContent = message;
+        this.messageElement.style.display = message ? 'block' : 'none';
+
+        this.modalElement.style.display = 'flex';
+        this.emailInput.focus();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        this.modalElement.style.display = 'none';
+    }
+
+    /**
+     * Check if the modal is currently visible
+     * @returns {boolean} True when open
+     */
+    isOpen() {
+        return Boolean(this.modalElement) && this.modalElement.style.display !== 'none';
+    }
+
+    /**
+     * Submit the credentials through the submit callback
+     */
+    async handleSubmit() {
+        const email = this.emailInput.value.trim();
+        const password = this.passwordInput.value;
+        
+        this.formError.style.display = 'none';
+        
+        if (!email || !password) {
+            this.formError.textContent = i18n.t('login.required');
+            this.formError.style.display = 'block';
+            return;
+        }
+
+        if (!this.onSubmitCallback) {
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        
+        try {
+            await this.onSubmitCallback(email, password);
+            this.close();
+        } catch (error) {
+            this.formError.textContent = error.userMessage || error.message;
+            this.formError.style.display = 'block';
+            this.passwordInput.select();
+        } finally {
+            this.submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Set callback for form submission
+     * @param {Function} callback - Async function called with (email, password)
+     */
+    onSubmit(callback) {
+        this.onSubmitCallback = callback;
+    }
+}
@@ -0,0 +1,310 @@
+import { EventBus } from './event-bus.js';
+import { i18n } from './i18n.js';
+
+/**
+ * Pagination Controller for handling page navigation and page size
+ */
+export class PaginationController {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.currentPage = 1;
+        this.pageSize = 10; // Default page size
+        this.showAll = false; // "Tất cả": one virtually scrolled list instead of pages
+        this.totalItems = 0;
+        this.totalPages = 0;
+        
+        this.paginationContainer = this.document.getElementById('pagination-container');
+        this.paginationInfo = this.document.getElementById('pagination-info');
+        this.paginationControls = this.document.getElementById('pagination-controls');
+        this.pageSizeSelect = this.document.getElementById('page-size-select');
+        
+        this.events = new EventBus();
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for pagination controls
+     */
+    initializeEventListeners() {
+        if (this.pageSizeSelect) {
+            this.pageSizeSelect.addEventListener('change', (event) => {
+                const value = event.target.value;
+                this.changePageSize(value === 'all' ? 'all' : parseInt(value));
+            });
+        }
+    }
+
+    /**
+     * Get paged data from the full dataset
+     * @param {Product[]} data - Full array of products
+     * @returns {Product[]} Products for current page
+     */
+    getPagedData(data) {
+        if (!data || !Array.isArray(data)) {
+            return [];
+        }
+
+        this.setTotalItems(data.length);
+
+        if (this.showAll) {
+            return data;
+        }
+
+        // Calculate start and end indices
+        const startIndex = (this.currentPage - 1) * this.pageSize;
+        const endIndex = startIndex + this.pageSize;
+
+        return data.slice(startIndex, endIndex);
+    }
+
+    /**
+     * Set the total number of items and keep the current page in range.
+     * Used directly in remote mode, where the backend reports the total.
+     * @param {number} total - Total number of matching items
+     */
+    setTotalItems(total) {
+        this.totalItems = total;
+        this.totalPages = this.showAll
+            ? Math.min(this.totalItems, 1)
+            : Math.ceil(this.totalItems / this.pageSize);
+        
+        // Ensure current page is valid
+        if (this.currentPage > this.totalPages && this.totalPages > 0) {
+            this.currentPage = this.totalPages;
+        }
+        if (this.currentPage < 1) {
+            this.currentPage = 1;
+        }
+    }
+
+    /**
+     * Navigate to a specific page
+     * @param {number} page - Page number to navigate to
+     */
+    goToPage(page) {
+        if (page < 1 || page > this.totalPages) {
+            return;
+        }
+
+        this.currentPage = page;
+        
+        this.events.emit('pageChange');
+    }
+
+    /**
+     * Change the page size
+     * @param {number|string} size - New page size (5, 10, 20, or 'all' to show every item)
+     */
+    changePageSize(size) {
+        const validSizes = [5, 10, 20];
+        if (size === 'all') {
+            this.showAll = true;
+        } else if (validSizes.includes(size)) {
+            this.showAll = false;
+            this.pageSize = size;
+        } else {
+            return;
+        }
+
+        this.currentPage = 1; // Reset to first page when changing page size
+        
+        this.events.emit('pageSizeChange');
+    }
+
+    /**
+     * Set page size and page without notifying (e.g. when restoring from the URL)
+     * @param {number} page - Page number (clamped once the data is known)
+     * @param {number|string} size - Page size (5, 10, 20, or 'all'; invalid sizes are ignored)
+     */
+    setState(page, size) {
+        if (size === 'all' || [5, 10, 20].includes(size)) {
+            this.showAll = size === 'all';
+            if (!this.showAll) {
+                this.pageSize = size;
+            }
+            if (this.pageSizeSelect) {
+                this.pageSizeSelect.value = String(size);
+            }
+        }
+        this.currentPage = page >= 1 ? page : 1;
+    }
+
+    /**
+     * Render pagination controls
+     */
+    renderControls() {
+        if (!this.paginationContainer || !this.paginationInfo || !this.paginationControls) {
+            return;
+        }
+
+        // Hide pagination if no data or only one page (the "show all" count is still shown)
+        if (this.totalItems === 0 || (this.totalPages <= 1 && !this.showAll)) {
+            this.paginationContainer.style.display = 'none';
+            return;
+        }
+
+        // Show pagination container
+        this.paginationContainer.style.display = 'flex';
+
+        // Every item is in the scrolled list, so there are no page buttons
+        if (this.showAll) {
+            this.paginationInfo.textContent = i18n.t('pagination.all', { total: i18n.formatNumber(this.totalItems) });
+            this.paginationControls.innerHTML = '';
+            return;
+        }
+
+        // Update pagination info
+        const startItem = (this.currentPage - 1) * this.pageSize + 1;
+        const endItem = Math.min(this.currentPage * this.pageSize, this.totalItems);
+        
+        this.paginationInfo.textContent = i18n.t('pagination.info', {
+            start: i18n.formatNumber(startItem),
+            end: i18n.formatNumber(endItem),
+            total: i18n.formatNumber(this.totalItems),
+            page: this.currentPage,
+            pages: this.totalPages
+        });
+
+        // Clear existing controls
+        this.paginationControls.innerHTML = '';
+
+        // Previous button
+        const prevButton = this.document.createElement('button');
+        prevButton.className = 'pagination-btn';
+        prevButton.textContent = i18n.t('pagination.previous');
+        prevButton.disabled = this.currentPage === 1;
+        prevButton.addEventListener('click', () => {
+            if (this.currentPage > 1) {
+                this.goToPage(this.currentPage - 1);
+            }
+        });
+        this.paginationControls.appendChild(prevButton);
+
+        // Page number buttons
+        this.renderPageNumbers();
+
+        // Next button
+        const nextButton = this.document.createElement('button');
+        nextButton.className = 'pagination-btn';
+        nextButton.textContent = i18n.t('pagination.next');
+        nextButton.disabled = this.currentPage === this.totalPages;
+        nextButton.addEventListener('click', () => {
+            if (this.currentPage < this.totalPages) {
+                this.goToPage(this.currentPage + 1);
+            }
+        });
+        this.paginationControls.appendChild(nextButton);
+    }
+
+    /**
+     * Get the page numbers to show: up to five around the current page, plus the
+     * first and last page with '...' where pages are skipped
+     * @returns {Array<number|string>} Page numbers and '...' markers, e.g. [1, '...', 4, 5, 6, '...', 10]
+     */
+    getPageNumbers() {
+        const maxVisiblePages = 5;
+        let startPage = Math.max(1, this.currentPage - Math.floor(maxVisiblePages / 2));
+        let endPage = Math.min(this.totalPages, startPage + maxVisiblePages - 1);
+
+        // Adjust start page if we're near the end
+        if (endPage - startPage + 1 < maxVisiblePages) {
+            startPage = Math.max(1, endPage - maxVisiblePages + 1);
+        }
+
+        const pages = [];
+
+        // Add first page and ellipsis if needed
+        if (startPage > 1) {
+            pages.push(1);
+            if (startPage > 2) {
+                pages.push('...');
+            }
+        }
+
+        for (let i = startPage; i <= endPage; i++) {
+            pages.push(i);
+        }
+
+        // Add last page and ellipsis if needed
+        if (endPage < this.totalPages) {
+            if (endPage < this.totalPages - 1) {
+                pages.push('...');
+            }
+            pages.push(this.totalPages);
+        }
+
+        return pages;
+    }
+
+    /**
+     * Render page number buttons
+     */
+    renderPageNumbers() {
+        this.getPageNumbers().forEach(page => {
+            if (page === '...') {
+                const ellipsis = this.document.createElement('span');
+                ellipsis.textContent = '...';
+                ellipsis.className = 'pagination-ellipsis';
+                this.paginationControls.appendChild(ellipsis);
+            } else {
+                this.createPageButton(page);
+            }
+        });
+    }
+
+    /**
+     * Create a page number button
+     * @param {number} pageNumber - Page number for the button
+     */
+    createPageButton(pageNumber) {
+        const pageButton = this.document.createElement('button');
+        pageButton.className = 'pagination-btn';
+        pageButton.textContent = pageNumber.toString();
+        
+        if (pageNumber === this.currentPage) {
+            pageButton.classList.add('active');
+        }
+        
+        pageButton.addEventListener('click', () => {
+            this.goToPage(pageNumber);
+        });
+        
+        this.paginationControls.appendChild(pageButton);
+    }
+
+    /**
+     * Listen to page changes
+     * @param {Function} callback - Function to call when page changes
+     * @returns {Function} Function that removes the listener again
+     */
+    onPageChange(callback) {
+        return this.events.on('pageChange', callback);
+    }
+
+    /**
+     * Listen to page size changes
+     * @param {Function} callback - Function to call when page size changes
+     * @returns {Function} Function that removes the listener again
+     */
+    onPageSizeChange(callback) {
+        return this.events.on('pageSizeChange', callback);
+    }
+
+    /**
+     * Get current pagination state
+     * @returns {Object} Current pagination state
+     */
+    getPaginationState() {
+        return {
+            currentPage: this.currentPage,
+            pageSize: this.pageSize,
+            showAll: this.showAll,
+            totalPages: this.totalPages,
+            totalItems: this.totalItems
+        };
+    }
+}
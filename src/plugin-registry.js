@@ -0,0 +1,144 @@
+/**
+ * Lifecycle hooks plugins can register. Hooks marked as transforming may return
+ * a new product list, which replaces the one passed to the next plugin.
+ */
+export const PLUGIN_HOOKS = {
+    beforeFetch: false, // (context) before products are requested from the API
+    afterFetch: true, // (products, context) products received from the API
+    beforeFilter: true, // (products, context) every product, before search, facets and sort (local mode)
+    afterFilter: true, // (products, context) every match in display order (local mode)
+    beforeRender: false, // (products, context) products about to be displayed
+    afterRender: false // (products, context) products displayed, rows in the table
+};
+
+/**
+ * Plugin Registry holding the registered plugins and running their hooks.
+ * A broken plugin only logs an error; the dashboard keeps working without its result.
+ */
+export class PluginRegistry {
+    constructor() {
+        this.plugins = []; // In registration order
+    }
+
+    /**
+     * Check a plugin and add it
+     * @param {DashboardPlugin} plugin - Plugin definition (see DashboardController.registerPlugin)
+     * @param {string[]} [reservedColumnKeys] - Column keys already used by the table
+     * @throws {Error} When the plugin is invalid or its id or a column key is already used
+     */
+    register(plugin, reservedColumnKeys = []) {
+        if (!plugin || typeof plugin.id !== 'string' || plugin.id === '') {
+            throw new Error('Plugin needs a non-empty string id');
+        }
+        if (this.get(plugin.id)) {
+            throw new Error(`Plugin "${plugin.id}" is already registered`);
+        }
+
+        const columnKeys = new Set(reservedColumnKeys);
+        (plugin.columns || []).forEach(column => {
+            if (!column || typeof column.key !== 'string' || typeof column.render !== 'function') {
+                throw new Error(`Plugin "${plugin.id}": columns need a key and a render function`);
+            }
+            if (columnKeys.has(column.key)) {
+                throw new Error(`Plugin "${plugin.id}": column "${column.key}" already exists`);
+            }
+            columnKeys.add(column.key);
+        });
+
+        ['rowActions', 'toolbarActions'].forEach(type => {
+            (plugin[type] || []).forEach(action => {
+                if (!action || typeof action.id !== 'string' || typeof action.onClick !== 'function') {
+                    throw new Error(`Plugin "${plugin.id}": ${type} need an id and an onClick function`);
+                }
+            });
+        });
+
+        Object.keys(plugin.hooks || {}).forEach(name => {
+            if (!(name in PLUGIN_HOOKS) || typeof plugin.hooks[name] !== 'function') {
+                throw new Error(`Plugin "${plugin.id}": unknown hook "${name}"`);
+            }
+        });
+
+        this.plugins.push(plugin);
+    }
+
+    /**
+     * Find a registered plugin
+     * @param {string} id - Plugin id
+     * @returns {DashboardPlugin|null} Plugin, or null when not registered
+     */
+    get(id) {
+        return this.plugins.find(plugin => plugin.id === id) || null;
+    }
+
+    /**
+     * Get the row or toolbar actions of every plugin. Action ids are prefixed with
+     * the plugin id, so two plugins may use the same action id.
+     * @param {string} type - 'rowActions' | 'toolbarActions'
+     * @returns {Object[]} Actions ({ ...action, id: '<plugin>:<action>', pluginId }) in registration order
+     */
+    getActions(type) {
+        return this.plugins.flatMap(plugin => (plugin[type] || []).map(action => ({
+            ...action,
+            id: `${plugin.id}:${action.id}`,
+            pluginId: plugin.id
+        })));
+    }
+
+    /**
+     * Find an action by its prefixed id
+     * @param {string} type - 'rowActions' | 'toolbarActions'
+     * @param {string} id - Id returned by getActions
+     * @returns {Object|null} Action, or null when unknown
+     */
+    findAction(type, id) {
+        return this.getActions(type).find(action => action.id === id) || null;
+    }
+
+    /**
+     * Call a hook of every plugin, in registration order. For transforming hooks an
+     * array returned by a plugin replaces the value passed to the next one.
+     * @param {string} name - Hook name (see PLUGIN_HOOKS)
+     * @param {*} value - First hook argument (the product list for transforming hooks)
+     * @param {...*} args - Further hook arguments
+     * @returns {*} Value after every plugin ran
+     */
+    runHook(name, value, ...args) {
+        return this.plugins.reduce((current, plugin) => {
+            const hook = plugin.hooks && plugin.hooks[name];
+            if (!hook) {
+                return current;
+            }
+
+            try {
+                const result = hook(current, ...args);
+                return PLUGIN_HOOKS[name] && Array.isArray(result) ? result : current;
+            } catch (error) {
+                console.error(`✗ Plugin "${plugin.id}" failed in ${name}:`, error);
+                return current;
+            }
+        }, value);
+    }
+
+    /**
+     * Call a plugin function, logging instead of throwing when it fails
+     * @param {string} pluginId - Plugin the function belongs to (for the log message)
+     * @param {Function} callback - Plugin function
+     * @param {...*} args - Arguments passed to it
+     * @returns {*} Its result (a rejected promise is logged too), or undefined when it failed
+     */
+    call(pluginId, callback, ...args) {
+        try {
+            const result = callback(...args);
+            if (result && typeof result.then === 'function') {
+                return result.catch(error => {
+                    console.error(`✗ Plugin "${pluginId}" failed:`, error);
+                });
+            }
+            return result;
+        } catch (error) {
+            console.error(`✗ Plugin "${pluginId}" failed:`, error);
+            return undefined;
+        }
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Product Cache storing the catalog and queued offline edits in IndexedDB,
+ * per API base URL. Reads fail soft (the dashboard works without a cache).
+ */
+export class ProductCache {
+    /**
+     * @param {IDBFactory} [indexedDB] - IndexedDB of the page (none disables the cache)
+     */
+    constructor(indexedDB = globalThis.indexedDB) {
+        this.indexedDB = indexedDB || null;
+        this.dbName = 'product-dashboard';
+        this.dbVersion = 1;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Database
+     * @throws {Error} When IndexedDB is not available
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = this.indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('catalogs', { keyPath: 'baseURL' });
+                    const outbox = db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                    outbox.createIndex('baseURL', 'baseURL');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in a transaction and resolve when the transaction completes
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read the cached catalog
+     * @param {string} baseURL - API base URL
+     * @returns {Promise<{products: Product[], savedAt: string}|null>} Cached catalog, or null
+     */
+    async loadCatalog(baseURL) {
+        try {
+            const catalog = await this.run('catalogs', 'readonly', store => store.get(baseURL));
+            return catalog || null;
+        } catch (error) {
+            console.warn('Product cache unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store the catalog
+     * @param {string} baseURL - API base URL
+     * @param {Product[]} products - Products, including offline edits
+     * @param {string} savedAt - ISO time the products were last received from the API
+     */
+    async saveCatalog(baseURL, products, savedAt) {
+        try {
+            await this.run('catalogs', 'readwrite', store => store.put({ baseURL, products, savedAt }));
+        } catch (error) {
+            console.warn('Failed to cache products:', error.message);
+        }
+    }
+
+    /**
+     * Get queued offline changes, oldest first
+     * @param {string} baseURL - API base URL
+     * @returns {Promise<QueuedChange[]>} Changes: { id, baseURL, type, productId, data, queuedAt }
+     */
+    async getQueue(baseURL) {
+        try {
+            return await this.run('outbox', 'readonly', store => store.index('baseURL').getAll(baseURL));
+        } catch (error) {
+            console.warn('Offline queue unavailable:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Queue a change made while offline
+     * @param {string} baseURL - API base URL
+     * @param {Object} change - { type: 'create'|'update'|'delete', productId, data }
+     * @throws {Error} When the change cannot be stored (it would be lost)
+     */
+    async enqueue(baseURL, change) {
+        await this.run('outbox', 'readwrite', store => store.add({
+            ...change,
+            baseURL,
+            queuedAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Remove a synced (or rejected) change from the queue
+     * @param {number} id - Queued change id
+     */
+    async dequeue(id) {
+        await this.run('outbox', 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Point queued changes for a product created offline at its server id
+     * @param {string} baseURL - API base URL
+     * @param {string} localId - Temporary id given while offline
+     * @param {number|string} serverId - Id assigned by the API
+     */
+    async replaceQueuedProductId(baseURL, localId, serverId) {
+        const queue = await this.getQueue(baseURL);
+
+        for (const change of queue.filter(item => String(item.productId) === String(localId))) {
+            await this.run('outbox', 'readwrite', store => store.put({ ...change, productId: serverId }));
+        }
+    }
+}
@@ -0,0 +1,182 @@
+import { i18n } from './i18n.js';
+import { ImageGallery } from './image-gallery.js';
+
+/**
+ * Product Detail Drawer showing every field of one product in a side panel
+ */
+export class ProductDetailDrawer {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.product = null;
+        this.previousFocus = null; // Element focused before opening (e.g. the table row)
+        
+        this.drawerElement = this.document.getElementById('product-drawer');
+        this.closeButton = this.document.getElementById('product-drawer-close');
+        this.titleElement = this.document.getElementById('drawer-title');
+        this.priceElement = this.document.getElementById('drawer-price');
+        this.descriptionElement = this.document.getElementById('drawer-description');
+        this.categoryElement = this.document.getElementById('drawer-category');
+        this.slugElement = this.document.getElementById('drawer-slug');
+        this.idElement = this.document.getElementById('drawer-id');
+        this.createdElement = this.document.getElementById('drawer-created');
+        this.updatedElement = this.document.getElementById('drawer-updated');
+        
+        this.gallery = new ImageGallery(this.document);
+        this.onShowCallback = null;
+        this.onCloseCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for closing and keyboard navigation
+     */
+    initializeEventListeners() {
+        if (!this.drawerElement) {
+            return;
+        }
+
+        this.closeButton.addEventListener('click', () => this.close());
+
+        // Close when clicking the backdrop
+        this.drawerElement.addEventListener('click', (event) => {
+            if (event.target === this.drawerElement) {
+                this.close();
+            }
+        });
+
+        this.document.addEventListener('keydown', (event) => {
+            if (!this.isOpen()) {
+                return;
+            }
+            if (this.gallery.handleKey(event)) {
+                event.preventDefault();
+            } else if (event.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the drawer for a product
+     * @param {Product} product - Product to show
+     */
+    open(product) {
+        if (!this.isOpen()) {
+            this.previousFocus = this.document.activeElement;
+        }
+
+        this.product = product;
+        this.render();
+        this.drawerElement.style.display = 'flex';
+        this.closeButton.focus();
+
+        if (this.onShowCallback) {
+            this.onShowCallback(product);
+        }
+    }
+
+    /**
+     * Show newer data of the displayed product, leaving the focus where it is
+     * @param {Product} product - New version of the product
+     */
+    update(product) {
+        this.product = product;
+        this.render();
+
+        if (this.onShowCallback) {
+            this.onShowCallback(product);
+        }
+    }
+
+    /**
+     * Close the drawer
+     * @param {boolean} [notify] - Call the close callback (false when closed by navigation)
+     */
+    close(notify = true) {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        this.gallery.closeLightbox();
+        this.drawerElement.style.display = 'none';
+        this.product = null;
+
+        if (this.previousFocus && this.previousFocus.isConnected) {
+            this.previousFocus.focus();
+        }
+
+        if (notify && this.onCloseCallback) {
+            this.onCloseCallback();
+        }
+    }
+
+    /**
+     * Check if the drawer is open
+     * @returns {boolean} True when open
+     */
+    isOpen() {
+        return Boolean(this.drawerElement) && this.drawerElement.style.display !== 'none';
+    }
+
+    /**
+     * Get the product shown in the drawer
+     * @returns {Product|null} Product, or null when closed
+     */
+    getProduct() {
+        return this.product;
+    }
+
+    /**
+     * Fill the drawer with the current product
+     */
+    render() {
+        const product = this.product;
+
+        this.titleElement.textContent = product.title || i18n.t('product.untitled');
+        this.priceElement.textContent = i18n.formatPrice(product.price);
+        this.descriptionElement.textContent = product.description || i18n.t('product.noDescription');
+        this.slugElement.textContent = product.slug || i18n.t('common.notAvailable');
+        this.idElement.textContent = product.id;
+        this.createdElement.textContent = i18n.formatDateTime(product.creationAt);
+        this.updatedElement.textContent = i18n.formatDateTime(product.updatedAt);
+
+        this.categoryElement.innerHTML = '';
+        if (product.category && product.category.name) {
+            if (product.category.image) {
+                const img = this.document.createElement('img');
+                img.className = 'drawer-category-image';
+                img.src = product.category.image;
+                img.alt = '';
+                img.onerror = function() {
+                    this.remove();
+                };
+                this.categoryElement.appendChild(img);
+            }
+            this.categoryElement.appendChild(this.document.createTextNode(product.category.name));
+        } else {
+            this.categoryElement.textContent = i18n.t('product.uncategorized');
+        }
+
+        this.gallery.setImages(product.images, product.title || '');
+    }
+
+    /**
+     * Set callback for when the drawer shows a product (opened, or refreshed with newer data)
+     * @param {Function} callback - Function called with the product
+     */
+    onShow(callback) {
+        this.onShowCallback = callback;
+    }
+
+    /**
+     * Set callback for when the user closes the drawer
+     * @param {Function} callback - Function to call on close
+     */
+    onClose(callback) {
+        this.onCloseCallback = callback;
+    }
+}
@@ -0,0 +1,209 @@
+import { i18n } from './i18n.js';
+import { ProductValidator } from './product-validator.js';
+
+/**
+ * Product Form Modal for creating and editing products
+ */
+export class ProductFormModal {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.modalElement = this.document.getElementById('product-modal');
+        this.modalTitle = this.document.getElementById('product-modal-title');
+        this.formElement = this.document.getElementById('product-form');
+        this.formError = this.document.getElementById('product-form-error');
+        this.titleInput = this.document.getElementById('product-title-input');
+        this.priceInput = this.document.getElementById('product-price-input');
+        this.descriptionInput = this.document.getElementById('product-description-input');
+        this.categorySelect = this.document.getElementById('product-category-select');
+        this.imagesInput = this.document.getElementById('product-images-input');
+        this.submitButton = this.document.getElementById('product-form-submit');
+        this.cancelButton = this.document.getElementById('product-form-cancel');
+        this.closeButton = this.document.getElementById('product-modal-close');
+        
+        this.editingProduct = null; // null when creating a new product
+        this.validator = new ProductValidator();
+        this.onSubmitCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the form and close controls
+     */
+    initializeEventListeners() {
+        if (!this.modalElement || !this.formElement) {
+            return;
+        }
+
+        this.formElement.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleSubmit();
+        });
+
+        [this.cancelButton, this.closeButton].forEach(button => {
+            if (button) {
+                button.addEventListener('click', () => this.close());
+            }
+        });
+
+        // Close when clicking the backdrop or pressing Escape
+        this.modalElement.addEventListener('click', (event) => {
+            if (event.target === this.modalElement) {
+                this.close();
+            }
+        });
+
+        this.document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Fill the category select
+     * @param {Category[]} categories - Available categories
+     */
+    setCategories(categories) {
+        if (!this.categorySelect) {
+            return;
+        }
+
+        this.categorySelect.innerHTML = '';
+        
+        const placeholder = this.document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = i18n.t('form.chooseCategory');
+        this.categorySelect.appendChild(placeholder);
+
+        categories.forEach(category => {
+            const option = this.document.createElement('option');
+            option.value = category.id;
+            option.textContent = category.name;
+            this.categorySelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Open the modal
+     * @param {Product|null} product - Product to edit, or null to create a new one
+     */
+    open(product = null) {
+        this.editingProduct = product;
+        this.clearErrors();
+        this.formElement.reset();
+
+        if (product) {
+            this.modalTitle.textContent = i18n.t('form.editTitle');
+            this.titleInput.value = product.title || '';
+            this.priceInput.value = product.price ?? '';
+            this.descriptionInput.value = product.description || '';
+            this.categorySelect.value = product.category ? product.category.id : '';
+            this.imagesInput.value = (product.images || []).join('\n');
+        } else {
+            this.modalTitle.textContent = i18n.t('form.addTitle');
+        }
+
+        this.modalElement.style.display = 'flex';
+        this.titleInput.focus();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        this.modalElement.style.display = 'none';
+        this.editingProduct = null;
+    }
+
+    /**
+     * Check if the modal is currently visible
+     * @returns {boolean} True when open
+     */
+    isOpen() {
+        return this.modalElement.style.display !== 'none';
+    }
+
+    /**
+     * Read form values into an API payload
+     * @returns {ProductInput} { title, price, description, categoryId, images }
+     */
+    getFormData() {
+        const categoryValue = this.categorySelect.value;
+        
+        return {
+            title: this.titleInput.value.trim(),
+            price: this.priceInput.value === '' ? NaN : Number(this.priceInput.value),
+            description: this.descriptionInput.value.trim(),
+            // Platzi expects a numeric categoryId, json-server ids are strings
+            categoryId: /^\d+$/.test(categoryValue) ? Number(categoryValue) : categoryValue,
+            images: this.imagesInput.value
+                .split('\n')
+                .map(url => url.trim())
+                .filter(url => url.length > 0)
+        };
+    }
+
+    /**
+     * Show validation errors next to their fields
+     * @param {Object<string, string>} errors - Error message per field
+     */
+    showFieldErrors(errors) {
+        this.formElement.querySelectorAll('[data-error-for]').forEach(element => {
+            const field = element.dataset.errorFor;
+            element.textContent = errors[field] || '';
+        });
+    }
+
+    /**
+     * Clear field and form level errors
+     */
+    clearErrors() {
+        this.showFieldErrors({});
+        this.formError.textContent = '';
+        this.formError.style.display = 'none';
+    }
+
+    /**
+     * Validate and submit the form through the submit callback
+     */
+    async handleSubmit() {
+        const data = this.getFormData();
+        const errors = this.validator.validate(data);
+        
+        this.clearErrors();
+        
+        if (Object.keys(errors).length > 0) {
+            this.showFieldErrors(errors);
+            return;
+        }
+
+        if (!this.onSubmitCallback) {
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        
+        try {
+            await this.onSubmitCallback(data, this.editingProduct);
+            this.close();
+        } catch (error) {
+            // Server errors were already reported by APIService.handleError
+            this.formError.textContent = error.userMessage || error.message;
+            this.formError.style.display = 'block';
+        } finally {
+            this.submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Set callback for form submission
+     * @param {Function} callback - Async function called with (data, editingProduct)
+     */
+    onSubmit(callback) {
+        this.onSubmitCallback = callback;
+    }
+}
@@ -0,0 +1,151 @@
+import { i18n } from './i18n.js';
+import { createAuditEntryElement } from './audit-entry.js';
+
+/**
+ * Product History: timeline of the audit log entries of the product in the detail
+ * drawer, newest first, with a "revert to this version" button on older versions and
+ * a "revert to the version before" button on the oldest update
+ */
+export class ProductHistory {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.sectionElement = this.document.getElementById('drawer-history');
+        this.listElement = this.document.getElementById('drawer-history-list');
+        this.statusElement = this.document.getElementById('drawer-history-status');
+
+        this.entries = [];
+        this.canRevert = false;
+        this.status = null; // Message key shown instead of the entries
+        this.visible = false;
+
+        this.onRevertCallback = null;
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the revert buttons (delegated)
+     */
+    initializeEventListeners() {
+        if (!this.listElement) {
+            return;
+        }
+
+        this.listElement.addEventListener('click', (event) => {
+            const button = event.target.closest('.history-revert-btn');
+            if (!button) {
+                return;
+            }
+            const entry = this.entries.find(item => String(item.id) === button.dataset.entryId);
+            if (entry && this.onRevertCallback) {
+                this.onRevertCallback(entry, button.dataset.version === 'previous');
+            }
+        });
+    }
+
+    /**
+     * Show the loading message instead of the timeline
+     */
+    showLoading() {
+        this.entries = [];
+        this.status = 'history.loading';
+        this.visible = true;
+        this.render();
+    }
+
+    /**
+     * Show a message instead of the timeline
+     * @param {string} key - Message key ('history.unavailable' | 'history.loadFailed')
+     */
+    showMessage(key) {
+        this.entries = [];
+        this.status = key;
+        this.visible = true;
+        this.render();
+    }
+
+    /**
+     * Show the history of a product
+     * @param {Object[]} entries - Audit log entries, newest first
+     * @param {boolean} canRevert - Offer the revert buttons
+     */
+    setEntries(entries, canRevert) {
+        this.entries = entries;
+        this.canRevert = canRevert;
+        this.status = entries.length === 0 ? 'history.empty' : null;
+        this.visible = true;
+        this.render();
+    }
+
+    /**
+     * Hide the section (e.g. for visitors, who may not read the audit log)
+     */
+    hide() {
+        this.entries = [];
+        this.status = null;
+        this.visible = false;
+        this.render();
+    }
+
+    /**
+     * Render the timeline, e.g. again after the language changed
+     */
+    render() {
+        if (!this.sectionElement) {
+            return;
+        }
+
+        this.sectionElement.style.display = this.visible ? '' : 'none';
+        this.statusElement.textContent = this.status ? i18n.t(this.status) : '';
+        this.statusElement.style.display = this.status ? '' : 'none';
+
+        // The newest entry is the current version; deleted versions cannot be restored.
+        // The version before the oldest entry is only known from that entry (e.g. a
+        // product that existed before the audit log, edited once).
+        const oldest = this.entries.length - 1;
+        this.listElement.replaceChildren(...this.entries.map((entry, index) => {
+            const item = createAuditEntryElement(this.document, entry);
+            if (index === 0) {
+                const current = this.document.createElement('span');
+                current.className = 'history-current';
+                current.textContent = i18n.t('history.current');
+                item.querySelector('.audit-entry-header').appendChild(current);
+            } else if (this.canRevert && entry.action !== 'delete') {
+                item.appendChild(this.createRevertButton(entry, 'version', 'history.revert'));
+            }
+            if (index === oldest && this.canRevert && entry.action === 'update' && entry.previous) {
+                item.appendChild(this.createRevertButton(entry, 'previous', 'history.revertPrevious'));
+            }
+            return item;
+        }));
+    }
+
+    /**
+     * Create a revert button
+     * @param {Object} entry - Audit log entry holding the version
+     * @param {string} version - 'version' (after the entry's change) | 'previous' (before it)
+     * @param {string} labelKey - Message key of the label
+     * @returns {HTMLButtonElement} Button
+     */
+    createRevertButton(entry, version, labelKey) {
+        const button = this.document.createElement('button');
+        button.type = 'button';
+        button.className = 'sort-btn history-revert-btn';
+        button.dataset.entryId = entry.id;
+        button.dataset.version = version;
+        button.textContent = i18n.t(labelKey);
+        return button;
+    }
+
+    /**
+     * Set callback for the revert buttons
+     * @param {Function} callback - Function called with the audit log entry and true to go back
+     *                              to the version before the entry's change, false for the one after it
+     */
+    onRevert(callback) {
+        this.onRevertCallback = callback;
+    }
+}
@@ -0,0 +1,77 @@
+import { i18n } from './i18n.js';
+
+/**
+ * Product Validator for checking product data before it is sent to the API
+ */
+export class ProductValidator {
+    /**
+     * Validate product data (used by the product form and the import wizard)
+     * @param {ProductInput} data - Product data
+     * @returns {Object<string, string>} Error message per field (empty when valid)
+     */
+    validate(data) {
+        const errors = {};
+
+        ['title', 'price', 'description', 'categoryId', 'images'].forEach(field => {
+            const message = this.validateField(field, data);
+            if (message) {
+                errors[field] = message;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate one field (used alone by inline table editing)
+     * @param {string} field - 'title' | 'price' | 'description' | 'categoryId' | 'images'
+     * @param {Object} data - Product data containing the field
+     * @returns {string} Error message, or '' when valid
+     */
+    validateField(field, data) {
+        const value = data[field];
+
+        if (field === 'title') {
+            if (!value) {
+                return i18n.t('validation.titleRequired');
+            }
+            return value.length > 255 ? i18n.t('validation.titleTooLong') : '';
+        }
+
+        if (field === 'price') {
+            return !Number.isFinite(value) || value <= 0 ? i18n.t('validation.price') : '';
+        }
+
+        if (field === 'description') {
+            return value ? '' : i18n.t('validation.description');
+        }
+
+        if (field === 'categoryId') {
+            return value === '' || value === null || value === undefined ? i18n.t('validation.category') : '';
+        }
+
+        if (field === 'images') {
+            if (value.length === 0) {
+                return i18n.t('validation.imagesRequired');
+            }
+            const invalidURL = value.find(url => !this.isValidURL(url));
+            return invalidURL ? i18n.t('validation.imageURL', { url: invalidURL }) : '';
+        }
+
+        return '';
+    }
+
+    /**
+     * Check that a string is an absolute http(s) URL
+     * @param {string} value - URL to check
+     * @returns {boolean} True when valid
+     */
+    isValidURL(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,489 @@
+import { EventBus } from './event-bus.js';
+
+/**
+ * Search Filter with diacritic-insensitive, typo-tolerant matching and relevance ranking.
+ * Query syntax: plain words, "quoted phrases", field terms (title:, description:, category:)
+ * and price conditions (price:<50, price:>=10, price:10-50).
+ */
+export class SearchFilter {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.searchTerm = '';
+        this.query = this.parseQuery('');
+        this.searchInput = this.document.getElementById('search-input');
+        this.events = new EventBus();
+        
+        // Searched fields with their relevance weights
+        this.fields = {
+            title: { weight: 3, value: product => product.title },
+            category: { weight: 2, value: product => product.category && product.category.name },
+            description: { weight: 1, value: product => product.description }
+        };
+        
+        // Field names accepted in the query syntax (English and Vietnamese without diacritics)
+        this.fieldAliases = {
+            title: 'title', ten: 'title',
+            description: 'description', desc: 'description', mota: 'description',
+            category: 'category', cat: 'category', danhmuc: 'category',
+            price: 'price', gia: 'price'
+        };
+        
+        // Normalized words per product, rebuilt when a product object is replaced
+        this.indexCache = new WeakMap();
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for search input
+     */
+    initializeEventListeners() {
+        if (this.searchInput) {
+            // Use input event for real-time search as user types
+            this.searchInput.addEventListener('input', (event) => {
+                this.setQuery(event.target.value.trim());
+                
+                this.events.emit('change', this.searchTerm);
+            });
+        }
+    }
+
+    /**
+     * Lowercase text and strip Vietnamese diacritics ("Áo Đỏ" → "ao do")
+     * @param {string} text - Source text
+     * @returns {string} Normalized text
+     */
+    normalizeText(text) {
+        return String(text ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase();
+    }
+
+    /**
+     * Normalize text keeping, for each normalized character, its index in the original text
+     * @param {string} text - Source text
+     * @returns {{text: string, map: number[]}} Normalized text and index map
+     */
+    normalizeWithMap(text) {
+        let normalized = '';
+        const map = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const chars = this.normalizeText(text[i]);
+            for (const char of chars) {
+                normalized += char;
+                map.push(i);
+            }
+        }
+
+        return { text: normalized, map };
+    }
+
+    /**
+     * Split normalized text into words with their positions
+     * @param {string} text - Normalized text
+     * @returns {{word: string, start: number}[]} Words
+     */
+    tokenize(text) {
+        return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({ word: match[0], start: match.index }));
+    }
+
+    /**
+     * Parse a search string into text terms and price conditions
+     * @param {string} input - Raw search string, e.g. 'ao thun category:clothes price:<50'
+     * @returns {SearchQuery} { terms: [{text, field, phrase}], price: {min, max, minExclusive, maxExclusive} }
+     */
+    parseQuery(input) {
+        const query = {
+            terms: [],
+            price: { min: null, max: null, minExclusive: false, maxExclusive: false }
+        };
+        const tokenPattern = /([a-z]+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/gi;
+
+        for (const [token, fieldName, fieldValue, phrase, word] of input.matchAll(tokenPattern)) {
+            const field = fieldName ? this.fieldAliases[fieldName.toLowerCase()] : null;
+
+            if (field === 'price') {
+                if (!this.parsePriceCondition(fieldValue, query.price)) {
+                    this.addTerms(query, token, null);
+                }
+            } else if (field) {
+                this.addTerms(query, fieldValue.replace(/^"|"$/g, ''), field, fieldValue.startsWith('"'));
+            } else if (phrase !== undefined) {
+                this.addTerms(query, phrase, null, true);
+            } else {
+                // Unknown "name:value" tokens are searched as plain text
+                this.addTerms(query, word || token, null);
+            }
+        }
+
+        return query;
+    }
+
+    /**
+     * Add normalized terms from a piece of query text
+     * @param {SearchQuery} query - Query being built
+     * @param {string} text - Raw text
+     * @param {string|null} field - Field to search (null for all text fields)
+     * @param {boolean} [phrase] - Keep the text as one phrase instead of splitting it into words
+     */
+    addTerms(query, text, field, phrase = false) {
+        const normalized = this.normalizeText(text).trim();
+
+        if (phrase && normalized) {
+            query.terms.push({ text: normalized, field, phrase: true });
+            return;
+        }
+
+        this.tokenize(normalized).forEach(({ word }) => {
+            query.terms.push({ text: word, field, phrase: false });
+        });
+    }
+
+    /**
+     * Parse a price condition ("<50", ">=10", "=20", "10-50", "10..50") into the query's price range
+     * @param {string} value - Condition text
+     * @param {Object} price - Price range to update
+     * @returns {boolean} false when the condition is not valid
+     */
+    parsePriceCondition(value, price) {
+        const number = '(\\d+(?:[.,]\\d+)?)';
+        const toNumber = text => parseFloat(text.replace(',', '.'));
+        const range = value.match(new RegExp(`^${number}(?:-|\\.\\.)${number}$`));
+        const comparison = value.match(new RegExp(`^(<=|>=|<|>|=)?${number}$`));
+
+        if (range) {
+            price.min = toNumber(range[1]);
+            price.max = toNumber(range[2]);
+            price.minExclusive = false;
+            price.maxExclusive = false;
+            return true;
+        }
+
+        if (!comparison) {
+            return false;
+        }
+
+        const operator = comparison[1] || '=';
+        const amount = toNumber(comparison[2]);
+
+        if (operator.startsWith('<') || operator === '=') {
+            price.max = amount;
+            price.maxExclusive = operator === '<';
+        }
+        if (operator.startsWith('>') || operator === '=') {
+            price.min = amount;
+            price.minExclusive = operator === '>';
+        }
+        return true;
+    }
+
+    /**
+     * Edit distance between two words (insert, delete, substitute, swap adjacent letters),
+     * giving up early once it exceeds the limit
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} limit - Largest distance of interest
+     * @returns {number} Distance (limit + 1 when over the limit)
+     */
+    editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) {
+            return limit + 1;
+        }
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(distance);
+                rowMin = Math.min(rowMin, distance);
+            }
+
+            if (rowMin > limit) {
+                return limit + 1;
+            }
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Match a query word against one word of a field
+     * @param {string} term - Normalized query word
+     * @param {string} word - Normalized field word
+     * @returns {{score: number, start: number, end: number}|null} Match quality and matched part of the word
+     */
+    matchWord(term, word) {
+        if (word === term) {
+            return { score: 1, start: 0, end: word.length };
+        }
+        if (word.startsWith(term)) {
+            return { score: 0.8, start: 0, end: term.length };
+        }
+
+        const index = term.length >= 3 ? word.indexOf(term) : -1;
+        if (index >= 0) {
+            return { score: 0.6, start: index, end: index + term.length };
+        }
+
+        // Typos: one for words of 4+ letters, two for 8+
+        const allowedTypos = term.length >= 8 ? 2 : (term.length >= 4 ? 1 : 0);
+        if (allowedTypos > 0) {
+            const distance = this.editDistance(term, word, allowedTypos);
+            if (distance <= allowedTypos) {
+                return { score: 0.6 - distance * 0.1, start: 0, end: word.length };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the normalized text and words of a product's searchable fields
+     * @param {Product} product - Product
+     * @returns {Object<string, {text: string, words: Object[]}>} Index per field
+     */
+    getProductIndex(product) {
+        let index = this.indexCache.get(product);
+
+        if (!index) {
+            index = {};
+            Object.entries(this.fields).forEach(([field, { value }]) => {
+                const text = this.normalizeText(value(product));
+                index[field] = { text, words: this.tokenize(text) };
+            });
+            this.indexCache.set(product, index);
+        }
+
+        return index;
+    }
+
+    /**
+     * Score one query term against normalized field text
+     * @param {Object} term - Query term
+     * @param {{text: string, words: Object[]}} fieldIndex - Normalized field
+     * @returns {number} Best match score (0 when not found)
+     */
+    scoreTerm(term, fieldIndex) {
+        if (term.phrase) {
+            return fieldIndex.text.includes(term.text) ? 1 : 0;
+        }
+
+        return fieldIndex.words.reduce((best, { word }) => {
+            const match = this.matchWord(term.text, word);
+            return match ? Math.max(best, match.score) : best;
+        }, 0);
+    }
+
+    /**
+     * Check whether text matches every given query term (e.g. a category name against category: terms)
+     * @param {string} text - Original text
+     * @param {Object[]} terms - Query terms
+     * @returns {boolean} true when all terms match
+     */
+    matchesText(text, terms) {
+        const normalized = this.normalizeText(text);
+        const fieldIndex = { text: normalized, words: this.tokenize(normalized) };
+        return terms.every(term => this.scoreTerm(term, fieldIndex) > 0);
+    }
+
+    /**
+     * Check a price against the query's price range
+     * @param {number} price - Product price
+     * @param {Object} range - Price range from parseQuery
+     * @returns {boolean} true when within range
+     */
+    matchesPrice(price, range) {
+        if (range.min !== null && !(range.minExclusive ? price > range.min : price >= range.min)) {
+            return false;
+        }
+        if (range.max !== null && !(range.maxExclusive ? price < range.max : price <= range.max)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Relevance of a product for a query. Every term must match at least one field.
+     * @param {Product} product - Product
+     * @param {SearchQuery} query - Parsed query
+     * @returns {number} Score (0 when the product does not match)
+     */
+    scoreProduct(product, query) {
+        if (!this.matchesPrice(product.price, query.price)) {
+            return 0;
+        }
+
+        const index = this.getProductIndex(product);
+        let total = 0;
+
+        for (const term of query.terms) {
+            const fields = term.field ? [term.field] : Object.keys(this.fields);
+            const best = Math.max(...fields.map(field => this.scoreTerm(term, index[field]) * this.fields[field].weight));
+
+            if (best === 0) {
+                return 0;
+            }
+            total += best;
+        }
+
+        // Bonus when the words appear together, in order, in the title
+        const freeText = query.terms.filter(term => !term.field).map(term => term.text).join(' ');
+        if (freeText.includes(' ') && index.title.text.includes(freeText)) {
+            total += this.fields.title.weight;
+        }
+
+        // Price-only queries still match
+        return Math.max(total, 1);
+    }
+
+    /**
+     * Filter products by the search query, most relevant first
+     * (products with equal scores keep their order)
+     * @param {Product[]} products - Array of products to filter
+     * @param {string} term - Search string to filter by
+     * @returns {Product[]} Matching products ranked by relevance
+     */
+    filter(products, term = this.searchTerm) {
+        if (!products || !Array.isArray(products)) {
+            return [];
+        }
+
+        // If no search term, return all products
+        if (!term || term.length === 0) {
+            return products;
+        }
+
+        const query = term === this.searchTerm ? this.query : this.parseQuery(term);
+
+        return products
+            .filter(product => product)
+            .map(product => ({ product, score: this.scoreProduct(product, query) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.product);
+    }
+
+    /**
+     * Find the parts of a field value matched by the current query, for highlighting
+     * @param {string} text - Original field text
+     * @param {string} field - 'title' | 'description' | 'category'
+     * @returns {{start: number, end: number}[]} Sorted, non-overlapping ranges in the original text
+     */
+    getMatchRanges(text, field) {
+        const terms = this.query.terms.filter(term => !term.field || term.field === field);
+        if (!text || terms.length === 0) {
+            return [];
+        }
+
+        const normalized = this.normalizeWithMap(text);
+        const words = this.tokenize(normalized.text);
+        const ranges = [];
+
+        terms.forEach(term => {
+            if (term.phrase) {
+                let index = normalized.text.indexOf(term.text);
+                while (index >= 0) {
+                    ranges.push({ start: index, end: index + term.text.length });
+                    index = normalized.text.indexOf(term.text, index + term.text.length);
+                }
+                return;
+            }
+
+            words.forEach(({ word, start }) => {
+                const match = this.matchWord(term.text, word);
+                if (match) {
+                    ranges.push({ start: start + match.start, end: start + match.end });
+                }
+            });
+        });
+
+        // Map back to the original text and merge overlapping ranges
+        return ranges
+            .map(range => ({ start: normalized.map[range.start], end: normalized.map[range.end - 1] + 1 }))
+            .sort((a, b) => a.start - b.start)
+            .reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range.start <= last.end) {
+                    last.end = Math.max(last.end, range.end);
+                } else {
+                    merged.push(range);
+                }
+                return merged;
+            }, []);
+    }
+
+    /**
+     * Listen to search changes
+     * @param {Function} callback - Function to call when search term changes
+     * @returns {Function} Function that removes the listener again
+     */
+    onSearchChange(callback) {
+        return this.events.on('change', callback);
+    }
+
+    /**
+     * Get current search term
+     * @returns {string} Current search term
+     */
+    getSearchTerm() {
+        return this.searchTerm;
+    }
+
+    /**
+     * Get the parsed current search query
+     * @returns {SearchQuery} Parsed query
+     */
+    getQuery() {
+        return this.query;
+    }
+
+    /**
+     * Store the search term and its parsed query
+     * @param {string} term - Search term
+     */
+    setQuery(term) {
+        this.searchTerm = term;
+        this.query = this.parseQuery(term);
+    }
+
+    /**
+     * Set the search term without notifying (e.g. when restoring from the URL)
+     * @param {string} term - Search term
+     */
+    setSearchTerm(term) {
+        this.setQuery(term.trim());
+        if (this.searchInput) {
+            this.searchInput.value = this.searchTerm;
+        }
+    }
+
+    /**
+     * Clear search input and term
+     */
+    clearSearch() {
+        this.setQuery('');
+        if (this.searchInput) {
+            this.searchInput.value = '';
+        }
+    }
+}
@@ -0,0 +1,44 @@
+import { createSelector } from './store.js';
+
+/**
+ * Selectors for the dashboard store. The state holds the data
+ * (products, filteredProducts, pageProducts, total) and the view
+ * (search, sort, page, pageSize, filters, productId).
+ */
+
+/**
+ * View state as written to the URL
+ * @type {Function}
+ * @returns {ViewState} { search, sort, page, pageSize, filters, productId }
+ */
+export const selectViewState = createSelector(
+    [
+        state => state.search,
+        state => state.sort,
+        state => state.page,
+        state => state.pageSize,
+        state => state.filters,
+        state => state.productId
+    ],
+    (search, sort, page, pageSize, filters, productId) => ({ search, sort, page, pageSize, filters, productId })
+);
+
+/**
+ * Products the statistics describe: every match, or only the loaded ones in remote mode
+ * @type {Function}
+ * @returns {{products: Product[], partial: boolean}} Matches and whether some are not loaded
+ */
+export const selectStatistics = createSelector(
+    [state => state.filteredProducts, state => state.total],
+    (products, total) => ({ products, partial: total > products.length })
+);
+
+/**
+ * Product counts of the export scopes
+ * @type {Function}
+ * @returns {{total: number, page: number}} Every match and the displayed products
+ */
+export const selectExportCounts = createSelector(
+    [state => state.total, state => state.pageProducts],
+    (total, pageProducts) => ({ total, page: pageProducts.length })
+);
@@ -0,0 +1,290 @@
+import { EventBus } from './event-bus.js';
+import { i18n } from './i18n.js';
+
+/**
+ * Sort Controller for multi-column sorting from the table headers.
+ * Clicking a header sorts by that column (asc → desc → none);
+ * Shift+click adds it as the next sort key instead of replacing the sort.
+ */
+export class SortController {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.sortKeys = []; // [{ field, direction }] in priority order
+        
+        // Sortable fields and how to read them from a product
+        this.fields = {
+            id: { type: 'text', value: product => product.id },
+            title: { type: 'text', value: product => product.title },
+            price: { type: 'number', value: product => product.price },
+            description: { type: 'text', value: product => product.description },
+            category: { type: 'text', value: product => product.category && product.category.name },
+            slug: { type: 'text', value: product => product.slug },
+            creationAt: { type: 'date', value: product => product.creationAt },
+            updatedAt: { type: 'date', value: product => product.updatedAt }
+        };
+        
+        // Vietnamese collation: "Áo" sorts next to "Ao", "đ" after "d", numbers by value
+        this.collator = new Intl.Collator('vi', { sensitivity: 'base', numeric: true });
+        
+        // Headers are rebuilt when the column layout changes, so their events are delegated
+        this.tableHead = this.document.querySelector('#products-table thead');
+        this.clearSortBtn = this.document.getElementById('clear-sort-btn');
+        
+        this.events = new EventBus();
+        
+        this.initializeEventListeners();
+        this.refreshHeaders();
+    }
+
+    /**
+     * Initialize event listeners for sortable headers
+     */
+    initializeEventListeners() {
+        if (this.tableHead) {
+            this.tableHead.addEventListener('click', (event) => {
+                const header = this.getSortHeader(event.target);
+                if (header) {
+                    this.toggleSort(header.dataset.sortField, event.shiftKey);
+                }
+            });
+
+            this.tableHead.addEventListener('keydown', (event) => {
+                const header = this.getSortHeader(event.target);
+                if (header && (event.key === 'Enter' || event.key === ' ')) {
+                    event.preventDefault();
+                    this.toggleSort(header.dataset.sortField, event.shiftKey);
+                }
+            });
+        }
+
+        if (this.clearSortBtn) {
+            this.clearSortBtn.addEventListener('click', () => {
+                this.clearSort();
+                this.notifyChange();
+            });
+        }
+    }
+
+    /**
+     * Find the sortable header an event happened in (resize handles don't sort)
+     * @param {HTMLElement} target - Event target
+     * @returns {HTMLElement|null} Header element
+     */
+    getSortHeader(target) {
+        if (target.closest('.column-resize-handle')) {
+            return null;
+        }
+        return target.closest('th[data-sort-field]');
+    }
+
+    /**
+     * Get the sortable headers currently in the table
+     * @returns {HTMLElement[]} Header elements
+     */
+    getHeaderElements() {
+        return this.tableHead ? [...this.tableHead.querySelectorAll('th[data-sort-field]')] : [];
+    }
+
+    /**
+     * Make new headers focusable and show the current sort on them
+     */
+    refreshHeaders() {
+        this.getHeaderElements().forEach(header => {
+            header.tabIndex = 0;
+            header.title = i18n.t('sort.hint');
+        });
+        this.updateSortHeaders();
+    }
+
+    /**
+     * Add a sortable field (plugin columns)
+     * @param {string} field - Field name, used as the header's sortField and in the URL
+     * @param {Object} definition - { type: 'text'|'number'|'date', value: product => value }, or
+     *                              { compare: (a, b) => number } sorting two products ascending
+     */
+    addField(field, definition) {
+        this.fields[field] = definition;
+    }
+
+    /**
+     * Check whether a sort value is missing (missing values always sort last)
+     * @param {*} value - Field value
+     * @returns {boolean} true when missing
+     */
+    isEmptyValue(value) {
+        return value === undefined || value === null || value === '' || Number.isNaN(value);
+    }
+
+    /**
+     * Compare two products on one field. Missing values sort last in both directions,
+     * except for fields with their own comparator.
+     * @param {Product} a - First product
+     * @param {Product} b - Second product
+     * @param {string} field - Field to compare
+     * @param {string} direction - 'asc' | 'desc'
+     * @returns {number} Comparison result
+     */
+    compareField(a, b, field, direction) {
+        const { type, value, compare } = this.fields[field];
+        if (compare) {
+            const result = compare(a, b);
+            return direction === 'desc' ? -result : result;
+        }
+
+        let valueA = value(a);
+        let valueB = value(b);
+
+        if (type === 'date') {
+            valueA = Date.parse(valueA);
+            valueB = Date.parse(valueB);
+        }
+
+        const emptyA = this.isEmptyValue(valueA);
+        const emptyB = this.isEmptyValue(valueB);
+        if (emptyA || emptyB) {
+            return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+        }
+
+        const result = type === 'text'
+            ? this.collator.compare(String(valueA), String(valueB))
+            : valueA - valueB;
+        return direction === 'desc' ? -result : result;
+    }
+
+    /**
+     * Toggle sort for a field
+     * @param {string} field - Field to sort by
+     * @param {boolean} [additive] - true to add/toggle it as a secondary key (Shift+click)
+     */
+    toggleSort(field, additive = false) {
+        const index = this.sortKeys.findIndex(key => key.field === field);
+        const existing = this.sortKeys[index];
+
+        if (additive || (existing && this.sortKeys.length === 1)) {
+            // Cycle this key asc → desc → removed, keeping the other keys
+            if (!existing) {
+                this.sortKeys.push({ field, direction: 'asc' });
+            } else if (existing.direction === 'asc') {
+                existing.direction = 'desc';
+            } else {
+                this.sortKeys.splice(index, 1);
+            }
+        } else {
+            // Plain click on another column replaces the whole sort
+            this.sortKeys = [{ field, direction: 'asc' }];
+        }
+
+        this.updateSortHeaders();
+        this.notifyChange();
+    }
+
+    /**
+     * Apply current sort keys to products. Array.prototype.sort is stable,
+     * so products equal on every key keep their original order.
+     * @param {Product[]} products - Array of products to sort
+     * @returns {Product[]} Sorted array of products
+     */
+    applySorting(products) {
+        if (this.sortKeys.length === 0) {
+            return products; // No sorting applied
+        }
+
+        return [...products].sort((a, b) => {
+            for (const { field, direction } of this.sortKeys) {
+                const result = this.compareField(a, b, field, direction);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * Update direction arrows, priority numbers and aria-sort on the headers
+     */
+    updateSortHeaders() {
+        this.getHeaderElements().forEach(header => {
+            const index = this.sortKeys.findIndex(key => key.field === header.dataset.sortField);
+            const key = this.sortKeys[index];
+            const indicator = header.querySelector('.sort-indicator');
+
+            header.classList.toggle('sorted', Boolean(key));
+
+            if (key && index === 0) {
+                header.setAttribute('aria-sort', key.direction === 'asc' ? 'ascending' : 'descending');
+            } else {
+                header.removeAttribute('aria-sort');
+            }
+
+            if (indicator) {
+                const arrow = key ? (key.direction === 'asc' ? '↑' : '↓') : '';
+                // Priority numbers only matter once there are several keys
+                const priority = key && this.sortKeys.length > 1 ? String(index + 1) : '';
+                indicator.textContent = arrow + priority;
+            }
+        });
+
+        if (this.clearSortBtn) {
+            this.clearSortBtn.disabled = this.sortKeys.length === 0;
+        }
+    }
+
+    /**
+     * Notify the sort change listeners
+     */
+    notifyChange() {
+        this.events.emit('change');
+    }
+
+    /**
+     * Listen to sort changes
+     * @param {Function} callback - Function to call when sort changes
+     * @returns {Function} Function that removes the listener again
+     */
+    onSortChange(callback) {
+        return this.events.on('change', callback);
+    }
+
+    /**
+     * Get current sort keys
+     * @returns {{field: string, direction: string}[]} Sort keys in priority order
+     */
+    getSortKeys() {
+        return this.sortKeys.map(key => ({ ...key }));
+    }
+
+    /**
+     * Describe the current sort for log messages
+     * @returns {string} e.g. "category asc, price desc" ('' when unsorted)
+     */
+    describeSort() {
+        return this.sortKeys.map(key => `${key.field} ${key.direction}`).join(', ');
+    }
+
+    /**
+     * Set sort keys without notifying (e.g. when restoring from the URL).
+     * Unknown and duplicate fields are dropped.
+     * @param {{field: string, direction: string}[]} keys - Sort keys in priority order
+     */
+    setSort(keys) {
+        this.sortKeys = [];
+        keys.forEach(({ field, direction }) => {
+            if (this.fields[field] && !this.sortKeys.some(key => key.field === field)) {
+                this.sortKeys.push({ field, direction: direction === 'desc' ? 'desc' : 'asc' });
+            }
+        });
+        this.updateSortHeaders();
+    }
+
+    /**
+     * Clear current sort
+     */
+    clearSort() {
+        this.sortKeys = [];
+        this.updateSortHeaders();
+    }
+}
@@ -0,0 +1,408 @@
+import { i18n } from './i18n.js';
+
+/**
+ * Statistics Panel with summary figures and SVG charts (price histogram,
+ * products per category, products added over time) for the displayed products
+ */
+export class StatsPanel {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.panel = this.document.getElementById('stats-panel');
+        this.summaryElement = this.document.getElementById('stats-summary');
+        this.noteElement = this.document.getElementById('stats-note');
+        this.priceChart = this.document.getElementById('stats-price-chart');
+        this.categoryChart = this.document.getElementById('stats-category-chart');
+        this.timelineChart = this.document.getElementById('stats-timeline-chart');
+        this.products = null;
+        this.isPartial = false;
+        this.isStale = false; // Products changed while the panel was collapsed
+        this.maxCategories = 8; // Smaller categories are grouped as "Khác"
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize the expand/collapse listener
+     */
+    initializeEventListeners() {
+        if (this.panel) {
+            this.panel.addEventListener('toggle', () => {
+                if (this.panel.open && this.isStale) {
+                    this.render();
+                }
+            });
+        }
+    }
+
+    /**
+     * Show statistics for a list of products
+     * @param {Product[]} products - Products the statistics are computed from
+     * @param {boolean} [isPartial] - true when the list is only part of the matches (remote mode)
+     */
+    update(products, isPartial = false) {
+        // Page changes re-render the table with the same list
+        if (products === this.products && isPartial === this.isPartial) {
+            return;
+        }
+
+        this.products = products;
+        this.isPartial = isPartial;
+
+        // Charts are drawn when the panel is expanded
+        if (this.panel && !this.panel.open) {
+            this.isStale = true;
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Redraw the current statistics, e.g. after the language or currency changed
+     */
+    refresh() {
+        if (!this.products) {
+            return;
+        }
+        if (this.panel && !this.panel.open) {
+            this.isStale = true;
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Compute summary figures and chart data
+     * @param {Product[]} products - Products to analyze
+     * @returns {Object} { count, price: {average, median, min, max} | null, histogram, categories, timeline }
+     */
+    static computeStats(products) {
+        const prices = products
+            .map(product => product.price)
+            .filter(price => typeof price === 'number' && Number.isFinite(price))
+            .sort((a, b) => a - b);
+
+        let price = null;
+        if (prices.length > 0) {
+            const middle = Math.floor(prices.length / 2);
+            price = {
+                average: prices.reduce((sum, value) => sum + value, 0) / prices.length,
+                median: prices.length % 2 === 1 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2,
+                min: prices[0],
+                max: prices[prices.length - 1]
+            };
+        }
+
+        return {
+            count: products.length,
+            price,
+            histogram: StatsPanel.buildHistogram(prices),
+            categories: StatsPanel.countCategories(products),
+            timeline: StatsPanel.buildTimeline(products)
+        };
+    }
+
+    /**
+     * Group sorted prices into bins of a round width
+     * @param {number[]} prices - Prices in ascending order
+     * @returns {{start: number, end: number, count: number}[]} Bins
+     */
+    static buildHistogram(prices) {
+        if (prices.length === 0) {
+            return [];
+        }
+
+        const min = prices[0];
+        const max = prices[prices.length - 1];
+        const width = StatsPanel.niceStep((max - min) / 8);
+        const first = Math.floor(min / width) * width;
+        const binCount = Math.max(1, Math.floor((max - first) / width) + 1);
+
+        const bins = Array.from({ length: binCount }, (_, index) => ({
+            start: first + index * width,
+            end: first + (index + 1) * width,
+            count: 0
+        }));
+        prices.forEach(price => {
+            bins[Math.min(binCount - 1, Math.floor((price - first) / width))].count++;
+        });
+
+        return bins;
+    }
+
+    /**
+     * Round a step up to 1, 2 or 5 times a power of ten
+     * @param {number} step - Raw step
+     * @returns {number} Round step (at least 1)
+     */
+    static niceStep(step) {
+        if (!(step > 1)) {
+            return 1;
+        }
+        const magnitude = Math.pow(10, Math.floor(Math.log10(step)));
+        const factor = [1, 2, 5, 10].find(value => value * magnitude >= step);
+        return factor * magnitude;
+    }
+
+    /**
+     * Count products per category, largest first
+     * @param {Product[]} products - Products to count
+     * @returns {{label: string, count: number}[]} Category counts
+     */
+    static countCategories(products) {
+        const counts = new Map();
+        products.forEach(product => {
+            const name = product.category && product.category.name ? product.category.name : i18n.t('product.uncategorized');
+            counts.set(name, (counts.get(name) || 0) + 1);
+        });
+
+        return [...counts.entries()]
+            .map(([label, count]) => ({ label, count }))
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, i18n.getLocale()));
+    }
+
+    /**
+     * Count products added per month (per year when they span more than two years),
+     * including empty periods between the first and last one
+     * @param {Product[]} products - Products with creationAt dates
+     * @returns {{label: string, count: number}[]} Counts in chronological order
+     */
+    static buildTimeline(products) {
+        const dates = products
+            .map(product => new Date(product.creationAt))
+            .filter(date => !Number.isNaN(date.getTime()));
+        if (dates.length === 0) {
+            return [];
+        }
+
+        const months = dates.map(date => date.getFullYear() * 12 + date.getMonth());
+        const firstMonth = Math.min(...months);
+        const lastMonth = Math.max(...months);
+        const byYear = lastMonth - firstMonth >= 24;
+        const periodOf = (month) => byYear ? Math.floor(month / 12) : month;
+        const firstPeriod = periodOf(firstMonth);
+
+        const periods = Array.from({ length: periodOf(lastMonth) - firstPeriod + 1 }, (_, index) => {
+            const period = firstPeriod + index;
+            const label = byYear
+                ? String(period)
+                : i18n.formatDate(new Date(Math.floor(period / 12), period % 12), { month: 'short', year: 'numeric' });
+            return { label, count: 0 };
+        });
+        months.forEach(month => {
+            periods[periodOf(month) - firstPeriod].count++;
+        });
+
+        return periods;
+    }
+
+    /**
+     * Render the summary figures and the charts
+     */
+    render() {
+        if (!this.panel || !this.products) {
+            return;
+        }
+        this.isStale = false;
+
+        const stats = StatsPanel.computeStats(this.products);
+        const figures = [[i18n.t('stats.products'), i18n.formatNumber(stats.count)]];
+        if (stats.price) {
+            figures.push(
+                [i18n.t('stats.average'), i18n.formatPrice(stats.price.average)],
+                [i18n.t('stats.median'), i18n.formatPrice(stats.price.median)],
+                [i18n.t('stats.min'), i18n.formatPrice(stats.price.min)],
+                [i18n.t('stats.max'), i18n.formatPrice(stats.price.max)]
+            );
+        }
+        this.summaryElement.innerHTML = '';
+        figures.forEach(([label, value]) => {
+            const card = this.document.createElement('div');
+            card.className = 'stats-card';
+            const valueElement = this.document.createElement('div');
+            valueElement.className = 'stats-value';
+            valueElement.textContent = value;
+            const labelElement = this.document.createElement('div');
+            labelElement.className = 'stats-label';
+            labelElement.textContent = label;
+            card.appendChild(valueElement);
+            card.appendChild(labelElement);
+            this.summaryElement.appendChild(card);
+        });
+
+        this.noteElement.textContent = this.isPartial
+            ? i18n.t('stats.partial', { count: stats.count })
+            : '';
+
+        this.renderColumnChart(this.priceChart, stats.histogram.map(bin => ({
+            label: i18n.formatPrice(bin.start, { whole: true }),
+            title: i18n.t('stats.count', {
+                label: `${i18n.formatPrice(bin.start, { whole: true })} – ${i18n.formatPrice(bin.end, { whole: true })}`,
+                count: bin.count
+            }),
+            count: bin.count
+        })));
+
+        let categories = stats.categories;
+        if (categories.length > this.maxCategories) {
+            const rest = categories.slice(this.maxCategories - 1);
+            categories = [
+                ...categories.slice(0, this.maxCategories - 1),
+                { label: i18n.t('stats.other'), count: rest.reduce((sum, category) => sum + category.count, 0) }
+            ];
+        }
+        this.renderBarChart(this.categoryChart, categories.map(category => ({
+            ...category,
+            title: i18n.t('stats.count', { label: category.label, count: category.count })
+        })));
+
+        this.renderColumnChart(this.timelineChart, stats.timeline.map(period => ({
+            ...period,
+            title: i18n.t('stats.count', { label: period.label, count: period.count })
+        })));
+    }
+
+    /**
+     * Create an SVG element with attributes
+     * @param {string} tag - SVG tag name
+     * @param {Object} [attributes] - Attribute values
+     * @param {string} [text] - Text content
+     * @returns {SVGElement} Element
+     */
+    createSVGElement(tag, attributes = {}, text = '') {
+        const element = this.document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        if (text) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    /**
+     * Create a chart's SVG root, or a "no data" message when there is nothing to draw
+     * @param {HTMLElement} container - Chart container
+     * @param {Object[]} items - Chart items
+     * @param {number} width - viewBox width
+     * @param {number} height - viewBox height
+     * @returns {SVGElement|null} SVG root, or null when empty
+     */
+    createChart(container, items, width, height) {
+        container.innerHTML = '';
+        if (items.length === 0) {
+            const empty = this.document.createElement('div');
+            empty.className = 'stats-empty';
+            empty.textContent = i18n.t('stats.empty');
+            container.appendChild(empty);
+            return null;
+        }
+
+        const svg = this.createSVGElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img',
+            'aria-label': items.map(item => item.title).join('; ')
+        });
+        container.appendChild(svg);
+        return svg;
+    }
+
+    /**
+     * Draw a vertical bar chart (histogram, timeline)
+     * @param {HTMLElement} container - Chart container
+     * @param {{label: string, title: string, count: number}[]} items - Bars from left to right
+     */
+    renderColumnChart(container, items) {
+        const width = 320;
+        const height = 180;
+        const svg = container && this.createChart(container, items, width, height);
+        if (!svg) {
+            return;
+        }
+
+        const top = 16;
+        const bottom = 24; // Room for the labels
+        const maxCount = Math.max(...items.map(item => item.count), 1);
+        const slot = width / items.length;
+        const labelEvery = Math.ceil(items.length / 8); // Keep labels from overlapping
+
+        items.forEach((item, index) => {
+            const barHeight = (item.count / maxCount) * (height - top - bottom);
+            const x = index * slot;
+            const bar = this.createSVGElement('rect', {
+                class: 'stats-bar',
+                x: x + slot * 0.1,
+                y: height - bottom - barHeight,
+                width: slot * 0.8,
+                height: barHeight
+            });
+            bar.appendChild(this.createSVGElement('title', {}, item.title));
+            svg.appendChild(bar);
+
+            if (item.count > 0) {
+                svg.appendChild(this.createSVGElement('text', {
+                    class: 'stats-bar-value',
+                    x: x + slot / 2,
+                    y: height - bottom - barHeight - 4,
+                    'text-anchor': 'middle'
+                }, String(item.count)));
+            }
+            if (index % labelEvery === 0) {
+                svg.appendChild(this.createSVGElement('text', {
+                    class: 'stats-axis-label',
+                    x: x + slot / 2,
+                    y: height - 8,
+                    'text-anchor': 'middle'
+                }, item.label));
+            }
+        });
+    }
+
+    /**
+     * Draw a horizontal bar chart (categories)
+     * @param {HTMLElement} container - Chart container
+     * @param {{label: string, title: string, count: number}[]} items - Bars from top to bottom
+     */
+    renderBarChart(container, items) {
+        const width = 320;
+        const rowHeight = 22;
+        const height = items.length * rowHeight;
+        const svg = container && this.createChart(container, items, width, height);
+        if (!svg) {
+            return;
+        }
+
+        const labelWidth = 110;
+        const valueWidth = 30;
+        const maxCount = Math.max(...items.map(item => item.count), 1);
+
+        items.forEach((item, index) => {
+            const y = index * rowHeight;
+            const barWidth = (item.count / maxCount) * (width - labelWidth - valueWidth);
+            const label = item.label.length > 16 ? `${item.label.slice(0, 15)}…` : item.label;
+
+            svg.appendChild(this.createSVGElement('text', {
+                class: 'stats-axis-label',
+                x: labelWidth - 6,
+                y: y + rowHeight / 2 + 4,
+                'text-anchor': 'end'
+            }, label));
+
+            const bar = this.createSVGElement('rect', {
+                class: 'stats-bar',
+                x: labelWidth,
+                y: y + 3,
+                width: barWidth,
+                height: rowHeight - 6
+            });
+            bar.appendChild(this.createSVGElement('title', {}, item.title));
+            svg.appendChild(bar);
+
+            svg.appendChild(this.createSVGElement('text', {
+                class: 'stats-bar-value',
+                x: labelWidth + barWidth + 4,
+                y: y + rowHeight / 2 + 4
+            }, String(item.count)));
+        });
+    }
+}
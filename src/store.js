@@ -0,0 +1,239 @@
+import { EventBus } from './event-bus.js';
+
+/**
+ * Compare plain data (numbers, strings, arrays and objects) by value
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} true when both hold the same data
+ */
+export function isEqual(a, b) {
+    if (Object.is(a, b)) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Build a memoized selector: the result is only recomputed when one of the
+ * input selectors returns a different value (compared with Object.is)
+ * @param {Function[]} inputSelectors - Functions reading parts of the state
+ * @param {Function} compute - Builds the result from the input values
+ * @returns {Function} Selector taking the state
+ */
+export function createSelector(inputSelectors, compute) {
+    let lastInputs = null;
+    let lastResult;
+
+    return (state) => {
+        const inputs = inputSelectors.map(select => select(state));
+        if (!lastInputs || inputs.some((value, index) => !Object.is(value, lastInputs[index]))) {
+            lastInputs = inputs;
+            lastResult = compute(...inputs);
+        }
+        return lastResult;
+    };
+}
+
+/**
+ * Observable state store with selectors and undo/redo. The state is a plain object
+ * that is replaced (never mutated) on every change; listeners get the new and the
+ * previous state. Changes of the history keys can be undone and redone.
+ */
+export class Store {
+    /**
+     * @param {Object} initialState - Initial state
+     * @param {Object} [options] - Store options
+     * @param {string[]} [options.historyKeys] - Keys whose changes can be undone (compared by value)
+     * @param {number} [options.historyLimit] - Undo steps kept
+     */
+    constructor(initialState = {}, options = {}) {
+        this.state = { ...initialState };
+        this.historyKeys = options.historyKeys || [];
+        this.historyLimit = options.historyLimit ?? 50;
+        this.undoStack = []; // Snapshots of the history keys, oldest first
+        this.redoStack = [];
+        this.events = new EventBus();
+    }
+
+    /**
+     * Get the current state
+     * @returns {Object} State (do not modify it; use setState)
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Change part of the state and notify the listeners
+     * @param {Object} changes - New values by key
+     * @param {Object} [options] - Change options
+     * @param {string} [options.history] - 'push' adds an undo step when a history key changed;
+     *                                     'replace' (default) changes the state without one
+     * @returns {boolean} true when something changed
+     */
+    setState(changes, options = {}) {
+        const previous = this.state;
+        const next = { ...previous };
+        let changed = false;
+
+        Object.keys(changes).forEach(key => {
+            // History keys hold small view data; keep the old object when the value is the same
+            const same = this.historyKeys.includes(key)
+                ? isEqual(previous[key], changes[key])
+                : Object.is(previous[key], changes[key]);
+            if (!same) {
+                next[key] = changes[key];
+                changed = true;
+            }
+        });
+
+        if (!changed) {
+            return false;
+        }
+
+        const history = options.history || 'replace';
+        const recorded = history === 'push' && this.historyKeys.some(key => !Object.is(previous[key], next[key]));
+        if (recorded) {
+            this.undoStack.push(this.getSnapshot(previous));
+            if (this.undoStack.length > this.historyLimit) {
+                this.undoStack.shift();
+            }
+            this.redoStack = [];
+        }
+
+        this.state = next;
+        this.events.emit('change', next, previous, { history, source: 'set' });
+        if (recorded) {
+            this.events.emit('history', this.canUndo(), this.canRedo());
+        }
+        return true;
+    }
+
+    /**
+     * Listen to every state change
+     * @param {Function} listener - Called with (state, previousState, { history, source })
+     *                              where source is 'set', 'undo' or 'redo'
+     * @returns {Function} Function that removes the listener again
+     */
+    subscribe(listener) {
+        return this.events.on('change', listener);
+    }
+
+    /**
+     * Listen to changes of a derived value
+     * @param {Function} selector - Reads the value from the state (see createSelector)
+     * @param {Function} listener - Called with (value, previousValue, { history, source })
+     * @param {Function} [equals] - Decides whether the value changed (Object.is by default)
+     * @returns {Function} Function that removes the listener again
+     */
+    select(selector, listener, equals = Object.is) {
+        let current = selector(this.state);
+
+        return this.subscribe((state, previous, meta) => {
+            const next = selector(state);
+            if (!equals(next, current)) {
+                const last = current;
+                current = next;
+                listener(next, last, meta);
+            }
+        });
+    }
+
+    /**
+     * Copy the history keys of a state
+     * @param {Object} state - State
+     * @returns {Object} Values of the history keys
+     */
+    getSnapshot(state) {
+        const snapshot = {};
+        this.historyKeys.forEach(key => {
+            snapshot[key] = state[key];
+        });
+        return snapshot;
+    }
+
+    /**
+     * Restore a snapshot and notify the listeners
+     * @param {Object} snapshot - Values of the history keys
+     * @param {string} source - 'undo' | 'redo'
+     */
+    restoreSnapshot(snapshot, source) {
+        const previous = this.state;
+        this.state = { ...previous, ...snapshot };
+        this.events.emit('change', this.state, previous, { history: 'replace', source });
+        this.events.emit('history', this.canUndo(), this.canRedo());
+    }
+
+    /**
+     * Go back to the state before the last recorded change
+     * @returns {boolean} true when there was something to undo
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return false;
+        }
+
+        this.redoStack.push(this.getSnapshot(this.state));
+        this.restoreSnapshot(this.undoStack.pop(), 'undo');
+        return true;
+    }
+
+    /**
+     * Apply the last undone change again
+     * @returns {boolean} true when there was something to redo
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+
+        this.undoStack.push(this.getSnapshot(this.state));
+        this.restoreSnapshot(this.redoStack.pop(), 'redo');
+        return true;
+    }
+
+    /**
+     * Check whether a change can be undone
+     * @returns {boolean} true when there is an undo step
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether an undone change can be applied again
+     * @returns {boolean} true when there is a redo step
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget every undo and redo step
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.events.emit('history', false, false);
+    }
+
+    /**
+     * Listen to changes of what can be undone or redone
+     * @param {Function} listener - Called with (canUndo, canRedo)
+     * @returns {Function} Function that removes the listener again
+     */
+    onHistoryChange(listener) {
+        return this.events.on('history', listener);
+    }
+}
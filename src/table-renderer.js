@@ -0,0 +1,1235 @@
+import { PLACEHOLDER_IMAGE } from './constants.js';
+import { i18n } from './i18n.js';
+import { ColumnLayout } from './column-layout.js';
+import { ProductValidator } from './product-validator.js';
+
+/**
+ * Table Renderer for displaying product data with alternating row styling
+ */
+export class TableRenderer {
+    /**
+     * @param {Object} [options] - Renderer options
+     * @param {string} [options.tableId] - Table element id
+     * @param {string} [options.bodyId] - Table body element id
+     * @param {string} [options.loadingId] - Loading message element id
+     * @param {string} [options.noResultsId] - No results message element id
+     * @param {boolean} [options.showActions] - Render the Edit/Delete buttons (off for read-only previews)
+     * @param {boolean} [options.inlineEditing] - Edit title, price and category on double click
+     *                                            (defaults to showActions)
+     * @param {boolean} [options.selectable] - Render a selection checkbox cell (defaults to showActions)
+     * @param {ColumnLayout} [options.columnLayout] - Columns to render; the header is then built from it
+     *                                              and can be reordered and resized (default columns otherwise)
+     * @param {Document} [options.document] - Document holding the table (the page by default)
+     */
+    constructor(options = {}) {
+        this.document = options.document || document;
+        this.window = this.document.defaultView;
+        this.tableElement = this.document.getElementById(options.tableId || 'products-table');
+        this.tableBodyElement = this.document.getElementById(options.bodyId || 'products-table-body');
+        this.loadingContainer = this.document.getElementById(options.loadingId || 'loading-container');
+        this.noResultsElement = this.document.getElementById(options.noResultsId || 'no-results');
+        this.showActions = options.showActions !== false;
+        this.inlineEditing = options.inlineEditing ?? this.showActions;
+        this.selectable = options.selectable ?? this.showActions;
+        this.selection = new Set(); // Selected product ids (strings)
+        this.highlighter = null;
+        this.rowActions = []; // Extra row buttons ({ id, label, visible, adminOnly }), see setRowActions
+        
+        // Columns between the selection checkbox and the actions cell
+        this.columnLayout = options.columnLayout || null;
+        this.columns = (this.columnLayout || new ColumnLayout()).getVisibleColumns();
+        this.draggedColumnKey = null;
+        this.isResizingColumn = false;
+        
+        // Inline editing: cell class -> product field
+        this.editableCells = { 'title-cell': 'title', 'price-cell': 'price', 'category-cell': 'category' };
+        this.validator = new ProductValidator();
+        this.categorySource = null;
+        this.activeEdit = null; // { cell, row, product, field, editor }
+        this.isEditLoading = false; // Categories for a category editor are being loaded
+        this.rowClickTimer = null;
+        
+        // Rendered rows by product key, reused while their product is unchanged
+        this.products = [];
+        this.rowsByKey = new Map();
+        this.rowState = new WeakMap(); // row -> { product, index, version }
+        this.highlightTimers = new WeakMap(); // row -> timer removing the live change highlight
+        this.renderVersion = 0;
+        
+        // Virtual scrolling ("show all" mode): only rows near the viewport are in the DOM
+        this.virtualMode = false;
+        this.scrollContainer = this.tableElement ? this.tableElement.closest('.table-container') : null;
+        this.rowHeight = 100; // Estimate until rows have been measured
+        this.overscan = 5; // Extra rows rendered above and below the viewport
+        this.topSpacer = null;
+        this.bottomSpacer = null;
+        this.scrollFrame = null;
+        
+        this.onEditCallback = null;
+        this.onDeleteCallback = null;
+        this.onRowClickCallback = null;
+        this.onNearEndCallback = null;
+        this.onCellEditCallback = null;
+        this.onSelectionChangeCallback = null;
+        this.onRowActionCallback = null;
+        
+        this.initializeEventListeners();
+        if (this.columnLayout) {
+            this.renderHeader();
+        }
+    }
+
+    /**
+     * Initialize row event listeners (delegated, so recycled rows need no rebinding)
+     */
+    initializeEventListeners() {
+        if (this.tableBodyElement) {
+            this.tableBodyElement.addEventListener('click', (event) => {
+                const product = this.getEventProduct(event);
+                if (!product) {
+                    return;
+                }
+                const actionButton = event.target.closest('.plugin-action-btn');
+                if (actionButton) {
+                    if (this.onRowActionCallback) {
+                        this.onRowActionCallback(actionButton.dataset.actionId, product);
+                    }
+                } else if (event.target.closest('.edit-btn')) {
+                    if (this.onEditCallback) {
+                        this.onEditCallback(product);
+                    }
+                } else if (event.target.closest('.delete-btn')) {
+                    if (this.onDeleteCallback) {
+                        this.onDeleteCallback(product);
+                    }
+                } else if (this.onRowClickCallback && !event.target.closest('button, .editing, .select-cell')) {
+                    clearTimeout(this.rowClickTimer);
+                    if (this.getEditableField(event.target.closest('td'))) {
+                        // Wait for a possible double click, which edits the cell instead
+                        if (event.detail <= 1) {
+                            this.rowClickTimer = setTimeout(() => this.onRowClickCallback(product), 250);
+                        }
+                    } else {
+                        this.onRowClickCallback(product);
+                    }
+                }
+            });
+
+            this.tableBodyElement.addEventListener('change', (event) => {
+                const product = this.getEventProduct(event);
+                if (product && event.target.matches('.row-select') && this.onSelectionChangeCallback) {
+                    this.onSelectionChangeCallback([product], event.target.checked);
+                }
+            });
+
+            this.tableBodyElement.addEventListener('dblclick', (event) => {
+                const cell = event.target.closest('td');
+                if (this.getEditableField(cell) && !cell.classList.contains('editing')) {
+                    clearTimeout(this.rowClickTimer);
+                    this.startCellEdit(cell);
+                }
+            });
+
+            this.tableBodyElement.addEventListener('keydown', (event) => {
+                const product = this.getEventProduct(event);
+                if (product && this.onRowClickCallback && event.key === 'Enter' && event.target.matches('tr')) {
+                    this.onRowClickCallback(product);
+                }
+            });
+        }
+
+        const tableHead = this.tableElement ? this.tableElement.tHead : null;
+        if (tableHead) {
+            // Header checkbox: select or unselect every displayed product
+            tableHead.addEventListener('change', (event) => {
+                if (event.target.matches('.select-all-checkbox') && this.onSelectionChangeCallback) {
+                    this.onSelectionChangeCallback(this.products, event.target.checked);
+                }
+            });
+
+            if (this.columnLayout) {
+                this.initializeColumnDragging(tableHead);
+            }
+        }
+
+        if (this.scrollContainer) {
+            this.scrollContainer.addEventListener('scroll', () => {
+                if (!this.virtualMode || this.scrollFrame !== null) {
+                    return;
+                }
+                // At most one window update per frame
+                this.scrollFrame = this.window.requestAnimationFrame(() => {
+                    this.scrollFrame = null;
+                    this.renderVirtualRows();
+                });
+            });
+        }
+    }
+
+    /**
+     * Find the product of the row an event happened in
+     * @param {Event} event - DOM event from the table body
+     * @returns {Product|null} Product, or null outside product rows
+     */
+    getEventProduct(event) {
+        const row = event.target.closest('tr');
+        const state = row ? this.rowState.get(row) : null;
+        return state ? state.product : null;
+    }
+
+    /**
+     * Render the complete table with products.
+     * Rows whose product is unchanged are kept as they are; the rest are updated in place.
+     * @param {Product[]} products - Array of products to display
+     */
+    renderTable(products) {
+        this.products = products || [];
+        
+        // Hide loading and no-results messages
+        if (this.loadingContainer) {
+            this.loadingContainer.style.display = 'none';
+        }
+        if (this.noResultsElement) {
+            this.noResultsElement.style.display = 'none';
+        }
+        
+        this.updateSelectAllCheckbox();
+        
+        if (this.products.length === 0) {
+            this.clearRows();
+            // Show no results message
+            this.tableElement.style.display = 'none';
+            if (this.noResultsElement) {
+                this.noResultsElement.style.display = 'block';
+            }
+            return;
+        }
+        
+        // Show table and render rows
+        this.tableElement.style.display = 'table';
+        
+        if (this.virtualMode) {
+            this.renderVirtualRows();
+        } else {
+            this.renderRows(0, this.products.length);
+        }
+    }
+
+    /**
+     * Render the rows for products[start..end), reusing the rows already in the table.
+     * Rows of products that stay are kept (updated only if the product changed), rows
+     * that are no longer needed are recycled for the new products, and only rows out of
+     * place are moved.
+     * @param {number} start - Index of the first product to render
+     * @param {number} end - Index after the last product to render
+     */
+    renderRows(start, end) {
+        const wanted = [];
+        const wantedKeys = new Set();
+        for (let index = start; index < end; index++) {
+            const product = this.products[index];
+            let key = this.getRowKey(product, index);
+            if (wantedKeys.has(key)) {
+                key = `${key}#${index}`; // Duplicate ids (e.g. in the import preview)
+            }
+            wantedKeys.add(key);
+            wanted.push({ key, product, index });
+        }
+
+        // Rows for products that left the range are recycled
+        const spareRows = [];
+        this.rowsByKey.forEach((row, key) => {
+            if (!wantedKeys.has(key)) {
+                spareRows.push(row);
+                this.rowsByKey.delete(key);
+            }
+        });
+
+        const rows = wanted.map(({ key, product, index }) => {
+            let row = this.rowsByKey.get(key);
+            if (!row) {
+                row = spareRows.pop() || this.createRow();
+                this.rowsByKey.set(key, row);
+            }
+
+            const state = this.rowState.get(row);
+            if (!state || state.product !== product || state.version !== this.renderVersion) {
+                this.updateRow(row, product, index);
+            } else if (state.index !== index) {
+                this.setRowIndex(row, index);
+            }
+            return row;
+        });
+
+        spareRows.forEach(row => row.remove());
+
+        // Put the rows in order, between the virtual spacers when scrolling virtually
+        const body = this.tableBodyElement;
+        let next = body.firstChild;
+        if (this.virtualMode) {
+            if (this.topSpacer !== next) {
+                body.insertBefore(this.topSpacer, next);
+            }
+            next = this.topSpacer.nextSibling;
+        }
+        rows.forEach(row => {
+            if (row !== next) {
+                body.insertBefore(row, next);
+            } else {
+                next = next.nextSibling;
+            }
+        });
+        if (this.virtualMode && this.bottomSpacer !== next) {
+            body.insertBefore(this.bottomSpacer, next);
+        }
+    }
+
+    /**
+     * Key identifying a product's row across renders
+     * @param {Product} product - Product data
+     * @param {number} index - Position in the product list (used when there is no id)
+     * @returns {string} Row key
+     */
+    getRowKey(product, index) {
+        return product.id !== undefined && product.id !== null ? String(product.id) : `#${index}`;
+    }
+
+    /**
+     * Render the rows visible in the scroll container (plus overscan), with spacer
+     * rows standing in for the rest so the scrollbar matches the full list
+     */
+    renderVirtualRows() {
+        const total = this.products.length;
+        const viewportHeight = this.scrollContainer.clientHeight || 600;
+        const maxScrollTop = Math.max(0, total * this.rowHeight - viewportHeight);
+        const scrollTop = Math.min(this.scrollContainer.scrollTop, maxScrollTop);
+
+        const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(total, Math.ceil((scrollTop + viewportHeight) / this.rowHeight) + this.overscan);
+
+        this.renderRows(start, end);
+        this.measureRowHeight();
+        this.topSpacer.firstChild.style.height = `${start * this.rowHeight}px`;
+        this.bottomSpacer.firstChild.style.height = `${(total - end) * this.rowHeight}px`;
+
+        if (end >= total - this.overscan && this.onNearEndCallback) {
+            this.onNearEndCallback();
+        }
+    }
+
+    /**
+     * Update the row height estimate from the rendered rows
+     */
+    measureRowHeight() {
+        let height = 0;
+        this.rowsByKey.forEach(row => {
+            height += row.offsetHeight;
+        });
+        // Layout-less environments report 0; keep the estimate then
+        if (height > 0) {
+            this.rowHeight = height / this.rowsByKey.size;
+        }
+    }
+
+    /**
+     * Switch between rendering every row and virtual scrolling
+     * @param {boolean} enabled - true to render only the rows near the viewport
+     */
+    setVirtualMode(enabled) {
+        if (enabled === this.virtualMode || !this.scrollContainer) {
+            return;
+        }
+
+        this.virtualMode = enabled;
+        this.clearRows();
+        this.scrollContainer.classList.toggle('virtual-scroll', enabled);
+        this.scrollContainer.scrollTop = 0;
+
+        if (enabled && !this.topSpacer) {
+            this.topSpacer = this.createSpacerRow();
+            this.bottomSpacer = this.createSpacerRow();
+        }
+    }
+
+    /**
+     * Create an empty row that stands in for rows outside the rendered range
+     * @returns {HTMLElement} Table row element
+     */
+    createSpacerRow() {
+        const row = this.document.createElement('tr');
+        row.className = 'virtual-spacer';
+        row.setAttribute('aria-hidden', 'true');
+        const cell = this.document.createElement('td');
+        cell.colSpan = this.getColumnCount();
+        row.appendChild(cell);
+        return row;
+    }
+
+    /**
+     * Count the table columns, including the selection and actions columns
+     * @returns {number} Column count
+     */
+    getColumnCount() {
+        return this.columns.length + (this.selectable ? 1 : 0) + (this.hasActionsColumn() ? 1 : 0);
+    }
+
+    /**
+     * Get the extra row actions the current user gets
+     * @returns {Object[]} Row actions (admin-only ones are left out in read-only tables)
+     */
+    getRowActions() {
+        return this.rowActions.filter(action => this.showActions || !action.adminOnly);
+    }
+
+    /**
+     * Check whether rows have an actions cell (Edit/Delete or extra row actions)
+     * @returns {boolean} true when the actions column is shown
+     */
+    hasActionsColumn() {
+        return this.showActions || this.getRowActions().length > 0;
+    }
+
+    /**
+     * Set the extra buttons shown in the actions cell after Edit/Delete
+     * @param {Object[]} actions - Row actions: { id, label, className, visible, adminOnly } where
+     *                             label is a string or { vi, en } and visible(product) may hide the button
+     */
+    setRowActions(actions) {
+        this.rowActions = actions;
+        this.rebuildTable();
+    }
+
+    /**
+     * Build the header row from the column layout
+     */
+    renderHeader() {
+        const row = this.document.createElement('tr');
+
+        if (this.selectable) {
+            const selectHeader = this.document.createElement('th');
+            selectHeader.className = 'select-header';
+            const checkbox = this.document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'select-all-checkbox';
+            checkbox.setAttribute('aria-label', i18n.t('table.selectAll'));
+            selectHeader.appendChild(checkbox);
+            row.appendChild(selectHeader);
+        }
+
+        this.columns.forEach(column => {
+            const header = this.document.createElement('th');
+            header.dataset.columnKey = column.key;
+            header.textContent = this.columnLayout.getLabel(column);
+            header.draggable = true;
+            if (column.sortField) {
+                header.dataset.sortField = column.sortField;
+                const indicator = this.document.createElement('span');
+                indicator.className = 'sort-indicator';
+                header.appendChild(indicator);
+            }
+            if (column.width) {
+                header.style.width = `${column.width}px`;
+                header.style.minWidth = `${column.width}px`;
+            }
+
+            const resizeHandle = this.document.createElement('span');
+            resizeHandle.className = 'column-resize-handle';
+            resizeHandle.setAttribute('aria-hidden', 'true');
+            header.appendChild(resizeHandle);
+            row.appendChild(header);
+        });
+
+        if (this.hasActionsColumn()) {
+            const actionsHeader = this.document.createElement('th');
+            actionsHeader.className = 'actions-header';
+            actionsHeader.textContent = i18n.t('column.actions');
+            row.appendChild(actionsHeader);
+        }
+
+        this.tableElement.tHead.replaceChildren(row);
+        this.updateSelectAllCheckbox();
+    }
+
+    /**
+     * Rebuild the header and rows after the column layout changed
+     */
+    applyColumnLayout() {
+        this.columns = this.columnLayout.getVisibleColumns();
+        this.rebuildTable();
+    }
+
+    /**
+     * Show or hide the selection checkboxes, inline editing and Edit/Delete buttons
+     * (read-only table for users who may not change products)
+     * @param {boolean} editable - true when the user may change products
+     */
+    setEditable(editable) {
+        if (this.showActions === editable && this.inlineEditing === editable && this.selectable === editable) {
+            return;
+        }
+
+        this.showActions = editable;
+        this.inlineEditing = editable;
+        this.selectable = editable;
+        this.rebuildTable();
+    }
+
+    /**
+     * Rebuild the header and every row after the columns changed
+     */
+    rebuildTable() {
+        if (this.columnLayout) {
+            this.renderHeader();
+        }
+
+        // Rows are rebuilt with the new cells, so an open editor goes away with them
+        this.activeEdit = null;
+        this.clearRows();
+        [this.topSpacer, this.bottomSpacer].forEach(spacer => {
+            if (spacer) {
+                spacer.firstChild.colSpan = this.getColumnCount();
+            }
+        });
+
+        if (this.products.length > 0) {
+            this.renderTable(this.products);
+        }
+    }
+
+    /**
+     * Reorder columns by dragging their headers and resize them with the handle on their right edge
+     * @param {HTMLElement} tableHead - Table head element
+     */
+    initializeColumnDragging(tableHead) {
+        const clearDropMarkers = () => {
+            tableHead.querySelectorAll('.drop-before, .drop-after').forEach(header => {
+                header.classList.remove('drop-before', 'drop-after');
+            });
+        };
+
+        // Drop after a header when over its right half
+        const isAfter = (header, event) => {
+            const rect = header.getBoundingClientRect();
+            return event.clientX > rect.left + rect.width / 2;
+        };
+
+        tableHead.addEventListener('dragstart', (event) => {
+            const header = event.target.closest('th[data-column-key]');
+            if (!header || this.isResizingColumn) {
+                event.preventDefault();
+                return;
+            }
+            this.draggedColumnKey = header.dataset.columnKey;
+            header.classList.add('dragging');
+            if (event.dataTransfer) {
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', this.draggedColumnKey);
+            }
+        });
+
+        tableHead.addEventListener('dragover', (event) => {
+            const header = event.target.closest('th[data-column-key]');
+            if (!header || !this.draggedColumnKey || header.dataset.columnKey === this.draggedColumnKey) {
+                return;
+            }
+            event.preventDefault(); // Allow the drop
+            const after = isAfter(header, event);
+            clearDropMarkers();
+            header.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+
+        tableHead.addEventListener('dragleave', (event) => {
+            const header = event.target.closest('th[data-column-key]');
+            if (header && !header.contains(event.relatedTarget)) {
+                header.classList.remove('drop-before', 'drop-after');
+            }
+        });
+
+        tableHead.addEventListener('drop', (event) => {
+            const header = event.target.closest('th[data-column-key]');
+            if (!header || !this.draggedColumnKey) {
+                return;
+            }
+            event.preventDefault();
+            const draggedKey = this.draggedColumnKey;
+            this.draggedColumnKey = null;
+            this.columnLayout.move(draggedKey, header.dataset.columnKey, isAfter(header, event));
+        });
+
+        tableHead.addEventListener('dragend', () => {
+            this.draggedColumnKey = null;
+            clearDropMarkers();
+            tableHead.querySelectorAll('.dragging').forEach(header => header.classList.remove('dragging'));
+        });
+
+        tableHead.addEventListener('pointerdown', (event) => {
+            const handle = event.target.closest('.column-resize-handle');
+            if (!handle) {
+                return;
+            }
+            event.preventDefault();
+
+            const header = handle.closest('th');
+            const startX = event.clientX;
+            const startWidth = header.offsetWidth;
+            let width = startWidth;
+            this.isResizingColumn = true;
+
+            const onPointerMove = (moveEvent) => {
+                width = Math.max(this.columnLayout.minWidth, Math.round(startWidth + moveEvent.clientX - startX));
+                header.style.width = `${width}px`;
+                header.style.minWidth = `${width}px`;
+            };
+            const onPointerUp = () => {
+                this.document.removeEventListener('pointermove', onPointerMove);
+                this.document.removeEventListener('pointerup', onPointerUp);
+                this.isResizingColumn = false;
+                this.columnLayout.setWidth(header.dataset.columnKey, width);
+
+                // The click that ends the resize must not sort the column
+                const suppressClick = (clickEvent) => clickEvent.stopPropagation();
+                this.document.addEventListener('click', suppressClick, true);
+                setTimeout(() => this.document.removeEventListener('click', suppressClick, true), 0);
+            };
+            this.document.addEventListener('pointermove', onPointerMove);
+            this.document.addEventListener('pointerup', onPointerUp);
+        });
+    }
+
+    /**
+     * Scroll back to the first row (virtual mode)
+     */
+    scrollToTop() {
+        if (this.virtualMode) {
+            this.scrollContainer.scrollTop = 0;
+        }
+    }
+
+    /**
+     * Remove every row from the table
+     */
+    clearRows() {
+        this.tableBodyElement.innerHTML = '';
+        this.rowsByKey.clear();
+    }
+
+    /**
+     * Briefly highlight the rendered rows of some products (e.g. changed by another user)
+     * @param {Array<number|string>} productIds - Products to highlight
+     * @param {number} [duration] - Highlight time in ms
+     */
+    highlightRows(productIds, duration = 2000) {
+        productIds.forEach(id => {
+            const row = this.rowsByKey.get(String(id));
+            if (!row) {
+                return;
+            }
+            // Restart the animation when the row is still highlighted
+            row.classList.remove('live-changed-row');
+            void row.offsetWidth;
+            row.classList.add('live-changed-row');
+            this.window.clearTimeout(this.highlightTimers.get(row));
+            this.highlightTimers.set(row, this.window.setTimeout(() => {
+                row.classList.remove('live-changed-row');
+            }, duration));
+        });
+    }
+
+    /**
+     * Re-render every row on the next render, e.g. when the search highlighting changed
+     */
+    invalidateRows() {
+        this.renderVersion++;
+    }
+
+    /**
+     * Render a single table row for a product
+     * @param {Product} product - Product data
+     * @param {number} index - Row index for styling
+     * @returns {HTMLElement} Table row element
+     */
+    renderRow(product, index) {
+        const row = this.createRow();
+        this.updateRow(row, product, index);
+        return row;
+    }
+
+    /**
+     * Create an empty row with one cell per column, to be filled by updateRow
+     * @returns {HTMLElement} Table row element
+     */
+    createRow() {
+        const row = this.document.createElement('tr');
+        
+        if (this.selectable) {
+            const selectCell = this.document.createElement('td');
+            selectCell.className = 'select-cell';
+            const checkbox = this.document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'row-select';
+            checkbox.setAttribute('aria-label', i18n.t('table.selectRow'));
+            selectCell.appendChild(checkbox);
+            row.appendChild(selectCell);
+        }
+        
+        this.columns.forEach(column => {
+            const cell = this.document.createElement('td');
+            cell.className = column.className;
+            row.appendChild(cell);
+        });
+        
+        if (this.hasActionsColumn()) {
+            row.appendChild(this.renderActionsCell());
+        }
+        
+        if (this.onRowClickCallback) {
+            this.makeRowClickable(row);
+        }
+        
+        return row;
+    }
+
+    /**
+     * Fill a row's cells with a product, reusing the existing cells
+     * @param {HTMLElement} row - Row created by createRow
+     * @param {Product} product - Product data
+     * @param {number} index - Row index for styling
+     */
+    updateRow(row, product, index) {
+        const previous = this.rowState.get(row);
+        this.rowState.set(row, { product, index, version: this.renderVersion });
+        
+        // A cell being edited keeps its editor, unless the row is recycled for another product
+        let editingCell = null;
+        if (this.activeEdit && this.activeEdit.row === row) {
+            if (previous && String(previous.product.id) === String(product.id)) {
+                editingCell = this.activeEdit.cell;
+                this.activeEdit.product = product;
+            } else {
+                this.activeEdit.cell.classList.remove('editing');
+                this.activeEdit = null;
+            }
+        }
+        this.setRowIndex(row, index);
+        
+        const cells = [...row.cells];
+        const offset = this.selectable ? 1 : 0; // Selection checkbox, see setRowSelected
+        this.columns.forEach((column, position) => {
+            const cell = cells[position + offset];
+            if (cell === editingCell) {
+                return;
+            }
+            if (column.render) {
+                this.fillCustomCell(cell, column, product);
+            } else {
+                this.fillCell(cell, column.key, product);
+            }
+        });
+        
+        // Row actions that do not apply to this product are hidden
+        row.querySelectorAll('.plugin-action-btn').forEach(button => {
+            const action = this.rowActions.find(item => item.id === button.dataset.actionId);
+            button.hidden = Boolean(action && action.visible && !action.visible(product));
+        });
+        
+        if (this.selectable) {
+            this.setRowSelected(row, product);
+        }
+    }
+
+    /**
+     * Show a product field in a cell
+     * @param {HTMLElement} cell - Table cell
+     * @param {string} key - Column key (see ColumnLayout)
+     * @param {Product} product - Product data
+     */
+    fillCell(cell, key, product) {
+        if (key === 'image') {
+            if (product.images && product.images.length > 0) {
+                let img = cell.querySelector('img');
+                if (!img) {
+                    img = this.document.createElement('img');
+                    img.className = 'product-image';
+                    
+                    // Handle image load errors
+                    img.onerror = function() {
+                        this.src = PLACEHOLDER_IMAGE;
+                        this.alt = i18n.t('product.noImage');
+                        this.classList.add('placeholder-image');
+                    };
+                    
+                    cell.replaceChildren(img);
+                }
+                if (img.dataset.src !== product.images[0]) {
+                    img.dataset.src = product.images[0];
+                    img.src = product.images[0]; // Use first image
+                    img.classList.remove('placeholder-image');
+                }
+                img.alt = product.title || 'Product image';
+            } else {
+                // No image placeholder
+                const placeholder = this.document.createElement('div');
+                placeholder.className = 'product-image-placeholder';
+                placeholder.textContent = i18n.t('product.noImage');
+                cell.replaceChildren(placeholder);
+            }
+        } else if (key === 'title') {
+            this.setCellText(cell, product.title || i18n.t('product.untitled'), 'title');
+        } else if (key === 'price') {
+            cell.textContent = i18n.formatPrice(product.price);
+        } else if (key === 'description') {
+            if (product.description) {
+                this.setCellText(cell, product.description, 'description');
+                cell.title = product.description; // Full text on hover
+            } else {
+                cell.textContent = i18n.t('product.noDescription');
+                cell.removeAttribute('title');
+            }
+        } else if (key === 'category') {
+            if (product.category && product.category.name) {
+                this.setCellText(cell, product.category.name, 'category');
+            } else {
+                cell.textContent = i18n.t('product.uncategorized');
+            }
+        } else if (key === 'creationAt' || key === 'updatedAt') {
+            cell.textContent = i18n.formatDate(product[key]);
+        } else {
+            // Plain fields (id, slug)
+            const value = product[key];
+            cell.textContent = value !== undefined && value !== null && value !== '' ? String(value) : i18n.t('common.notAvailable');
+        }
+    }
+
+    /**
+     * Show a product in a cell of a column with its own renderer (plugin columns)
+     * @param {HTMLElement} cell - Table cell
+     * @param {Object} column - Column with render(product, cell), which returns the cell content
+     *                          (text or a DOM node) or fills the cell itself and returns nothing
+     * @param {Product} product - Product data
+     */
+    fillCustomCell(cell, column, product) {
+        let content;
+        try {
+            content = column.render(product, cell);
+        } catch (error) {
+            console.error(`✗ Cell renderer of column "${column.key}" failed:`, error);
+            content = i18n.t('common.notAvailable');
+        }
+
+        if (content instanceof this.window.Node) {
+            cell.replaceChildren(content);
+        } else if (content !== undefined) {
+            cell.textContent = content === null ? '' : String(content);
+        }
+    }
+
+    /**
+     * Check a row's selection checkbox when its product is selected
+     * @param {HTMLElement} row - Table row element
+     * @param {Product} product - Product shown in the row
+     */
+    setRowSelected(row, product) {
+        const selected = this.selection.has(String(product.id));
+        row.classList.toggle('selected-row', selected);
+        row.querySelector('.row-select').checked = selected;
+    }
+
+    /**
+     * Set the selected product ids. The renderer only reads it; call
+     * refreshSelection after changing it.
+     * @param {Set<string>|Map<string, *>} selection - Selected product ids (as strings)
+     */
+    setSelection(selection) {
+        this.selection = selection;
+        this.refreshSelection();
+    }
+
+    /**
+     * Update the checkboxes of the rendered rows and the header after a selection change
+     */
+    refreshSelection() {
+        if (!this.selectable) {
+            return;
+        }
+        this.rowsByKey.forEach(row => {
+            this.setRowSelected(row, this.rowState.get(row).product);
+        });
+        this.updateSelectAllCheckbox();
+    }
+
+    /**
+     * Check the header checkbox when every displayed product is selected
+     * (indeterminate when only some are)
+     */
+    updateSelectAllCheckbox() {
+        const checkbox = this.tableElement ? this.tableElement.querySelector('.select-all-checkbox') : null;
+        if (!checkbox) {
+            return;
+        }
+        const selectedCount = this.products.filter(product => this.selection.has(String(product.id))).length;
+        checkbox.checked = selectedCount > 0 && selectedCount === this.products.length;
+        checkbox.indeterminate = selectedCount > 0 && selectedCount < this.products.length;
+    }
+
+    /**
+     * Record a row's position and apply its alternating row class
+     * @param {HTMLElement} row - Table row element
+     * @param {number} index - Row index in the product list
+     */
+    setRowIndex(row, index) {
+        const state = this.rowState.get(row);
+        if (state) {
+            state.index = index;
+        }
+        row.classList.toggle('table-row-light', index % 2 === 0);
+        row.classList.toggle('table-row-dark', index % 2 !== 0);
+    }
+
+    /**
+     * Set a cell's text, wrapping the parts matched by the search in <mark> elements
+     * @param {HTMLElement} cell - Table cell
+     * @param {string} text - Cell text
+     * @param {string} field - Product field shown in the cell
+     */
+    setCellText(cell, text, field) {
+        const ranges = this.highlighter ? this.highlighter(text, field) : [];
+        if (ranges.length === 0) {
+            cell.textContent = text;
+            return;
+        }
+
+        cell.textContent = '';
+        let position = 0;
+        ranges.forEach(({ start, end }) => {
+            cell.appendChild(this.document.createTextNode(text.slice(position, start)));
+            const mark = this.document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.slice(start, end);
+            cell.appendChild(mark);
+            position = end;
+        });
+        cell.appendChild(this.document.createTextNode(text.slice(position)));
+    }
+
+    /**
+     * Set the function that finds search matches to highlight
+     * @param {Function} callback - Called with (text, field), returns [{start, end}] ranges
+     */
+    setHighlighter(callback) {
+        this.highlighter = callback;
+    }
+
+    /**
+     * Set the function that provides the categories offered when editing a category cell
+     * @param {Function} callback - Returns a Promise of Category[]
+     */
+    setCategorySource(callback) {
+        this.categorySource = callback;
+    }
+
+    /**
+     * Get the product field an editable cell shows
+     * @param {HTMLElement|null} cell - Table cell
+     * @returns {string|null} 'title' | 'price' | 'category', or null when the cell is not editable
+     */
+    getEditableField(cell) {
+        if (!cell || !this.inlineEditing || !this.onCellEditCallback || !this.rowState.has(cell.parentElement)) {
+            return null;
+        }
+        const className = Object.keys(this.editableCells).find(name => cell.classList.contains(name));
+        return className ? this.editableCells[className] : null;
+    }
+
+    /**
+     * Replace a cell's content with an editor for its field.
+     * Enter or Tab saves (Tab moves to the next editable cell), Escape cancels.
+     * Ignored while the categories of a category editor are loading.
+     * @param {HTMLElement} cell - Editable table cell
+     */
+    async startCellEdit(cell) {
+        if (this.isEditLoading) {
+            return;
+        }
+        if (this.activeEdit && !this.commitCellEdit()) {
+            return; // The current edit is invalid and stays open
+        }
+
+        const field = this.getEditableField(cell);
+        const row = cell.parentElement;
+        let { product } = this.rowState.get(row);
+        let editor;
+
+        if (field === 'category') {
+            let categories;
+            this.isEditLoading = true;
+            try {
+                categories = this.categorySource ? await this.categorySource() : [];
+            } finally {
+                this.isEditLoading = false;
+            }
+
+            // The table may have been rebuilt, or the row reused for another product, meanwhile
+            const state = this.rowState.get(row);
+            if (!cell.isConnected || !state || String(state.product.id) !== String(product.id)) {
+                return;
+            }
+            product = state.product;
+
+            editor = this.document.createElement('select');
+            const currentId = product.category ? String(product.category.id) : '';
+            const options = categories.some(category => String(category.id) === currentId) || !product.category
+                ? categories
+                : [product.category, ...categories];
+            options.forEach(category => {
+                editor.appendChild(new this.window.Option(category.name, category.id));
+            });
+            editor.value = currentId;
+        } else {
+            editor = this.document.createElement('input');
+            if (field === 'price') {
+                editor.type = 'number';
+                editor.min = '0';
+                editor.step = '0.01';
+                editor.value = product.price ?? '';
+            } else {
+                editor.type = 'text';
+                editor.maxLength = 255;
+                editor.value = product.title || '';
+            }
+        }
+        editor.className = 'cell-editor';
+        editor.setAttribute('aria-label', i18n.t(`column.${field}`));
+
+        editor.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation(); // Don't close the drawer as well
+                this.cancelCellEdit();
+            } else if (event.key === 'Enter' || event.key === 'Tab') {
+                event.preventDefault();
+                const move = event.key === 'Tab' ? (event.shiftKey ? -1 : 1) : 0;
+                if (this.commitCellEdit(move) && !this.activeEdit) {
+                    row.focus(); // No next cell to edit
+                }
+            }
+        });
+
+        editor.addEventListener('blur', () => {
+            if (this.activeEdit && this.activeEdit.editor === editor) {
+                this.commitCellEdit();
+            }
+        });
+
+        this.activeEdit = { cell, row, product, field, editor };
+        cell.classList.add('editing');
+        cell.replaceChildren(editor);
+        editor.focus();
+        if (editor.select) {
+            editor.select();
+        }
+    }
+
+    /**
+     * Validate and save the open cell editor
+     * @param {number} [move] - 1 / -1 to continue editing the next / previous editable cell
+     * @returns {boolean} false when the value is invalid (the editor stays open)
+     */
+    commitCellEdit(move = 0) {
+        const { cell, row, product, field, editor } = this.activeEdit;
+
+        let value;
+        if (field === 'price') {
+            value = editor.value === '' ? NaN : Number(editor.value);
+        } else if (field === 'category') {
+            // Platzi expects a numeric categoryId, json-server ids are strings
+            value = /^\d+$/.test(editor.value) ? Number(editor.value) : editor.value;
+        } else {
+            value = editor.value.trim();
+        }
+
+        const validatedField = field === 'category' ? 'categoryId' : field;
+        const message = this.validator.validateField(validatedField, { [validatedField]: value });
+        if (message) {
+            editor.classList.add('invalid');
+            editor.setAttribute('aria-invalid', 'true');
+            editor.title = message;
+            let errorElement = cell.querySelector('.cell-edit-error');
+            if (!errorElement) {
+                errorElement = this.document.createElement('div');
+                errorElement.className = 'cell-edit-error';
+                cell.appendChild(errorElement);
+            }
+            errorElement.textContent = message;
+            editor.focus();
+            return false;
+        }
+
+        const nextCell = move ? this.getAdjacentEditableCell(cell, move) : null;
+        const currentValue = field === 'category' ? (product.category ? String(product.category.id) : '') : product[field];
+        const changed = field === 'category' ? String(value) !== currentValue : value !== currentValue;
+
+        this.closeCellEdit();
+        this.updateRow(row, product, this.rowState.get(row).index);
+        if (changed) {
+            // The callback re-renders the row with the new value right away
+            this.onCellEditCallback(product, field, value);
+        }
+
+        if (nextCell && nextCell.isConnected) {
+            this.startCellEdit(nextCell);
+        }
+        return true;
+    }
+
+    /**
+     * Close the open cell editor and restore the cell
+     */
+    cancelCellEdit() {
+        const { row } = this.activeEdit;
+        this.closeCellEdit();
+        const state = this.rowState.get(row);
+        this.updateRow(row, state.product, state.index);
+        row.focus();
+    }
+
+    /**
+     * Forget the open editor (the cell content is restored by the caller)
+     */
+    closeCellEdit() {
+        this.activeEdit.cell.classList.remove('editing');
+        this.activeEdit = null;
+    }
+
+    /**
+     * Find the next or previous editable cell, continuing on the adjacent rows
+     * @param {HTMLElement} cell - Current cell
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {HTMLElement|null} Cell, or null at either end of the table
+     */
+    getAdjacentEditableCell(cell, direction) {
+        const selector = Object.keys(this.editableCells).map(name => `td.${name}`).join(', ');
+        const cells = [...this.tableBodyElement.querySelectorAll(selector)];
+        return cells[cells.indexOf(cell) + direction] || null;
+    }
+
+    /**
+     * Set callback for row and header checkbox changes
+     * @param {Function} callback - Function called with (products, selected)
+     */
+    onSelectionChange(callback) {
+        this.onSelectionChangeCallback = callback;
+    }
+
+    /**
+     * Set callback for saved inline edits
+     * @param {Function} callback - Function called with (product, field, value); field is
+     *                              'title', 'price' or 'category' (value is the category id)
+     */
+    onCellEdit(callback) {
+        this.onCellEditCallback = callback;
+    }
+
+    /**
+     * Render the actions cell: Edit/Delete for admins, then the extra row actions
+     * (clicks are handled by the table body listener)
+     * @returns {HTMLElement} Table cell element
+     */
+    renderActionsCell() {
+        const actionsCell = this.document.createElement('td');
+        actionsCell.className = 'actions-cell';
+        
+        if (this.showActions) {
+            const editButton = this.document.createElement('button');
+            editButton.className = 'row-action-btn edit-btn';
+            editButton.textContent = i18n.t('table.edit');
+            
+            const deleteButton = this.document.createElement('button');
+            deleteButton.className = 'row-action-btn delete-btn';
+            deleteButton.textContent = i18n.t('table.delete');
+            
+            actionsCell.appendChild(editButton);
+            actionsCell.appendChild(deleteButton);
+        }
+        
+        this.getRowActions().forEach(action => {
+            const button = this.document.createElement('button');
+            button.className = `row-action-btn plugin-action-btn ${action.className || ''}`.trim();
+            button.dataset.actionId = action.id;
+            button.textContent = i18n.localize(action.label);
+            actionsCell.appendChild(button);
+        });
+        
+        return actionsCell;
+    }
+
+    /**
+     * Make a row focusable and styled as clickable (clicks and Enter open its product)
+     * @param {HTMLElement} row - Table row element
+     */
+    makeRowClickable(row) {
+        row.classList.add('clickable-row');
+        row.tabIndex = 0;
+    }
+
+    /**
+     * Set callback for clicks on a row
+     * @param {Function} callback - Function called with the product of the row
+     */
+    onRowClick(callback) {
+        this.onRowClickCallback = callback;
+    }
+
+    /**
+     * Set callback for the extra row actions
+     * @param {Function} callback - Function called with (actionId, product)
+     */
+    onRowAction(callback) {
+        this.onRowActionCallback = callback;
+    }
+
+    /**
+     * Set callback for the row Edit action
+     * @param {Function} callback - Function called with the product to edit
+     */
+    onEdit(callback) {
+        this.onEditCallback = callback;
+    }
+
+    /**
+     * Set callback for the row Delete action
+     * @param {Function} callback - Function called with the product to delete
+     */
+    onDelete(callback) {
+        this.onDeleteCallback = callback;
+    }
+
+    /**
+     * Set callback for when virtual scrolling gets close to the last row (infinite scroll)
+     * @param {Function} callback - Function to call to load more rows
+     */
+    onNearEnd(callback) {
+        this.onNearEndCallback = callback;
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        this.tableElement.style.display = 'none';
+        this.noResultsElement.style.display = 'none';
+        // showError may have replaced the loading text
+        this.loadingContainer.textContent = i18n.t('table.loading');
+        this.loadingContainer.style.display = 'block';
+    }
+
+    /**
+     * Show error state
+     * @param {string} message - Error message to display
+     */
+    showError(message) {
+        this.tableElement.style.display = 'none';
+        this.noResultsElement.style.display = 'none';
+        this.loadingContainer.innerHTML = `<div class="error-message">${message}</div>`;
+        this.loadingContainer.style.display = 'block';
+    }
+}
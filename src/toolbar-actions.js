@@ -0,0 +1,67 @@
+import { i18n } from './i18n.js';
+
+/**
+ * Toolbar Actions: buttons added to the controls section by plugins
+ */
+export class ToolbarActions {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.container = this.document.getElementById('plugin-toolbar');
+        this.actions = [];
+
+        this.onActionCallback = null;
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the buttons (delegated, so re-rendered buttons need no rebinding)
+     */
+    initializeEventListeners() {
+        if (!this.container) {
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action-id]');
+            if (button && this.onActionCallback) {
+                this.onActionCallback(button.dataset.actionId);
+            }
+        });
+    }
+
+    /**
+     * Show one button per action; the toolbar is hidden while there are none
+     * @param {Object[]} actions - Toolbar actions: { id, label, title, className } where label
+     *                             and title are strings or { vi, en }
+     */
+    render(actions = this.actions) {
+        this.actions = actions;
+        if (!this.container) {
+            return;
+        }
+
+        this.container.replaceChildren(...actions.map(action => {
+            const button = this.document.createElement('button');
+            button.className = `sort-btn plugin-toolbar-btn ${action.className || ''}`.trim();
+            button.dataset.actionId = action.id;
+            button.textContent = i18n.localize(action.label);
+            if (action.title) {
+                button.title = i18n.localize(action.title);
+            }
+            return button;
+        }));
+        this.container.style.display = actions.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Set callback for toolbar button clicks
+     * @param {Function} callback - Function called with the action id
+     */
+    onAction(callback) {
+        this.onActionCallback = callback;
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * URL State Manager for keeping the dashboard view state in the query string
+ */
+export class URLStateManager {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.window = doc.defaultView;
+        // Query params owned by the dashboard view; others (e.g. api, mode) are left untouched
+        this.stateKeys = ['q', 'sort', 'order', 'page', 'size', 'category', 'price_min', 'price_max', 'date_field', 'from', 'to', 'product'];
+        this.defaultPageSize = 10;
+        this.onPopStateCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize the browser back/forward listener
+     */
+    initializeEventListeners() {
+        this.window.addEventListener('popstate', () => {
+            if (this.onPopStateCallback) {
+                this.onPopStateCallback(this.read());
+            }
+        });
+    }
+
+    /**
+     * Read the view state from the current URL
+     * @returns {ViewState} { search, sort, page, pageSize, filters, productId }
+     */
+    read() {
+        const params = new URLSearchParams(this.window.location.search);
+        const toNumber = (value) => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        };
+        const toDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '';
+
+        return {
+            search: params.get('q') || '',
+            sort: this.readSortKeys(params),
+            page: parseInt(params.get('page')) || 1,
+            pageSize: params.get('size') === 'all' ? 'all' : (parseInt(params.get('size')) || this.defaultPageSize),
+            filters: {
+                categories: params.getAll('category'),
+                priceMin: toNumber(params.get('price_min')),
+                priceMax: toNumber(params.get('price_max')),
+                dateField: params.get('date_field') === 'updatedAt' ? 'updatedAt' : 'creationAt',
+                dateFrom: toDate(params.get('from')),
+                dateTo: toDate(params.get('to'))
+            },
+            productId: params.get('product') // Product open in the detail drawer
+        };
+    }
+
+    /**
+     * Read the sort keys from the sort/order params
+     * @param {URLSearchParams} params - Query parameters
+     * @returns {{field: string, direction: string}[]} Sort keys (validated by SortController.setSort)
+     */
+    readSortKeys(params) {
+        const fields = (params.get('sort') || '').split(',').filter(field => field);
+        const directions = (params.get('order') || '').split(',');
+
+        return fields.map((field, index) => ({
+            field,
+            direction: directions[index] === 'desc' ? 'desc' : 'asc'
+        }));
+    }
+
+    /**
+     * Build the query string for a view state, keeping unrelated params
+     * @param {ViewState} state - View state
+     * @returns {string} Query string including '?' (or '' when empty)
+     */
+    toQueryString(state) {
+        const params = new URLSearchParams(this.window.location.search);
+        this.stateKeys.forEach(key => params.delete(key));
+
+        // Only non-default values are written to keep links short
+        if (state.search) {
+            params.set('q', state.search);
+        }
+        // Several sort keys are comma separated: sort=category,price&order=asc,desc
+        if (state.sort.length > 0) {
+            params.set('sort', state.sort.map(key => key.field).join(','));
+            params.set('order', state.sort.map(key => key.direction).join(','));
+        }
+        if (state.page > 1) {
+            params.set('page', state.page);
+        }
+        if (state.pageSize !== this.defaultPageSize) {
+            params.set('size', state.pageSize);
+        }
+
+        const { filters } = state;
+        filters.categories.forEach(categoryId => params.append('category', categoryId));
+        if (filters.priceMin !== null) {
+            params.set('price_min', filters.priceMin);
+        }
+        if (filters.priceMax !== null) {
+            params.set('price_max', filters.priceMax);
+        }
+        if (filters.dateFrom || filters.dateTo) {
+            if (filters.dateField !== 'creationAt') {
+                params.set('date_field', filters.dateField);
+            }
+            if (filters.dateFrom) {
+                params.set('from', filters.dateFrom);
+            }
+            if (filters.dateTo) {
+                params.set('to', filters.dateTo);
+            }
+        }
+        if (state.productId) {
+            params.set('product', state.productId);
+        }
+
+        // Commas are valid in a query string; keep sort=category,price readable
+        const query = params.toString().replace(/%2C/gi, ',');
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * Write the view state to the URL
+     * @param {ViewState} state - View state
+     * @param {string} mode - 'push' adds a history entry, 'replace' updates the current one
+     */
+    write(state, mode = 'push') {
+        const query = this.toQueryString(state);
+        if (query === this.window.location.search) {
+            return;
+        }
+
+        const url = `${this.window.location.pathname}${query}${this.window.location.hash}`;
+        if (mode === 'push') {
+            this.window.history.pushState(null, '', url);
+        } else {
+            this.window.history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Set callback for browser back/forward navigation
+     * @param {Function} callback - Function called with the view state read from the URL
+     */
+    onPopState(callback) {
+        this.onPopStateCallback = callback;
+    }
+}
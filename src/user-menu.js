@@ -0,0 +1,77 @@
+import { i18n } from './i18n.js';
+
+/**
+ * User Menu in the dashboard header showing who is signed in, with login and logout buttons
+ */
+export class UserMenu {
+    /**
+     * @param {Document} [doc] - Document holding the component's elements (the page by default)
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.userInfoElement = this.document.getElementById('user-info');
+        this.loginButton = this.document.getElementById('login-btn');
+        this.logoutButton = this.document.getElementById('logout-btn');
+        
+        this.onLoginCallback = null;
+        this.onLogoutCallback = null;
+        
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for the buttons
+     */
+    initializeEventListeners() {
+        if (this.loginButton) {
+            this.loginButton.addEventListener('click', () => {
+                if (this.onLoginCallback) {
+                    this.onLoginCallback();
+                }
+            });
+        }
+
+        if (this.logoutButton) {
+            this.logoutButton.addEventListener('click', () => {
+                if (this.onLogoutCallback) {
+                    this.onLogoutCallback();
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the signed in user, or the login button
+     * @param {User|null} user - Signed in user
+     */
+    update(user) {
+        if (!this.userInfoElement) {
+            return;
+        }
+
+        if (user) {
+            const role = user.role === 'admin' ? i18n.t('user.admin') : i18n.t('user.viewer');
+            this.userInfoElement.textContent = `${user.name || user.email} (${role})`;
+        } else {
+            this.userInfoElement.textContent = i18n.t('user.readOnly');
+        }
+        this.loginButton.style.display = user ? 'none' : 'inline-block';
+        this.logoutButton.style.display = user ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Set callback for the login button
+     * @param {Function} callback - Function to call
+     */
+    onLogin(callback) {
+        this.onLoginCallback = callback;
+    }
+
+    /**
+     * Set callback for the logout button
+     * @param {Function} callback - Function to call
+     */
+    onLogout(callback) {
+        this.onLogoutCallback = callback;
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * XLSX Writer for building a minimal Excel workbook without external libraries
+ */
+export class XLSXWriter {
+    constructor() {
+        this.encoder = new TextEncoder();
+        this.crcTable = this.createCRCTable();
+    }
+
+    /**
+     * Build an .xlsx file with a single worksheet
+     * @param {Array<Array<string|number|null>>} rows - Cell values, first row is the header
+     * @param {string} sheetName - Worksheet name
+     * @returns {Blob} Workbook file
+     */
+    build(rows, sheetName = 'Products') {
+        const files = [
+            { name: '[Content_Types].xml', content: this.getContentTypesXML() },
+            { name: '_rels/.rels', content: this.getRootRelsXML() },
+            { name: 'xl/workbook.xml', content: this.getWorkbookXML(sheetName) },
+            { name: 'xl/_rels/workbook.xml.rels', content: this.getWorkbookRelsXML() },
+            { name: 'xl/styles.xml', content: this.getStylesXML() },
+            { name: 'xl/worksheets/sheet1.xml', content: this.getSheetXML(rows) }
+        ];
+
+        return new Blob([this.createZip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+
+    /**
+     * Build the worksheet XML. Strings are written inline so no shared string table is needed.
+     * @param {Array<Array<string|number|null>>} rows - Cell values
+     * @returns {string} sheet1.xml content
+     */
+    getSheetXML(rows) {
+        const rowsXML = rows.map((row, rowIndex) => {
+            const rowNumber = rowIndex + 1;
+            const style = rowIndex === 0 ? ' s="1"' : ''; // Bold header
+            
+            const cellsXML = row.map((value, columnIndex) => {
+                const ref = `${this.getColumnName(columnIndex)}${rowNumber}`;
+                if (value === null || value === undefined || value === '') {
+                    return '';
+                }
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${this.escapeXML(String(value))}</t></is></c>`;
+            }).join('');
+
+            return `<row r="${rowNumber}">${cellsXML}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${rowsXML}</sheetData>` +
+            '</worksheet>';
+    }
+
+    /**
+     * [Content_Types].xml: MIME types of the package parts
+     * @returns {string} XML content
+     */
+    getContentTypesXML() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>';
+    }
+
+    /**
+     * _rels/.rels: points to the workbook
+     * @returns {string} XML content
+     */
+    getRootRelsXML() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    }
+
+    /**
+     * xl/workbook.xml: the single worksheet
+     * @param {string} sheetName - Worksheet name
+     * @returns {string} XML content
+     */
+    getWorkbookXML(sheetName) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${this.escapeXML(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>';
+    }
+
+    /**
+     * xl/_rels/workbook.xml.rels: worksheet and styles parts
+     * @returns {string} XML content
+     */
+    getWorkbookRelsXML() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>';
+    }
+
+    /**
+     * xl/styles.xml: default and bold cell formats
+     * @returns {string} XML content
+     */
+    getStylesXML() {
+        // Style 0: default, style 1: bold (header row)
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '</styleSheet>';
+    }
+
+    /**
+     * Convert a zero-based column index to its letter name (0 -> A, 26 -> AA)
+     * @param {number} index - Column index
+     * @returns {string} Column name
+     */
+    getColumnName(index) {
+        let name = '';
+        let number = index + 1;
+        while (number > 0) {
+            const remainder = (number - 1) % 26;
+            name = String.fromCharCode(65 + remainder) + name;
+            number = Math.floor((number - 1) / 26);
+        }
+        return name;
+    }
+
+    /**
+     * Escape text for XML and drop control characters XML 1.0 does not allow
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeXML(text) {
+        return text
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Pack files into an uncompressed (stored) ZIP archive
+     * @param {{name: string, content: string}[]} files - Files to pack
+     * @returns {Uint8Array} ZIP bytes
+     */
+    createZip(files) {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const nameBytes = this.encoder.encode(file.name);
+            const data = this.encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            // Local file header
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true); // Version needed
+            header.setUint16(6, 0x0800, true); // UTF-8 file names
+            header.setUint16(8, 0, true); // Stored (no compression)
+            header.setUint16(10, 0, true); // Time
+            header.setUint16(12, 0x0021, true); // Date: 1980-01-01
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, nameBytes.length, true);
+            header.setUint16(28, 0, true);
+
+            // Central directory entry
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true); // Version needed
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, 0, true);
+            entry.setUint16(14, 0x0021, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true); // Offset of the local header
+
+            localParts.push(new Uint8Array(header.buffer), nameBytes, data);
+            centralParts.push(new Uint8Array(entry.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+
+        return zip;
+    }
+
+    /**
+     * Build the CRC-32 lookup table
+     * @returns {Uint32Array} Lookup table
+     */
+    createCRCTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+
+    /**
+     * Compute the CRC-32 checksum required by ZIP entries
+     * @param {Uint8Array} data - File bytes
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
@@ -0,0 +1,99 @@
+// Service worker - keeps the dashboard's app shell available offline.
+// Product data is cached by the page itself in IndexedDB (see ProductCache in src/product-cache.js).
+
+const CACHE_NAME = 'product-dashboard-v6';
+const APP_SHELL = [
+    'test.html',
+    'main.js',
+    'src/activity-feed.js',
+    'src/api-service.js',
+    'src/audit-entry.js',
+    'src/auth-session.js',
+    'src/bulk-action-bar.js',
+    'src/category-manager.js',
+    'src/column-chooser.js',
+    'src/column-layout.js',
+    'src/constants.js',
+    'src/csv-parser.js',
+    'src/dashboard-controller.js',
+    'src/data-status-indicator.js',
+    'src/event-bus.js',
+    'src/export-controller.js',
+    'src/facet-filter.js',
+    'src/history-controls.js',
+    'src/i18n.js',
+    'src/image-gallery.js',
+    'src/import-wizard.js',
+    'src/live-sync.js',
+    'src/locale-switcher.js',
+    'src/login-modal.js',
+    'src/pagination-controller.js',
+    'src/plugin-registry.js',
+    'src/product-cache.js',
+    'src/product-detail-drawer.js',
+    'src/product-form-modal.js',
+    'src/product-history.js',
+    'src/product-validator.js',
+    'src/search-filter.js',
+    'src/selectors.js',
+    'src/sort-controller.js',
+    'src/stats-panel.js',
+    'src/store.js',
+    'src/table-renderer.js',
+    'src/toolbar-actions.js',
+    'src/url-state-manager.js',
+    'src/user-menu.js',
+    'src/xlsx-writer.js',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches of previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network first for the app shell so changes show up immediately when online,
+ * falling back to the cached copy when offline
+ * @param {Request} request - App shell request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    const isAppShell = url.origin === self.location.origin
+        && APP_SHELL.some(file => url.pathname.endsWith(`/${file}`));
+
+    // API requests are left to the page (retries, IndexedDB cache)
+    if (event.request.method === 'GET' && isAppShell) {
+        event.respondWith(networkFirst(event.request));
+    }
+});
@@ -0,0 +1,483 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DashboardController } from '../src/dashboard-controller.js';
+import { i18n } from '../src/i18n.js';
+import { createWindow, makeProduct, jsonResponse, waitFor } from './helpers.js';
+
+const API = 'http://api.test';
+const catalog = Array.from({ length: 25 }, (_, index) => makeProduct(
+    index + 1,
+    index === 6 ? 'Laptop văn phòng' : `Sản phẩm ${index + 1}`,
+    10 + index
+));
+const admin = { id: 1, email: 'admin@mail.com', name: 'Admin', role: 'admin' };
+
+let requests;
+let routes;
+
+/**
+ * Answer a mocked request from the route table ("METHOD /path" keys, query string ignored)
+ * @param {string} url - Requested URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} Response
+ */
+async function fakeFetch(url, options = {}) {
+    const method = options.method || 'GET';
+    const { pathname, searchParams } = new URL(url);
+    requests.push({ method, pathname, searchParams });
+
+    const route = routes[`${method} ${pathname}`];
+    return route ? route(searchParams, options) : jsonResponse({ message: 'Not found' }, 404);
+}
+
+/**
+ * Start a dashboard on a fresh copy of test.html
+ * @param {Object} [options] - Dashboard config and the page URL
+ * @returns {Promise<{dashboard: DashboardController, document: Document}>} Initialized dashboard
+ */
+async function startDashboard({ url, session = null, ...config } = {}) {
+    const window = createWindow(url);
+    if (session) {
+        window.localStorage.setItem('product-dashboard-session', JSON.stringify(session));
+    }
+    const dashboard = new DashboardController({
+        apiBaseURL: API,
+        apiRetries: 0,
+        liveSync: false, // Turned on by the live update tests only, so no poll timer is left running
+        ...config,
+        document: window.document
+    });
+    await dashboard.init();
+    return { dashboard, document: window.document };
+}
+
+const rowTitles = document => [...document.querySelectorAll('#products-table-body tr .title-cell')]
+    .map(cell => cell.textContent);
+
+beforeEach(() => {
+    requests = [];
+    routes = {
+        'GET /products': () => jsonResponse(catalog),
+        'GET /categories': () => jsonResponse([{ id: 1, name: 'Clothes' }]),
+        'GET /auth/profile': () => jsonResponse(admin)
+    };
+    mock.method(globalThis, 'fetch', fakeFetch);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('loads the catalog and shows the first page', async () => {
+    const { dashboard, document } = await startDashboard();
+
+    assert.equal(dashboard.products.length, 25);
+    assert.deepEqual(rowTitles(document).slice(0, 2), ['Sản phẩm 1', 'Sản phẩm 2']);
+    assert.equal(rowTitles(document).length, 10);
+    assert.equal(
+        document.getElementById('pagination-info').textContent,
+        i18n.t('pagination.info', { start: 1, end: 10, total: 25, page: 1, pages: 3 })
+    );
+    assert.ok(requests.some(request => request.method === 'GET' && request.pathname === '/products'));
+});
+
+test('filters the table while typing and records the search in the URL', async () => {
+    const { document } = await startDashboard();
+    const input = document.getElementById('search-input');
+
+    input.value = 'laptop';
+    input.dispatchEvent(new document.defaultView.Event('input'));
+
+    assert.deepEqual(rowTitles(document), ['Laptop văn phòng']);
+    assert.equal(new URLSearchParams(document.defaultView.location.search).get('q'), 'laptop');
+});
+
+test('changes page from the pagination buttons', async () => {
+    const { document } = await startDashboard();
+    const pageThree = [...document.querySelectorAll('#pagination-controls button')]
+        .find(button => button.textContent === '3');
+
+    pageThree.click();
+
+    assert.deepEqual(rowTitles(document), ['Sản phẩm 21', 'Sản phẩm 22', 'Sản phẩm 23', 'Sản phẩm 24', 'Sản phẩm 25']);
+    assert.equal(new URLSearchParams(document.defaultView.location.search).get('page'), '3');
+});
+
+test('restores the view from a shared link', async () => {
+    const { document } = await startDashboard({ url: 'http://localhost/test.html?sort=price&order=desc&size=5' });
+
+    assert.deepEqual(rowTitles(document), ['Sản phẩm 25', 'Sản phẩm 24', 'Sản phẩm 23', 'Sản phẩm 22', 'Sản phẩm 21']);
+});
+
+test('shows an error when the catalog cannot be loaded', async () => {
+    routes['GET /products'] = () => jsonResponse({ message: 'Server down' }, 500);
+
+    const { dashboard, document } = await startDashboard();
+
+    assert.equal(dashboard.products.length, 0);
+    assert.ok(document.getElementById('loading-container').textContent.includes(i18n.t('table.loadFailed')));
+    assert.notEqual(document.getElementById('error-container').textContent.trim(), '');
+    assert.ok(document.querySelector('#error-container .retry-btn'));
+});
+
+test('requests one page at a time in remote mode', async () => {
+    routes['GET /products'] = params => jsonResponse(
+        catalog.slice(Number(params.get('offset')), Number(params.get('offset')) + Number(params.get('limit'))),
+        200,
+        { 'X-Total-Count': String(catalog.length) }
+    );
+
+    const { document } = await startDashboard({ dataMode: 'remote' });
+    const pageRequest = requests.find(request => request.pathname === '/products');
+
+    assert.equal(pageRequest.searchParams.get('offset'), '0');
+    assert.equal(pageRequest.searchParams.get('limit'), '10');
+    assert.equal(rowTitles(document).length, 10);
+    assert.equal(
+        document.getElementById('pagination-info').textContent,
+        i18n.t('pagination.info', { start: 1, end: 10, total: 25, page: 1, pages: 3 })
+    );
+});
+
+test('undoes and redoes view changes', async () => {
+    const { document } = await startDashboard();
+    const window = document.defaultView;
+    const input = document.getElementById('search-input');
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
+    assert.equal(undoButton.disabled, true);
+
+    // Both keystrokes of the search are one step
+    input.value = 'lap';
+    input.dispatchEvent(new window.Event('input'));
+    input.value = 'laptop';
+    input.dispatchEvent(new window.Event('input'));
+    document.querySelector('#products-table th[data-sort-field="price"]').click();
+    assert.equal(undoButton.disabled, false);
+
+    undoButton.click();
+    assert.equal(new URLSearchParams(window.location.search).get('sort'), null);
+    assert.deepEqual(rowTitles(document), ['Laptop văn phòng']);
+
+    undoButton.click();
+    assert.equal(input.value, '');
+    assert.equal(rowTitles(document).length, 10);
+    assert.equal(undoButton.disabled, true);
+
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'z', ctrlKey: true, shiftKey: true }));
+    assert.equal(input.value, 'laptop');
+    assert.equal(redoButton.disabled, false);
+});
+
+test('updates widgets subscribed to the store', async () => {
+    const { dashboard, document } = await startDashboard();
+    const counts = [];
+    dashboard.store.select(state => state.total, total => counts.push(total));
+
+    const input = document.getElementById('search-input');
+    input.value = 'laptop';
+    input.dispatchEvent(new document.defaultView.Event('input'));
+
+    assert.deepEqual(counts, [1]);
+    assert.equal(document.getElementById('export-filtered-count').textContent, '1');
+});
+
+test('lets an admin delete a product', async () => {
+    routes['DELETE /products/2'] = () => jsonResponse(true);
+
+    const { dashboard, document } = await startDashboard({
+        session: { accessToken: 'token', refreshToken: 'refresh', user: admin }
+    });
+    document.querySelectorAll('#products-table-body tr')[1].querySelector('.delete-btn').click();
+
+    await waitFor(() => dashboard.products.length === 24);
+    assert.ok(requests.some(request => request.method === 'DELETE' && request.pathname === '/products/2'));
+    assert.equal(rowTitles(document)[1], 'Sản phẩm 3');
+});
+
+test('offers no Retry for a failed delete, since it would only reload the catalog', async () => {
+    routes['DELETE /products/2'] = () => jsonResponse({ message: 'Server down' }, 500);
+
+    const { dashboard, document } = await startDashboard({
+        session: { accessToken: 'token', refreshToken: 'refresh', user: admin }
+    });
+    document.querySelectorAll('#products-table-body tr')[1].querySelector('.delete-btn').click();
+
+    await waitFor(() => document.getElementById('error-container').textContent.includes(i18n.t('api.server')));
+    assert.equal(document.querySelector('#error-container .retry-btn'), null);
+    assert.equal(dashboard.products.length, 25);
+});
+
+test('shows the change history of a product and reverts to an older version', async () => {
+    const original = catalog[0];
+    const renamed = { ...original, title: 'Áo mới' };
+    const entry = (id, action, changes, version) => ({
+        id,
+        action,
+        productId: '1',
+        productTitle: version.title,
+        user: admin,
+        at: `2026-01-0${id}T10:00:00.000Z`,
+        changes,
+        version
+    });
+    routes['GET /audit'] = () => jsonResponse([
+        entry('2', 'update', [{ field: 'title', from: original.title, to: 'Áo mới' }], renamed),
+        entry('1', 'create', [{ field: 'title', from: null, to: original.title }], original)
+    ], 200, { 'X-Total-Count': '2' });
+    let sent = null;
+    routes['PUT /products/1'] = (searchParams, options) => {
+        sent = JSON.parse(options.body);
+        return jsonResponse({ ...original, updatedAt: '2026-02-01T00:00:00.000Z' });
+    };
+
+    const { dashboard, document } = await startDashboard({
+        session: { accessToken: 'token', refreshToken: 'refresh', user: admin }
+    });
+    dashboard.products[0] = renamed;
+    dashboard.applyFilters();
+    dashboard.openProductDetail(renamed);
+
+    await waitFor(() => document.querySelectorAll('#drawer-history-list > li').length === 2);
+    const items = document.querySelectorAll('#drawer-history-list > li');
+    assert.match(items[0].textContent, /Áo mới/);
+    assert.ok(items[0].querySelector('.history-current'));
+    assert.equal(items[0].querySelector('.history-revert-btn'), null);
+    assert.ok(requests.some(request => request.pathname === '/audit' && request.searchParams.get('productId') === '1'));
+
+    items[1].querySelector('.history-revert-btn').click();
+
+    await waitFor(() => dashboard.products[0].title === original.title);
+    assert.deepEqual(sent, {
+        title: original.title,
+        price: original.price,
+        description: original.description,
+        categoryId: original.category.id,
+        images: original.images
+    });
+    assert.equal(document.getElementById('drawer-title').textContent, original.title);
+});
+
+test('reverts the first recorded edit of a product to the version before it', async () => {
+    const original = catalog[1];
+    const edited = { ...original, price: 99 };
+    routes['GET /audit'] = () => jsonResponse([{
+        id: '1',
+        action: 'update',
+        productId: '2',
+        productTitle: edited.title,
+        user: admin,
+        at: '2026-01-01T10:00:00.000Z',
+        changes: [{ field: 'price', from: original.price, to: 99 }],
+        version: edited,
+        previous: original
+    }], 200, { 'X-Total-Count': '1' });
+    let sent = null;
+    routes['PUT /products/2'] = (searchParams, options) => {
+        sent = JSON.parse(options.body);
+        return jsonResponse({ ...original, updatedAt: '2026-02-01T00:00:00.000Z' });
+    };
+
+    const { dashboard, document } = await startDashboard({
+        session: { accessToken: 'token', refreshToken: 'refresh', user: admin }
+    });
+    dashboard.products[1] = edited;
+    dashboard.openProductDetail(edited);
+
+    await waitFor(() => document.querySelectorAll('#drawer-history-list > li').length === 1);
+    const item = document.querySelector('#drawer-history-list > li');
+    assert.ok(item.querySelector('.history-current'));
+    const button = item.querySelector('.history-revert-btn');
+    assert.equal(button.textContent, i18n.t('history.revertPrevious'));
+
+    button.click();
+
+    await waitFor(() => dashboard.products[1].price === original.price);
+    assert.equal(sent.price, original.price);
+    assert.equal(sent.title, original.title);
+});
+
+test('hides the change history from visitors and without an audit log', async () => {
+    const { dashboard, document } = await startDashboard();
+    dashboard.openProductDetail(dashboard.products[0]);
+    assert.equal(document.getElementById('drawer-history').style.display, 'none');
+
+    // Signing in as an admin loads the history; the mock API has no /audit route
+    dashboard.authSession.setTokens('token', 'refresh');
+    dashboard.authSession.setUser(admin);
+
+    await waitFor(() => document.getElementById('drawer-history-status').textContent === i18n.t('history.unavailable'));
+    assert.equal(document.getElementById('drawer-history').style.display, '');
+    assert.equal(document.getElementById('error-container').textContent, '');
+});
+
+test('filters the activity feed by user and date', async () => {
+    routes['GET /audit/users'] = () => jsonResponse([admin]);
+    routes['GET /audit'] = () => jsonResponse([], 200, { 'X-Total-Count': '0' });
+    const { document } = await startDashboard({
+        session: { accessToken: 'token', refreshToken: 'refresh', user: admin }
+    });
+
+    document.getElementById('activity-btn').click();
+    await waitFor(() => document.querySelectorAll('#activity-user-select option').length === 2);
+    const userSelect = document.getElementById('activity-user-select');
+    userSelect.value = '1';
+    userSelect.dispatchEvent(new document.defaultView.Event('change'));
+    const fromInput = document.getElementById('activity-from-input');
+    fromInput.value = '2026-01-01';
+    fromInput.dispatchEvent(new document.defaultView.Event('change'));
+
+    await waitFor(() => requests.some(request => request.pathname === '/audit' && request.searchParams.get('from') === '2026-01-01'));
+    const last = requests.filter(request => request.pathname === '/audit').at(-1);
+    assert.equal(last.searchParams.get('userId'), '1');
+    assert.equal(last.searchParams.get('offset'), '0');
+    assert.equal(last.searchParams.get('to'), null);
+    await waitFor(() => document.getElementById('activity-status').textContent === i18n.t('activity.empty'));
+});
+
+test('keeps the table read-only for visitors', async () => {
+    const { document } = await startDashboard();
+
+    assert.equal(document.querySelector('#products-table-body .delete-btn'), null);
+    assert.equal(document.getElementById('add-product-btn').style.display, 'none');
+});
+
+test('opens one category editor when a second cell is opened while categories load', async () => {
+    const { dashboard, document } = await startDashboard({
+        session: { accessToken: 'token', refreshToken: 'refresh', user: admin }
+    });
+    let resolveCategories;
+    dashboard.loadCategories = () => new Promise(resolve => { resolveCategories = resolve; });
+    const categoryCells = document.querySelectorAll('#products-table-body .category-cell');
+
+    categoryCells[0].dispatchEvent(new document.defaultView.MouseEvent('dblclick', { bubbles: true }));
+    categoryCells[1].dispatchEvent(new document.defaultView.MouseEvent('dblclick', { bubbles: true }));
+    resolveCategories([{ id: 1, name: 'Clothes' }]);
+
+    await waitFor(() => document.querySelector('.cell-editor'));
+    assert.equal(document.querySelectorAll('.cell-editor').length, 1);
+    assert.equal(categoryCells[0].querySelector('.cell-editor'), dashboard.tableRenderer.activeEdit.editor);
+});
+
+test('shows and sorts a plugin column', async () => {
+    const { document } = await startDashboard({
+        plugins: [{
+            id: 'stock',
+            columns: [{
+                key: 'stock',
+                label: { vi: 'Tồn kho', en: 'Stock' },
+                render: product => `${product.stock} left`,
+                sortValue: product => product.stock,
+                sortType: 'number'
+            }],
+            hooks: {
+                afterFetch: products => products.map(product => ({ ...product, stock: 100 - product.id }))
+            }
+        }]
+    });
+    const header = document.querySelector('#products-table th[data-column-key="stock"]');
+    assert.equal(header.textContent, 'Tồn kho');
+
+    header.click();
+
+    const stockCells = [...document.querySelectorAll('#products-table-body .stock-cell')].map(cell => cell.textContent);
+    assert.deepEqual(stockCells.slice(0, 3), ['75 left', '76 left', '77 left']);
+    assert.equal(new URLSearchParams(document.defaultView.location.search).get('sort'), 'stock');
+});
+
+test('runs plugin row and toolbar actions and filter hooks', async () => {
+    const opened = [];
+    const { dashboard, document } = await startDashboard();
+    dashboard.registerPlugin({
+        id: 'shop',
+        rowActions: [{
+            id: 'open',
+            label: 'Storefront',
+            onClick: product => opened.push(product.id),
+            visible: product => product.id !== 2
+        }],
+        toolbarActions: [{ id: 'sync', label: 'Sync', adminOnly: true, onClick: () => opened.push('sync') }],
+        hooks: { afterFilter: products => products.filter(product => product.id % 2 === 0) }
+    });
+
+    const rows = document.querySelectorAll('#products-table-body tr');
+    assert.deepEqual(rowTitles(document).slice(0, 2), ['Sản phẩm 2', 'Sản phẩm 4']);
+    assert.equal(rows[0].querySelector('.plugin-action-btn').hidden, true);
+    rows[1].querySelector('.plugin-action-btn').click();
+    assert.deepEqual(opened, [4]);
+
+    // Visitors get the row action but not the admin-only toolbar button
+    assert.equal(document.querySelector('#products-table-body .edit-btn'), null);
+    assert.equal(document.getElementById('plugin-toolbar').style.display, 'none');
+});
+
+test('leaves out invalid plugins', async () => {
+    const { dashboard } = await startDashboard({
+        plugins: [{ id: 'broken', hooks: { afterSave: () => {} } }, { id: 'ok' }]
+    });
+
+    assert.deepEqual(dashboard.plugins.plugins.map(plugin => plugin.id), ['ok']);
+    assert.equal(dashboard.products.length, 25);
+});
+
+test('shows the server ids of products created offline once they sync after signing in', async () => {
+    routes['POST /auth/login'] = () => jsonResponse({ access_token: 'token', refresh_token: 'refresh' });
+    routes['POST /products'] = (searchParams, options) => jsonResponse(makeProduct(26, JSON.parse(options.body).title, 99), 201);
+
+    const { dashboard, document } = await startDashboard();
+    let queue = [{ id: 1, type: 'create', productId: 'offline-1', data: { title: 'Áo mới', price: 99, categoryId: 1 } }];
+    dashboard.productCache = {
+        getQueue: async () => queue,
+        dequeue: async id => { queue = queue.filter(change => change.id !== id); },
+        replaceQueuedProductId: async () => {},
+        saveCatalog: async () => {}
+    };
+    dashboard.products = [makeProduct('offline-1', 'Áo mới', 99), ...dashboard.products];
+    dashboard.applyFilters();
+    const firstRowProduct = () => dashboard.tableRenderer.rowState.get(document.querySelector('#products-table-body tr')).product;
+    assert.equal(firstRowProduct().id, 'offline-1');
+
+    await dashboard.login('admin@mail.com', 'admin123');
+
+    await waitFor(() => queue.length === 0);
+    assert.equal(dashboard.products[0].id, 26);
+    assert.equal(firstRowProduct().id, 26);
+});
+
+test('applies products changed by other users and keeps the page', async () => {
+    const feed = {
+        'r:0': {
+            cursor: 'r:3',
+            changes: [
+                { type: 'update', id: 12, product: makeProduct(12, 'Áo mới', 99) },
+                { type: 'delete', id: 15, product: null },
+                { type: 'create', id: 26, product: makeProduct(26, 'Sản phẩm 26', 5) }
+            ]
+        },
+        'r:3': { cursor: 'r:3', changes: [] }
+    };
+    routes['GET /changes'] = searchParams => jsonResponse(feed[searchParams.get('since')] || { cursor: 'r:0', changes: [] });
+
+    const { dashboard, document } = await startDashboard({
+        url: 'http://localhost/test.html?page=2',
+        liveSync: true,
+        livePollInterval: 10
+    });
+    try {
+        await waitFor(() => rowTitles(document).includes('Áo mới'));
+
+        assert.deepEqual(dashboard.products.slice(0, 2).map(product => product.id), [26, 1]);
+        assert.equal(dashboard.products.length, 25);
+        assert.ok(!rowTitles(document).includes('Sản phẩm 15'));
+        assert.equal(new URLSearchParams(document.defaultView.location.search).get('page'), '2');
+        const changedRow = [...document.querySelectorAll('#products-table-body tr')]
+            .find(row => row.querySelector('.title-cell').textContent === 'Áo mới');
+        assert.ok(changedRow.classList.contains('live-changed-row'));
+        assert.equal(dashboard.liveSync.mode, 'feed');
+    } finally {
+        dashboard.liveSync.stop();
+    }
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/event-bus.js';
+
+test('calls every listener of an event in order', () => {
+    const bus = new EventBus();
+    const calls = [];
+    bus.on('change', value => calls.push(['first', value]));
+    bus.on('change', value => calls.push(['second', value]));
+    bus.on('other', () => calls.push(['other']));
+
+    bus.emit('change', 42);
+
+    assert.deepEqual(calls, [['first', 42], ['second', 42]]);
+});
+
+test('removes listeners with off() or the returned function', () => {
+    const bus = new EventBus();
+    const calls = [];
+    const first = () => calls.push('first');
+    bus.on('change', first);
+    const unsubscribe = bus.on('change', () => calls.push('second'));
+
+    bus.off('change', first);
+    bus.emit('change');
+    unsubscribe();
+    bus.emit('change');
+
+    assert.deepEqual(calls, ['second']);
+});
+
+test('ignores events without listeners', () => {
+    assert.doesNotThrow(() => new EventBus().emit('missing'));
+});
+
+test('applies listeners removed while emitting from the next emit on', () => {
+    const bus = new EventBus();
+    const calls = [];
+    let unsubscribeSecond = null;
+    bus.on('change', () => {
+        calls.push('first');
+        unsubscribeSecond();
+    });
+    unsubscribeSecond = bus.on('change', () => calls.push('second'));
+
+    bus.emit('change');
+    bus.emit('change');
+
+    assert.deepEqual(calls, ['first', 'second', 'first']);
+});
@@ -0,0 +1,70 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const PAGE = readFileSync(new URL('../test.html', import.meta.url), 'utf8');
+
+/**
+ * Load test.html into a fresh jsdom window (its scripts are not run)
+ * @param {string} [url] - Page URL, e.g. with a query string to restore
+ * @returns {Window} Window whose document holds the dashboard markup
+ */
+export function createWindow(url = 'http://localhost/test.html') {
+    const { window } = new JSDOM(PAGE, { url, pretendToBeVisual: true });
+    window.confirm = () => true;
+    window.scrollTo = () => {};
+    return window;
+}
+
+/**
+ * Build a product like the ones returned by the API
+ * @param {number} id - Product id
+ * @param {string} title - Product name
+ * @param {number} price - Price in USD
+ * @param {Object} [extra] - Other fields to set (the category via `categoryId` and `categoryName`)
+ * @returns {Product} Product
+ */
+export function makeProduct(id, title, price, extra = {}) {
+    const { categoryId = 1, categoryName = 'Clothes', ...fields } = extra;
+    return {
+        id,
+        title,
+        price,
+        description: `Description of ${title}`,
+        category: { id: categoryId, name: categoryName, slug: categoryName.toLowerCase(), image: 'https://example.com/c.png' },
+        images: ['https://example.com/p.png'],
+        slug: title.toLowerCase().replace(/\s+/g, '-'),
+        creationAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z',
+        ...fields
+    };
+}
+
+/**
+ * Build a fetch Response with a JSON body
+ * @param {*} body - Response data
+ * @param {number} [status] - HTTP status
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Response} Response
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+/**
+ * Wait until a condition holds (for renders that follow API calls)
+ * @param {Function} condition - Returns true when done
+ * @param {number} [timeout] - Give up after this many ms
+ * @returns {Promise<void>} Resolves once the condition holds
+ */
+export async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
@@ -0,0 +1,102 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LiveSync } from '../src/live-sync.js';
+import { APIService } from '../src/api-service.js';
+import { createWindow, makeProduct, jsonResponse, waitFor } from './helpers.js';
+
+const API = 'http://api.test';
+
+let requests;
+let sync;
+
+/**
+ * Create a LiveSync polling a mocked API every 10 ms
+ * @param {Function} respond - Answers a request: (pathname, searchParams, headers) => Response
+ * @returns {LiveSync} Stopped LiveSync
+ */
+function createSync(respond) {
+    const window = createWindow();
+    mock.method(globalThis, 'fetch', async (url, options = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        const headers = new Headers(options.headers);
+        requests.push({ pathname, since: searchParams.get('since'), ifNoneMatch: headers.get('If-None-Match') });
+        return respond(pathname, searchParams, headers);
+    });
+    const apiService = new APIService({ baseURL: API, retries: 0, document: window.document });
+    return new LiveSync(apiService, { window, pollInterval: 10 });
+}
+
+beforeEach(() => {
+    requests = [];
+    sync = null;
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    if (sync) {
+        sync.stop();
+    }
+    mock.restoreAll();
+});
+
+test('lists created, updated and deleted products between two catalogs', () => {
+    const previous = [makeProduct(1, 'A', 10), makeProduct(2, 'B', 20), makeProduct(3, 'C', 30)];
+    const next = [makeProduct(4, 'D', 40), makeProduct(1, 'A', 10), makeProduct('2', 'B', 25)];
+
+    const changes = LiveSync.diffCatalog(previous, next);
+
+    assert.deepEqual(changes.map(({ type, id }) => [type, id]), [['create', 4], ['update', '2'], ['delete', 3]]);
+});
+
+test('polls the change feed from its cursor with If-None-Match', async () => {
+    let served = false;
+    sync = createSync((pathname, searchParams, headers) => {
+        if (headers.get('If-None-Match') === '"r:2"') {
+            return new Response(null, { status: 304 });
+        }
+        if (searchParams.get('since') === 'r:1' && !served) {
+            served = true;
+            return jsonResponse(
+                { cursor: 'r:2', changes: [{ type: 'update', id: 1, product: makeProduct(1, 'A', 12) }] },
+                200,
+                { ETag: '"r:2"' }
+            );
+        }
+        return jsonResponse({ cursor: 'r:1', changes: [] }, 200, { ETag: '"r:1"' });
+    });
+    const received = [];
+    const modes = [];
+    sync.onChanges(changes => received.push(...changes));
+    sync.onStatusChange(mode => modes.push(mode));
+
+    await sync.start({ prepareProducts: products => products.map(product => ({ ...product, seen: true })) });
+    await waitFor(() => requests.some(request => request.ifNoneMatch === '"r:2"'));
+
+    assert.deepEqual(modes, ['feed']);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].product.price, 12);
+    assert.equal(received[0].product.seen, true);
+    assert.deepEqual(requests.slice(0, 2).map(request => request.since), [null, 'r:1']);
+    assert.equal(sync.cursor, 'r:2');
+});
+
+test('compares the polled catalog when the backend has no change feed', async () => {
+    let catalog = [makeProduct(1, 'A', 10), makeProduct(2, 'B', 20)];
+    const loaded = [...catalog];
+    sync = createSync((pathname) => {
+        if (pathname === '/changes') {
+            return jsonResponse({ message: 'Not found' }, 404);
+        }
+        return jsonResponse(catalog);
+    });
+    const received = [];
+    sync.onChanges(changes => received.push(...changes));
+
+    await sync.start({ getCatalog: () => loaded });
+    catalog = [makeProduct(1, 'A', 10)];
+    await waitFor(() => received.length > 0);
+
+    assert.equal(sync.mode, 'catalog');
+    assert.deepEqual(received, [{ type: 'delete', id: 2, product: null }]);
+});
@@ -0,0 +1,101 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaginationController } from '../src/pagination-controller.js';
+import { createWindow } from './helpers.js';
+
+const items = Array.from({ length: 23 }, (_, index) => ({ id: index + 1 }));
+
+let pagination;
+
+beforeEach(() => {
+    pagination = new PaginationController(createWindow().document);
+});
+
+const ids = results => results.map(item => item.id);
+
+/**
+ * Page numbers shown for a page out of a number of pages
+ * @param {number} page - Current page
+ * @param {number} pages - Total pages
+ * @returns {Array<number|string>} Page numbers and '...' markers
+ */
+function pageNumbers(page, pages) {
+    pagination.setTotalItems(pages * pagination.pageSize);
+    pagination.currentPage = page;
+    return pagination.getPageNumbers();
+}
+
+test('returns the items of the current page', () => {
+    assert.deepEqual(ids(pagination.getPagedData(items)), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.equal(pagination.totalPages, 3);
+
+    pagination.setState(3, 10);
+    assert.deepEqual(ids(pagination.getPagedData(items)), [21, 22, 23]);
+});
+
+test('follows the page size', () => {
+    pagination.setState(2, 5);
+    assert.deepEqual(ids(pagination.getPagedData(items)), [6, 7, 8, 9, 10]);
+    assert.equal(pagination.totalPages, 5);
+});
+
+test('moves back to the last page when the data shrinks', () => {
+    pagination.setState(3, 10);
+    assert.deepEqual(ids(pagination.getPagedData(items.slice(0, 12))), [11, 12]);
+    assert.equal(pagination.currentPage, 2);
+});
+
+test('returns every item when showing all', () => {
+    pagination.setState(2, 'all');
+    assert.equal(pagination.getPagedData(items).length, 23);
+    assert.equal(pagination.totalPages, 1);
+});
+
+test('returns an empty page for invalid data', () => {
+    assert.deepEqual(pagination.getPagedData(null), []);
+    assert.deepEqual(pagination.getPagedData([]), []);
+    assert.equal(pagination.totalPages, 0);
+});
+
+test('ignores page changes outside the range and unknown page sizes', () => {
+    let changes = 0;
+    pagination.onPageChange(() => changes++);
+    pagination.getPagedData(items);
+
+    pagination.goToPage(0);
+    pagination.goToPage(4);
+    pagination.changePageSize(15);
+    assert.equal(changes, 0);
+    assert.equal(pagination.pageSize, 10);
+
+    pagination.goToPage(3);
+    assert.equal(changes, 1);
+    assert.equal(pagination.currentPage, 3);
+});
+
+test('shows every page number when there are few pages', () => {
+    assert.deepEqual(pageNumbers(1, 1), [1]);
+    assert.deepEqual(pageNumbers(2, 5), [1, 2, 3, 4, 5]);
+});
+
+test('adds ellipses around skipped pages', () => {
+    assert.deepEqual(pageNumbers(1, 10), [1, 2, 3, 4, 5, '...', 10]);
+    assert.deepEqual(pageNumbers(5, 10), [1, '...', 3, 4, 5, 6, 7, '...', 10]);
+    assert.deepEqual(pageNumbers(10, 10), [1, '...', 6, 7, 8, 9, 10]);
+});
+
+test('does not use an ellipsis for a single skipped page', () => {
+    assert.deepEqual(pageNumbers(4, 10), [1, 2, 3, 4, 5, 6, '...', 10]);
+    assert.deepEqual(pageNumbers(4, 7), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('renders page buttons with ellipses and the current page marked', () => {
+    pagination.getPagedData(Array.from({ length: 100 }, (_, index) => ({ id: index + 1 })));
+    pagination.currentPage = 5;
+    pagination.renderControls();
+
+    const controls = [...pagination.paginationControls.children].map(element => element.textContent);
+    assert.deepEqual(controls, ['Trước', '1', '...', '3', '4', '5', '6', '7', '...', '10', 'Tiếp']);
+    assert.equal(pagination.paginationControls.querySelector('.active').textContent, '5');
+    assert.equal(pagination.paginationInfo.textContent, 'Hiển thị 41-50 của 100 sản phẩm (Trang 5/10)');
+});
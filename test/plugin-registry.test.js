@@ -0,0 +1,63 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PluginRegistry } from '../src/plugin-registry.js';
+
+let registry;
+
+beforeEach(() => {
+    registry = new PluginRegistry();
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('rejects plugins without an id or with an id already registered', () => {
+    assert.throws(() => registry.register({}), /non-empty string id/);
+
+    registry.register({ id: 'stock' });
+    assert.throws(() => registry.register({ id: 'stock' }), /already registered/);
+});
+
+test('rejects invalid columns, actions and hooks', () => {
+    assert.throws(() => registry.register({ id: 'a', columns: [{ key: 'stock' }] }), /render function/);
+    assert.throws(
+        () => registry.register({ id: 'b', columns: [{ key: 'title', render: () => '' }] }, ['title']),
+        /column "title" already exists/
+    );
+    assert.throws(() => registry.register({ id: 'c', rowActions: [{ id: 'open' }] }), /onClick/);
+    assert.throws(() => registry.register({ id: 'd', hooks: { afterSave: () => {} } }), /unknown hook "afterSave"/);
+    assert.equal(registry.plugins.length, 0);
+});
+
+test('prefixes action ids with the plugin id', () => {
+    const onClick = () => {};
+    registry.register({ id: 'shop', rowActions: [{ id: 'open', label: 'Open', onClick }] });
+    registry.register({ id: 'docs', rowActions: [{ id: 'open', label: 'Docs', onClick }] });
+
+    assert.deepEqual(registry.getActions('rowActions').map(action => action.id), ['shop:open', 'docs:open']);
+    assert.equal(registry.findAction('rowActions', 'docs:open').label, 'Docs');
+    assert.equal(registry.findAction('rowActions', 'missing:open'), null);
+});
+
+test('passes the product list through the transforming hooks in registration order', () => {
+    registry.register({ id: 'cheap', hooks: { afterFilter: products => products.filter(product => product.price < 30) } });
+    registry.register({ id: 'count', hooks: { afterFilter: () => 'not a list' } });
+    registry.register({ id: 'sorted', hooks: { afterFilter: products => [...products].reverse() } });
+
+    const result = registry.runHook('afterFilter', [{ price: 10 }, { price: 50 }, { price: 20 }], {});
+
+    assert.deepEqual(result, [{ price: 20 }, { price: 10 }]);
+});
+
+test('keeps going when a plugin hook throws', () => {
+    const seen = [];
+    registry.register({ id: 'broken', hooks: { afterFetch: () => { throw new Error('boom'); } } });
+    registry.register({ id: 'ok', hooks: { afterFetch: products => { seen.push(products.length); } } });
+
+    const products = [{ id: 1 }];
+    assert.equal(registry.runHook('afterFetch', products, {}), products);
+    assert.deepEqual(seen, [1]);
+    assert.equal(console.error.mock.callCount(), 1);
+});
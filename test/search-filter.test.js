@@ -0,0 +1,83 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchFilter } from '../src/search-filter.js';
+import { createWindow, makeProduct } from './helpers.js';
+
+const products = [
+    makeProduct(1, 'Áo thun cotton', 19, { description: 'Áo chống nước cho mùa mưa' }),
+    makeProduct(2, 'Laptop văn phòng', 650, { categoryId: 2, categoryName: 'Electronics' }),
+    makeProduct(3, 'Giày chạy bộ', 45, { categoryId: 3, categoryName: 'Shoes', description: 'Nhẹ, chống nước' }),
+    makeProduct(4, 'Túi xách', 30, { description: 'Vừa laptop 14 inch' })
+];
+
+let searchFilter;
+
+beforeEach(() => {
+    searchFilter = new SearchFilter(createWindow().document);
+});
+
+const titles = results => results.map(product => product.title);
+
+test('returns every product for an empty search', () => {
+    assert.deepEqual(searchFilter.filter(products, ''), products);
+});
+
+test('returns an empty list for invalid input', () => {
+    assert.deepEqual(searchFilter.filter(null, 'laptop'), []);
+});
+
+test('ignores case and Vietnamese diacritics', () => {
+    assert.deepEqual(titles(searchFilter.filter(products, 'ao THUN')), ['Áo thun cotton']);
+    assert.deepEqual(titles(searchFilter.filter(products, 'giay')), ['Giày chạy bộ']);
+});
+
+test('ranks title matches before description matches', () => {
+    assert.deepEqual(titles(searchFilter.filter(products, 'laptop')), ['Laptop văn phòng', 'Túi xách']);
+});
+
+test('tolerates a typo and matches word prefixes', () => {
+    assert.deepEqual(titles(searchFilter.filter(products, 'laptap')), ['Laptop văn phòng', 'Túi xách']);
+    assert.deepEqual(titles(searchFilter.filter(products, 'cott')), ['Áo thun cotton']);
+});
+
+test('matches quoted phrases exactly', () => {
+    assert.deepEqual(titles(searchFilter.filter(products, '"chống nước"')), ['Áo thun cotton', 'Giày chạy bộ']);
+    assert.deepEqual(titles(searchFilter.filter(products, '"nước chống"')), []);
+});
+
+test('limits field terms to their field', () => {
+    assert.deepEqual(titles(searchFilter.filter(products, 'category:shoes')), ['Giày chạy bộ']);
+    assert.deepEqual(titles(searchFilter.filter(products, 'danhmuc:electronics')), ['Laptop văn phòng']);
+    assert.deepEqual(titles(searchFilter.filter(products, 'title:laptop')), ['Laptop văn phòng']);
+});
+
+test('filters by price conditions', () => {
+    assert.deepEqual(titles(searchFilter.filter(products, 'price:<30')), ['Áo thun cotton']);
+    assert.deepEqual(titles(searchFilter.filter(products, 'gia:30-45')), ['Giày chạy bộ', 'Túi xách']);
+    assert.deepEqual(titles(searchFilter.filter(products, 'price:>=45 nước')), ['Giày chạy bộ']);
+});
+
+test('uses the query typed in the search box by default', () => {
+    const input = searchFilter.searchInput;
+    input.value = 'túi';
+    input.dispatchEvent(new input.ownerDocument.defaultView.Event('input'));
+
+    assert.equal(searchFilter.getSearchTerm(), 'túi');
+    assert.deepEqual(titles(searchFilter.filter(products)), ['Túi xách']);
+});
+
+test('notifies every search listener until it unsubscribes', () => {
+    const calls = [];
+    searchFilter.onSearchChange(term => calls.push(['first', term]));
+    const unsubscribe = searchFilter.onSearchChange(term => calls.push(['second', term]));
+    const input = searchFilter.searchInput;
+    const Event = input.ownerDocument.defaultView.Event;
+
+    input.value = 'áo';
+    input.dispatchEvent(new Event('input'));
+    unsubscribe();
+    input.value = 'túi';
+    input.dispatchEvent(new Event('input'));
+
+    assert.deepEqual(calls, [['first', 'áo'], ['second', 'áo'], ['first', 'túi']]);
+});
@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { copyFileSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const PORT = 3917;
+const BASE = `http://localhost:${PORT}`;
+
+let server;
+let dbDir;
+let dbFile;
+
+/**
+ * Start the local backend on a copy of db.json and wait until it listens
+ * @returns {Promise<ChildProcess>} Server process
+ */
+function startServer() {
+    dbDir = mkdtempSync(join(tmpdir(), 'dashboard-db-'));
+    dbFile = join(dbDir, 'db.json');
+    copyFileSync(new URL('../db.json', import.meta.url), dbFile);
+
+    const child = spawn(process.execPath, ['server.mjs', dbFile], {
+        cwd: new URL('..', import.meta.url),
+        env: { ...process.env, PORT: String(PORT) }
+    });
+    return new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('running')) {
+                resolve(child);
+            }
+        });
+        child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+    });
+}
+
+/**
+ * Sign in through the auth stand-in
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @returns {Promise<Response>} Login response
+ */
+function login(email, password) {
+    return fetch(`${BASE}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+    });
+}
+
+/**
+ * Get an admin access token
+ * @returns {Promise<string>} Access token
+ */
+async function adminToken() {
+    const { access_token: token } = await (await login('admin@mail.com', 'admin123')).json();
+    return token;
+}
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => {
+    server.kill();
+    rmSync(dbDir, { recursive: true, force: true });
+});
+
+test('does not serve the users and the audit log through encoded paths', async () => {
+    for (const path of ['/%75sers', '/%75sers/1', '/%61udit', '//users', '/./users']) {
+        const response = await fetch(`${BASE}${path}`);
+        assert.ok([401, 404].includes(response.status), `${path} answered ${response.status}`);
+    }
+    assert.equal((await fetch(`${BASE}/users`)).status, 401);
+});
+
+test('does not let admin writes skip the product routes through encoded paths', async () => {
+    const token = await adminToken();
+
+    // An empty title is rejected by the product routes, json-server would store it
+    const response = await fetch(`${BASE}/%70roducts/1`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ title: '' })
+    });
+
+    assert.equal(response.status, 404);
+    assert.notEqual((await (await fetch(`${BASE}/products/1`)).json()).title, '');
+});
+
+test('serves the app files but not the db file', async () => {
+    assert.equal((await fetch(`${BASE}/main.js`)).status, 200);
+    assert.equal((await fetch(`${BASE}/db.json`)).status, 404);
+});
+
+test('leaves the password hashes out of every user response', async () => {
+    const headers = { Authorization: `Bearer ${await adminToken()}` };
+
+    const users = await (await fetch(`${BASE}/users`, { headers })).json();
+    const user = await (await fetch(`${BASE}/users/2`, { headers })).json();
+    const profile = await (await fetch(`${BASE}/auth/profile`, { headers })).json();
+
+    assert.equal(users.length, 2);
+    [...users, user, profile].forEach(item => {
+        assert.equal(item.password, undefined);
+        assert.equal(item.passwordHash, undefined);
+    });
+});
+
+test('stores the passwords of new users hashed and signs them in', async () => {
+    const response = await fetch(`${BASE}/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await adminToken()}` },
+        body: JSON.stringify({ email: 'lan@mail.com', password: 'secret-lan', name: 'Lan' })
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).password, undefined);
+    assert.ok(!readFileSync(dbFile, 'utf8').includes('secret-lan'));
+    assert.equal((await login('lan@mail.com', 'secret-lan')).status, 201);
+    assert.equal((await login('lan@mail.com', 'wrong')).status, 401);
+});
@@ -0,0 +1,88 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SortController } from '../src/sort-controller.js';
+import { createWindow, makeProduct } from './helpers.js';
+
+const products = [
+    makeProduct(1, 'Đèn bàn', 45),
+    makeProduct(2, 'Bàn phím', 19.5),
+    makeProduct(3, 'ao khoác', 120),
+    makeProduct(4, 'Áo thun', 19.5),
+    makeProduct(5, 'Dây sạc', null)
+];
+
+let sortController;
+
+beforeEach(() => {
+    sortController = new SortController(createWindow().document);
+});
+
+const ids = results => results.map(product => product.id);
+
+test('keeps the original order without sort keys', () => {
+    assert.equal(sortController.applySorting(products), products);
+});
+
+test('sorts by price in both directions with missing prices last', () => {
+    sortController.setSort([{ field: 'price', direction: 'asc' }]);
+    assert.deepEqual(ids(sortController.applySorting(products)), [2, 4, 1, 3, 5]);
+
+    sortController.setSort([{ field: 'price', direction: 'desc' }]);
+    assert.deepEqual(ids(sortController.applySorting(products)), [3, 1, 2, 4, 5]);
+});
+
+test('sorts names by their Vietnamese base letters', () => {
+    sortController.setSort([{ field: 'title', direction: 'asc' }]);
+    assert.deepEqual(
+        sortController.applySorting(products).map(product => product.title),
+        ['ao khoác', 'Áo thun', 'Bàn phím', 'Dây sạc', 'Đèn bàn']
+    );
+});
+
+test('uses later keys to break ties', () => {
+    sortController.setSort([{ field: 'price', direction: 'asc' }, { field: 'title', direction: 'desc' }]);
+    assert.deepEqual(ids(sortController.applySorting(products)), [2, 4, 1, 3, 5]);
+
+    sortController.setSort([{ field: 'price', direction: 'asc' }, { field: 'title', direction: 'asc' }]);
+    assert.deepEqual(ids(sortController.applySorting(products)), [4, 2, 1, 3, 5]);
+});
+
+test('does not modify the given array', () => {
+    const copy = [...products];
+    sortController.setSort([{ field: 'price', direction: 'desc' }]);
+    sortController.applySorting(products);
+    assert.deepEqual(products, copy);
+});
+
+test('cycles a header through ascending, descending and unsorted', () => {
+    const changes = [];
+    sortController.onSortChange(() => changes.push(sortController.describeSort()));
+
+    sortController.toggleSort('price');
+    sortController.toggleSort('price');
+    sortController.toggleSort('price');
+
+    assert.deepEqual(changes, ['price asc', 'price desc', '']);
+});
+
+test('adds secondary keys with Shift+click and replaces the sort otherwise', () => {
+    sortController.toggleSort('category');
+    sortController.toggleSort('price', true);
+    assert.equal(sortController.describeSort(), 'category asc, price asc');
+
+    sortController.toggleSort('title');
+    assert.equal(sortController.describeSort(), 'title asc');
+});
+
+test('drops unknown and duplicate fields when restoring a sort', () => {
+    sortController.setSort([
+        { field: 'price', direction: 'desc' },
+        { field: 'unknown', direction: 'asc' },
+        { field: 'price', direction: 'asc' },
+        { field: 'title', direction: 'sideways' }
+    ]);
+    assert.deepEqual(sortController.getSortKeys(), [
+        { field: 'price', direction: 'desc' },
+        { field: 'title', direction: 'asc' }
+    ]);
+});
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Store, createSelector, isEqual } from '../src/store.js';
+
+/**
+ * Store with a view part (undoable) and a data part
+ * @returns {Store} Store
+ */
+function createStore() {
+    return new Store(
+        { products: [], search: '', sort: [], page: 1 },
+        { historyKeys: ['search', 'sort', 'page'] }
+    );
+}
+
+test('compares plain data by value', () => {
+    assert.ok(isEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }));
+    assert.ok(!isEqual({ a: [1, 2] }, { a: [2, 1] }));
+    assert.ok(!isEqual([], {}));
+    assert.ok(!isEqual({ a: 1 }, { a: 1, b: undefined }));
+    assert.ok(isEqual(NaN, NaN));
+});
+
+test('notifies subscribers with the new and previous state', () => {
+    const store = createStore();
+    const changes = [];
+    store.subscribe((state, previous) => changes.push([previous.search, state.search]));
+
+    assert.equal(store.setState({ search: 'laptop' }), true);
+    assert.deepEqual(changes, [['', 'laptop']]);
+    assert.equal(store.getState().search, 'laptop');
+});
+
+test('does not notify when nothing changed', () => {
+    const store = createStore();
+    const sort = store.getState().sort;
+    let calls = 0;
+    store.subscribe(() => calls++);
+
+    assert.equal(store.setState({ search: '', sort: [] }), false);
+    assert.equal(calls, 0);
+    // View values equal to the current ones keep their object
+    assert.equal(store.getState().sort, sort);
+});
+
+test('stops notifying after unsubscribing', () => {
+    const store = createStore();
+    let calls = 0;
+    const unsubscribe = store.subscribe(() => calls++);
+
+    store.setState({ page: 2 });
+    unsubscribe();
+    store.setState({ page: 3 });
+
+    assert.equal(calls, 1);
+});
+
+test('calls selector listeners only when the selected value changes', () => {
+    const store = createStore();
+    const counts = [];
+    store.select(state => state.products.length, (count, previous) => counts.push([previous, count]));
+
+    store.setState({ search: 'a' });
+    store.setState({ products: [{ id: 1 }] });
+    store.setState({ products: [{ id: 2 }] });
+
+    assert.deepEqual(counts, [[0, 1]]);
+});
+
+test('memoizes derived values until an input changes', () => {
+    let computed = 0;
+    const selectTitles = createSelector([state => state.products], products => {
+        computed++;
+        return products.map(product => product.title);
+    });
+    const state = { products: [{ title: 'A' }], page: 1 };
+
+    assert.equal(selectTitles(state), selectTitles({ ...state, page: 2 }));
+    assert.equal(computed, 1);
+    assert.deepEqual(selectTitles({ ...state, products: [{ title: 'B' }] }), ['B']);
+    assert.equal(computed, 2);
+});
+
+test('undoes and redoes recorded view changes', () => {
+    const store = createStore();
+    store.setState({ search: 'laptop' }, { history: 'push' });
+    store.setState({ sort: [{ field: 'price', direction: 'asc' }] }, { history: 'push' });
+
+    assert.equal(store.undo(), true);
+    assert.deepEqual(store.getState().sort, []);
+    assert.equal(store.getState().search, 'laptop');
+
+    assert.equal(store.undo(), true);
+    assert.equal(store.getState().search, '');
+    assert.equal(store.undo(), false);
+
+    assert.equal(store.redo(), true);
+    assert.equal(store.getState().search, 'laptop');
+    assert.equal(store.canRedo(), true);
+});
+
+test('does not record data changes or replaced view changes', () => {
+    const store = createStore();
+    store.setState({ products: [{ id: 1 }] }, { history: 'push' });
+    store.setState({ page: 2 });
+
+    assert.equal(store.canUndo(), false);
+
+    // Later keystrokes of one search replace the step of the first one
+    store.setState({ search: 'l' }, { history: 'push' });
+    store.setState({ search: 'la' }, { history: 'replace' });
+    store.undo();
+    assert.equal(store.getState().search, '');
+    assert.equal(store.getState().page, 2);
+});
+
+test('drops the redo steps when a new change is recorded', () => {
+    const store = createStore();
+    store.setState({ page: 2 }, { history: 'push' });
+    store.undo();
+    store.setState({ page: 3 }, { history: 'push' });
+
+    assert.equal(store.canRedo(), false);
+    store.undo();
+    assert.equal(store.getState().page, 1);
+});
+
+test('tells listeners where a change came from and when the history changes', () => {
+    const store = createStore();
+    const sources = [];
+    const history = [];
+    store.subscribe((state, previous, { source }) => sources.push(source));
+    store.onHistoryChange((canUndo, canRedo) => history.push([canUndo, canRedo]));
+
+    store.setState({ page: 2 }, { history: 'push' });
+    store.undo();
+    store.redo();
+    store.clearHistory();
+
+    assert.deepEqual(sources, ['set', 'undo', 'redo']);
+    assert.deepEqual(history, [[true, false], [false, true], [true, false], [false, false]]);
+});
+
+test('keeps at most historyLimit undo steps', () => {
+    const store = new Store({ page: 1 }, { historyKeys: ['page'], historyLimit: 2 });
+    [2, 3, 4].forEach(page => store.setState({ page }, { history: 'push' }));
+
+    store.undo();
+    store.undo();
+    assert.equal(store.undo(), false);
+    assert.equal(store.getState().page, 2);
+});